@@ -0,0 +1,38 @@
+/**
+ * Search external sources for one person. Queued by POST /api/ai-research/search-external;
+ * progress advances as each source finishes and cancelling stops the sources still searching.
+ */
+
+const { PermanentJobError } = require('../services/jobQueue');
+const { ResearchSearchService } = require('../services/researchSearchService');
+const { TreeRepository } = require('../services/treeRepository');
+
+const researchSearchService = new ResearchSearchService();
+const treeRepository = new TreeRepository();
+
+module.exports = {
+  type: 'external-search',
+
+  async run({ user, payload, signal, reportProgress }) {
+    const { personId, searchQueries } = payload;
+    console.log(`🔍 Searching external sources for person: ${personId}`);
+
+    const { database, person, tree } = await treeRepository.loadPerson(user._id, personId);
+    if (!database) {
+      throw new PermanentJobError('GEDCOM data not found');
+    }
+    if (!person) {
+      throw new PermanentJobError('Person not found');
+    }
+
+    await reportProgress(0, 0, 'Searching sources');
+    return researchSearchService.search(user, person, tree, searchQueries, {
+      signal,
+      onSourceComplete: ({ label, status, results }, finished, total) => reportProgress(
+        finished,
+        total,
+        status === 'failed' ? `${label} failed` : `${label}: ${results.length} records`
+      )
+    });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Parse the GEDCOM file uploaded at registration and store it as the user's tree.
+ * Queued by POST /api/auth/verify-email; the file waits in user.tempRegistrationData.
+ */
+
+const { GedcomDatabase } = require('../models/Gedcom');
+const { PermanentJobError } = require('../services/jobQueue');
+const { TreeRepository } = require('../services/treeRepository');
+const { buildTreeData } = require('../utils/gedcomParser');
+
+const treeRepository = new TreeRepository();
+
+module.exports = {
+  type: 'gedcom-parse',
+
+  async run({ user, reportProgress }) {
+    const tempData = user.tempRegistrationData;
+    if (!tempData || tempData.type !== 'gedcomFile') {
+      // A previous attempt may have stored the tree and failed before clearing the upload
+      if (await GedcomDatabase.exists({ userId: user._id })) {
+        return { alreadyImported: true };
+      }
+      throw new PermanentJobError('GEDCOM data not found or expired');
+    }
+
+    await reportProgress(0, 2, `Parsing ${tempData.filename}`);
+    const gedcomData = buildTreeData(tempData.content, tempData.filename);
+    console.log('GEDCOM parsing results:', {
+      totalIndividuals: gedcomData.individuals.length,
+      totalFamilies: gedcomData.families.length,
+      success: gedcomData.parseSuccess
+    });
+
+    await reportProgress(1, 2, `Saving ${gedcomData.individuals.length} people and ${gedcomData.families.length} families`);
+    if (!(await GedcomDatabase.exists({ userId: user._id }))) {
+      await treeRepository.create(user, {
+        databaseId: user.gedcomDatabaseId,
+        userId: user._id,
+        gedcomVersion: gedcomData.header?.version || undefined,
+        sourceFile: tempData.filename
+      }, gedcomData);
+    }
+
+    user.tempRegistrationData = null;
+    await user.save();
+    await reportProgress(2, 2, 'Your tree is ready');
+
+    return {
+      sourceFile: tempData.filename,
+      totalIndividuals: gedcomData.individuals.length,
+      totalFamilies: gedcomData.families.length,
+      parseWarnings: (gedcomData.parseWarnings || []).length
+    };
+  }
+};
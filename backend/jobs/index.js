@@ -0,0 +1,15 @@
+/**
+ * Background job handlers, registered with the server's JobWorker
+ */
+
+const { JobWorker } = require('../services/jobQueue');
+const gedcomParseJob = require('./gedcomParseJob');
+const treeAuditJob = require('./treeAuditJob');
+const externalSearchJob = require('./externalSearchJob');
+
+const createJobWorker = () => new JobWorker()
+  .register(gedcomParseJob)
+  .register(treeAuditJob)
+  .register(externalSearchJob);
+
+module.exports = { createJobWorker };
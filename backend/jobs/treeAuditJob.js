@@ -0,0 +1,37 @@
+/**
+ * Tree-wide consistency audit (TreeAuditService) of the user's current tree.
+ * Queued by GET /api/gedcom/audit, which pages the stored result while the tree is unchanged.
+ */
+
+const { PermanentJobError } = require('../services/jobQueue');
+const { TreeAuditService } = require('../services/treeAuditService');
+const { TreeRepository } = require('../services/treeRepository');
+
+const treeAuditService = new TreeAuditService();
+const treeRepository = new TreeRepository();
+
+module.exports = {
+  type: 'tree-audit',
+
+  // The key of the audit of one revision of a tree
+  keyFor: (database) => `${database.databaseId}:${database.treeVersion}`,
+
+  async run({ user, reportProgress }) {
+    const { database, data } = await treeRepository.load(user._id);
+    if (!database || !data) {
+      throw new PermanentJobError('No GEDCOM database found for user');
+    }
+
+    const people = (data.individuals || []).length;
+    await reportProgress(0, 1, `Auditing ${people} people`);
+    console.log(`🩺 Auditing tree: ${people} individuals, ${(data.families || []).length} families`);
+    const problems = treeAuditService.auditTree(data);
+    console.log(`✅ Audit found ${problems.length} problems`);
+
+    return {
+      treeVersion: database.treeVersion,
+      summary: treeAuditService.summarize(problems),
+      problems
+    };
+  }
+};
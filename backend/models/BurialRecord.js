@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Burial transcriptions imported from cemetery datasets (CSV/JSON exports of transcription projects,
+// Find a Grave or BillionGraves dumps) with scripts/importBurialDataset.js. They are public records
+// searched for every user, so unlike tree data they are not encrypted.
+const burialDatasetSchema = new mongoose.Schema({
+  datasetId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  origin: {
+    type: String, // Where the export came from, e.g. 'Find a Grave export'
+    default: ''
+  },
+  fileName: {
+    type: String,
+    default: ''
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'json'],
+    required: true
+  },
+  recordCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number, // Rows without a surname
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const burialRecordSchema = new mongoose.Schema({
+  datasetId: {
+    type: String,
+    required: true
+  },
+  recordId: {
+    type: String, // Memorial or row id from the dataset
+    required: true
+  },
+  givenNames: { type: String, default: '' },
+  familyName: { type: String, default: '' },
+  maidenName: { type: String, default: '' },
+  birthDate: { type: String, default: '' },
+  deathDate: { type: String, default: '' },
+  burialDate: { type: String, default: '' },
+  birthYear: { type: Number, default: null },
+  deathYear: { type: Number, default: null },
+  cemetery: { type: String, default: '' },
+  city: { type: String, default: '' },
+  county: { type: String, default: '' },
+  state: { type: String, default: '' },
+  country: { type: String, default: '' },
+  place: { type: String, default: '' }, // The place as one line, for datasets without separate columns
+  plot: { type: String, default: '' },
+  url: { type: String, default: '' },
+  inscription: { type: String, default: '' },
+  latitude: { type: Number, default: null },
+  longitude: { type: Number, default: null },
+  // Search keys derived on import (see BurialDatasetService.toBurialRecord)
+  surnameKeys: [String],   // Family and maiden names, lowercase without accents or punctuation
+  surnameSoundex: [String],
+  placeKeys: [String]      // Words of the cemetery name and its place
+});
+
+burialRecordSchema.index({ datasetId: 1, recordId: 1 }, { unique: true });
+burialRecordSchema.index({ surnameSoundex: 1, deathYear: 1 });
+burialRecordSchema.index({ surnameSoundex: 1, birthYear: 1 });
+burialRecordSchema.index({ surnameKeys: 1, birthYear: 1 });
+burialRecordSchema.index({ placeKeys: 1 });
+
+const BurialDataset = mongoose.model('BurialDataset', burialDatasetSchema);
+const BurialRecord = mongoose.model('BurialRecord', burialRecordSchema);
+
+module.exports = { BurialDataset, BurialRecord };
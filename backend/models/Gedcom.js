@@ -1,86 +1,229 @@
 const mongoose = require('mongoose');
 
-// Individual person in GEDCOM
-const personSchema = new mongoose.Schema({
-  gedcomId: {
+// One individual, family or source of a tree, encrypted on its own so it can be read and
+// written without decrypting the rest of the tree. Only xrefs and ordering are stored in clear.
+const treeRecordSchema = (extraFields = {}) => {
+  const schema = new mongoose.Schema({
+    databaseId: {
+      type: String,
+      required: true
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    recordId: {
+      type: String, // GEDCOM xref, e.g. "@I1@" or "I1"
+      required: true
+    },
+    position: {
+      type: Number, // Order within the tree's collection
+      default: 0
+    },
+    encryptedData: {
+      type: String, // Encrypted JSON of the record
+      required: true
+    },
+    version: {
+      type: Number, // Bumped on every write; a write names the version it read
+      default: 0
+    },
+    ...extraFields
+  }, {
+    timestamps: true
+  });
+
+  schema.index({ databaseId: 1, recordId: 1 }, { unique: true });
+  schema.index({ databaseId: 1, position: 1 });
+  return schema;
+};
+
+const personSchema = treeRecordSchema();
+
+const familySchema = treeRecordSchema({
+  memberIds: {
+    type: [String], // Husband, wife and children xrefs, for finding a person's families
+    default: []
+  }
+});
+familySchema.index({ databaseId: 1, memberIds: 1 });
+
+const sourceSchema = treeRecordSchema();
+
+// GEDCOM database for each user
+const gedcomDatabaseSchema = new mongoose.Schema({
+  databaseId: {
     type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     required: true
   },
-  givenNames: {
-    type: String,
-    required: true,
-    trim: true
+  encryptedData: {
+    type: String, // Encrypted JSON of the tree; with 'records' storage, everything but individuals, families and sources
+    required: true
   },
-  familyNames: {
+  storageFormat: {
     type: String,
-    required: true,
-    trim: true
+    enum: ['blob', 'records'], // 'records': individuals, families and sources live in their own collections
+    default: 'blob'
   },
-  birthDate: {
-    type: String,
-    default: null
+  treeVersion: {
+    type: Number, // Bumped on every save
+    default: 0
   },
-  birthPlace: {
-    type: String,
+  restVersion: {
+    type: Number, // Bumped when encryptedData changes; saves name the version they read
+    default: 0
+  },
+  revisionCounter: {
+    type: Number, // Number of the latest revision; null until a save numbers one from the history
     default: null
   },
-  deathDate: {
-    type: String,
+  saveLock: {
+    type: String, // Token of the save writing the tree right now; saves of one tree run one at a time
     default: null
   },
-  deathPlace: {
-    type: String,
+  saveLockedAt: {
+    type: Date, // A lock older than TreeStorageService's limit belongs to a save that died
     default: null
   },
-  sex: {
+  gedcomVersion: {
     type: String,
-    enum: ['M', 'F', 'U'],
-    default: 'U'
+    default: '7.0'
   },
-  parents: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'GedcomPerson'
-  }],
-  spouse: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'GedcomPerson'
-  }],
-  children: [{
-    type: mongoose.Schema.Types.ObjectId,
-    ref: 'GedcomPerson'
-  }],
-  notes: {
-    type: String,
+  sourceFile: {
+    type: String, // Original GEDCOM filename if uploaded
     default: null
+  },
+  totalIndividuals: {
+    type: Number,
+    default: 0
+  },
+  totalFamilies: {
+    type: Number,
+    default: 0
+  },
+  lastModified: {
+    type: Date,
+    default: Date.now
   }
 }, {
   timestamps: true
 });
 
-// GEDCOM database for each user
-const gedcomDatabaseSchema = new mongoose.Schema({
+// Update lastModified on save
+gedcomDatabaseSchema.pre('save', function(next) {
+  this.lastModified = new Date();
+  next();
+});
+
+// Append-only revision log for each GEDCOM database.
+// The diff is encrypted with the owner's key; only the ids it touches are stored in clear for lookup.
+const gedcomRevisionSchema = new mongoose.Schema({
   databaseId: {
     type: String,
     required: true,
-    unique: true
+    immutable: true
   },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
+    required: true,
+    immutable: true
+  },
+  rev: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  route: {
+    type: String, // e.g. "PUT /api/gedcom/person/:personId"
+    required: true,
+    immutable: true
+  },
+  encryptedDiff: {
+    type: String, // Will contain encrypted JSON of the record-level changes
+    required: true,
+    immutable: true
+  },
+  personIds: {
+    type: [String], // Individuals changed directly or through one of their families
+    default: [],
+    immutable: true
+  },
+  summary: {
+    added: { type: Number, default: 0 },
+    modified: { type: Number, default: 0 },
+    removed: { type: Number, default: 0 }
+  },
+  restoredFrom: {
+    type: Number, // Revision the tree was rolled back to, for restore entries
+    default: null,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+gedcomRevisionSchema.index({ databaseId: 1, rev: 1 }, { unique: true });
+gedcomRevisionSchema.index({ databaseId: 1, personIds: 1, rev: -1 });
+
+// Revisions are never edited or removed once written
+gedcomRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Revisions are append-only'));
+  }
+  next();
+});
+
+gedcomRevisionSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  function(next) {
+    next(new Error('Revisions are append-only'));
+  }
+);
+
+// A GEDCOM file waiting for review before it changes the tree: merged into it after match
+// review ('merge'), or replacing it, from an upload ('replace') or the stored rawGedcom ('reparse').
+// The parsed file and the review queue or change preview are encrypted with the owner's key.
+const gedcomImportSchema = new mongoose.Schema({
+  importId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  databaseId: {
+    type: String,
     required: true
   },
-  encryptedData: {
-    type: String, // Will contain encrypted JSON of all genealogy data
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
     required: true
   },
-  gedcomVersion: {
+  kind: {
     type: String,
-    default: '7.0'
+    enum: ['merge', 'replace', 'reparse'],
+    default: 'merge'
   },
   sourceFile: {
-    type: String, // Original GEDCOM filename if uploaded
+    type: String,
     default: null
   },
+  status: {
+    type: String,
+    enum: ['pending', 'applied'],
+    default: 'pending'
+  },
+  encryptedData: {
+    type: String, // Will contain encrypted JSON of { incoming, queue } or { replacement, preview }
+    required: true
+  },
   totalIndividuals: {
     type: Number,
     default: 0
@@ -89,24 +232,77 @@ const gedcomDatabaseSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
-  lastModified: {
+  result: {
+    type: mongoose.Schema.Types.Mixed, // Counts from applying the import
+    default: null
+  },
+  appliedAt: {
     type: Date,
-    default: Date.now
+    default: null
   }
 }, {
   timestamps: true
 });
 
-// Update lastModified on save
-gedcomDatabaseSchema.pre('save', function(next) {
-  this.lastModified = new Date();
-  next();
+// Uploaded files are not kept around: imports expire a week after upload
+gedcomImportSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Full copy of a database's encrypted tree, taken before it is replaced or restored
+const gedcomSnapshotSchema = new mongoose.Schema({
+  snapshotId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  databaseId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['replace', 'reparse', 'restore'],
+    required: true
+  },
+  sourceFile: {
+    type: String, // The database's source file when the snapshot was taken
+    default: null
+  },
+  encryptedData: {
+    type: String, // Same format as GedcomDatabase.encryptedData
+    required: true
+  },
+  totalIndividuals: {
+    type: Number,
+    default: 0
+  },
+  totalFamilies: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
 });
 
 const GedcomPerson = mongoose.model('GedcomPerson', personSchema);
+const GedcomFamily = mongoose.model('GedcomFamily', familySchema);
+const GedcomSource = mongoose.model('GedcomSource', sourceSchema);
 const GedcomDatabase = mongoose.model('GedcomDatabase', gedcomDatabaseSchema);
+const GedcomRevision = mongoose.model('GedcomRevision', gedcomRevisionSchema);
+const GedcomImport = mongoose.model('GedcomImport', gedcomImportSchema);
+const GedcomSnapshot = mongoose.model('GedcomSnapshot', gedcomSnapshotSchema);
 
 module.exports = {
   GedcomPerson,
-  GedcomDatabase
+  GedcomFamily,
+  GedcomSource,
+  GedcomDatabase,
+  GedcomRevision,
+  GedcomImport,
+  GedcomSnapshot
 };
\ No newline at end of file
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// Work that takes too long for one request (parsing an upload, auditing a tree, searching
+// external sources). Payloads and results can hold tree data, so both are encrypted with
+// the owner's key.
+const jobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String, // Handler name, e.g. 'gedcom-parse'
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  key: {
+    type: String, // While a job with this key is queued or running, enqueueing it again returns that job
+    default: null
+  },
+  status: {
+    type: String,
+    enum: JOB_STATUSES,
+    default: 'queued'
+  },
+  encryptedPayload: {
+    type: String,
+    default: null
+  },
+  encryptedResult: {
+    type: String,
+    default: null
+  },
+  progress: {
+    current: { type: Number, default: 0 },
+    total: { type: Number, default: 0 },
+    message: { type: String, default: '' }
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  runAt: {
+    type: Date, // Not picked up before this time; pushed back after a failed attempt
+    default: Date.now
+  },
+  workerId: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date, // Refreshed by the worker while it runs the job; a stale lock means the worker died
+    default: null
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  error: {
+    type: String, // Last failure, kept while the job waits for a retry
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date, // Finished jobs are deleted by MongoDB after this time
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ userId: 1, type: 1, key: 1, status: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = { Job, JOB_STATUSES };
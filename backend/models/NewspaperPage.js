@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Newspaper pages indexed for the local newspaper search (scripts/indexNewspaperPages.js): OCR text from
+// Chronicling America batch downloads or page JSON, and user-supplied transcripts. Like burials they are
+// public records searched for every user, so they are not encrypted.
+const newspaperCollectionSchema = new mongoose.Schema({
+  collectionId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  origin: {
+    type: String, // Where the pages came from, e.g. 'Chronicling America batch il_abbot_ver01'
+    default: ''
+  },
+  sourcePath: {
+    type: String,
+    default: ''
+  },
+  pageCount: {
+    type: Number,
+    default: 0
+  },
+  skippedCount: {
+    type: Number, // Empty or repeated pages
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const newspaperPageSchema = new mongoose.Schema({
+  collectionId: {
+    type: String,
+    required: true
+  },
+  pageId: {
+    type: String, // e.g. 'sn84038582/1912-11-04/ed-1/seq-2' or the transcript's file path
+    required: true
+  },
+  title: { type: String, default: '' },    // Newspaper title
+  lccn: { type: String, default: '' },
+  date: { type: String, default: '' },     // Issue date, YYYY-MM-DD
+  year: { type: Number, default: null },
+  edition: { type: Number, default: null },
+  sequence: { type: Number, default: null }, // Page number within the issue
+  place: { type: String, default: '' },    // Place of publication
+  url: { type: String, default: '' },
+  text: { type: String, default: '' },     // OCR or transcript text
+  // Distinct normalized words of the text (see NewspaperIndexService.tokenize); the full-text index
+  terms: [String]
+});
+
+newspaperPageSchema.index({ collectionId: 1, pageId: 1 }, { unique: true });
+newspaperPageSchema.index({ terms: 1, year: 1 });
+
+const NewspaperCollection = mongoose.model('NewspaperCollection', newspaperCollectionSchema);
+const NewspaperPage = mongoose.model('NewspaperPage', newspaperPageSchema);
+
+module.exports = { NewspaperCollection, NewspaperPage };
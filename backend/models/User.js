@@ -106,6 +106,7 @@ userSchema.methods.toJSON = function() {
   delete userObject.password;
   delete userObject.verificationCode;
   delete userObject.encryptionKey;
+  delete userObject.tempRegistrationData; // May hold the uploaded GEDCOM file until it is imported
   return userObject;
 };
 
@@ -1,19 +1,45 @@
 const express = require('express');
 const { authMiddleware } = require('../middleware/auth');
 const { AIGenealogyService } = require('../services/aiService');
-const { ExternalSearchService } = require('../services/externalSearchService');
 const { ConfidenceScorer } = require('../services/confidenceScorer');
-const { parseGedcomContent } = require('../utils/gedcomParser');
+const { RecordMergeService } = require('../services/recordMergeService');
+const { GenealogyValidationService } = require('../services/genealogyValidationService');
+const { TreeConflictError } = require('../services/treeStorageService');
+const { TreeRepository } = require('../services/treeRepository');
+const { JobQueue } = require('../services/jobQueue');
+const { ResearchSearchService, getPersonFamilyContext } = require('../services/researchSearchService');
+const { getRecordProviders } = require('../services/recordProviderRegistry');
+const externalSearchJob = require('../jobs/externalSearchJob');
 const User = require('../models/User');
-const { GedcomDatabase } = require('../models/Gedcom');
-const { decryptData } = require('../utils/helpers');
+const {
+  allocateId,
+  inferSourceType,
+  collectPersonSources,
+  findIndividual,
+  findSource,
+  getValidationContext
+} = require('../utils/gedcomTree');
+const { formatGedcomDate } = require('../utils/gedcomWriter');
 
 const router = express.Router();
 
 // Initialize AI services
 const aiService = new AIGenealogyService();
-const externalSearchService = new ExternalSearchService();
 const confidenceScorer = new ConfidenceScorer();
+const recordMergeService = new RecordMergeService();
+const validationService = new GenealogyValidationService();
+const treeRepository = new TreeRepository();
+const jobQueue = new JobQueue();
+const researchSearchService = new ResearchSearchService();
+const recordProviders = getRecordProviders();
+
+// Comment lines sent while streaming so proxies don't close an idle connection
+const STREAM_HEARTBEAT_MS = 15000;
+
+// Write one Server-Sent Event
+const sendEvent = (res, event, data) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
 
 /**
  * Debug endpoint to check user authentication and data access
@@ -23,11 +49,10 @@ router.get('/debug', authMiddleware, async (req, res) => {
   try {
     console.log('🔍 Debug - User ID from token:', req.user?._id);
     
-    const user = await User.findById(req.user._id);
+    const { user, database: gedcomDb } = await treeRepository.findDatabase(req.user._id);
     console.log('🔍 Debug - User found:', user ? 'Yes' : 'No');
     
     if (user) {
-      const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
       console.log('🔍 Debug - GEDCOM DB found:', gedcomDb ? 'Yes' : 'No');
       console.log('🔍 Debug - User has encryption key:', user.encryptionKey ? 'Yes' : 'No');
     }
@@ -35,7 +60,7 @@ router.get('/debug', authMiddleware, async (req, res) => {
     res.json({
       success: true,
       userFound: !!user,
-      gedcomFound: user ? !!(await GedcomDatabase.findOne({ userId: user._id })) : false,
+      gedcomFound: !!gedcomDb,
       hasEncryptionKey: user ? !!user.encryptionKey : false
     });
   } catch (error) {
@@ -59,14 +84,13 @@ router.post('/generate-queries', authMiddleware, async (req, res) => {
     console.log(`🤖 Generating AI search queries for person: ${personId}`);
     console.log(`👤 Authenticated user ID: ${req.user?._id}`);
 
-    // Get user's GEDCOM database
-    const user = await User.findById(req.user._id);
+    // The person and their immediate family, from the cached tree when there is one
+    const { user, database: gedcomDb, person, tree } = await treeRepository.loadPerson(req.user._id, personId);
     if (!user) {
       console.error('❌ User not found for ID:', req.user._id);
       return res.status(404).json({ message: 'User not found. Please log in again.' });
     }
 
-    const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
     if (!gedcomDb) {
       console.error('❌ GEDCOM database not found for user:', user._id);
       return res.status(404).json({ message: 'GEDCOM data not found. Please upload a GEDCOM file first.' });
@@ -77,29 +101,12 @@ router.post('/generate-queries', authMiddleware, async (req, res) => {
       return res.status(500).json({ message: 'User encryption key not configured' });
     }
 
-    // Decrypt and parse GEDCOM data
-    let encryptedData = gedcomDb.encryptedData;
-    if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-      encryptedData = JSON.parse(encryptedData);
-    }
-
-    const decryptedData = decryptData(encryptedData, user.encryptionKey);
-    let parsedData;
-
-    if (decryptedData.trim().startsWith('{')) {
-      parsedData = JSON.parse(decryptedData);
-    } else {
-      parsedData = parseGedcomContent(decryptedData);
-    }
-
-    // Find the person
-    const person = parsedData.individuals.find(ind => ind.id === personId);
     if (!person) {
       return res.status(404).json({ message: 'Person not found in GEDCOM data' });
     }
 
     // Get family context for better search queries
-    const familyContext = await getPersonFamilyContext(person.id, parsedData.families, parsedData.individuals);
+    const familyContext = getPersonFamilyContext(person.id, tree);
     const enrichedPerson = { ...person, ...familyContext };
 
     // Generate AI search queries
@@ -124,7 +131,41 @@ router.post('/generate-queries', authMiddleware, async (req, res) => {
 });
 
 /**
- * Search external sources for records matching a person
+ * The external record sources of this deployment, for the research panel's source choices
+ * GET /api/ai-research/sources
+ */
+router.get('/sources', authMiddleware, (req, res) => {
+  res.json({
+    success: true,
+    sources: recordProviders.describe()
+  });
+});
+
+/**
+ * Whether each external record source can be searched right now
+ * GET /api/ai-research/sources/health
+ */
+router.get('/sources/health', authMiddleware, async (req, res) => {
+  try {
+    const sources = await recordProviders.checkHealth();
+    res.json({
+      success: true,
+      healthy: sources.every(source => source.status !== 'unavailable'),
+      sources,
+      checkedAt: new Date()
+    });
+  } catch (error) {
+    console.error('❌ Error checking record sources:', error);
+    res.status(500).json({
+      message: 'Failed to check record sources',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Search external sources for records matching a person. The search runs as a background
+ * job; poll GET /api/jobs/:jobId for progress and the scored results.
  * POST /api/ai-research/search-external
  */
 router.post('/search-external', authMiddleware, async (req, res) => {
@@ -135,109 +176,110 @@ router.post('/search-external', authMiddleware, async (req, res) => {
       return res.status(400).json({ message: 'Person ID and search queries are required' });
     }
 
-    console.log(`🔍 Searching external sources for person: ${personId}`);
-
-    // Get person data (similar to generate-queries)
-    const user = await User.findById(req.user._id);
-    const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
+    // Check the person exists before queueing; the search itself runs in the background
+    const { user, database: gedcomDb, person } = await treeRepository.loadPerson(req.user._id, personId);
     
-    if (!gedcomDb || !user.encryptionKey) {
+    if (!user || !gedcomDb || !user.encryptionKey) {
       return res.status(404).json({ message: 'GEDCOM data not found' });
     }
 
-    let encryptedData = gedcomDb.encryptedData;
-    if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-      encryptedData = JSON.parse(encryptedData);
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
     }
 
-    const decryptedData = decryptData(encryptedData, user.encryptionKey);
-    let parsedData;
+    const job = await jobQueue.enqueue(user, externalSearchJob.type, { personId: person.id, searchQueries });
+    console.log(`🔍 Queued external search for person: ${personId}`);
 
-    if (decryptedData.trim().startsWith('{')) {
-      parsedData = JSON.parse(decryptedData);
-    } else {
-      parsedData = parseGedcomContent(decryptedData);
-    }
+    res.status(202).json({
+      success: true,
+      personId: person.id,
+      job: jobQueue.describe(job, user)
+    });
 
-    const person = parsedData.individuals.find(ind => ind.id === personId);
-    if (!person) {
-      return res.status(404).json({ message: 'Person not found' });
+  } catch (error) {
+    console.error('❌ Error searching external sources:', error);
+    res.status(500).json({ 
+      message: 'Failed to search external sources', 
+      error: error.message 
+    });
+  }
+});
+
+/**
+ * Search external sources and stream the results as each source finishes (Server-Sent Events).
+ * Events: `start` { personId, personName, sources: [{ source, label }] }; one `source` per source
+ * { source, label, status, results, rejectedCount, error, finished, total } with that source's scored
+ * results; then `done` with the same body as a finished search job, or `error` { message, error }.
+ * Closing the connection cancels the sources still searching.
+ * POST /api/ai-research/search-external/stream
+ */
+router.post('/search-external/stream', authMiddleware, async (req, res) => {
+  let streaming = false;
+  try {
+    const { personId, searchQueries } = req.body;
+
+    if (!personId || !searchQueries) {
+      return res.status(400).json({ message: 'Person ID and search queries are required' });
     }
 
-    // Get family context
-    const familyContext = await getPersonFamilyContext(person.id, parsedData.families, parsedData.individuals);
-    const enrichedPerson = { ...person, ...familyContext };
+    const { user, database: gedcomDb, person, tree } = await treeRepository.loadPerson(req.user._id, personId);
 
-    // Search external sources
-    const externalResults = await externalSearchService.searchAllSources(searchQueries, enrichedPerson);
-
-    // Filter out previously rejected matches
-    const rejectedHashes = new Set();
-    if (user.rejectedMatches && user.rejectedMatches.length > 0) {
-      user.rejectedMatches.forEach(rejection => {
-        // Create hash for this person-record combination
-        rejectedHashes.add(`${rejection.recordId}_${personId}`);
-        // Also check the stored recordHash for backward compatibility
-        if (rejection.recordHash) {
-          rejectedHashes.add(rejection.recordHash);
-        }
-      });
+    if (!user || !gedcomDb || !user.encryptionKey) {
+      return res.status(404).json({ message: 'GEDCOM data not found' });
+    }
+
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
     }
 
-    const filteredResults = externalResults.filter(result => {
-      const recordHash = `${result.id}_${personId}`;
-      const isRejected = rejectedHashes.has(recordHash);
-      if (isRejected) {
-        console.log(`🚫 Filtering out previously rejected record: ${result.id} for person ${personId}`);
+    console.log(`🔍 Streaming external search for person: ${personId}`);
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        console.log(`🛑 External search for person ${personId} cancelled by the client`);
+        controller.abort();
       }
-      return !isRejected;
     });
 
-    console.log(`🔍 External search: ${externalResults.length} raw results, ${filteredResults.length} after filtering rejections`);
-
-    // Calculate confidence scores for each result
-    const scoredResults = await Promise.all(
-      filteredResults.map(async (result) => {
-        const confidenceAnalysis = confidenceScorer.calculateConfidence(
-          enrichedPerson, 
-          result, 
-          { searchQueries }
-        );
-        
-        return {
-          ...result,
-          confidence: confidenceAnalysis.overallConfidence,
-          confidenceAnalysis: confidenceAnalysis,
-          aiAnalysis: null // Will be populated on demand
-        };
-      })
-    );
-
-    // Sort by confidence and limit results
-    const topResults = scoredResults
-      .sort((a, b) => b.confidence - a.confidence)
-      .slice(0, 20); // Limit to top 20 results
-
-    console.log(`✅ External search complete: ${topResults.length} scored results`);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no' // Don't let nginx hold events back
+    });
+    res.flushHeaders();
+    streaming = true;
 
-    res.json({
-      success: true,
-      personId: personId,
+    sendEvent(res, 'start', {
+      personId: person.id,
       personName: `${person.givenNames} ${person.familyNames}`,
-      totalResults: externalResults.length,
-      filteredResults: filteredResults.length,
-      rejectedCount: externalResults.length - filteredResults.length,
-      scoredResults: topResults,
-      searchedAt: new Date(),
-      sources: [...new Set(externalResults.map(r => r.source))] // Unique sources searched
+      sources: researchSearchService.externalSearch.describeEnabledSources(searchQueries)
     });
 
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+    try {
+      const response = await researchSearchService.search(user, person, tree, searchQueries, {
+        signal: controller.signal,
+        onSourceComplete: (outcome, finished, total) => {
+          if (!controller.signal.aborted) sendEvent(res, 'source', { ...outcome, finished, total });
+        }
+      });
+      if (!controller.signal.aborted) sendEvent(res, 'done', response);
+    } finally {
+      clearInterval(heartbeat);
+    }
+    res.end();
+
   } catch (error) {
-    console.error('❌ Error searching external sources:', error);
-    res.status(500).json({ 
-      message: 'Failed to search external sources', 
-      error: error.message 
-    });
+    console.error('❌ Error streaming external search:', error);
+    if (!streaming) {
+      return res.status(500).json({
+        message: 'Failed to search external sources',
+        error: error.message
+      });
+    }
+    sendEvent(res, 'error', { message: 'Failed to search external sources', error: error.message });
+    res.end();
   }
 });
 
@@ -255,36 +297,25 @@ router.post('/analyze-match', authMiddleware, async (req, res) => {
 
     console.log(`🧠 AI analyzing match between person ${personId} and record ${recordId}`);
 
-    // Get person data (similar pattern as above)
-    const user = await User.findById(req.user._id);
-    const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
+    // Get person data (similar pattern as above); the whole tree is needed for the cited sources
+    const { user, database: gedcomDb, data: parsedData, tree } = await treeRepository.load(req.user._id);
     
-    if (!gedcomDb || !user.encryptionKey) {
+    if (!user || !gedcomDb || !parsedData) {
       return res.status(404).json({ message: 'GEDCOM data not found' });
     }
 
-    let encryptedData = gedcomDb.encryptedData;
-    if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-      encryptedData = JSON.parse(encryptedData);
-    }
-
-    const decryptedData = decryptData(encryptedData, user.encryptionKey);
-    let parsedData;
-
-    if (decryptedData.trim().startsWith('{')) {
-      parsedData = JSON.parse(decryptedData);
-    } else {
-      parsedData = parseGedcomContent(decryptedData);
-    }
-
-    const person = parsedData.individuals.find(ind => ind.id === personId);
+    const person = tree.person(personId);
     if (!person) {
       return res.status(404).json({ message: 'Person not found' });
     }
 
     // Get family context
-    const familyContext = await getPersonFamilyContext(person.id, parsedData.families, parsedData.individuals);
-    const enrichedPerson = { ...person, ...familyContext };
+    const familyContext = getPersonFamilyContext(person.id, tree);
+    const enrichedPerson = {
+      ...person,
+      ...familyContext,
+      sources: collectPersonSources(parsedData, person)
+    };
 
     // Perform AI analysis
     const aiAnalysis = await aiService.analyzeRecordMatch(enrichedPerson, recordData);
@@ -333,34 +364,18 @@ router.get('/suggestions/:personId', authMiddleware, async (req, res) => {
     console.log(`💡 Generating research suggestions for person: ${personId}`);
 
     // Get person data (similar pattern)
-    const user = await User.findById(req.user._id);
-    const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
+    const { user, database: gedcomDb, person, tree } = await treeRepository.loadPerson(req.user._id, personId);
     
-    if (!gedcomDb || !user.encryptionKey) {
+    if (!user || !gedcomDb || !user.encryptionKey) {
       return res.status(404).json({ message: 'GEDCOM data not found' });
     }
 
-    let encryptedData = gedcomDb.encryptedData;
-    if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-      encryptedData = JSON.parse(encryptedData);
-    }
-
-    const decryptedData = decryptData(encryptedData, user.encryptionKey);
-    let parsedData;
-
-    if (decryptedData.trim().startsWith('{')) {
-      parsedData = JSON.parse(decryptedData);
-    } else {
-      parsedData = parseGedcomContent(decryptedData);
-    }
-
-    const person = parsedData.individuals.find(ind => ind.id === personId);
     if (!person) {
       return res.status(404).json({ message: 'Person not found' });
     }
 
     // Generate research suggestions based on missing information
-    const suggestions = generateResearchSuggestions(person, parsedData);
+    const suggestions = generateResearchSuggestions(person, tree);
 
     res.json({
       success: true,
@@ -379,71 +394,6 @@ router.get('/suggestions/:personId', authMiddleware, async (req, res) => {
   }
 });
 
-/**
- * Helper function to get family context for a person
- */
-async function getPersonFamilyContext(personId, families, individuals) {
-  const familyData = {
-    parents: { father: null, mother: null },
-    spouses: [],
-    children: []
-  };
-
-  // Find families where this person is a spouse
-  const spouseFamilies = families.filter(family => 
-    family.husband === personId || family.wife === personId
-  );
-
-  // Find spouses
-  for (const family of spouseFamilies) {
-    const spouseId = family.husband === personId ? family.wife : family.husband;
-    if (spouseId) {
-      const spouse = individuals.find(ind => ind.id === spouseId);
-      if (spouse) {
-        familyData.spouses.push({
-          id: spouse.id,
-          givenNames: spouse.givenNames || 'Unknown',
-          familyNames: spouse.familyNames || 'Unknown'
-        });
-      }
-    }
-  }
-
-  // Find families where this person is a child
-  const childFamilies = families.filter(family => 
-    family.children && family.children.includes(personId)
-  );
-
-  // Find parents
-  if (childFamilies.length > 0) {
-    const parentFamily = childFamilies[0];
-    
-    if (parentFamily.husband) {
-      const father = individuals.find(ind => ind.id === parentFamily.husband);
-      if (father) {
-        familyData.parents.father = {
-          id: father.id,
-          givenNames: father.givenNames || 'Unknown',
-          familyNames: father.familyNames || 'Unknown'
-        };
-      }
-    }
-    
-    if (parentFamily.wife) {
-      const mother = individuals.find(ind => ind.id === parentFamily.wife);
-      if (mother) {
-        familyData.parents.mother = {
-          id: mother.id,
-          givenNames: mother.givenNames || 'Unknown',
-          familyNames: mother.familyNames || 'Unknown'
-        };
-      }
-    }
-  }
-
-  return familyData;
-}
-
 /**
  * Helper function to determine final recommendation combining AI and confidence analysis
  */
@@ -476,7 +426,7 @@ function determineFinalRecommendation(aiAnalysis, confidenceAnalysis) {
 /**
  * Helper function to generate research suggestions
  */
-function generateResearchSuggestions(person, gedcomData) {
+function generateResearchSuggestions(person, tree) {
   const suggestions = [];
   
   // Missing vital information
@@ -511,7 +461,7 @@ function generateResearchSuggestions(person, gedcomData) {
   }
   
   // Missing family connections
-  const familyContext = getPersonFamilyContext(person.id, gedcomData.families, gedcomData.individuals);
+  const familyContext = getPersonFamilyContext(person.id, tree);
   
   if (!familyContext.parents.father) {
     suggestions.push({
@@ -657,6 +607,370 @@ router.post('/reject-match', authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * Attach an external search result to a person as a source citation
+ * POST /api/ai-research/attach-record
+ */
+router.post('/attach-record', authMiddleware, async (req, res) => {
+  try {
+    const { personId, record, eventIndex, analysis } = req.body;
+
+    if (!personId || !record || !record.id) {
+      return res.status(400).json({ message: 'Person ID and record are required' });
+    }
+
+    const provider = citationFor(record);
+    if (!provider) {
+      return res.status(400).json({ message: `Records from ${record.source || 'unknown sources'} cannot be attached` });
+    }
+
+    console.log(`📎 Attaching ${record.source} record ${record.id} to person: ${personId}`);
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user._id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'GEDCOM data not found' });
+    }
+
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
+    }
+
+    // Cite the chosen event, or the person as a whole when no event is given
+    let citations;
+    let event = null;
+    if (eventIndex === undefined || eventIndex === null || eventIndex === '') {
+      person.citations = person.citations || [];
+      citations = person.citations;
+    } else {
+      event = (person.events || [])[parseInt(eventIndex, 10)];
+      if (!event) {
+        return res.status(404).json({ message: `Event ${eventIndex} not found for ${personId}` });
+      }
+      event.sources = event.sources || [];
+      citations = event.sources;
+    }
+
+    const source = findOrCreateRecordSource(data, provider, record);
+    if (citations.some(citation => citation.sourceId === source.id)) {
+      return res.status(409).json({ message: 'This record is already attached there' });
+    }
+
+    const citation = buildRecordCitation(source, record, analysis);
+    citations.push(citation);
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`✅ Attached ${source.id} to ${event ? event.type : 'person'} of ${personId}`);
+
+    res.status(201).json({
+      success: true,
+      source: { ...source, type: inferSourceType(source) },
+      citation,
+      attachedRecords: listAttachedRecords(data, person)
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error attaching record:', error);
+    res.status(500).json({
+      message: 'Failed to attach record',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List external records attached to a person
+ * GET /api/ai-research/attached-records/:personId
+ */
+router.get('/attached-records/:personId', authMiddleware, async (req, res) => {
+  try {
+    const { personId } = req.params;
+
+    const { user, database, data } = await treeRepository.load(req.user._id);
+    if (!user || !database || !data) {
+      return res.status(404).json({ message: 'GEDCOM data not found' });
+    }
+
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
+    }
+
+    res.json({
+      success: true,
+      personId,
+      attachedRecords: listAttachedRecords(data, person)
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing attached records:', error);
+    res.status(500).json({
+      message: 'Failed to list attached records',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Compare a person with the facts of a search result, field by field
+ * POST /api/ai-research/merge-preview
+ */
+router.post('/merge-preview', authMiddleware, async (req, res) => {
+  try {
+    const { personId, record } = req.body;
+
+    if (!personId || !record) {
+      return res.status(400).json({ message: 'Person ID and record are required' });
+    }
+
+    const { user, database, data } = await treeRepository.load(req.user._id);
+    if (!user || !database || !data) {
+      return res.status(404).json({ message: 'GEDCOM data not found' });
+    }
+
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
+    }
+
+    const facts = recordMergeService.extractFacts(record);
+    const preview = recordMergeService.buildPreview(data, person, facts);
+
+    res.json({
+      success: true,
+      personId,
+      recordId: record.id,
+      ...preview
+    });
+
+  } catch (error) {
+    console.error('❌ Error building merge preview:', error);
+    res.status(500).json({
+      message: 'Failed to build merge preview',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Adopt chosen fields from a search result, citing the record, and create chosen missing relatives
+ * POST /api/ai-research/apply-merge
+ */
+router.post('/apply-merge', authMiddleware, async (req, res) => {
+  try {
+    const { personId, record, analysis, fields = [], relatives = [] } = req.body;
+
+    if (!personId || !record || !record.id) {
+      return res.status(400).json({ message: 'Person ID and record are required' });
+    }
+    if (!Array.isArray(fields) || !Array.isArray(relatives)) {
+      return res.status(400).json({ message: 'Fields and relatives must be arrays' });
+    }
+    if (fields.length === 0 && relatives.length === 0) {
+      return res.status(400).json({ message: 'Choose at least one field or relative to merge' });
+    }
+
+    const provider = citationFor(record);
+    if (!provider) {
+      return res.status(400).json({ message: `Records from ${record.source || 'unknown sources'} cannot be merged` });
+    }
+
+    console.log(`🔀 Merging ${record.source} record ${record.id} into person: ${personId}`);
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user._id);
+    if (!user || !database || !data) {
+      return res.status(404).json({ message: 'GEDCOM data not found' });
+    }
+    data.individuals = data.individuals || [];
+    data.families = data.families || [];
+
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: 'Person not found' });
+    }
+
+    const facts = recordMergeService.extractFacts(record);
+    const source = findOrCreateRecordSource(data, provider, record);
+    const merged = recordMergeService.applyMerge(data, person, facts, { fields, relatives }, () =>
+      buildRecordCitation(source, record, analysis)
+    );
+
+    const validation = validationService.validatePersonRecord(
+      { ...person, sources: collectPersonSources(data, person) },
+      getValidationContext(data, person.id)
+    );
+    if (!validation.isValid) {
+      return res.status(400).json({
+        message: 'Merged record failed validation',
+        validation: { isValid: false, issues: validation.issues, warnings: validation.warnings }
+      });
+    }
+
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`✅ Merged ${merged.updatedFields.length} fields and ${merged.createdPeople.length} new relatives into ${personId}`);
+
+    res.json({
+      success: true,
+      person,
+      updatedFields: merged.updatedFields,
+      createdPeople: merged.createdPeople,
+      families: merged.families,
+      validation: { isValid: true, issues: validation.issues, warnings: validation.warnings },
+      attachedRecords: listAttachedRecords(data, person)
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error applying merge:', error);
+    res.status(500).json({
+      message: 'Failed to merge record',
+      error: error.message
+    });
+  }
+});
+
+// How a search result is cited: its provider's citation settings ({ repository, address, type, title }),
+// or null for providers whose records cannot be attached
+function citationFor(record) {
+  return recordProviders.forSource(record.sourceKey || record.source)?.citation || null;
+}
+
+/**
+ * Helper function to find the repository for a provider, creating it on first use
+ */
+function findOrCreateProviderRepository(data, provider) {
+  const existing = data.repositories.find(repository => repository.name === provider.repository);
+  if (existing) return existing;
+
+  const repository = {
+    id: allocateId(data.repositories.map(repo => repo.id), 'R'),
+    name: provider.repository,
+    address: provider.address,
+    notes: [],
+    otherTags: []
+  };
+  data.repositories.push(repository);
+  return repository;
+}
+
+/**
+ * Helper function to find the master source for an external record, creating it on first use.
+ * A record is identified by its provider repository plus the provider's record id (CALN).
+ */
+function findOrCreateRecordSource(data, provider, record) {
+  const repository = findOrCreateProviderRepository(data, provider);
+  const recordId = String(record.id);
+
+  const existing = data.sources.find(source =>
+    source.repositoryId === repository.id && source.callNumber === recordId
+  );
+  if (existing) return existing;
+
+  const source = {
+    id: allocateId(data.sources.map(existingSource => existingSource.id), 'S'),
+    title: provider.title(record),
+    author: '',
+    publication: record.source,
+    abbreviation: '',
+    text: '',
+    type: provider.type,
+    url: record.url || '',
+    repositoryId: repository.id,
+    callNumber: recordId,
+    notes: [],
+    otherTags: []
+  };
+  data.sources.push(source);
+  return source;
+}
+
+/**
+ * Helper function to summarize the match analysis for the citation note
+ */
+function summarizeRecordAnalysis(record, analysis) {
+  const recommendation = analysis?.finalRecommendation;
+  if (recommendation && recommendation.action) {
+    const score = typeof recommendation.score === 'number' ? ` (${Math.round(recommendation.score * 100)}%)` : '';
+    const reasoning = analysis.ai?.reasoning || recommendation.reasoning || '';
+    return `AI match analysis: ${recommendation.action}${score}${reasoning ? `. ${reasoning}` : ''}`;
+  }
+
+  if (typeof record.confidence === 'number') {
+    return `Search match confidence: ${Math.round(record.confidence * 100)}%`;
+  }
+  return null;
+}
+
+/**
+ * Helper function to build the citation for an attached record.
+ * PAGE holds the record URL, DATA.DATE the retrieval date and DATA.TEXT what the record says.
+ */
+function buildRecordCitation(source, record, analysis) {
+  const details = [
+    record.name,
+    record.birth && record.birth !== 'Unknown' ? `born ${record.birth}` : '',
+    record.location && record.location !== 'Unknown' ? record.location : ''
+  ].filter(Boolean).join(', ');
+  const summary = summarizeRecordAnalysis(record, analysis);
+
+  return {
+    sourceId: source.id,
+    text: '',
+    page: record.url || source.callNumber,
+    quality: '',
+    dataDate: formatGedcomDate(new Date()),
+    dataText: details,
+    notes: summary ? [summary] : [],
+    otherTags: []
+  };
+}
+
+/**
+ * Helper function to list a person's citations of external records (sources with a URL or provider repository)
+ */
+function listAttachedRecords(data, person) {
+  const providerRepositories = new Set(
+    data.repositories
+      .filter(repository => recordProviders.list().some(provider => provider.citation?.repository === repository.name))
+      .map(repository => repository.id)
+  );
+
+  const attached = [];
+  const collect = (citations, event, eventIndex) => {
+    (citations || []).forEach(citation => {
+      const source = citation.sourceId ? findSource(data, citation.sourceId) : null;
+      if (!source || (!source.url && !providerRepositories.has(source.repositoryId))) return;
+
+      attached.push({
+        sourceId: source.id,
+        title: source.title,
+        provider: source.publication,
+        url: source.url,
+        recordId: source.callNumber,
+        eventIndex,
+        eventType: event ? event.type : null,
+        eventDate: event ? event.date : null,
+        retrievedDate: citation.dataDate,
+        details: citation.dataText,
+        notes: citation.notes || []
+      });
+    });
+  };
+
+  collect(person.citations, null, null);
+  (person.events || []).forEach((event, index) => collect(event.sources, event, index));
+  return attached;
+}
+
 function extractYear(dateString) {
   if (!dateString) return null;
   const yearMatch = dateString.match(/\b(18|19|20)\d{2}\b/);
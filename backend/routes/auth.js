@@ -5,20 +5,22 @@ const multer = require('multer');
 const path = require('path');
 
 const User = require('../models/User');
-const { GedcomDatabase } = require('../models/Gedcom');
 const { authMiddleware } = require('../middleware/auth');
 const { 
   generateVerificationCode, 
   generateEncryptionKey,
   validatePassword,
   validateBirthDate,
-  validateCity,
-  encryptData
+  validateCity
 } = require('../utils/helpers');
 const { sendVerificationEmail } = require('../utils/emailService');
-const { getGedcomStats } = require('../utils/gedcomParser');
+const { TreeRepository } = require('../services/treeRepository');
+const { JobQueue } = require('../services/jobQueue');
+const gedcomParseJob = require('../jobs/gedcomParseJob');
 
 const router = express.Router();
+const treeRepository = new TreeRepository();
+const jobQueue = new JobQueue();
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -326,38 +328,8 @@ router.post('/verify-email', [
         return res.status(400).json({ message: 'GEDCOM data not found or expired' });
       }
 
-      // Parse GEDCOM content
-      console.log('Parsing GEDCOM file content...');
-      const gedcomStats = getGedcomStats(tempData.content);
-      console.log('GEDCOM parsing results:', {
-        totalIndividuals: gedcomStats.totalIndividuals,
-        totalFamilies: gedcomStats.totalFamilies,
-        success: gedcomStats.success
-      });
-
-      // Create encrypted GEDCOM database
-      const gedcomData = {
-        individuals: gedcomStats.individuals,
-        families: gedcomStats.families,
-        sourceFile: tempData.filename,
-        importDate: new Date(),
-        rawGedcom: tempData.content,
-        parseSuccess: gedcomStats.success,
-        parseError: gedcomStats.error || null
-      };
-
-      const encryptedGedcom = encryptData(JSON.stringify(gedcomData), user.encryptionKey);
-
-      const gedcomDb = new GedcomDatabase({
-        databaseId: user.gedcomDatabaseId,
-        userId: user._id,
-        encryptedData: JSON.stringify(encryptedGedcom),
-        sourceFile: tempData.filename,
-        totalIndividuals: gedcomStats.totalIndividuals,
-        totalFamilies: gedcomStats.totalFamilies
-      });
-
-      await gedcomDb.save();
+      // Large files take longer to parse than a request may wait, so the tree is built by a
+      // background job queued below; the upload stays in tempRegistrationData until it is done
 
     } else {
       // Process first GEDCOM entry
@@ -385,26 +357,23 @@ router.post('/verify-email', [
         createdManually: true
       };
 
-      const encryptedGedcom = encryptData(JSON.stringify(gedcomData), user.encryptionKey);
-
-      const gedcomDb = new GedcomDatabase({
+      await treeRepository.create(user, {
         databaseId: user.gedcomDatabaseId,
         userId: user._id,
-        encryptedData: JSON.stringify(encryptedGedcom),
-        sourceFile: null,
-        totalIndividuals: 1,
-        totalFamilies: 0
-      });
+        sourceFile: null
+      }, gedcomData);
 
-      await gedcomDb.save();
+      // Clean up temporary registration data
+      user.tempRegistrationData = null;
     }
 
-    // Clean up temporary registration data
-    user.tempRegistrationData = null;
-
     await user.save();
     console.log('User verification completed successfully');
 
+    const importJob = user.hasGedcomFile
+      ? await jobQueue.enqueue(user, gedcomParseJob.type, {}, { key: user.gedcomDatabaseId })
+      : null;
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: user._id },
@@ -414,9 +383,12 @@ router.post('/verify-email', [
 
     console.log('JWT token generated, sending success response');
     res.status(200).json({
-      message: 'Email verified successfully. Your GEDCOM database is ready.',
+      message: importJob
+        ? 'Email verified successfully. Your GEDCOM file is being imported.'
+        : 'Email verified successfully. Your GEDCOM database is ready.',
       user: user.toJSON(),
-      token
+      token,
+      importJob: importJob ? jobQueue.describe(importJob, user) : null
     });
 
   } catch (error) {
@@ -499,6 +471,8 @@ router.get('/me', authMiddleware, async (req, res) => {
 // Logout (client-side token removal, but we can track it server-side if needed)
 router.post('/logout', authMiddleware, async (req, res) => {
   // In a more sophisticated setup, we might maintain a blacklist of tokens
+  // Don't keep the user's decrypted tree in memory after they leave
+  treeRepository.evictUser(req.user._id);
   res.json({ message: 'Logged out successfully' });
 });
 
@@ -1,275 +1,1948 @@
 const express = require('express');
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const { authMiddleware, requireVerified } = require('../middleware/auth');
-const { GedcomDatabase } = require('../models/Gedcom');
-const { GedcomSchema } = require('../models/Gedcom');
+const { GedcomSchema, GedcomRevision, GedcomImport, GedcomSnapshot } = require('../models/Gedcom');
 const User = require('../models/User');
-const { decryptData } = require('../utils/helpers');
-const { parseGedcomContent } = require('../utils/gedcomParser');
+const { decryptData, encryptData } = require('../utils/helpers');
+const { parseGedcomContent, buildTreeData } = require('../utils/gedcomParser');
+const { serializeGedcom, SUPPORTED_VERSIONS } = require('../utils/gedcomWriter');
+const {
+  PEDIGREE_TYPES,
+  SOURCE_TYPES,
+  allocateId,
+  inferSourceType,
+  ensureSourceRecords,
+  findSource,
+  findRepository,
+  collectPersonSources,
+  countCitations,
+  findIndividual,
+  findFamily,
+  createFamily,
+  spouseRoleFor,
+  removeSpouse,
+  addChild,
+  removeChild,
+  syncVitalEvents,
+  reorderChildren,
+  setChildPedigree,
+  pruneFamily,
+  getValidationContext,
+  removeIndividual,
+  PERSON_FACT_FIELDS
+} = require('../utils/gedcomTree');
+const {
+  MIN_PEDIGREE_GENERATIONS,
+  MAX_PEDIGREE_GENERATIONS,
+  MAX_DESCENDANT_GENERATIONS,
+  summarizePerson,
+  clampGenerations,
+  buildPedigree,
+  buildDescendants,
+  countDescendants,
+  findHomePerson,
+  buildRelationship
+} = require('../utils/gedcomGraph');
+const { GenealogyValidationService } = require('../services/genealogyValidationService');
+const { AUDIT_CATEGORIES } = require('../services/treeAuditService');
+const { DuplicateFinderService } = require('../services/duplicateFinderService');
+const { TreeHistoryService } = require('../services/treeHistoryService');
+const { GedcomImportService, IMPORT_ACTIONS } = require('../services/gedcomImportService');
+const { TreeReplacementService } = require('../services/treeReplacementService');
+const { TreeConflictError } = require('../services/treeStorageService');
+const { TreeRepository } = require('../services/treeRepository');
+const { JobQueue } = require('../services/jobQueue');
+const treeAuditJob = require('../jobs/treeAuditJob');
+const gedcomParseJob = require('../jobs/gedcomParseJob');
 
 const router = express.Router();
+const validationService = new GenealogyValidationService();
+const duplicateFinderService = new DuplicateFinderService();
+const treeHistoryService = new TreeHistoryService();
+const gedcomImportService = new GedcomImportService();
+const treeReplacementService = new TreeReplacementService();
+const treeRepository = new TreeRepository();
+const jobQueue = new JobQueue();
+
+// Editable person fields and their request validators
+const PERSON_FIELDS = ['givenNames', 'familyNames', 'sex', 'birthDate', 'birthPlace', 'deathDate', 'deathPlace'];
+const personFieldValidators = [
+  body(['givenNames', 'familyNames', 'birthDate', 'birthPlace', 'deathDate', 'deathPlace'])
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 }),
+  body('sex').optional({ nullable: true }).isIn(['M', 'F', 'U', 'X', ''])
+];
+
+// GEDCOM files imported into an existing tree, same limits as the sign-up upload
+const gedcomUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024 // 10MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'text/plain' ||
+        file.originalname.toLowerCase().endsWith('.ged') ||
+        file.originalname.toLowerCase().endsWith('.gedcom')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Please upload a GEDCOM file.'), false);
+    }
+  }
+});
+
+// Upload errors (size, type) answer 400 instead of reaching the default error handler
+const receiveGedcomFile = (req, res, next) => {
+  gedcomUpload.single('gedcomFile')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message });
+    }
+    next();
+  });
+};
 
 // Create authenticateToken middleware for compatibility
 const authenticateToken = async (req, res, next) => {
   try {
-    const authHeader = req.headers['authorization'];
-    const token = authHeader && authHeader.split(' ')[1];
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ message: 'Access token required' });
+    }
+
+    const jwt = require('jsonwebtoken');
+    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
+      if (err) {
+        return res.status(403).json({ message: 'Invalid or expired token' });
+      }
+
+      try {
+        const user = await User.findById(decoded.userId);
+        if (!user) {
+          return res.status(404).json({ message: 'User not found' });
+        }
+
+        req.user = { userId: decoded.userId, email: decoded.email };
+        next();
+      } catch (userError) {
+        return res.status(500).json({ message: 'Server error during authentication' });
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Server error during authentication' });
+  }
+};
+
+// Get user's GEDCOM data
+router.get('/data', authMiddleware, requireVerified, async (req, res) => {
+  try {
+    const { database: gedcomDb, data: gedcomData } = await treeRepository.load(req.user._id);
+    
+    if (!gedcomDb) {
+      return res.status(404).json({ message: 'GEDCOM database not found' });
+    }
+
+    res.json({
+      database: {
+        id: gedcomDb.databaseId,
+        version: gedcomDb.gedcomVersion,
+        sourceFile: gedcomDb.sourceFile,
+        totalIndividuals: gedcomDb.totalIndividuals,
+        totalFamilies: gedcomDb.totalFamilies,
+        lastModified: gedcomDb.lastModified,
+        createdAt: gedcomDb.createdAt
+      },
+      data: gedcomData
+    });
+
+  } catch (error) {
+    console.error('Get GEDCOM data error:', error);
+    res.status(500).json({ 
+      message: 'Failed to retrieve GEDCOM data',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// Copy the editable fields present in the request body onto a person record
+function applyPersonFields(person, fields) {
+  PERSON_FIELDS.forEach(field => {
+    if (fields[field] !== undefined) {
+      person[field] = fields[field] === null ? '' : fields[field];
+    }
+  });
+  return syncVitalEvents(person);
+}
+
+// Run genealogy validation for a person in the context of the tree.
+// Cited sources are resolved so reliability scoring sees their types.
+function validatePersonInTree(person, data) {
+  const validation = validationService.validatePersonRecord(
+    { ...person, sources: collectPersonSources(data, person) },
+    getValidationContext(data, person.id)
+  );
+  return {
+    isValid: validation.isValid,
+    issues: validation.issues,
+    warnings: validation.warnings,
+    qualityAssessment: validation.qualityAssessment
+  };
+}
+
+// Helper function to find family relationships for a person, using the tree's lookup maps
+// (TreeRepository's indexTree of the whole tree or of the person's context)
+function findFamilyRelationships(personId, tree) {
+  const familyData = {
+    spouses: [],
+    parents: { father: null, mother: null },
+    children: []
+  };
+
+  if (!tree) {
+    return familyData;
+  }
+
+  // Families where this person is a spouse (husband/wife)
+  const spouseFamilies = tree.familiesAsSpouse(personId);
+
+  console.log(`💑 Found ${spouseFamilies.length} spouse family records for person ${personId}`);
+
+  // Find spouses from families
+  for (const family of spouseFamilies) {
+    const spouseId = family.husband === personId ? family.wife : family.husband;
+    if (spouseId) {
+      const spouse = tree.person(spouseId);
+      if (spouse) {
+        familyData.spouses.push({
+          id: spouse.id,
+          givenNames: spouse.givenNames || 'Unknown',
+          familyNames: spouse.familyNames || 'Unknown',
+          familyId: family.id,
+          marriageDate: family.marriageDate || null,
+          marriagePlace: family.marriagePlace || null,
+          events: family.events || []
+        });
+        console.log(`💍 Found spouse: ${spouse.givenNames} ${spouse.familyNames} (ID: ${spouse.id})`);
+      }
+    }
+  }
+
+  // Families where this person is a child
+  const childFamilies = tree.familiesAsChild(personId);
+
+  console.log(`👶 Found ${childFamilies.length} parent family records for person ${personId}`);
+
+  if (childFamilies.length > 0) {
+    const parentFamily = childFamilies[0]; // Use first family if multiple
+    familyData.parents.familyId = parentFamily.id;
+    familyData.parents.pedigree = (parentFamily.childPedigree || {})[personId] || 'birth';
+
+    // Find father
+    if (parentFamily.husband) {
+      const father = tree.person(parentFamily.husband);
+      if (father) {
+        familyData.parents.father = {
+          id: father.id,
+          givenNames: father.givenNames || 'Unknown',
+          familyNames: father.familyNames || 'Unknown'
+        };
+        console.log(`👨 Found father: ${father.givenNames} ${father.familyNames} (ID: ${father.id})`);
+      }
+    }
+
+    // Find mother
+    if (parentFamily.wife) {
+      const mother = tree.person(parentFamily.wife);
+      if (mother) {
+        familyData.parents.mother = {
+          id: mother.id,
+          givenNames: mother.givenNames || 'Unknown',
+          familyNames: mother.familyNames || 'Unknown'
+        };
+        console.log(`👩 Found mother: ${mother.givenNames} ${mother.familyNames} (ID: ${mother.id})`);
+      }
+    }
+  }
+
+  // Find children from spouse families
+  for (const family of spouseFamilies) {
+    if (family.children && family.children.length > 0) {
+      console.log(`👶 Found ${family.children.length} children in family ${family.id}`);
+
+      for (const childId of family.children) {
+        const child = tree.person(childId);
+        if (child) {
+          const childInfo = {
+            id: child.id,
+            givenNames: child.givenNames || 'Unknown',
+            familyNames: child.familyNames || 'Unknown',
+            sex: child.sex || 'U',
+            relationshipLabel: child.sex === 'M' ? 'Son' : child.sex === 'F' ? 'Daughter' : 'Child',
+            familyId: family.id,
+            pedigree: (family.childPedigree || {})[childId] || 'birth'
+          };
+
+          familyData.children.push(childInfo);
+          console.log(`👶 Added ${childInfo.relationshipLabel}: ${child.givenNames} ${child.familyNames} (ID: ${child.id})`);
+        }
+      }
+    }
+  }
+
+  console.log(`👨‍👩‍👧‍👦 Total children found: ${familyData.children.length}`);
+  return familyData;
+}
+
+// Get a specific person by ID with full family relationships
+router.get('/person/:personId', authenticateToken, async (req, res) => {
+  try {
+    const { personId } = req.params;
+    console.log(`\n👤 Fetching person data for ID: ${personId}`);
+    
+    // From the cached tree, or by decrypting only the person, their families and those families' members
+    const { user, database, person, tree } = await treeRepository.loadPerson(req.user.userId, personId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+    if (!user.encryptionKey) {
+      return res.status(500).json({ message: 'User encryption key not found' });
+    }
+    if (!person) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+    }
+
+    console.log(`   ✓ Found person: ${person.givenNames} ${person.familyNames}`);
+
+    // Find family relationships for this person
+    const familyData = findFamilyRelationships(person.id, tree);
+
+    // Construct the response in the same format as the stats endpoint
+    const personData = {
+      databaseId: database.databaseId,
+      version: database.gedcomVersion || 'Unknown',
+      sourceFile: database.sourceFile || database.filename,
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies,
+      lastModified: database.lastModified,
+      centralPerson: {
+        id: person.id,
+        givenNames: person.givenNames || 'UNK',
+        familyNames: person.familyNames || 'UNK', 
+        sex: person.sex,
+        birthDate: person.birthDate,
+        birthPlace: person.birthPlace,
+        deathDate: person.deathDate,
+        deathPlace: person.deathPlace,
+        events: person.events || [],
+        ...familyData
+      }
+    };
+
+    console.log(`   ✓ Returning person data with family relationships`);
+    res.json(personData);
+
+  } catch (error) {
+    console.error(`❌ Error fetching person ${req.params.personId}:`, error);
+    res.status(500).json({ message: 'Failed to fetch person data', error: error.message });
+  }
+});
+
+// Ancestor tree for the pedigree chart (generations counts the person as generation 1)
+router.get('/pedigree/:personId', authenticateToken, async (req, res) => {
+  try {
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const { personId } = req.params;
+    const generations = clampGenerations(req.query.generations, MIN_PEDIGREE_GENERATIONS, MAX_PEDIGREE_GENERATIONS, 4);
+    const pedigree = buildPedigree(data, personId, generations);
+    if (!pedigree) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+    }
+
+    res.json({ success: true, personId, generations, pedigree });
+
+  } catch (error) {
+    console.error(`❌ Error building pedigree for ${req.params.personId}:`, error);
+    res.status(500).json({ message: 'Failed to build pedigree', error: error.message });
+  }
+});
+
+// Descendant tree: each person's families with spouse and children, recursively
+router.get('/descendants/:personId', authenticateToken, async (req, res) => {
+  try {
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const { personId } = req.params;
+    const generations = clampGenerations(req.query.generations, 2, MAX_DESCENDANT_GENERATIONS, 4);
+    const descendants = buildDescendants(data, personId, generations);
+    if (!descendants) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+    }
+
+    res.json({
+      success: true,
+      personId,
+      generations,
+      totalDescendants: countDescendants(descendants),
+      descendants
+    });
+
+  } catch (error) {
+    console.error(`❌ Error building descendants for ${req.params.personId}:`, error);
+    res.status(500).json({ message: 'Failed to build descendants', error: error.message });
+  }
+});
+
+// How two people are related. `from` defaults to the home person (the user's own record).
+router.get('/relationship', authenticateToken, [
+  query('to').isString().trim().notEmpty().withMessage('to is required'),
+  query('from').optional().isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const homePerson = findHomePerson(data, user);
+    const fromId = req.query.from || (homePerson && homePerson.id);
+    const toId = req.query.to;
+
+    const from = fromId ? findIndividual(data, fromId) : null;
+    if (!from) {
+      return res.status(404).json({ message: `Person with ID ${fromId} not found` });
+    }
+    const to = findIndividual(data, toId);
+    if (!to) {
+      return res.status(404).json({ message: `Person with ID ${toId} not found` });
+    }
+
+    console.log(`🔗 Finding relationship from ${from.id} to ${to.id}`);
+    const relationship = buildRelationship(data, from.id, to.id);
+    const fullName = (person) => `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || person.id;
+
+    let description;
+    if (relationship.type === 'self') {
+      description = `${fullName(to)} is the same person.`;
+    } else if (relationship.type === 'none') {
+      description = `No blood or marriage connection was found between ${fullName(from)} and ${fullName(to)}.`;
+    } else {
+      description = `${fullName(to)} is ${fullName(from)}'s ${relationship.relationship}.`;
+    }
+
+    res.json({
+      success: true,
+      from: summarizePerson(from),
+      to: summarizePerson(to),
+      homePersonId: homePerson ? homePerson.id : null,
+      description,
+      ...relationship
+    });
+
+  } catch (error) {
+    console.error('❌ Error finding relationship:', error);
+    res.status(500).json({ message: 'Failed to find relationship', error: error.message });
+  }
+});
+
+// Tree-wide consistency audit: per-person validation plus family-graph checks, worst problems first.
+// The audit runs as a background job; until the current revision of the tree has been audited
+// this answers 202 with the jobId to poll, then pages the stored result.
+router.get('/audit', authenticateToken, [
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt(),
+  query('severity').optional().isIn(['error', 'warning']),
+  query('category').optional().isIn(AUDIT_CATEGORIES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database } = await treeRepository.findDatabase(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const key = treeAuditJob.keyFor(database);
+    const audit = await jobQueue.findLatest(user._id, treeAuditJob.type, key);
+    if (audit?.status !== 'completed') {
+      const job = await jobQueue.enqueue(user, treeAuditJob.type, {}, { key });
+      return res.status(202).json({
+        success: true,
+        message: 'Audit in progress',
+        job: jobQueue.describe(job, user)
+      });
+    }
+
+    const { problems, summary } = jobQueue.readResult(audit, user);
+    const { severity, category } = req.query;
+    const filtered = problems.filter(problem =>
+      (!severity || problem.severity === severity) && (!category || problem.category === category)
+    );
+
+    const limit = req.query.limit || 50;
+    const totalPages = Math.max(1, Math.ceil(filtered.length / limit));
+    const page = Math.min(req.query.page || 1, totalPages);
+
+    res.json({
+      success: true,
+      summary,
+      auditedAt: audit.finishedAt,
+      categories: AUDIT_CATEGORIES,
+      page,
+      limit,
+      totalPages,
+      totalProblems: filtered.length,
+      problems: filtered.slice((page - 1) * limit, page * limit)
+    });
+
+  } catch (error) {
+    console.error('❌ Error auditing tree:', error);
+    res.status(500).json({ message: 'Failed to audit tree', error: error.message });
+  }
+});
+
+// Likely duplicate individuals, blocked by surname Soundex and birth decade, best matches first
+router.get('/duplicates', authenticateToken, [
+  query('minScore').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    console.log(`🔍 Looking for duplicates among ${(data.individuals || []).length} individuals`);
+    const candidates = duplicateFinderService.findDuplicates(data, { minScore: req.query.minScore });
+    const limit = req.query.limit || 20;
+    const totalPages = Math.max(1, Math.ceil(candidates.length / limit));
+    const page = Math.min(req.query.page || 1, totalPages);
+    console.log(`✅ Found ${candidates.length} duplicate candidates`);
+
+    res.json({
+      success: true,
+      page,
+      limit,
+      totalPages,
+      totalCandidates: candidates.length,
+      candidates: candidates.slice((page - 1) * limit, page * limit)
+    });
+
+  } catch (error) {
+    console.error('❌ Error finding duplicates:', error);
+    res.status(500).json({ message: 'Failed to find duplicates', error: error.message });
+  }
+});
+
+// Merge a duplicate into the survivor. `prefer` picks the duplicate's value for individual fields.
+router.post('/duplicates/merge', authenticateToken, [
+  body('survivorId').isString().trim().notEmpty(),
+  body('duplicateId').isString().trim().notEmpty(),
+  body('prefer').optional().isObject(),
+  body('prefer.*').optional().isIn(['survivor', 'duplicate'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { survivorId, duplicateId } = req.body;
+    const prefer = Object.fromEntries(
+      Object.entries(req.body.prefer || {}).filter(([field]) => PERSON_FACT_FIELDS.includes(field))
+    );
+    if (survivorId === duplicateId) {
+      return res.status(400).json({ message: 'Cannot merge a person into themselves' });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const survivor = findIndividual(data, survivorId);
+    const duplicate = findIndividual(data, duplicateId);
+    if (!survivor || !duplicate) {
+      return res.status(404).json({ message: `Person with ID ${survivor ? duplicateId : survivorId} not found` });
+    }
+    if (duplicateFinderService.areLinked(survivor, duplicate, getValidationContext(data, survivor.id))) {
+      return res.status(400).json({ message: 'These people are linked as spouses or as parent and child and cannot be merged' });
+    }
+
+    const merge = duplicateFinderService.mergePair(data, survivor.id, duplicate.id, prefer);
+    await treeRepository.save(user, database, data, req);
+    console.log(`🔀 Merged ${merge.duplicateId} into ${merge.survivorId} (${merge.familyIds.length} families updated)`);
+
+    res.json({
+      success: true,
+      message: `${merge.duplicateName || merge.duplicateId} merged into ${merge.survivorName || merge.survivorId}`,
+      merge,
+      person: findIndividual(data, survivor.id)
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error merging duplicates:', error);
+    res.status(500).json({ message: 'Failed to merge duplicates', error: error.message });
+  }
+});
+
+// Merges applied to the tree, newest first, each with a snapshot of the removed duplicate
+router.get('/duplicates/merges', authenticateToken, async (req, res) => {
+  try {
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    res.json({ success: true, merges: [...(data.mergeLog || [])].reverse() });
+
+  } catch (error) {
+    console.error('❌ Error fetching merge log:', error);
+    res.status(500).json({ message: 'Failed to fetch merge log', error: error.message });
+  }
+});
+
+// Revision history, newest first. With ?personId only revisions touching that person
+// (or one of their families) are listed, each with what changed for them.
+router.get('/history', authenticateToken, [
+  query('personId').optional().isString().trim().notEmpty(),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database } = await treeRepository.findDatabase(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const { personId } = req.query;
+    const filter = { databaseId: database.databaseId };
+    if (personId) filter.personIds = personId;
+
+    const limit = req.query.limit || 20;
+    const totalRevisions = await GedcomRevision.countDocuments(filter);
+    const totalPages = Math.max(1, Math.ceil(totalRevisions / limit));
+    const page = Math.min(req.query.page || 1, totalPages);
+    const revisions = await GedcomRevision.find(filter)
+      .sort({ rev: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit);
+    const latest = await GedcomRevision.findOne({ databaseId: database.databaseId }).sort({ rev: -1 }).select('rev');
+
+    res.json({
+      success: true,
+      personId: personId || null,
+      currentRev: latest ? latest.rev : 0,
+      page,
+      limit,
+      totalPages,
+      totalRevisions,
+      revisions: revisions.map(revision => ({
+        ...treeHistoryService.describeRevision(revision),
+        ...(personId && {
+          changes: treeHistoryService.describePersonChanges(
+            treeHistoryService.decryptChanges(revision, user.encryptionKey),
+            personId
+          )
+        })
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching history:', error);
+    res.status(500).json({ message: 'Failed to fetch history', error: error.message });
+  }
+});
+
+// One revision with its full record-level diff
+router.get('/history/:rev', authenticateToken, [
+  param('rev').isInt({ min: 1 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database } = await treeRepository.findDatabase(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const revision = await GedcomRevision.findOne({ databaseId: database.databaseId, rev: req.params.rev });
+    if (!revision) {
+      return res.status(404).json({ message: `Revision ${req.params.rev} not found` });
+    }
+
+    res.json({
+      success: true,
+      revision: {
+        ...treeHistoryService.describeRevision(revision),
+        personIds: revision.personIds,
+        changes: treeHistoryService.decryptChanges(revision, user.encryptionKey)
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching revision:', error);
+    res.status(500).json({ message: 'Failed to fetch revision', error: error.message });
+  }
+});
+
+// Roll the tree back to how it was right after :rev (0 = before the first recorded change).
+// The rollback is itself appended as a new revision, so it can be undone too.
+router.post('/history/:rev/restore', authenticateToken, [
+  param('rev').isInt({ min: 0 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const targetRev = req.params.rev;
+    const latest = await GedcomRevision.findOne({ databaseId: database.databaseId }).sort({ rev: -1 }).select('rev');
+    const currentRev = latest ? latest.rev : 0;
+    if (targetRev > currentRev) {
+      return res.status(404).json({ message: `Revision ${targetRev} not found` });
+    }
+    if (targetRev === currentRev) {
+      return res.status(400).json({ message: `The tree is already at revision ${targetRev}` });
+    }
+
+    const { undone } = await treeHistoryService.rebuildAt(database, data, targetRev, user.encryptionKey);
+    await treeRepository.save(user, database, data, req, { restoredFrom: targetRev });
+    console.log(`⏪ Restored ${database.databaseId} to revision ${targetRev} (${undone} revisions undone)`);
+
+    res.json({
+      success: true,
+      message: `Tree restored to revision ${targetRev}`,
+      restoredFrom: targetRev,
+      undone,
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error restoring revision:', error);
+    res.status(500).json({ message: 'Failed to restore revision', error: error.message });
+  }
+});
+
+// Load a pending import of one of the given kinds with its decrypted payload ({ incoming, queue }
+// or { replacement, preview }), sending a 404 when the user or import is missing.
+// Returns null once a response has been sent.
+async function loadPendingImport(req, res, importId, kinds) {
+  const user = await User.findById(req.user.userId);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+
+  const pending = await GedcomImport.findOne({ importId, userId: user._id, kind: { $in: kinds } });
+  if (!pending) {
+    res.status(404).json({ message: `Import ${importId} not found` });
+    return null;
+  }
+
+  const payload = JSON.parse(decryptData(JSON.parse(pending.encryptedData), user.encryptionKey));
+  return { user, pending, ...payload };
+}
+
+// Upload another GEDCOM file into the tree. Nothing changes yet: incoming people are matched
+// against the tree and held in a review queue until POST /import/:importId/apply.
+router.post('/import', authenticateToken, receiveGedcomFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'GEDCOM file is required' });
+    }
+
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    let incoming;
+    try {
+      incoming = parseGedcomContent(req.file.buffer.toString('utf8'));
+    } catch (error) {
+      return res.status(400).json({ message: 'Could not parse the GEDCOM file', error: error.message });
+    }
+    if (incoming.individuals.length === 0) {
+      return res.status(400).json({ message: 'The GEDCOM file contains no individuals' });
+    }
+
+    console.log(`📥 Matching ${incoming.individuals.length} incoming individuals from ${req.file.originalname}`);
+    const queue = gedcomImportService.prepareImport(data, incoming);
+    const summary = gedcomImportService.summarize(queue);
+
+    const pending = new GedcomImport({
+      importId: crypto.randomBytes(12).toString('hex'),
+      databaseId: database.databaseId,
+      userId: user._id,
+      sourceFile: req.file.originalname,
+      encryptedData: JSON.stringify(encryptData(JSON.stringify({ incoming, queue }), user.encryptionKey)),
+      totalIndividuals: incoming.totalIndividuals,
+      totalFamilies: incoming.totalFamilies
+    });
+    await pending.save();
+    console.log(`✅ Import ${pending.importId} ready: ${summary.suggestedSame} likely matches, ${summary.suggestedNew} new`);
+
+    res.status(201).json({
+      success: true,
+      importId: pending.importId,
+      sourceFile: pending.sourceFile,
+      summary,
+      parseWarnings: incoming.warnings.length
+    });
+
+  } catch (error) {
+    console.error('❌ Error importing GEDCOM:', error);
+    res.status(500).json({ message: 'Failed to import GEDCOM', error: error.message });
+  }
+});
+
+// The review queue: each incoming person with up to three existing candidates and the suggested action
+router.get('/import/:importId', authenticateToken, [
+  query('show').optional().isIn(['all', 'matches', 'unmatched']),
+  query('page').optional().isInt({ min: 1 }).toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const loaded = await loadPendingImport(req, res, req.params.importId, ['merge']);
+    if (!loaded) return;
+    const { pending, queue } = loaded;
+
+    const show = req.query.show || 'all';
+    const items = queue.filter(item =>
+      show === 'all' || (show === 'matches') === (item.candidates.length > 0)
+    );
+    const limit = req.query.limit || 25;
+    const totalPages = Math.max(1, Math.ceil(items.length / limit));
+    const page = Math.min(req.query.page || 1, totalPages);
+
+    res.json({
+      success: true,
+      importId: pending.importId,
+      sourceFile: pending.sourceFile,
+      status: pending.status,
+      createdAt: pending.createdAt,
+      appliedAt: pending.appliedAt,
+      result: pending.result,
+      summary: gedcomImportService.summarize(queue),
+      show,
+      page,
+      limit,
+      totalPages,
+      totalItems: items.length,
+      items: items.slice((page - 1) * limit, page * limit)
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching import:', error);
+    res.status(500).json({ message: 'Failed to fetch import', error: error.message });
+  }
+});
+
+// Apply the reviewed import. `decisions` maps incoming ids to { action: same|new|skip, targetId };
+// people without a decision take the suggested action.
+router.post('/import/:importId/apply', authenticateToken, [
+  body('decisions').optional().isObject(),
+  body('decisions.*.action').optional().isIn(IMPORT_ACTIONS),
+  body('decisions.*.targetId').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const loaded = await loadPendingImport(req, res, req.params.importId, ['merge']);
+    if (!loaded) return;
+    const { pending, incoming, queue } = loaded;
+    if (pending.status === 'applied') {
+      return res.status(409).json({ message: 'This import has already been applied' });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const decisions = req.body.decisions || {};
+    const problems = gedcomImportService.validateDecisions(data, queue, decisions);
+    if (problems.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors: problems.map(msg => ({ msg })) });
+    }
+
+    const result = gedcomImportService.applyImport(data, incoming, gedcomImportService.resolveDecisions(queue, decisions));
+    await treeRepository.save(user, database, data, req);
+
+    pending.status = 'applied';
+    pending.result = result;
+    pending.appliedAt = new Date();
+    await pending.save();
+    console.log(`📥 Applied import ${pending.importId}: ${result.added} added, ${result.merged.length} merged, ${result.skipped} skipped`);
+
+    res.json({
+      success: true,
+      message: `Imported ${pending.sourceFile || 'GEDCOM file'}: ${result.added} added, ${result.merged.length} merged, ${result.skipped} skipped`,
+      result,
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error applying import:', error);
+    res.status(500).json({ message: 'Failed to apply import', error: error.message });
+  }
+});
+
+// Discard a pending import and the uploaded file
+router.delete('/import/:importId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const deleted = await GedcomImport.findOneAndDelete({ importId: req.params.importId, userId: user._id, kind: 'merge' });
+    if (!deleted) {
+      return res.status(404).json({ message: `Import ${req.params.importId} not found` });
+    }
+
+    res.json({ success: true, message: 'Import discarded' });
+
+  } catch (error) {
+    console.error('❌ Error discarding import:', error);
+    res.status(500).json({ message: 'Failed to discard import', error: error.message });
+  }
+});
+
+// Hold a replacement tree for review and report what it would change
+async function createReplacement(req, res, { user, database, data }, kind, replacement) {
+  const preview = treeReplacementService.preview(data, replacement);
+  const pending = new GedcomImport({
+    importId: crypto.randomBytes(12).toString('hex'),
+    databaseId: database.databaseId,
+    userId: user._id,
+    kind,
+    sourceFile: replacement.sourceFile,
+    encryptedData: JSON.stringify(encryptData(JSON.stringify({ replacement, preview }), user.encryptionKey)),
+    totalIndividuals: replacement.individuals.length,
+    totalFamilies: replacement.families.length
+  });
+  await pending.save();
+  console.log(`🔁 Replacement ${pending.importId} (${kind}) ready: ${preview.counts.individuals.added} added, ` +
+    `${preview.counts.individuals.removed} removed, ${preview.counts.individuals.modified} modified`);
+
+  res.status(201).json({
+    success: true,
+    replacementId: pending.importId,
+    kind,
+    sourceFile: pending.sourceFile,
+    totalIndividuals: pending.totalIndividuals,
+    totalFamilies: pending.totalFamilies,
+    preview
+  });
+}
+
+// Upload a GEDCOM file to replace the whole tree. Nothing changes until the preview is committed.
+router.post('/replace', authenticateToken, receiveGedcomFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'GEDCOM file is required' });
+    }
+
+    const tree = await treeRepository.load(req.user.userId);
+    if (!tree.user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!tree.database || !tree.data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const replacement = buildTreeData(req.file.buffer.toString('utf8'), req.file.originalname);
+    if (!replacement.parseSuccess) {
+      return res.status(400).json({ message: 'Could not parse the GEDCOM file', error: replacement.parseError });
+    }
+    if (replacement.individuals.length === 0) {
+      return res.status(400).json({ message: 'The GEDCOM file contains no individuals' });
+    }
+
+    await createReplacement(req, res, tree, 'replace', replacement);
+
+  } catch (error) {
+    console.error('❌ Error preparing tree replacement:', error);
+    res.status(500).json({ message: 'Failed to prepare tree replacement', error: error.message });
+  }
+});
+
+// Re-run the current parser over the stored original file (rawGedcom); previewed like an upload
+router.post('/reparse', authenticateToken, async (req, res) => {
+  try {
+    const tree = await treeRepository.load(req.user.userId);
+    if (!tree.user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!tree.database || !tree.data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const replacement = treeReplacementService.reparse(tree.data);
+    if (!replacement) {
+      return res.status(400).json({ message: 'No original GEDCOM file is stored for this tree' });
+    }
+    if (!replacement.parseSuccess) {
+      return res.status(400).json({ message: 'Could not parse the stored GEDCOM file', error: replacement.parseError });
+    }
+
+    await createReplacement(req, res, tree, 'reparse', replacement);
+
+  } catch (error) {
+    console.error('❌ Error re-parsing GEDCOM:', error);
+    res.status(500).json({ message: 'Failed to re-parse GEDCOM', error: error.message });
+  }
+});
+
+// Preview of a pending replacement
+router.get('/replace/:replacementId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadPendingImport(req, res, req.params.replacementId, ['replace', 'reparse']);
+    if (!loaded) return;
+    const { pending, preview } = loaded;
+
+    res.json({
+      success: true,
+      replacementId: pending.importId,
+      kind: pending.kind,
+      sourceFile: pending.sourceFile,
+      status: pending.status,
+      createdAt: pending.createdAt,
+      appliedAt: pending.appliedAt,
+      totalIndividuals: pending.totalIndividuals,
+      totalFamilies: pending.totalFamilies,
+      preview
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching replacement:', error);
+    res.status(500).json({ message: 'Failed to fetch replacement', error: error.message });
+  }
+});
+
+// Snapshot the current database, then replace the tree with the previewed one
+router.post('/replace/:replacementId/commit', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadPendingImport(req, res, req.params.replacementId, ['replace', 'reparse']);
+    if (!loaded) return;
+    const { pending, replacement } = loaded;
+    if (pending.status === 'applied') {
+      return res.status(409).json({ message: 'This replacement has already been applied' });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+    if (database.lastModified > pending.createdAt) {
+      return res.status(409).json({ message: 'The tree has changed since this preview was made; preview the file again' });
+    }
+
+    const snapshot = await treeReplacementService.createSnapshot(user, database, data, pending.kind);
+    database.sourceFile = replacement.sourceFile;
+    database.gedcomVersion = replacement.header?.version || database.gedcomVersion;
+    await treeRepository.save(user, database, replacement, req);
+
+    pending.status = 'applied';
+    pending.appliedAt = new Date();
+    await pending.save();
+    console.log(`🔁 Replaced tree ${database.databaseId} (${pending.kind}); previous tree in snapshot ${snapshot.snapshotId}`);
+
+    res.json({
+      success: true,
+      message: pending.kind === 'reparse' ? 'Tree re-parsed from the original file' : `Tree replaced with ${pending.sourceFile}`,
+      snapshot: treeReplacementService.describeSnapshot(snapshot),
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error replacing tree:', error);
+    res.status(500).json({ message: 'Failed to replace tree', error: error.message });
+  }
+});
+
+// Discard a pending replacement
+router.delete('/replace/:replacementId', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const deleted = await GedcomImport.findOneAndDelete({
+      importId: req.params.replacementId,
+      userId: user._id,
+      kind: { $in: ['replace', 'reparse'] }
+    });
+    if (!deleted) {
+      return res.status(404).json({ message: `Import ${req.params.replacementId} not found` });
+    }
+
+    res.json({ success: true, message: 'Replacement discarded' });
+
+  } catch (error) {
+    console.error('❌ Error discarding replacement:', error);
+    res.status(500).json({ message: 'Failed to discard replacement', error: error.message });
+  }
+});
+
+// Snapshots taken before the tree was replaced or restored, newest first
+router.get('/snapshots', authenticateToken, async (req, res) => {
+  try {
+    const { user, database } = await treeRepository.findDatabase(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const snapshots = await GedcomSnapshot.find({ databaseId: database.databaseId })
+      .sort({ createdAt: -1 })
+      .select('-encryptedData');
+
+    res.json({ success: true, snapshots: snapshots.map(snapshot => treeReplacementService.describeSnapshot(snapshot)) });
+
+  } catch (error) {
+    console.error('❌ Error fetching snapshots:', error);
+    res.status(500).json({ message: 'Failed to fetch snapshots', error: error.message });
+  }
+});
+
+// Put a snapshot back as the current tree; the tree it replaces is snapshotted first
+router.post('/snapshots/:snapshotId/restore', authenticateToken, async (req, res) => {
+  try {
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const snapshot = await GedcomSnapshot.findOne({ snapshotId: req.params.snapshotId, databaseId: database.databaseId });
+    if (!snapshot) {
+      return res.status(404).json({ message: `Snapshot ${req.params.snapshotId} not found` });
+    }
+
+    const restored = treeHistoryService.readTree(snapshot.encryptedData, user.encryptionKey);
+    const backup = await treeReplacementService.createSnapshot(user, database, data, 'restore');
+    database.sourceFile = snapshot.sourceFile;
+    await treeRepository.save(user, database, restored, req);
+    console.log(`💾 Restored ${database.databaseId} from snapshot ${snapshot.snapshotId}`);
+
+    res.json({
+      success: true,
+      message: `Tree restored from the snapshot of ${snapshot.createdAt.toISOString()}`,
+      snapshot: treeReplacementService.describeSnapshot(backup),
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error restoring snapshot:', error);
+    res.status(500).json({ message: 'Failed to restore snapshot', error: error.message });
+  }
+});
+
+// Create a new person. The id is allocated unless a free one is given in the path.
+router.post('/person/:personId?', authenticateToken, personFieldValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    data.individuals = data.individuals || [];
+    data.families = data.families || [];
+
+    const requestedId = req.params.personId;
+    if (requestedId && findIndividual(data, requestedId)) {
+      return res.status(409).json({ message: `Person with ID ${requestedId} already exists` });
+    }
+
+    const person = applyPersonFields({
+      id: requestedId || allocateId(data.individuals.map(ind => ind.id), 'I'),
+      givenNames: '',
+      familyNames: '',
+      birthDate: '',
+      birthPlace: '',
+      deathDate: '',
+      deathPlace: '',
+      sex: 'U',
+      events: [],
+      otherTags: []
+    }, req.body);
+
+    const validation = validatePersonInTree(person, data);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: 'Person record failed validation', validation });
+    }
+
+    data.individuals.push(person);
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`➕ Created person ${person.id}: ${person.givenNames} ${person.familyNames}`);
+    res.status(201).json({
+      success: true,
+      person,
+      validation,
+      totalIndividuals: database.totalIndividuals
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error creating person:', error);
+    res.status(500).json({ message: 'Failed to create person', error: error.message });
+  }
+});
+
+// Update an existing person's fields
+router.put('/person/:personId', authenticateToken, personFieldValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { personId } = req.params;
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+    }
+
+    // Copy events too, so a rejected update leaves the stored record untouched
+    const updated = applyPersonFields({
+      ...person,
+      events: (person.events || []).map(event => ({ ...event }))
+    }, req.body);
+    const validation = validatePersonInTree(updated, data);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: 'Person record failed validation', validation });
+    }
+
+    Object.assign(person, updated);
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`✏️ Updated person ${personId}`);
+    res.json({ success: true, person, validation });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error updating person ${req.params.personId}:`, error);
+    res.status(500).json({ message: 'Failed to update person', error: error.message });
+  }
+});
+
+// Delete a person and unlink them from every family
+router.delete('/person/:personId', authenticateToken, async (req, res) => {
+  try {
+    const { personId } = req.params;
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const removed = removeIndividual(data, personId);
+    if (!removed) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+    }
+
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`🗑️ Deleted person ${personId}: ${removed.givenNames} ${removed.familyNames}`);
+    res.json({
+      success: true,
+      deletedId: personId,
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error deleting person ${req.params.personId}:`, error);
+    res.status(500).json({ message: 'Failed to delete person', error: error.message });
+  }
+});
+
+// Load the tree and the family named in the path, sending a 404 when either is missing.
+// Returns null once a response has been sent. The tree is a private copy for editing unless
+// readOnly is set, in which case it is the shared cached tree and must not be changed.
+async function loadFamilyForRequest(req, res, { readOnly = false } = {}) {
+  const { user, database, data } = readOnly
+    ? await treeRepository.load(req.user.userId)
+    : await treeRepository.loadForEdit(req.user.userId);
+  if (!user) {
+    res.status(404).json({ message: 'User not found' });
+    return null;
+  }
+  if (!database || !data) {
+    res.status(404).json({ message: 'No GEDCOM database found for user' });
+    return null;
+  }
+
+  const family = findFamily(data, req.params.familyId);
+  if (!family) {
+    res.status(404).json({ message: `Family with ID ${req.params.familyId} not found` });
+    return null;
+  }
+
+  return { user, database, data, family };
+}
+
+// Validate the people whose relationships just changed; errors block the save
+function validateRelatives(data, personIds) {
+  const results = personIds
+    .map(personId => findIndividual(data, personId))
+    .filter(Boolean)
+    .map(person => ({ personId: person.id, ...validatePersonInTree(person, data) }));
+
+  return {
+    isValid: results.every(result => result.isValid),
+    issues: results.flatMap(result => result.issues.map(issue => ({ ...issue, personId: result.personId }))),
+    warnings: results.flatMap(result => result.warnings.map(warning => ({ ...warning, personId: result.personId })))
+  };
+}
+
+const familyValidators = [
+  body(['husband', 'wife']).optional({ nullable: true }).isString(),
+  body('children').optional().isArray(),
+  body('pedigrees').optional().isObject()
+];
+
+const pedigreeValidator = body('pedigree').optional({ nullable: true }).isIn(PEDIGREE_TYPES);
+
+// Create a family linking existing individuals as husband, wife and children
+router.post('/families', authenticateToken, familyValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    const { husband = '', wife = '', children = [], pedigrees = {} } = req.body;
+    const memberIds = [husband, wife, ...children].filter(Boolean);
+    if (memberIds.length === 0) {
+      return res.status(400).json({ message: 'A family needs at least one member' });
+    }
+    if (new Set(memberIds).size !== memberIds.length) {
+      return res.status(400).json({ message: 'A person can only appear once in a family' });
+    }
+
+    const missing = memberIds.filter(personId => !findIndividual(data, personId));
+    if (missing.length > 0) {
+      return res.status(404).json({ message: `People not found: ${missing.join(', ')}` });
+    }
+
+    const invalidPedigree = Object.values(pedigrees).find(pedigree => !PEDIGREE_TYPES.includes(pedigree));
+    if (invalidPedigree) {
+      return res.status(400).json({ message: `Unknown pedigree "${invalidPedigree}". Use one of: ${PEDIGREE_TYPES.join(', ')}` });
+    }
+
+    const family = createFamily(data, {
+      husband,
+      wife,
+      children,
+      pedigrees: Object.fromEntries(Object.entries(pedigrees).filter(([childId]) => children.includes(childId)))
+    });
+
+    const validation = validateRelatives(data, memberIds);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: 'Family failed validation', validation });
+    }
+
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`👨‍👩‍👧 Created family ${family.id} (${memberIds.length} members)`);
+    res.status(201).json({ success: true, family, validation, totalFamilies: database.totalFamilies });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error('❌ Error creating family:', error);
+    res.status(500).json({ message: 'Failed to create family', error: error.message });
+  }
+});
+
+// Get a single family record
+router.get('/families/:familyId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadFamilyForRequest(req, res, { readOnly: true });
+    if (!loaded) return;
+
+    res.json({ family: loaded.family });
+
+  } catch (error) {
+    console.error(`❌ Error fetching family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to fetch family', error: error.message });
+  }
+});
+
+// Add a spouse; the husband/wife slot comes from `role` or the person's sex
+router.post('/families/:familyId/spouses', authenticateToken, [
+  body('personId').isString().notEmpty(),
+  body('role').optional().isIn(['husband', 'wife'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
+
+    const { personId, role } = req.body;
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+    }
+    if (family.husband === personId || family.wife === personId || family.children.includes(personId)) {
+      return res.status(409).json({ message: `${personId} is already a member of family ${family.id}` });
+    }
+
+    const slot = spouseRoleFor(family, person, role);
+    if (!slot || family[slot]) {
+      return res.status(409).json({ message: `Family ${family.id} already has a ${slot || 'husband and wife'}` });
+    }
+
+    family[slot] = personId;
+
+    const validation = validateRelatives(data, [personId, ...family.children]);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: 'Family failed validation', validation });
+    }
+
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`💍 Added ${personId} as ${slot} in family ${family.id}`);
+    res.json({ success: true, family, validation });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error adding spouse to family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to add spouse', error: error.message });
+  }
+});
+
+// Remove a spouse from a family; the family is deleted when nobody is left
+router.delete('/families/:familyId/spouses/:personId', authenticateToken, async (req, res) => {
+  try {
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
+
+    const { personId } = req.params;
+    if (!removeSpouse(family, personId)) {
+      return res.status(404).json({ message: `${personId} is not a spouse in family ${family.id}` });
+    }
+
+    const familyRemoved = pruneFamily(data, family);
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`💔 Removed spouse ${personId} from family ${family.id}`);
+    res.json({ success: true, family: familyRemoved ? null : family, familyRemoved });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error removing spouse from family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to remove spouse', error: error.message });
+  }
+});
+
+// Add a child, optionally at a position in the birth order and with a pedigree
+router.post('/families/:familyId/children', authenticateToken, [
+  body('childId').isString().notEmpty(),
+  body('position').optional().isInt({ min: 0 }).toInt(),
+  pedigreeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
+
+    const { childId, position, pedigree } = req.body;
+    if (!findIndividual(data, childId)) {
+      return res.status(404).json({ message: `Person with ID ${childId} not found` });
+    }
+    if (family.husband === childId || family.wife === childId || !addChild(family, childId, position)) {
+      return res.status(409).json({ message: `${childId} is already a member of family ${family.id}` });
+    }
+
+    setChildPedigree(family, childId, pedigree);
+
+    const validation = validateRelatives(data, [childId]);
+    if (!validation.isValid) {
+      return res.status(400).json({ message: 'Family failed validation', validation });
+    }
+
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`👶 Added child ${childId} to family ${family.id}${pedigree ? ` (${pedigree})` : ''}`);
+    res.json({ success: true, family, validation });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error adding child to family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to add child', error: error.message });
+  }
+});
+
+// Reorder a family's children; the body lists every current child id
+router.put('/families/:familyId/children/order', authenticateToken, [
+  body('children').isArray({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
+
+    if (!reorderChildren(family, req.body.children)) {
+      return res.status(400).json({ message: 'Child order must list each current child exactly once' });
+    }
+
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`🔢 Reordered children in family ${family.id}`);
+    res.json({ success: true, family });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error reordering children in family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to reorder children', error: error.message });
+  }
+});
+
+// Set how a child relates to the family (birth, adopted, foster, step)
+router.put('/families/:familyId/children/:childId/pedigree', authenticateToken, [
+  body('pedigree').isIn(PEDIGREE_TYPES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
 
-    if (!token) {
-      return res.status(401).json({ message: 'Access token required' });
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
+
+    const { childId } = req.params;
+    if (!family.children.includes(childId)) {
+      return res.status(404).json({ message: `${childId} is not a child in family ${family.id}` });
     }
 
-    const jwt = require('jsonwebtoken');
-    jwt.verify(token, process.env.JWT_SECRET, async (err, decoded) => {
-      if (err) {
-        return res.status(403).json({ message: 'Invalid or expired token' });
-      }
+    setChildPedigree(family, childId, req.body.pedigree);
+    await treeRepository.save(user, database, data, req);
 
-      try {
-        const user = await User.findById(decoded.userId);
-        if (!user) {
-          return res.status(404).json({ message: 'User not found' });
-        }
+    console.log(`🧬 Set pedigree of ${childId} in family ${family.id} to ${req.body.pedigree}`);
+    res.json({ success: true, family });
 
-        req.user = { userId: decoded.userId, email: decoded.email };
-        next();
-      } catch (userError) {
-        return res.status(500).json({ message: 'Server error during authentication' });
-      }
-    });
   } catch (error) {
-    res.status(500).json({ message: 'Server error during authentication' });
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error setting pedigree in family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to set pedigree', error: error.message });
   }
-};
+});
 
-// Get user's GEDCOM data
-router.get('/data', authMiddleware, requireVerified, async (req, res) => {
+// Remove a child from a family; the family is deleted when nobody is left
+router.delete('/families/:familyId/children/:childId', authenticateToken, async (req, res) => {
   try {
-    const gedcomDb = await GedcomDatabase.findOne({ userId: req.user._id });
-    
-    if (!gedcomDb) {
-      return res.status(404).json({ message: 'GEDCOM database not found' });
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
+
+    const { childId } = req.params;
+    if (!removeChild(family, childId)) {
+      return res.status(404).json({ message: `${childId} is not a child in family ${family.id}` });
     }
 
-    // Decrypt the data
-    const encryptedData = JSON.parse(gedcomDb.encryptedData);
-    const decryptedData = decryptData(encryptedData, req.user.encryptionKey);
-    const gedcomData = JSON.parse(decryptedData);
+    const familyRemoved = pruneFamily(data, family);
+    await treeRepository.save(user, database, data, req);
 
-    res.json({
-      database: {
-        id: gedcomDb.databaseId,
-        version: gedcomDb.gedcomVersion,
-        sourceFile: gedcomDb.sourceFile,
-        totalIndividuals: gedcomDb.totalIndividuals,
-        totalFamilies: gedcomDb.totalFamilies,
-        lastModified: gedcomDb.lastModified,
-        createdAt: gedcomDb.createdAt
-      },
-      data: gedcomData
-    });
+    console.log(`➖ Removed child ${childId} from family ${family.id}`);
+    res.json({ success: true, family: familyRemoved ? null : family, familyRemoved });
 
   } catch (error) {
-    console.error('Get GEDCOM data error:', error);
-    res.status(500).json({ 
-      message: 'Failed to retrieve GEDCOM data',
-      error: process.env.NODE_ENV === 'development' ? error.message : undefined
-    });
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error removing child from family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to remove child', error: error.message });
   }
 });
 
-// Helper function to get GEDCOM database for a user
-async function getGedcomDatabase(userId) {
-  const user = await User.findById(userId);
-  if (!user) {
-    throw new Error('User not found');
-  }
-  
-  const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
-  return gedcomDb;
-}
+// List master sources (with how often each is cited) and repositories
+router.get('/sources', authenticateToken, async (req, res) => {
+  try {
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
 
-// Helper function to find family relationships for a person
-async function findFamilyRelationships(personId, families, individuals) {
-  const familyData = {
-    spouses: [],
-    parents: { father: null, mother: null },
-    children: []
-  };
+    const counts = countCitations(data);
+    const sources = data.sources.map(source => ({
+      id: source.id,
+      title: source.title,
+      author: source.author,
+      publication: source.publication,
+      abbreviation: source.abbreviation,
+      text: source.text,
+      type: inferSourceType(source),
+      repositoryId: source.repositoryId,
+      callNumber: source.callNumber,
+      notes: source.notes,
+      citationCount: counts[source.id] || 0
+    }));
 
-  if (!families || !individuals) {
-    return familyData;
-  }
+    res.json({
+      sources,
+      repositories: data.repositories.map(({ otherTags, ...repository }) => repository),
+      sourceTypes: SOURCE_TYPES
+    });
 
-  // Find families where this person is a spouse (husband/wife)
-  const spouseFamilies = families.filter(family => 
-    family.husband === personId || family.wife === personId
-  );
+  } catch (error) {
+    console.error('❌ Error fetching sources:', error);
+    res.status(500).json({ message: 'Failed to fetch sources', error: error.message });
+  }
+});
 
-  console.log(`💑 Found ${spouseFamilies.length} spouse family records for person ${personId}`);
+// Create a master source record
+router.post('/sources', authenticateToken, [
+  body('title').isString().trim().notEmpty().isLength({ max: 500 }),
+  body(['author', 'publication', 'abbreviation', 'text', 'url', 'callNumber', 'repositoryId'])
+    .optional({ nullable: true })
+    .isString()
+    .trim(),
+  body('type').optional({ nullable: true }).isIn([...SOURCE_TYPES, '']),
+  body('notes').optional().isArray()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
 
-  // Find spouses from families
-  for (const family of spouseFamilies) {
-    const spouseId = family.husband === personId ? family.wife : family.husband;
-    if (spouseId) {
-      const spouse = individuals.find(ind => ind.id === spouseId);
-      if (spouse) {
-        familyData.spouses.push({
-          id: spouse.id,
-          givenNames: spouse.givenNames || 'Unknown',
-          familyNames: spouse.familyNames || 'Unknown',
-          marriageDate: family.marriageDate || null,
-          marriagePlace: family.marriagePlace || null
-        });
-        console.log(`💍 Found spouse: ${spouse.givenNames} ${spouse.familyNames} (ID: ${spouse.id})`);
-      }
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
     }
-  }
 
-  // Find families where this person is a child
-  const childFamilies = families.filter(family => 
-    family.children && family.children.includes(personId)
-  );
+    const { repositoryId } = req.body;
+    if (repositoryId && !findRepository(data, repositoryId)) {
+      return res.status(404).json({ message: `Repository with ID ${repositoryId} not found` });
+    }
 
-  console.log(`👶 Found ${childFamilies.length} parent family records for person ${personId}`);
+    const source = {
+      id: allocateId(data.sources.map(existing => existing.id), 'S'),
+      title: req.body.title,
+      author: req.body.author || '',
+      publication: req.body.publication || '',
+      abbreviation: req.body.abbreviation || '',
+      text: req.body.text || '',
+      type: req.body.type || '',
+      url: req.body.url || '',
+      repositoryId: repositoryId || '',
+      callNumber: req.body.callNumber || '',
+      notes: (req.body.notes || []).filter(note => typeof note === 'string' && note.trim()),
+      otherTags: []
+    };
 
-  if (childFamilies.length > 0) {
-    const parentFamily = childFamilies[0]; // Use first family if multiple
+    data.sources.push(source);
+    await treeRepository.save(user, database, data, req);
 
-    // Find father
-    if (parentFamily.husband) {
-      const father = individuals.find(ind => ind.id === parentFamily.husband);
-      if (father) {
-        familyData.parents.father = {
-          id: father.id,
-          givenNames: father.givenNames || 'Unknown',
-          familyNames: father.familyNames || 'Unknown'
-        };
-        console.log(`👨 Found father: ${father.givenNames} ${father.familyNames} (ID: ${father.id})`);
-      }
-    }
+    console.log(`📚 Created source ${source.id}: ${source.title}`);
+    res.status(201).json({ success: true, source: { ...source, type: inferSourceType(source) } });
 
-    // Find mother
-    if (parentFamily.wife) {
-      const mother = individuals.find(ind => ind.id === parentFamily.wife);
-      if (mother) {
-        familyData.parents.mother = {
-          id: mother.id,
-          givenNames: mother.givenNames || 'Unknown',
-          familyNames: mother.familyNames || 'Unknown'
-        };
-        console.log(`👩 Found mother: ${mother.givenNames} ${mother.familyNames} (ID: ${mother.id})`);
-      }
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
     }
+    console.error('❌ Error creating source:', error);
+    res.status(500).json({ message: 'Failed to create source', error: error.message });
   }
+});
 
-  // Find children from spouse families
-  for (const family of spouseFamilies) {
-    if (family.children && family.children.length > 0) {
-      console.log(`👶 Found ${family.children.length} children in family ${family.id}`);
-
-      for (const childId of family.children) {
-        const child = individuals.find(ind => ind.id === childId);
-        if (child) {
-          const childInfo = {
-            id: child.id,
-            givenNames: child.givenNames || 'Unknown',
-            familyNames: child.familyNames || 'Unknown',
-            sex: child.sex || 'U',
-            relationshipLabel: child.sex === 'M' ? 'Son' : child.sex === 'F' ? 'Daughter' : 'Child'
-          };
+const citationValidators = [
+  body(['sourceId', 'text', 'page', 'dataDate', 'dataText']).optional({ nullable: true }).isString().trim(),
+  body('quality').optional({ nullable: true }).isIn(['0', '1', '2', '3', 0, 1, 2, 3, ''])
+];
 
-          familyData.children.push(childInfo);
-          console.log(`👶 Added ${childInfo.relationshipLabel}: ${child.givenNames} ${child.familyNames} (ID: ${child.id})`);
-        }
-      }
-    }
+// Build a citation from the request body; returns { error } when it doesn't name a source
+function citationFromRequest(data, fields) {
+  if (!fields.sourceId && !fields.text) {
+    return { error: { status: 400, message: 'A citation needs a sourceId or source text' } };
+  }
+  if (fields.sourceId && !findSource(data, fields.sourceId)) {
+    return { error: { status: 404, message: `Source with ID ${fields.sourceId} not found` } };
   }
 
-  console.log(`👨‍👩‍👧‍👦 Total children found: ${familyData.children.length}`);
-  return familyData;
+  return {
+    citation: {
+      sourceId: fields.sourceId || null,
+      text: fields.sourceId ? '' : fields.text,
+      page: fields.page || '',
+      quality: fields.quality === undefined || fields.quality === null ? '' : String(fields.quality),
+      dataDate: fields.dataDate || '',
+      dataText: fields.dataText || '',
+      notes: [],
+      otherTags: []
+    }
+  };
 }
 
-// Get a specific person by ID with full family relationships
-router.get('/person/:personId', authenticateToken, async (req, res) => {
+// Cite a source for one of a person's events (by index in person.events)
+router.post('/person/:personId/events/:eventIndex/citations', authenticateToken, citationValidators, async (req, res) => {
   try {
-    const { personId } = req.params;
-    console.log(`\n👤 Fetching person data for ID: ${personId}`);
-    
-    // Get the user's GEDCOM database
-    const database = await getGedcomDatabase(req.user.userId);
-    
-    if (!database) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { user, database, data } = await treeRepository.loadForEdit(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
       return res.status(404).json({ message: 'No GEDCOM database found for user' });
     }
 
-    // Get user for encryption key
-    const user = await User.findById(req.user.userId);
-    if (!user || !user.encryptionKey) {
-      return res.status(500).json({ message: 'User encryption key not found' });
+    const { personId, eventIndex } = req.params;
+    const person = findIndividual(data, personId);
+    if (!person) {
+      return res.status(404).json({ message: `Person with ID ${personId} not found` });
     }
 
-    // Decrypt the GEDCOM content
-    let encryptedData = database.encryptedData;
-    if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-      encryptedData = JSON.parse(encryptedData);
+    const event = (person.events || [])[parseInt(eventIndex, 10)];
+    if (!event) {
+      return res.status(404).json({ message: `Event ${eventIndex} not found for ${personId}` });
     }
 
-    const decryptedData = decryptData(encryptedData, user.encryptionKey);
-    
-    let parsedData;
-    // Check if the data is already in JSON format (pre-parsed)
-    if (decryptedData.trim().startsWith('{')) {
-      console.log('✅ Data is already in JSON format, parsing as JSON...');
-      parsedData = JSON.parse(decryptedData);
-    } else {
-      console.log('📊 Data is in raw GEDCOM format, using GEDCOM parser...');
-      parsedData = parseGedcomContent(decryptedData);
+    const { citation, error } = citationFromRequest(data, req.body);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
     }
-    
-    if (!parsedData.individuals || !parsedData.families) {
-      return res.status(404).json({ message: 'No genealogical data found in database' });
+
+    event.sources = event.sources || [];
+    event.sources.push(citation);
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`📎 Cited ${citation.sourceId || 'inline source'} on ${event.type} of ${personId}`);
+    res.status(201).json({
+      success: true,
+      event,
+      qualityAssessment: validatePersonInTree(person, data).qualityAssessment
+    });
+
+  } catch (error) {
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
     }
+    console.error(`❌ Error adding citation for ${req.params.personId}:`, error);
+    res.status(500).json({ message: 'Failed to add citation', error: error.message });
+  }
+});
 
-    // Find the requested person
-    const person = parsedData.individuals.find(ind => ind.id === personId);
-    
-    if (!person) {
-      return res.status(404).json({ message: `Person with ID ${personId} not found` });
+// Cite a source for one of a family's events (by index in family.events)
+router.post('/families/:familyId/events/:eventIndex/citations', authenticateToken, citationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: 'Validation failed', errors: errors.array() });
     }
 
-    console.log(`   ✓ Found person: ${person.givenNames} ${person.familyNames}`);
+    const loaded = await loadFamilyForRequest(req, res);
+    if (!loaded) return;
+    const { user, database, data, family } = loaded;
 
-    // Find family relationships for this person
-    const familyData = await findFamilyRelationships(person.id, parsedData.families, parsedData.individuals);
+    const { eventIndex } = req.params;
+    const event = (family.events || [])[parseInt(eventIndex, 10)];
+    if (!event) {
+      return res.status(404).json({ message: `Event ${eventIndex} not found for family ${family.id}` });
+    }
 
-    // Construct the response in the same format as the stats endpoint
-    const personData = {
-      databaseId: database.databaseId,
-      version: database.gedcomVersion || 'Unknown',
-      sourceFile: database.sourceFile || database.filename,
-      totalIndividuals: parsedData.individuals.length,
-      totalFamilies: parsedData.families.length,
-      lastModified: database.lastModified,
-      centralPerson: {
-        id: person.id,
-        givenNames: person.givenNames || 'UNK',
-        familyNames: person.familyNames || 'UNK', 
-        sex: person.sex,
-        birthDate: person.birthDate,
-        birthPlace: person.birthPlace,
-        deathDate: person.deathDate,
-        deathPlace: person.deathPlace,
-        ...familyData
-      }
-    };
+    const { citation, error } = citationFromRequest(data, req.body);
+    if (error) {
+      return res.status(error.status).json({ message: error.message });
+    }
 
-    console.log(`   ✓ Returning person data with family relationships`);
-    res.json(personData);
+    event.sources = event.sources || [];
+    event.sources.push(citation);
+    await treeRepository.save(user, database, data, req);
+
+    console.log(`📎 Cited ${citation.sourceId || 'inline source'} on ${event.type} of family ${family.id}`);
+    res.status(201).json({ success: true, event });
 
   } catch (error) {
-    console.error(`❌ Error fetching person ${req.params.personId}:`, error);
-    res.status(500).json({ message: 'Failed to fetch person data', error: error.message });
+    if (error instanceof TreeConflictError) {
+      return res.status(409).json({ message: error.message });
+    }
+    console.error(`❌ Error adding citation for family ${req.params.familyId}:`, error);
+    res.status(500).json({ message: 'Failed to add citation', error: error.message });
   }
 });
 
@@ -278,19 +1951,20 @@ router.get('/stats', authenticateToken, async (req, res) => {
   try {
     console.log('📊 Fetching stats for user:', req.user.userId);
     
-    const user = await User.findById(req.user.userId);
+    const { user, database: gedcomDb } = await treeRepository.findDatabase(req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
-
-    const gedcomDb = await GedcomDatabase.findOne({ userId: user._id });
     
     if (!gedcomDb) {
       console.log('No GEDCOM database found for user');
+      // The file uploaded at registration may still be parsing in the background
+      const importJob = await jobQueue.findLatest(user._id, gedcomParseJob.type);
       return res.json({
         totalIndividuals: 0,
         totalFamilies: 0,
-        message: 'No GEDCOM database found'
+        message: 'No GEDCOM database found',
+        importJob: importJob ? jobQueue.describe(importJob, user) : null
       });
     }
 
@@ -306,55 +1980,14 @@ router.get('/stats', authenticateToken, async (req, res) => {
       console.log('🔍 Attempting to find central person...');
       console.log('🔑 User encryption key exists:', !!user.encryptionKey);
       console.log('📦 Encrypted data exists:', !!gedcomDb.encryptedData);
-      console.log('📦 Encrypted data type:', typeof gedcomDb.encryptedData);
-      console.log('📦 Encrypted data length:', gedcomDb.encryptedData ? gedcomDb.encryptedData.length : 0);
       
       // Check if encryptedData exists and is not null
       if (gedcomDb.encryptedData && user.encryptionKey) {
-        console.log('✅ Both encryption key and data available, proceeding...');
-        
-        let encryptedData = gedcomDb.encryptedData;
-        if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-          console.log('📝 Parsing JSON-encoded encrypted data...');
-          encryptedData = JSON.parse(encryptedData);
-        }
-        
-        console.log('🔓 Decrypting GEDCOM data...');
-        const decryptedData = decryptData(encryptedData, user.encryptionKey);
-        console.log('✅ Decryption successful, data length:', decryptedData ? decryptedData.length : 0);
-        
-        console.log('📊 Processing GEDCOM data...');
-        console.log('📝 First 100 characters of decrypted data:', decryptedData.substring(0, 100));
-        
-        // Look for family data structure in the raw decrypted data
-        if (decryptedData.includes('"families"')) {
-          const familiesIndex = decryptedData.indexOf('"families"');
-          console.log('📍 Found families section at index:', familiesIndex);
-          const familySnippet = decryptedData.substring(familiesIndex, familiesIndex + 500);
-          console.log('📋 First family data snippet:', familySnippet);
-        }
-        
-        let parsedData;
-        
-        // Check if the data is already in JSON format (pre-parsed)
-        if (decryptedData.trim().startsWith('{')) {
-          console.log('✅ Data is already in JSON format, parsing as JSON...');
-          try {
-            parsedData = JSON.parse(decryptedData);
-            console.log('✅ JSON parsing successful:');
-            console.log('   - Individuals found:', parsedData.individuals ? parsedData.individuals.length : 0);
-            console.log('   - Families found:', parsedData.families ? parsedData.families.length : 0);
-          } catch (jsonError) {
-            console.log('❌ JSON parsing failed, falling back to GEDCOM parser:', jsonError.message);
-            parsedData = parseGedcomContent(decryptedData);
-          }
-        } else {
-          console.log('📊 Data is in raw GEDCOM format, using GEDCOM parser...');
-          parsedData = parseGedcomContent(decryptedData);
-          console.log('✅ GEDCOM parsing complete:');
-          console.log('   - Individuals found:', parsedData.individuals ? parsedData.individuals.length : 0);
-          console.log('   - Families found:', parsedData.families ? parsedData.families.length : 0);
-        }
+        console.log('🔓 Loading GEDCOM data...');
+        const { data: parsedData, tree } = await treeRepository.loadFor(user, gedcomDb);
+        console.log('✅ Tree loaded:');
+        console.log('   - Individuals found:', parsedData.individuals ? parsedData.individuals.length : 0);
+        console.log('   - Families found:', parsedData.families ? parsedData.families.length : 0);
         
         // Find the central person (first individual or match with user's name)
         if (parsedData.individuals && parsedData.individuals.length > 0) {
@@ -387,108 +2020,10 @@ router.get('/stats', authenticateToken, async (req, res) => {
               birthPlace: foundPerson.birthPlace || null,
               deathDate: foundPerson.deathDate || null,
               deathPlace: foundPerson.deathPlace || null,
-              spouses: []
+              events: foundPerson.events || [],
+              ...findFamilyRelationships(foundPerson.id, tree)
             };
             
-            // Look for families where this person is involved
-            console.log('🔍 Searching for families involving person:', centralPerson.id);
-            if (parsedData.families && parsedData.families.length > 0) {
-              // Find families where this person is a spouse (husband/wife)
-              const spouseFamilies = parsedData.families.filter(family => 
-                family.husband === centralPerson.id || family.wife === centralPerson.id
-              );
-              
-              console.log(`� Found ${spouseFamilies.length} spouse family records for this person`);
-              
-              // Find spouses from families
-              for (const family of spouseFamilies) {
-                const spouseId = family.husband === centralPerson.id ? family.wife : family.husband;
-                if (spouseId) {
-                  const spouse = parsedData.individuals.find(ind => ind.id === spouseId);
-                  if (spouse) {
-                    centralPerson.spouses.push({
-                      id: spouse.id,
-                      givenNames: spouse.givenNames || 'Unknown',
-                      familyNames: spouse.familyNames || 'Unknown',
-                      marriageDate: family.marriageDate || null,
-                      marriagePlace: family.marriagePlace || null
-                    });
-                    console.log(`💍 Found spouse: ${spouse.givenNames} ${spouse.familyNames} (ID: ${spouse.id})`);
-                  }
-                }
-              }
-              
-              // Find families where this person is a child
-              const childFamilies = parsedData.families.filter(family => 
-                family.children && family.children.includes(centralPerson.id)
-              );
-              
-              console.log(`👶 Found ${childFamilies.length} parent family records for this person`);
-              
-              // Add parents information
-              centralPerson.parents = {
-                father: null,
-                mother: null
-              };
-              
-              if (childFamilies.length > 0) {
-                const parentFamily = childFamilies[0]; // Use first family if multiple
-                
-                // Find father
-                if (parentFamily.husband) {
-                  const father = parsedData.individuals.find(ind => ind.id === parentFamily.husband);
-                  if (father) {
-                    centralPerson.parents.father = {
-                      id: father.id,
-                      givenNames: father.givenNames || 'Unknown',
-                      familyNames: father.familyNames || 'Unknown'
-                    };
-                    console.log(`👨 Found father: ${father.givenNames} ${father.familyNames} (ID: ${father.id})`);
-                  }
-                }
-                
-                // Find mother
-                if (parentFamily.wife) {
-                  const mother = parsedData.individuals.find(ind => ind.id === parentFamily.wife);
-                  if (mother) {
-                    centralPerson.parents.mother = {
-                      id: mother.id,
-                      givenNames: mother.givenNames || 'Unknown',
-                      familyNames: mother.familyNames || 'Unknown'
-                    };
-                    console.log(`👩 Found mother: ${mother.givenNames} ${mother.familyNames} (ID: ${mother.id})`);
-                  }
-                }
-              }
-              
-              // Find children from spouse families
-              centralPerson.children = [];
-              
-              for (const family of spouseFamilies) {
-                if (family.children && family.children.length > 0) {
-                  console.log(`👶 Found ${family.children.length} children in family ${family.id}`);
-                  
-                  for (const childId of family.children) {
-                    const child = parsedData.individuals.find(ind => ind.id === childId);
-                    if (child) {
-                      const childInfo = {
-                        id: child.id,
-                        givenNames: child.givenNames || 'Unknown',
-                        familyNames: child.familyNames || 'Unknown',
-                        sex: child.sex || 'U',
-                        relationshipLabel: child.sex === 'M' ? 'Son' : child.sex === 'F' ? 'Daughter' : 'Child'
-                      };
-                      
-                      centralPerson.children.push(childInfo);
-                      console.log(`👶 Added ${childInfo.relationshipLabel}: ${child.givenNames} ${child.familyNames} (ID: ${child.id})`);
-                    }
-                  }
-                }
-              }
-              
-              console.log(`👨‍👩‍👧‍👦 Total children found: ${centralPerson.children.length}`);
-            }
-            
             console.log('👤 Final central person:', `${centralPerson.givenNames} ${centralPerson.familyNames} (ID: ${centralPerson.id})`);
             console.log('📋 Person details:', {
               sex: centralPerson.sex,
@@ -550,23 +2085,14 @@ router.get('/debug-families', authenticateToken, async (req, res) => {
   try {
     console.log('🔍 DEBUG: Exploring family data structure for user:', req.user.userId);
     
-    const user = await User.findById(req.user.userId);
+    const { user, database: gedcomDb, data: parsedData, tree } = await treeRepository.load(req.user.userId);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    const gedcomDb = await GedcomDatabase.findOne({ userId: req.user.userId });
-    if (!gedcomDb) {
+    if (!gedcomDb || !parsedData) {
       return res.status(404).json({ message: 'GEDCOM database not found' });
     }
-
-    let encryptedData = gedcomDb.encryptedData;
-    if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-      encryptedData = JSON.parse(encryptedData);
-    }
-
-    const decryptedData = decryptData(encryptedData, user.encryptionKey);
-    const parsedData = JSON.parse(decryptedData);
     
     console.log('📋 Sample family records:');
     if (parsedData.families && parsedData.families.length > 0) {
@@ -578,9 +2104,7 @@ router.get('/debug-families', authenticateToken, async (req, res) => {
       
       // Look specifically for Stephen's family records
       const stephenId = '@I18834956781@';
-      const stephenFamilies = parsedData.families.filter(family => 
-        family.husband === stephenId || family.wife === stephenId
-      );
+      const stephenFamilies = tree.familiesAsSpouse(stephenId);
       console.log(`🔍 Stephen's families (${stephenFamilies.length}):`, stephenFamilies);
       
       // Broader search - find ANY family that mentions Stephen's ID anywhere
@@ -601,9 +2125,7 @@ router.get('/debug-families', authenticateToken, async (req, res) => {
     res.json({
       totalFamilies: parsedData.families ? parsedData.families.length : 0,
       sampleFamilies: parsedData.families ? parsedData.families.slice(0, 3) : [],
-      stephenFamilies: parsedData.families ? parsedData.families.filter(family => 
-        family.husband === '@I18834956781@' || family.wife === '@I18834956781@'
-      ) : []
+      stephenFamilies: tree.familiesAsSpouse('@I18834956781@')
     });
 
   } catch (error) {
@@ -617,7 +2139,7 @@ router.get('/first-individual', authenticateToken, async (req, res) => {
   try {
     console.log('👤 Fetching first individual for user:', req.user.userId);
     
-    const user = await User.findById(req.user.userId);
+    const { user, database: gedcomData } = await treeRepository.findDatabase(req.user.userId);
     if (!user) {
       console.log('❌ User not found');
       return res.status(404).json({ message: 'User not found' });
@@ -643,10 +2165,6 @@ router.get('/first-individual', authenticateToken, async (req, res) => {
       return res.status(500).json({ message: 'No encryption key found for user' });
     }
 
-    // Look for GEDCOM data in the gedcomdatabases collection
-    console.log('🗄️ Looking for GEDCOM data for user ID:', user._id);
-    
-    const gedcomData = await GedcomDatabase.findOne({ userId: user._id });
     if (!gedcomData) {
       console.log('❌ No GEDCOM data found for this user');
       return res.json({
@@ -673,17 +2191,12 @@ router.get('/first-individual', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log('🔓 Attempting to decrypt GEDCOM data...');
+    console.log('🔓 Loading GEDCOM data...');
 
-    // Decrypt the GEDCOM content
-    let decryptedContent;
+    // Decrypt the tree, or reuse the cached one
+    let parsedData;
     try {
-      // The encrypted data might be JSON-encoded or direct
-      let encryptedData = gedcomData.encryptedData;
-      if (typeof encryptedData === 'string' && encryptedData.startsWith('{')) {
-        encryptedData = JSON.parse(encryptedData);
-      }
-      decryptedContent = decryptData(encryptedData, user.encryptionKey);
+      ({ data: parsedData } = await treeRepository.loadFor(user, gedcomData));
     } catch (decryptError) {
       console.log('❌ Decryption failed:', decryptError.message);
       return res.status(500).json({ 
@@ -692,25 +2205,6 @@ router.get('/first-individual', authenticateToken, async (req, res) => {
       });
     }
     
-    if (!decryptedContent) {
-      console.log('❌ Decryption returned empty content');
-      return res.status(500).json({ message: 'Failed to decrypt GEDCOM data - content is empty' });
-    }
-
-    console.log('✅ GEDCOM content decrypted successfully, length:', decryptedContent.length);
-
-    // Parse the GEDCOM content to get individuals
-    let parsedData;
-    try {
-      parsedData = parseGedcomContent(decryptedContent);
-    } catch (parseError) {
-      console.log('❌ GEDCOM parsing failed:', parseError.message);
-      return res.status(500).json({ 
-        message: 'Failed to parse GEDCOM data',
-        details: parseError.message
-      });
-    }
-    
     const firstIndividual = parsedData.individuals.length > 0 ? parsedData.individuals[0] : null;
     
     console.log('👤 First individual:', firstIndividual ? `${firstIndividual.givenNames} ${firstIndividual.familyNames}` : 'None found');
@@ -731,4 +2225,44 @@ router.get('/first-individual', authenticateToken, async (req, res) => {
   }
 });
 
+// Export the user's current tree as a GEDCOM file
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const version = req.query.version || '5.5.1';
+    if (!SUPPORTED_VERSIONS.includes(version)) {
+      return res.status(400).json({ message: `Unsupported GEDCOM version. Use one of: ${SUPPORTED_VERSIONS.join(', ')}` });
+    }
+
+    const { user, database, data } = await treeRepository.load(req.user.userId);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (!database || !data) {
+      return res.status(404).json({ message: 'No GEDCOM database found for user' });
+    }
+
+    console.log(`📤 Exporting GEDCOM ${version} for user ${user._id}: ${(data.individuals || []).length} individuals`);
+
+    const baseName = (database.sourceFile || 'family-tree').replace(/\.(ged|gedcom)$/i, '');
+    const fileName = `${baseName}-${version}.ged`;
+
+    const gedcomText = serializeGedcom(data, {
+      version,
+      fileName,
+      submitterName: `${user.givenNames} ${user.familyNames}`.trim()
+    });
+
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    // filename= only takes ASCII (a non-Latin-1 name makes setHeader throw); filename* carries the real name
+    const asciiName = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+    const encodedName = encodeURIComponent(fileName).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    res.setHeader('Content-Disposition', `attachment; filename="${asciiName}"; filename*=UTF-8''${encodedName}`);
+    res.send(gedcomText);
+
+  } catch (error) {
+    console.error('❌ GEDCOM export error:', error);
+    res.status(500).json({ message: 'Failed to export GEDCOM', error: error.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,67 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const { authMiddleware } = require('../middleware/auth');
+const { JobQueue } = require('../services/jobQueue');
+const User = require('../models/User');
+
+const router = express.Router();
+const jobQueue = new JobQueue();
+
+const jobIdRule = param('jobId').isHexadecimal().isLength({ min: 24, max: 24 });
+
+// Find the signed-in user's job, answering 404 when it is not theirs
+const findJob = async (req, res, load) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({ message: 'Validation failed', errors: errors.array() });
+    return {};
+  }
+
+  // authMiddleware leaves out the encryption key, which results are encrypted with
+  const user = await User.findById(req.user._id);
+  const job = user ? await load(user) : null;
+  if (!job) {
+    res.status(404).json({ message: 'Job not found' });
+    return {};
+  }
+  return { user, job };
+};
+
+/**
+ * Status, progress and (once completed) the result of a background job
+ * GET /api/jobs/:jobId
+ */
+router.get('/:jobId', authMiddleware, [jobIdRule], async (req, res) => {
+  try {
+    const { user, job } = await findJob(req, res, user => jobQueue.find(user._id, req.params.jobId));
+    if (!job) return;
+
+    res.json({ success: true, job: jobQueue.describe(job, user) });
+  } catch (error) {
+    console.error('❌ Error loading job:', error);
+    res.status(500).json({ message: 'Failed to load job', error: error.message });
+  }
+});
+
+/**
+ * Cancel a background job. A queued job is cancelled at once; a running one stops at its
+ * next check and reports status 'cancelled' when it has.
+ * POST /api/jobs/:jobId/cancel
+ */
+router.post('/:jobId/cancel', authMiddleware, [jobIdRule], async (req, res) => {
+  try {
+    const { user, job } = await findJob(req, res, user => jobQueue.cancel(user._id, req.params.jobId));
+    if (!job) return;
+
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Job cancelled' : job.status === 'running' ? 'Cancelling job' : `Job already ${job.status}`,
+      job: jobQueue.describe(job, user)
+    });
+  } catch (error) {
+    console.error('❌ Error cancelling job:', error);
+    res.status(500).json({ message: 'Failed to cancel job', error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,69 @@
+// Script to import a cemetery dataset (CSV or JSON burial transcriptions) for the cemetery record provider
+// Usage: node scripts/importBurialDataset.js <file> [--name "Oak Ridge Cemetery survey"] [--origin "Find a Grave export"]
+//                                             [--id datasetId] [--format csv|json] [--column field=Column ...]
+//        node scripts/importBurialDataset.js --list
+//        node scripts/importBurialDataset.js --remove <datasetId>
+const mongoose = require('mongoose');
+const { BurialDatasetService } = require('../services/burialDatasetService');
+require('dotenv').config();
+
+const burialDatasetService = new BurialDatasetService();
+
+const parseArgs = args => {
+  const options = { files: [], columns: {} };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--list') options.list = true;
+    else if (arg === '--remove') options.remove = args[++i];
+    else if (arg === '--name') options.name = args[++i];
+    else if (arg === '--origin') options.origin = args[++i];
+    else if (arg === '--id') options.datasetId = args[++i];
+    else if (arg === '--format') options.format = args[++i];
+    else if (arg === '--column') {
+      const [field, column] = String(args[++i] || '').split('=');
+      options.columns[field] = column;
+    } else options.files.push(arg);
+  }
+  return options;
+};
+
+const importBurialDataset = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.list && !options.remove && options.files.length !== 1) {
+    console.log('Usage: node scripts/importBurialDataset.js <file> [--name ...] [--origin ...] [--id ...] [--format csv|json] [--column field=Column]');
+    console.log('       node scripts/importBurialDataset.js --list | --remove <datasetId>');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    if (options.list) {
+      const datasets = await burialDatasetService.listDatasets();
+      console.log(`\n${datasets.length} burial datasets`);
+      datasets.forEach(dataset => {
+        console.log(`  - ${dataset.datasetId}: ${dataset.name} (${dataset.recordCount} burials from ${dataset.fileName}, imported ${dataset.updatedAt.toISOString().slice(0, 10)})`);
+      });
+    } else if (options.remove) {
+      const removed = await burialDatasetService.removeDataset(options.remove);
+      console.log(`\nRemoved ${removed} burials of dataset ${options.remove}`);
+    } else {
+      const { dataset, imported, skipped, columns } = await burialDatasetService.importFile(options.files[0], options);
+      console.log('\nColumns used:');
+      Object.entries(columns).forEach(([field, column]) => console.log(`  - ${field} <- ${column}`));
+      console.log(`\nImported ${imported} burials as dataset ${dataset.datasetId} ("${dataset.name}")${skipped ? `, skipped ${skipped} rows without a surname or with a repeated id` : ''}`);
+    }
+
+  } catch (error) {
+    console.error('Script error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+importBurialDataset();
@@ -0,0 +1,66 @@
+// Script to index newspaper pages (Chronicling America batch OCR, page JSON or transcripts) for the newspaper record provider
+// Usage: node scripts/indexNewspaperPages.js <file or directory> [--name "Illinois State Journal 1900-1915"]
+//                                             [--origin "Chronicling America batch"] [--id collectionId]
+//                                             [--title "Illinois State Journal"] [--place "Springfield, Ill."]
+//        node scripts/indexNewspaperPages.js --list
+//        node scripts/indexNewspaperPages.js --remove <collectionId>
+const mongoose = require('mongoose');
+const { NewspaperIndexService } = require('../services/newspaperIndexService');
+require('dotenv').config();
+
+const newspaperIndexService = new NewspaperIndexService();
+
+const parseArgs = args => {
+  const options = { paths: [] };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--list') options.list = true;
+    else if (arg === '--remove') options.remove = args[++i];
+    else if (arg === '--name') options.name = args[++i];
+    else if (arg === '--origin') options.origin = args[++i];
+    else if (arg === '--id') options.collectionId = args[++i];
+    else if (arg === '--title') options.title = args[++i];
+    else if (arg === '--place') options.place = args[++i];
+    else options.paths.push(arg);
+  }
+  return options;
+};
+
+const indexNewspaperPages = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.list && !options.remove && options.paths.length !== 1) {
+    console.log('Usage: node scripts/indexNewspaperPages.js <file or directory> [--name ...] [--origin ...] [--id ...] [--title ...] [--place ...]');
+    console.log('       node scripts/indexNewspaperPages.js --list | --remove <collectionId>');
+    process.exit(1);
+  }
+
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    if (options.list) {
+      const collections = await newspaperIndexService.listCollections();
+      console.log(`\n${collections.length} newspaper collections`);
+      collections.forEach(collection => {
+        console.log(`  - ${collection.collectionId}: ${collection.name} (${collection.pageCount} pages from ${collection.sourcePath}, indexed ${collection.updatedAt.toISOString().slice(0, 10)})`);
+      });
+    } else if (options.remove) {
+      const removed = await newspaperIndexService.removeCollection(options.remove);
+      console.log(`\nRemoved ${removed} pages of collection ${options.remove}`);
+    } else {
+      const { collection, indexed, skipped } = await newspaperIndexService.ingestPath(options.paths[0], options);
+      console.log(`\nIndexed ${indexed} pages as collection ${collection.collectionId} ("${collection.name}")${skipped ? `, skipped ${skipped} empty or repeated pages` : ''}`);
+    }
+
+  } catch (error) {
+    console.error('Script error:', error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+indexNewspaperPages();
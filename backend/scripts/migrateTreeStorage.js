@@ -0,0 +1,53 @@
+// Script to move GEDCOM databases from one encrypted blob to per-record storage
+const mongoose = require('mongoose');
+const { GedcomDatabase } = require('../models/Gedcom');
+const User = require('../models/User');
+const { TreeStorageService } = require('../services/treeStorageService');
+require('dotenv').config();
+
+const treeStorageService = new TreeStorageService();
+
+const migrateTreeStorage = async () => {
+  try {
+    console.log('Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Databases saved before per-record storage have no storageFormat
+    const gedcomDbs = await GedcomDatabase.find({ storageFormat: { $ne: 'records' } });
+
+    console.log(`Found ${gedcomDbs.length} GEDCOM databases to migrate`);
+
+    for (const gedcomDb of gedcomDbs) {
+      try {
+        console.log(`\nProcessing GEDCOM database: ${gedcomDb.databaseId}`);
+
+        const user = await User.findById(gedcomDb.userId);
+        if (!user || !user.encryptionKey) {
+          console.log('  - User or encryption key not found, skipping');
+          continue;
+        }
+
+        console.log(`  - User: ${user.email}`);
+
+        await treeStorageService.migrate(user, gedcomDb);
+
+        console.log(`  - Stored ${gedcomDb.totalIndividuals} individuals and ${gedcomDb.totalFamilies} families as records`);
+
+      } catch (error) {
+        console.error(`  - Error processing ${gedcomDb.databaseId}:`, error.message);
+      }
+    }
+
+    console.log('\nMigration complete!');
+
+  } catch (error) {
+    console.error('Script error:', error);
+  } finally {
+    await mongoose.disconnect();
+    console.log('Disconnected from MongoDB');
+  }
+};
+
+// Run the script
+migrateTreeStorage();
@@ -1,11 +1,12 @@
 // Script to reparse existing GEDCOM data
 const mongoose = require('mongoose');
 const { GedcomDatabase } = require('../models/Gedcom');
-const User = require('../models/User');
-const { decryptData, encryptData } = require('../utils/helpers');
 const { getGedcomStats } = require('../utils/gedcomParser');
+const { TreeRepository } = require('../services/treeRepository');
 require('dotenv').config();
 
+const treeRepository = new TreeRepository();
+
 const reparseGedcomData = async () => {
   try {
     console.log('Connecting to MongoDB...');
@@ -24,8 +25,8 @@ const reparseGedcomData = async () => {
       try {
         console.log(`\nProcessing GEDCOM database: ${gedcomDb.databaseId}`);
         
-        // Find the user
-        const user = await User.findById(gedcomDb.userId);
+        // Find the user and decrypt existing data
+        const { user, database, data: gedcomData } = await treeRepository.loadForEdit(gedcomDb.userId);
         if (!user) {
           console.log('  - User not found, skipping');
           continue;
@@ -33,12 +34,7 @@ const reparseGedcomData = async () => {
 
         console.log(`  - User: ${user.email}`);
 
-        // Decrypt existing data
-        const encryptedData = JSON.parse(gedcomDb.encryptedData);
-        const decryptedData = decryptData(encryptedData, user.encryptionKey);
-        const gedcomData = JSON.parse(decryptedData);
-
-        if (!gedcomData.rawGedcom) {
+        if (!gedcomData || !gedcomData.rawGedcom) {
           console.log('  - No raw GEDCOM data found, skipping');
           continue;
         }
@@ -49,22 +45,19 @@ const reparseGedcomData = async () => {
         console.log(`  - Found ${gedcomStats.totalIndividuals} individuals and ${gedcomStats.totalFamilies} families`);
 
         // Update the GEDCOM data with parsed information
+        gedcomData.header = gedcomStats.header;
         gedcomData.individuals = gedcomStats.individuals;
         gedcomData.families = gedcomStats.families;
+        gedcomData.sources = gedcomStats.sources;
+        gedcomData.repositories = gedcomStats.repositories;
+        gedcomData.records = gedcomStats.records;
+        gedcomData.parseWarnings = gedcomStats.warnings;
         gedcomData.parseSuccess = gedcomStats.success;
         gedcomData.parseError = gedcomStats.error || null;
         gedcomData.reparsedAt = new Date();
 
-        // Re-encrypt the data
-        const newEncryptedGedcom = encryptData(JSON.stringify(gedcomData), user.encryptionKey);
-
-        // Update the database record
-        gedcomDb.encryptedData = JSON.stringify(newEncryptedGedcom);
-        gedcomDb.totalIndividuals = gedcomStats.totalIndividuals;
-        gedcomDb.totalFamilies = gedcomStats.totalFamilies;
-        gedcomDb.lastModified = new Date();
-
-        await gedcomDb.save();
+        // Re-encrypt the changed records and record the revision; the database counts are updated with them
+        await treeRepository.save(user, database, gedcomData, null, { route: 'script reparseGedcom' });
         
         console.log('  - Successfully updated!');
 
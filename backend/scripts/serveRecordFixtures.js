@@ -0,0 +1,27 @@
+// Script to serve the bundled record fixtures in place of FamilySearch, WikiTree and Chronicling America
+// Usage: node scripts/serveRecordFixtures.js [port] [fixtures directory]
+require('dotenv').config();
+const { startRecordFixtureServer, DEFAULT_FIXTURES_DIR } = require('../utils/recordFixtureServer');
+
+const serveRecordFixtures = async () => {
+  try {
+    const port = parseInt(process.argv[2] || process.env.RECORD_FIXTURES_PORT, 10) || 5055;
+    const fixturesDir = process.argv[3] || DEFAULT_FIXTURES_DIR;
+    const fixtures = await startRecordFixtureServer({ port, fixturesDir });
+
+    console.log('\nPoint the API server at it with these settings in backend/.env:');
+    Object.entries(fixtures.env).forEach(([name, value]) => console.log(`${name}=${value}`));
+    console.log('\nPress Ctrl+C to stop.');
+
+    process.on('SIGINT', async () => {
+      await fixtures.close();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error('Script error:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+serveRecordFixtures();
@@ -17,6 +17,8 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const gedcomRoutes = require('./routes/gedcom');
 const aiResearchRoutes = require('./routes/aiResearch');
+const jobRoutes = require('./routes/jobs');
+const { createJobWorker } = require('./jobs');
 
 const app = express();
 
@@ -59,11 +61,20 @@ app.use(cors({
   credentials: true
 }));
 
+// Job status is polled every few seconds while a job runs, so it has its own, larger allowance
+const jobStatusLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 1000,
+  message: 'Too many requests from this IP, please try again later.'
+});
+app.use('/api/jobs', jobStatusLimiter);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  skip: (req) => req.path.startsWith('/api/jobs/')
 });
 app.use(limiter);
 
@@ -76,6 +87,7 @@ app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/gedcom', gedcomRoutes);
 app.use('/api/ai-research', aiResearchRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -106,12 +118,21 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/genealogy
 })
 .then(() => {
   console.log('Connected to MongoDB');
+  createJobWorker().start();
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
   process.exit(1);
 });
 
+// Local stand-ins for the external record APIs; never in production
+if (process.env.RECORD_FIXTURES === 'true' && process.env.NODE_ENV !== 'production') {
+  const { startRecordFixtureServer } = require('./utils/recordFixtureServer');
+  startRecordFixtureServer({ port: parseInt(process.env.RECORD_FIXTURES_PORT, 10) || 5055 })
+    .then(fixtures => Object.assign(process.env, fixtures.env))
+    .catch(error => console.error('❌ Record fixture server failed to start:', error.message));
+}
+
 const PORT = process.env.PORT || 5000;
 
 app.listen(PORT, () => {
@@ -689,8 +689,8 @@ Consider:
     });
     
     // Specific checks for genealogy record quality
-    if (record.source && /findagrave/i.test(record.source) && /mock.*cemetery/i.test(record.location)) {
-      flags.push('🚨 MOCK/TEST DATA: FindAGrave record with mock cemetery location');
+    if (record.source && /findagrave|cemetery/i.test(record.source) && /mock.*cemetery/i.test(record.location)) {
+      flags.push('🚨 MOCK/TEST DATA: Burial record with mock cemetery location');
     }
     
     if (record.location && record.location.includes('Mock City')) {
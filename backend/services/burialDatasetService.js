@@ -0,0 +1,383 @@
+/**
+ * Locally imported burial datasets (cemetery transcription projects, Find a Grave or BillionGraves
+ * exports) and the search the cemetery record provider runs over them.
+ *
+ * Files are CSV with a header row, or JSON (an array of objects, or { records: [...] }). Columns are
+ * mapped to BurialRecord fields by name (see COLUMN_ALIASES), so most exports import without any
+ * configuration; anything else can be mapped explicitly with options.columns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BurialDataset, BurialRecord } = require('../models/BurialRecord');
+const { NameMatchingService } = require('./nameMatchingService');
+const { MONTHS } = require('../utils/gedcomWriter');
+
+const nameMatcher = new NameMatchingService();
+
+// Header names (lowercase, letters and digits only) recognised for each field
+const COLUMN_ALIASES = {
+  recordId: ['memorialid', 'memorial', 'id', 'recordid', 'record', 'burialid', 'graveid'],
+  givenNames: ['firstname', 'firstnames', 'givenname', 'givennames', 'forename', 'forenames', 'first', 'given'],
+  middleName: ['middlename', 'middle'],
+  familyName: ['lastname', 'surname', 'familyname', 'familynames', 'last'],
+  maidenName: ['maidenname', 'maiden', 'nee', 'birthsurname'],
+  fullName: ['name', 'fullname', 'deceased', 'deceasedname'],
+  birthDate: ['birthdate', 'birth', 'born', 'dateofbirth', 'dob'],
+  birthYear: ['birthyear', 'yearofbirth'],
+  deathDate: ['deathdate', 'death', 'died', 'dateofdeath', 'dod'],
+  deathYear: ['deathyear', 'yearofdeath'],
+  burialDate: ['burialdate', 'burial', 'buried', 'interment', 'intermentdate'],
+  cemetery: ['cemetery', 'cemeteryname', 'burialplace', 'graveyard'],
+  city: ['city', 'town', 'cemeterycity', 'township'],
+  county: ['county', 'cemeterycounty'],
+  state: ['state', 'province', 'region', 'cemeterystate'],
+  country: ['country', 'cemeterycountry'],
+  place: ['location', 'place', 'cemeterylocation', 'cemeteryplace'],
+  plot: ['plot', 'plotinfo', 'section', 'grave', 'gravelocation'],
+  url: ['url', 'link', 'memorialurl', 'recordurl'],
+  inscription: ['inscription', 'epitaph', 'notes', 'transcription'],
+  latitude: ['latitude', 'lat', 'cemeterylatitude', 'gpslatitude'],
+  longitude: ['longitude', 'lon', 'lng', 'long', 'cemeterylongitude', 'gpslongitude']
+};
+
+const INSERT_BATCH_SIZE = 1000;
+
+const headerKey = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Lowercase words without accents or punctuation
+const words = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// A surname as one search key: "O'Brien" and "OBrien" both become "obrien"
+const surnameKey = value => words(value).join('');
+
+const surnameSoundex = value => {
+  const key = surnameKey(value).replace(/[^a-z]/g, '');
+  return key ? nameMatcher.soundex(key) : '';
+};
+
+const yearOf = value => {
+  const match = String(value || '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Dates in the GEDCOM form used across the app: ISO dates (1850-03-12, 1850-03, or with 00 for an
+ * unknown day or month) become "12 MAR 1850"; anything else is kept as written
+ */
+const normalizeDate = value => {
+  const text = String(value ?? '').trim();
+  const iso = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!iso) return text;
+  const [, year, month, day] = iso;
+  const monthName = MONTHS[parseInt(month, 10) - 1];
+  if (!monthName) return year;
+  return parseInt(day, 10) ? `${parseInt(day, 10)} ${monthName} ${year}` : `${monthName} ${year}`;
+};
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, doubled quotes and line breaks)
+ * @returns {string[][]} Rows of fields
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Blank lines are not rows
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+/**
+ * The rows of a dataset file as objects keyed by column name
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' or 'json'
+ */
+function readRows(text, format) {
+  if (format === 'json') {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : (data.records || data.burials || data.results || data.data);
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON datasets must be an array of records or an object with a records array');
+    }
+    return rows.filter(row => row && typeof row === 'object');
+  }
+
+  const [header = [], ...lines] = parseCsv(text);
+  return lines.map(fields => Object.fromEntries(header.map((column, index) => [column.trim(), (fields[index] || '').trim()])));
+}
+
+/**
+ * Which source column feeds each field: explicit columns first, then the first column whose
+ * header matches one of the field's aliases
+ * @param {string[]} columns - Column names of the dataset
+ * @param {Object} [explicit] - { field: columnName } overrides
+ * @returns {Object} { field: columnName }
+ */
+function mapColumns(columns, explicit = {}) {
+  const byKey = new Map();
+  columns.forEach(column => {
+    const key = headerKey(column);
+    if (!byKey.has(key)) byKey.set(key, column);
+  });
+
+  const mapping = {};
+  Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+    if (explicit[field]) {
+      mapping[field] = explicit[field];
+      return;
+    }
+    const alias = aliases.find(name => byKey.has(name));
+    if (alias) mapping[field] = byKey.get(alias);
+  });
+  return mapping;
+}
+
+/**
+ * A dataset row as a BurialRecord document with its search keys
+ * @returns {Object|null} null for rows without a surname
+ */
+function toBurialRecord(row, mapping, datasetId, index) {
+  const value = field => {
+    const raw = mapping[field] ? row[mapping[field]] : undefined;
+    return raw === undefined || raw === null ? '' : String(raw).trim();
+  };
+
+  let givenNames = [value('givenNames'), value('middleName')].filter(Boolean).join(' ');
+  let familyName = value('familyName');
+  const fullName = value('fullName');
+  if (fullName && (!givenNames || !familyName)) {
+    // "Smith, John William" or "John William Smith"
+    const [last, first] = fullName.includes(',') ? fullName.split(',').map(part => part.trim()) : [];
+    const parts = fullName.split(/\s+/);
+    familyName = familyName || last || parts[parts.length - 1];
+    givenNames = givenNames || (last ? first : parts.slice(0, -1).join(' ')) || '';
+  }
+  if (!surnameKey(familyName)) return null;
+
+  const maidenName = value('maidenName').replace(/^\(|\)$/g, '');
+  const birthDate = normalizeDate(value('birthDate'));
+  const deathDate = normalizeDate(value('deathDate'));
+  const place = {
+    cemetery: value('cemetery'),
+    city: value('city'),
+    county: value('county'),
+    state: value('state'),
+    country: value('country'),
+    place: value('place')
+  };
+  const coordinate = field => {
+    const number = parseFloat(value(field));
+    return Number.isFinite(number) ? number : null;
+  };
+
+  return {
+    datasetId,
+    recordId: value('recordId') || String(index + 1),
+    givenNames,
+    familyName,
+    maidenName,
+    birthDate,
+    deathDate,
+    burialDate: normalizeDate(value('burialDate')),
+    birthYear: yearOf(birthDate) || yearOf(value('birthYear')),
+    deathYear: yearOf(deathDate) || yearOf(value('deathYear')),
+    ...place,
+    plot: value('plot'),
+    url: value('url'),
+    inscription: value('inscription'),
+    latitude: coordinate('latitude'),
+    longitude: coordinate('longitude'),
+    surnameKeys: [...new Set([familyName, maidenName].map(surnameKey).filter(Boolean))],
+    surnameSoundex: [...new Set([familyName, maidenName].map(surnameSoundex).filter(Boolean))],
+    placeKeys: [...new Set(Object.values(place).flatMap(words))]
+  };
+}
+
+/**
+ * The cemetery and its place as one line, e.g. "Oak Ridge Cemetery, Springfield, Sangamon, Illinois"
+ */
+function burialPlace(burial) {
+  return [burial.cemetery, burial.city, burial.county, burial.state, burial.country, burial.place]
+    .filter(Boolean)
+    .join(', ');
+}
+
+class BurialDatasetService {
+  /**
+   * Import a dataset file. Importing under an existing datasetId replaces that dataset's records.
+   * @param {string} filePath - .csv or .json file
+   * @param {Object} [options]
+   * @param {string} [options.datasetId] - Defaults to the file name
+   * @param {string} [options.name] - Display name, defaults to the file name
+   * @param {string} [options.origin] - Where the export came from
+   * @param {string} [options.format] - 'csv' or 'json', defaults to the file extension
+   * @param {Object} [options.columns] - { field: columnName } for columns the aliases miss
+   * @returns {Promise<Object>} { dataset, imported, skipped, columns }
+   */
+  async importFile(filePath, options = {}) {
+    const extension = path.extname(filePath).slice(1).toLowerCase();
+    const format = options.format || (extension === 'json' ? 'json' : 'csv');
+    const baseName = path.basename(filePath, path.extname(filePath));
+    const datasetId = options.datasetId || headerKey(baseName) || crypto.randomBytes(6).toString('hex');
+
+    const rows = readRows(fs.readFileSync(filePath, 'utf8'), format);
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const mapping = mapColumns(columns, options.columns);
+    if (!mapping.familyName && !mapping.fullName) {
+      throw new Error(`No surname or name column found (columns: ${columns.join(', ')})`);
+    }
+
+    const seen = new Set();
+    const records = [];
+    rows.forEach((row, index) => {
+      const record = toBurialRecord(row, mapping, datasetId, index);
+      // Keep the first of duplicate ids so one bad row does not fail the import
+      if (record && !seen.has(record.recordId)) {
+        seen.add(record.recordId);
+        records.push(record);
+      }
+    });
+
+    console.log(`🪦 Importing ${records.length} burials from ${path.basename(filePath)} as "${datasetId}" (${rows.length - records.length} rows skipped)`);
+
+    await BurialRecord.deleteMany({ datasetId });
+    for (let start = 0; start < records.length; start += INSERT_BATCH_SIZE) {
+      await BurialRecord.insertMany(records.slice(start, start + INSERT_BATCH_SIZE), { ordered: false });
+    }
+
+    const dataset = await BurialDataset.findOneAndUpdate(
+      { datasetId },
+      {
+        datasetId,
+        name: options.name || baseName,
+        origin: options.origin || '',
+        fileName: path.basename(filePath),
+        format,
+        recordCount: records.length,
+        skippedCount: rows.length - records.length
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return { dataset, imported: records.length, skipped: rows.length - records.length, columns: mapping };
+  }
+
+  async listDatasets() {
+    return BurialDataset.find().sort({ name: 1 }).lean();
+  }
+
+  async removeDataset(datasetId) {
+    const { deletedCount } = await BurialRecord.deleteMany({ datasetId });
+    await BurialDataset.deleteOne({ datasetId });
+    return deletedCount;
+  }
+
+  /**
+   * Burials whose family or maiden name sounds like one of the surnames, optionally limited to
+   * people born or died in a year window. Exact surname matches come first, so a common Soundex
+   * code (S530 is Smith, Schmidt and Smyth) cannot crowd them out of the limit.
+   * @param {Object} criteria
+   * @param {string[]} criteria.surnames
+   * @param {number} [criteria.fromYear] - Earliest birth year
+   * @param {number} [criteria.toYear] - Latest birth year
+   * @param {number} [criteria.limit]
+   */
+  async search({ surnames = [], fromYear = null, toYear = null, limit = 500 }) {
+    const codes = [...new Set(surnames.map(surnameSoundex).filter(Boolean))];
+    if (codes.length === 0) return [];
+
+    const keys = [...new Set(surnames.map(surnameKey).filter(Boolean))];
+    const query = {};
+    if (fromYear || toYear) {
+      const from = fromYear || toYear - 120;
+      const to = toYear || fromYear + 120;
+      // Born in the window, or (when the birth year is missing) died at an age that allows it
+      query.$or = [
+        { birthYear: { $gte: from, $lte: to } },
+        { birthYear: null, deathYear: { $gte: from, $lte: to + 110 } },
+        { birthYear: null, deathYear: null }
+      ];
+    }
+
+    const exact = keys.length > 0
+      ? await BurialRecord.find({ ...query, surnameKeys: { $in: keys } }).limit(limit).lean()
+      : [];
+    if (exact.length >= limit) return exact;
+
+    const similar = await BurialRecord.find({ ...query, surnameSoundex: { $in: codes }, surnameKeys: { $nin: keys } })
+      .limit(limit - exact.length)
+      .lean();
+    return [...exact, ...similar];
+  }
+
+  async findRecord(datasetId, recordId) {
+    return BurialRecord.findOne({ datasetId, recordId }).lean();
+  }
+
+  /**
+   * Dataset and record counts
+   * @returns {Promise<Object>} { datasets, records }
+   */
+  async summary() {
+    const datasets = await BurialDataset.find().lean();
+    return {
+      datasets: datasets.length,
+      records: datasets.reduce((total, dataset) => total + (dataset.recordCount || 0), 0)
+    };
+  }
+}
+
+module.exports = {
+  BurialDatasetService,
+  COLUMN_ALIASES,
+  parseCsv,
+  readRows,
+  mapColumns,
+  toBurialRecord,
+  burialPlace,
+  normalizeDate,
+  surnameKey,
+  surnameSoundex,
+  words
+};
@@ -211,7 +211,7 @@ class ConfidenceScorer {
     const sourceScores = {
       'FamilySearch': 0.9,
       'Ancestry': 0.85,
-      'FindAGrave': 0.8,
+      'Cemetery Records': 0.8,
       'Census': 0.9,
       'Vital Records': 0.95,
       'Newspaper Archives': 0.7,
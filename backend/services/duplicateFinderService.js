@@ -0,0 +1,203 @@
+/**
+ * Duplicate individual detection within one tree.
+ * People are blocked by surname Soundex and birth decade so only plausible pairs
+ * are compared, then scored with NameMatchingService and the ConfidenceScorer factors
+ * used for external matches. Merging is done by gedcomTree.mergeIndividuals; this
+ * service records each merge in the tree's mergeLog for review.
+ */
+
+const { NameMatchingService } = require('./nameMatchingService');
+const { ConfidenceScorer } = require('./confidenceScorer');
+const { getValidationContext, mergeIndividuals } = require('../utils/gedcomTree');
+
+// Record quality does not apply inside one tree; the other factors keep their relative weights
+const PAIR_FACTORS = ['nameMatch', 'dateMatch', 'locationMatch', 'familyContext'];
+
+class DuplicateFinderService {
+  constructor() {
+    this.nameMatcher = new NameMatchingService();
+    this.scorer = new ConfidenceScorer();
+    this.minNameScore = 0.6;
+  }
+
+  /**
+   * Find likely duplicate pairs
+   * @param {Object} data - Decrypted GEDCOM JSON
+   * @param {Object} options - { minScore } (defaults to the scorer's review threshold)
+   * @returns {Object[]} Candidate pairs, best first
+   */
+  findDuplicates(data, options = {}) {
+    const minScore = options.minScore ?? this.scorer.thresholds.needsReview;
+    const blocks = this.buildBlocks(data.individuals || []);
+    const contexts = new Map();
+    const contextOf = (person) => {
+      if (!contexts.has(person.id)) contexts.set(person.id, getValidationContext(data, person.id));
+      return contexts.get(person.id);
+    };
+
+    const candidates = [];
+    const compare = (a, b, blockKey) => {
+      const candidate = this.scorePair(a, b, contextOf);
+      if (candidate && candidate.score >= minScore) candidates.push({ ...candidate, blockKey });
+    };
+
+    blocks.forEach((people, key) => {
+      // Within the block, then against the next decade so 1849/1851 still meet
+      for (let i = 0; i < people.length; i++) {
+        for (let j = i + 1; j < people.length; j++) compare(people[i], people[j], key);
+      }
+      const [code, decade] = key.split(':');
+      const next = decade !== '?' ? blocks.get(`${code}:${parseInt(decade, 10) + 10}`) : null;
+      (next || []).forEach(later => people.forEach(person => compare(person, later, key)));
+    });
+
+    return candidates.sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Group people by "<surname soundex>:<birth decade>"; undated people share a "?" decade.
+   * People without a surname cannot be blocked and are skipped.
+   */
+  buildBlocks(individuals) {
+    const blocks = new Map();
+    individuals.forEach(person => {
+      const key = this.blockKey(person);
+      if (!key) return;
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(person);
+    });
+    return blocks;
+  }
+
+  blockKey(person) {
+    const surname = (person.familyNames || '').replace(/[^A-Za-z\s]/g, '').trim().split(/\s+/)[0];
+    if (!surname) return null;
+    const year = this.scorer.extractYear(person.birthDate);
+    return `${this.nameMatcher.soundex(surname)}:${year ? Math.floor(year / 10) * 10 : '?'}`;
+  }
+
+  /**
+   * Score one pair, or null when they cannot be the same person
+   */
+  scorePair(a, b, contextOf) {
+    if (['M', 'F'].includes(a.sex) && ['M', 'F'].includes(b.sex) && a.sex !== b.sex) return null;
+
+    const names = this.nameMatcher.matchFullNames(a, b);
+    if (names.overallScore < this.minNameScore) return null;
+
+    const contextA = contextOf(a);
+    const contextB = contextOf(b);
+    if (this.areLinked(a, b, contextA)) return null;
+
+    return this.scoreCandidate(a, b, contextA, contextB, names);
+  }
+
+  /**
+   * Score two people already known to be plausible: names, dates, places and family.
+   * Also used to compare people from different trees, where family links cannot be checked.
+   */
+  scoreCandidate(a, b, contextA, contextB, names = this.nameMatcher.matchFullNames(a, b)) {
+    // ConfidenceScorer compares a tree person against an external record shape
+    const person = { ...a, parents: contextA.parents, spouses: contextA.spouses };
+    const record = this.asRecord(b, contextB);
+    const scores = {
+      nameMatch: names.overallScore,
+      dateMatch: this.scorer.scoreDateMatch(person, record),
+      locationMatch: this.scorer.scoreLocationMatch(person, record),
+      familyContext: this.scorer.scoreFamilyContext(person, record)
+    };
+
+    const totalWeight = PAIR_FACTORS.reduce((sum, factor) => sum + this.scorer.weights[factor], 0);
+    let score = PAIR_FACTORS.reduce((sum, factor) => sum + scores[factor] * this.scorer.weights[factor], 0) / totalWeight;
+
+    const concerns = this.scorer.identifyConcerns({ ...scores, recordQuality: 1 }, person, record);
+    const deathA = this.scorer.extractYear(a.deathDate);
+    const deathB = this.scorer.extractYear(b.deathDate);
+    if (deathA && deathB && Math.abs(deathA - deathB) > 2) {
+      score *= 0.7;
+      concerns.push(`Death years differ (${deathA} vs ${deathB})`);
+    }
+    score = Math.round(score * 100) / 100;
+
+    return {
+      id: `${a.id}|${b.id}`,
+      score,
+      scores,
+      recommendation: this.scorer.getRecommendation(score),
+      matchingFactors: this.scorer.getMatchingFactors({ ...scores, recordQuality: 0 }),
+      concerns,
+      people: [this.describe(a, contextA), this.describe(b, contextB)]
+    };
+  }
+
+  // Spouses of each other or parent and child are never the same person
+  areLinked(a, b, contextA) {
+    const parents = [contextA.parents.father, contextA.parents.mother].filter(Boolean);
+    return parents.some(parent => parent.id === b.id) ||
+      contextA.children.some(child => child.id === b.id) ||
+      contextA.spouses.some(spouse => spouse.id === b.id);
+  }
+
+  asRecord(person, context) {
+    const nameOf = (individual) => `${individual.givenNames || ''} ${individual.familyNames || ''}`.trim();
+    return {
+      name: nameOf(person),
+      birth: person.birthDate || '',
+      location: person.birthPlace || '',
+      fatherName: context.parents.father ? nameOf(context.parents.father) : '',
+      motherName: context.parents.mother ? nameOf(context.parents.mother) : '',
+      spouseName: context.spouses[0] ? nameOf(context.spouses[0]) : ''
+    };
+  }
+
+  // What the review screen shows for each side of a pair
+  describe(person, context) {
+    const brief = (individual) => ({
+      id: individual.id,
+      givenNames: individual.givenNames || '',
+      familyNames: individual.familyNames || ''
+    });
+    return {
+      id: person.id,
+      givenNames: person.givenNames || '',
+      familyNames: person.familyNames || '',
+      sex: person.sex || 'U',
+      birthDate: person.birthDate || '',
+      birthPlace: person.birthPlace || '',
+      deathDate: person.deathDate || '',
+      deathPlace: person.deathPlace || '',
+      father: context.parents.father ? brief(context.parents.father) : null,
+      mother: context.parents.mother ? brief(context.parents.mother) : null,
+      spouses: context.spouses.map(brief),
+      childCount: context.children.length,
+      citationCount: (person.citations || []).length +
+        (person.events || []).reduce((sum, event) => sum + (event.sources || []).length, 0)
+    };
+  }
+
+  /**
+   * Merge the duplicate into the survivor and append the merge to data.mergeLog
+   * @returns {Object|null} The merge log entry
+   */
+  mergePair(data, survivorId, duplicateId, prefer = {}) {
+    const merged = mergeIndividuals(data, survivorId, duplicateId, prefer);
+    if (!merged) return null;
+
+    data.mergeLog = data.mergeLog || [];
+    const entry = {
+      id: `M${data.mergeLog.length + 1}`,
+      mergedAt: new Date().toISOString(),
+      survivorId: merged.survivor.id,
+      duplicateId: merged.duplicate.id,
+      survivorName: `${merged.survivor.givenNames || ''} ${merged.survivor.familyNames || ''}`.trim(),
+      duplicateName: `${merged.duplicate.givenNames || ''} ${merged.duplicate.familyNames || ''}`.trim(),
+      fieldsTaken: merged.fieldsTaken,
+      familyIds: merged.familyIds,
+      duplicate: merged.duplicate
+    };
+    data.mergeLog.push(entry);
+    return entry;
+  }
+}
+
+module.exports = { DuplicateFinderService };
@@ -0,0 +1,389 @@
+/**
+ * Import a second GEDCOM file into an existing tree.
+ * prepareImport matches every incoming individual against the tree (surname Soundex and
+ * birth decade blocks, scored like in-tree duplicates) and proposes "same" or "new" for
+ * each. applyImport takes the reviewed decisions: incoming records get fresh xrefs in the
+ * tree's convention, "same" people are merged into their match with mergeIndividuals,
+ * "skip" people are dropped, and a family that repeats an existing couple is folded into it.
+ */
+
+const { DuplicateFinderService } = require('./duplicateFinderService');
+const {
+  allocateId,
+  findIndividual,
+  findFamily,
+  getValidationContext,
+  mergeCitations,
+  mergeIndividuals,
+  removeIndividual
+} = require('../utils/gedcomTree');
+
+const IMPORT_ACTIONS = ['same', 'new', 'skip'];
+
+// Shared records (raw GedcomNodes) brought over with the people that point at them
+const RECORD_COLLECTIONS = ['notes', 'sharedNotes', 'media'];
+
+const MAX_CANDIDATES = 3;
+
+// Replace every incoming xref, including childPedigree keys
+const remapPointers = (value, xrefMap) => {
+  if (typeof value === 'string') return xrefMap.get(value) || value;
+  if (Array.isArray(value)) return value.map(item => remapPointers(item, xrefMap));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [xrefMap.get(key) || key, remapPointers(item, xrefMap)])
+    );
+  }
+  return value;
+};
+
+const normalizeKey = (...parts) => parts.map(part => (part || '').trim().toLowerCase()).join('|');
+
+class GedcomImportService {
+  constructor() {
+    this.duplicateFinder = new DuplicateFinderService();
+    this.scorer = this.duplicateFinder.scorer;
+  }
+
+  /**
+   * Build the review queue for an incoming tree
+   * @param {Object} data - The user's decrypted tree
+   * @param {Object} incoming - parseGedcomContent output for the new file
+   * @returns {Object[]} One item per incoming individual with candidates and a suggestion
+   */
+  prepareImport(data, incoming) {
+    const minScore = this.scorer.thresholds.needsReview;
+    const blocks = this.duplicateFinder.buildBlocks(data.individuals || []);
+    const existingContexts = new Map();
+    const existingContext = (person) => {
+      if (!existingContexts.has(person.id)) existingContexts.set(person.id, getValidationContext(data, person.id));
+      return existingContexts.get(person.id);
+    };
+
+    const queue = (incoming.individuals || []).map(person => {
+      const context = getValidationContext(incoming, person.id);
+      const candidates = this.candidatesFor(person, blocks)
+        .map(existing => this.scoreMatch(person, existing, context, existingContext(existing)))
+        .filter(match => match && match.score >= minScore)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, MAX_CANDIDATES);
+
+      return {
+        incomingId: person.id,
+        person: this.duplicateFinder.describe(person, context),
+        candidates,
+        suggestion: { action: 'new', targetId: null }
+      };
+    });
+
+    this.suggestMatches(queue);
+    return queue;
+  }
+
+  // Existing people in the same surname block within a decade either side; undated people meet everyone
+  candidatesFor(person, blocks) {
+    const key = this.duplicateFinder.blockKey(person);
+    if (!key) return [];
+
+    const [code, decade] = key.split(':');
+    const keys = decade === '?'
+      ? [...blocks.keys()].filter(candidate => candidate.startsWith(`${code}:`))
+      : [-10, 0, 10].map(offset => `${code}:${parseInt(decade, 10) + offset}`).concat(`${code}:?`);
+
+    return keys.flatMap(candidate => blocks.get(candidate) || []);
+  }
+
+  scoreMatch(person, existing, context, existingContext) {
+    if (['M', 'F'].includes(person.sex) && ['M', 'F'].includes(existing.sex) && person.sex !== existing.sex) return null;
+
+    const names = this.duplicateFinder.nameMatcher.matchFullNames(person, existing);
+    if (names.overallScore < this.duplicateFinder.minNameScore) return null;
+
+    const scored = this.duplicateFinder.scoreCandidate(person, existing, context, existingContext, names);
+    return {
+      personId: existing.id,
+      score: scored.score,
+      recommendation: scored.recommendation,
+      matchingFactors: scored.matchingFactors,
+      concerns: scored.concerns,
+      person: scored.people[1]
+    };
+  }
+
+  // Strong matches become "same", best first, so no existing person is claimed twice
+  suggestMatches(queue) {
+    const pairs = queue.flatMap(item => item.candidates
+      .filter(candidate => candidate.score >= this.scorer.thresholds.autoAccept)
+      .map(candidate => ({ item, candidate })));
+
+    const claimed = new Set();
+    pairs
+      .sort((a, b) => b.candidate.score - a.candidate.score)
+      .forEach(({ item, candidate }) => {
+        if (item.suggestion.action === 'same' || claimed.has(candidate.personId)) return;
+        claimed.add(candidate.personId);
+        item.suggestion = { action: 'same', targetId: candidate.personId };
+      });
+  }
+
+  summarize(queue) {
+    return {
+      totalIncoming: queue.length,
+      withCandidates: queue.filter(item => item.candidates.length > 0).length,
+      suggestedSame: queue.filter(item => item.suggestion.action === 'same').length,
+      suggestedNew: queue.filter(item => item.suggestion.action === 'new').length
+    };
+  }
+
+  /**
+   * Reviewed decisions for every queue item; items the user did not touch keep the suggestion
+   * @returns {Map} incomingId -> { action, targetId }
+   */
+  resolveDecisions(queue, decisions = {}) {
+    return new Map(queue.map(item => {
+      const decision = decisions[item.incomingId];
+      if (!decision) return [item.incomingId, item.suggestion];
+      return [item.incomingId, { action: decision.action, targetId: decision.action === 'same' ? decision.targetId : null }];
+    }));
+  }
+
+  /**
+   * Merge the incoming tree into data in place
+   * @param {Object} data - The user's decrypted tree
+   * @param {Object} incoming - The parsed import (not modified)
+   * @param {Map} decisions - From resolveDecisions
+   * @returns {Object} Counts and the merges made
+   */
+  applyImport(data, incoming, decisions) {
+    const source = JSON.parse(JSON.stringify(incoming));
+    const skipped = [...decisions].filter(([, decision]) => decision.action === 'skip').map(([id]) => id);
+    const familyIds = new Set((source.families || []).map(family => family.id));
+    skipped.forEach(personId => removeIndividual(source, personId));
+
+    // Pointers to skipped people and to families that emptied out would dangle or clash with tree ids
+    const remainingFamilies = new Set((source.families || []).map(family => family.id));
+    const dropped = new Set([...skipped, ...[...familyIds].filter(familyId => !remainingFamilies.has(familyId))]);
+    (source.individuals || []).forEach(person => {
+      person.otherTags = (person.otherTags || []).filter(tag => !dropped.has(tag.value));
+    });
+
+    data.individuals = data.individuals || [];
+    data.families = data.families || [];
+    data.sources = data.sources || [];
+    data.repositories = data.repositories || [];
+    data.records = data.records || {};
+
+    const { xrefMap, matchedSources, matchedRepositories } = this.buildXrefMap(data, source);
+    const remapped = remapPointers(source, xrefMap);
+
+    const importedFamilyIds = new Set((remapped.families || []).map(family => family.id));
+    data.individuals.push(...(remapped.individuals || []));
+    data.families.push(...(remapped.families || []));
+    data.sources.push(...(remapped.sources || []).filter(record => !matchedSources.has(record.id)));
+    data.repositories.push(...(remapped.repositories || []).filter(record => !matchedRepositories.has(record.id)));
+    RECORD_COLLECTIONS.forEach(collection => {
+      data.records[collection] = [...(data.records[collection] || []), ...((remapped.records || {})[collection] || [])];
+    });
+
+    const merged = [];
+    decisions.forEach((decision, incomingId) => {
+      if (decision.action !== 'same') return;
+      const result = mergeIndividuals(data, decision.targetId, xrefMap.get(incomingId));
+      if (result) merged.push({ incomingId, personId: decision.targetId, fieldsTaken: result.fieldsTaken });
+    });
+
+    const foldedFamilies = this.foldFamilies(data, importedFamilyIds);
+
+    return {
+      added: (remapped.individuals || []).length - merged.length,
+      merged,
+      skipped: skipped.length,
+      familiesAdded: importedFamilyIds.size - foldedFamilies.length,
+      familiesMerged: foldedFamilies.length,
+      sourcesAdded: (remapped.sources || []).length - matchedSources.size,
+      sourcesMatched: matchedSources.size,
+      repositoriesAdded: (remapped.repositories || []).length - matchedRepositories.size
+    };
+  }
+
+  /**
+   * New xrefs for everything coming in. Sources with the same title and author, and
+   * repositories with the same name, map onto the tree's existing record.
+   */
+  buildXrefMap(data, source) {
+    const xrefMap = new Map();
+    const taken = new Set([
+      ...data.individuals.map(record => record.id),
+      ...data.families.map(record => record.id),
+      ...data.sources.map(record => record.id),
+      ...data.repositories.map(record => record.id),
+      ...Object.values(data.records).flatMap(records => (records || []).map(record => record.xref))
+    ].filter(Boolean));
+
+    const assign = (incomingIds, sameKindIds, prefixOf) => {
+      const byPrefix = new Map();
+      incomingIds.forEach(id => {
+        const prefix = prefixOf(id);
+        if (!byPrefix.has(prefix)) byPrefix.set(prefix, []);
+        byPrefix.get(prefix).push(id);
+      });
+      byPrefix.forEach((ids, prefix) => {
+        const wrapped = sameKindIds.length > 0 ? null : ids[0].startsWith('@');
+        this.allocateIds(sameKindIds, prefix, ids.length, taken, wrapped).forEach((newId, index) => {
+          xrefMap.set(ids[index], newId);
+          taken.add(newId);
+        });
+      });
+    };
+
+    const sourceKeys = new Map(data.sources.filter(record => record.title)
+      .map(record => [normalizeKey(record.title, record.author), record.id]));
+    const matchedSources = new Set();
+    const newSources = [];
+    (source.sources || []).forEach(record => {
+      const existingId = record.title ? sourceKeys.get(normalizeKey(record.title, record.author)) : null;
+      if (existingId) {
+        xrefMap.set(record.id, existingId);
+        matchedSources.add(existingId);
+      } else {
+        newSources.push(record.id);
+      }
+    });
+
+    const repositoryKeys = new Map(data.repositories.filter(record => record.name)
+      .map(record => [normalizeKey(record.name), record.id]));
+    const matchedRepositories = new Set();
+    const newRepositories = [];
+    (source.repositories || []).forEach(record => {
+      const existingId = record.name ? repositoryKeys.get(normalizeKey(record.name)) : null;
+      if (existingId) {
+        xrefMap.set(record.id, existingId);
+        matchedRepositories.add(existingId);
+      } else {
+        newRepositories.push(record.id);
+      }
+    });
+
+    assign((source.individuals || []).map(record => record.id), data.individuals.map(record => record.id), () => 'I');
+    assign((source.families || []).map(record => record.id), data.families.map(record => record.id), () => 'F');
+    assign(newSources, data.sources.map(record => record.id), () => 'S');
+    assign(newRepositories, data.repositories.map(record => record.id), () => 'R');
+    RECORD_COLLECTIONS.forEach(collection => {
+      assign(
+        ((source.records || {})[collection] || []).map(record => record.xref).filter(Boolean),
+        (data.records[collection] || []).map(record => record.xref),
+        (xref) => xref.replace(/@/g, '').replace(/\d+$/, '') || 'X'
+      );
+    });
+
+    return { xrefMap, matchedSources, matchedRepositories };
+  }
+
+  // Consecutive ids after the highest existing one, in that kind's wrapped/unwrapped convention
+  // (or the incoming file's when the tree has none of that kind yet)
+  allocateIds(sameKindIds, prefix, count, taken, wrappedWhenNew = null) {
+    const first = allocateId(sameKindIds, prefix);
+    const wrapped = wrappedWhenNew ?? first.startsWith('@');
+    let next = parseInt(first.replace(/\D/g, ''), 10);
+
+    const ids = [];
+    while (ids.length < count) {
+      const candidate = wrapped ? `@${prefix}${next}@` : `${prefix}${next}`;
+      if (!taken.has(candidate)) ids.push(candidate);
+      next++;
+    }
+    return ids;
+  }
+
+  /**
+   * Once "same" people are merged, an imported family can repeat a couple the tree
+   * already has. Fold its children, events and extra tags into the existing family.
+   * @returns {Object[]} { familyId, intoFamilyId } for each folded family
+   */
+  foldFamilies(data, importedFamilyIds) {
+    const folded = [];
+
+    importedFamilyIds.forEach(familyId => {
+      const family = findFamily(data, familyId);
+      if (!family || !(family.husband || family.wife)) return;
+
+      const existing = data.families.find(candidate =>
+        !importedFamilyIds.has(candidate.id) &&
+        candidate.husband === family.husband &&
+        candidate.wife === family.wife &&
+        ((family.husband && family.wife) ||
+          (family.children || []).some(childId => (candidate.children || []).includes(childId)))
+      );
+      if (!existing) return;
+
+      existing.children = existing.children || [];
+      existing.childPedigree = existing.childPedigree || {};
+      (family.children || []).forEach(childId => {
+        if (existing.children.includes(childId)) return;
+        existing.children.push(childId);
+        const pedigree = (family.childPedigree || {})[childId];
+        if (pedigree) existing.childPedigree[childId] = pedigree;
+      });
+
+      // The first marriage and identical events fold together, as births and deaths do for people
+      existing.events = existing.events || [];
+      (family.events || []).forEach(event => {
+        const match = existing.events.find(current =>
+          current.type === event.type && (
+            event.type === 'MARR' ||
+            ((current.date || '') === (event.date || '') && (current.place || '') === (event.place || ''))
+          )
+        );
+        if (!match) {
+          existing.events.push(event);
+          return;
+        }
+        match.sources = mergeCitations(match.sources || [], event.sources || []);
+        ['date', 'place', 'age', 'cause', 'eventType'].forEach(key => {
+          if (!match[key] && event[key]) match[key] = event[key];
+        });
+      });
+      if (!existing.marriageDate && family.marriageDate) existing.marriageDate = family.marriageDate;
+      if (!existing.marriagePlace && family.marriagePlace) existing.marriagePlace = family.marriagePlace;
+
+      const existingTags = new Set((existing.otherTags || []).map(tag => JSON.stringify(tag)));
+      existing.otherTags = [
+        ...(existing.otherTags || []),
+        ...(family.otherTags || []).filter(tag =>
+          !['HUSB', 'WIFE', 'CHIL'].includes(tag.tag.toUpperCase()) && !existingTags.has(JSON.stringify(tag))
+        )
+      ];
+
+      data.families = data.families.filter(candidate => candidate !== family);
+      // FAMC/FAMS residues on members still point at the folded family
+      data.individuals.forEach(person => {
+        person.otherTags = (person.otherTags || []).map(tag =>
+          (['FAMC', 'FAMS'].includes(tag.tag.toUpperCase()) && tag.value === family.id ? { ...tag, value: existing.id } : tag)
+        );
+      });
+
+      folded.push({ familyId: family.id, intoFamilyId: existing.id });
+    });
+
+    return folded;
+  }
+
+  // Decisions (as sent, plus untouched suggestions) that cannot be applied to the tree as it is now
+  validateDecisions(data, queue, decisions = {}) {
+    const incomingIds = new Set(queue.map(item => item.incomingId));
+    const problems = Object.keys(decisions)
+      .filter(incomingId => !incomingIds.has(incomingId))
+      .map(incomingId => `${incomingId} is not part of this import`);
+
+    this.resolveDecisions(queue, decisions).forEach((decision, incomingId) => {
+      if (!IMPORT_ACTIONS.includes(decision.action)) {
+        problems.push(`Unknown action "${decision.action}" for ${incomingId}`);
+      } else if (decision.action === 'same' && !findIndividual(data, decision.targetId)) {
+        problems.push(`Person with ID ${decision.targetId} (chosen for ${incomingId}) not found`);
+      }
+    });
+    return problems;
+  }
+}
+
+module.exports = { GedcomImportService, IMPORT_ACTIONS };
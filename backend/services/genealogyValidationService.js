@@ -46,7 +46,18 @@ class GenealogyValidationService {
     const normalized = {};
     
     for (const [relation, person] of Object.entries(familyContext)) {
-      if (person) {
+      if (!person) continue;
+
+      if (Array.isArray(person)) {
+        // spouses / children / siblings lists
+        normalized[relation] = person.filter(Boolean).map(member => this.normalizePersonNames(member));
+      } else if (relation === 'parents') {
+        // nested { father, mother } structure
+        normalized.parents = {
+          father: person.father ? this.normalizePersonNames(person.father) : null,
+          mother: person.mother ? this.normalizePersonNames(person.mother) : null
+        };
+      } else {
         normalized[relation] = this.normalizePersonNames(person);
       }
     }
@@ -105,6 +116,38 @@ class GenealogyValidationService {
     return validationResults;
   }
 
+  /**
+   * Consistency checks only (core data, relationships, timeline, lifespan), without
+   * the historical-context and quality scoring of validatePersonRecord. Used by the tree audit.
+   * @returns {Object} { issues, warnings }
+   */
+  auditPersonRecord(person, familyContext = {}) {
+    const results = { issues: [], warnings: [] };
+
+    person = this.normalizePersonNames(person);
+    familyContext = this.normalizeFamilyContext(familyContext);
+
+    this.validateCoreData(person, results);
+    this.validateRelationships(person, familyContext, results);
+    this.validateTimeline(person, familyContext, results);
+
+    // validateCoreData only reports impossible lifespans; surface the implausible ones too
+    if (person.birthDate && person.deathDate) {
+      const lifespan = this.validateLifespan(person.birthDate, person.deathDate);
+      if (lifespan.isValid && lifespan.severity === 'warning') {
+        results.warnings.push({
+          type: 'long_lifespan',
+          severity: 'warning',
+          message: lifespan.reason,
+          field: 'lifespan',
+          calculatedAge: lifespan.age
+        });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Validate core person data (dates, names, basic info)
    */
@@ -255,6 +298,84 @@ class GenealogyValidationService {
     });
   }
 
+  /**
+   * Validate the person's age at each child's birth
+   */
+  validateChildrenAges(person, children, results) {
+    const personBirthYear = this.extractYear(person.birthDate);
+    const personDeathYear = this.extractYear(person.deathDate);
+    if (!personBirthYear && !personDeathYear) return;
+
+    children.forEach(child => {
+      const childBirthYear = this.extractYear(child.birthDate);
+      if (!childBirthYear) return;
+
+      const childName = `${child.givenNames || ''} ${child.familyNames || ''}`.trim();
+
+      if (personBirthYear) {
+        const ageAtBirth = childBirthYear - personBirthYear;
+
+        if (ageAtBirth < this.MIN_PARENT_AGE) {
+          results.issues.push({
+            type: 'child_born_parent_too_young',
+            severity: 'error',
+            message: `Would be ${ageAtBirth} years old at the birth of ${childName || 'a child'} (minimum: ${this.MIN_PARENT_AGE})`,
+            field: 'childAge',
+            childName: childName,
+            calculatedAge: ageAtBirth
+          });
+        } else if (ageAtBirth > this.MAX_PARENT_AGE) {
+          results.warnings.push({
+            type: 'child_born_parent_very_old',
+            severity: 'warning',
+            message: `Would be ${ageAtBirth} years old at the birth of ${childName || 'a child'} (unusual for the era)`,
+            field: 'childAge',
+            childName: childName,
+            calculatedAge: ageAtBirth
+          });
+        }
+      }
+
+      // Same rule as parent_died_before_birth, seen from the parent's side
+      if (personDeathYear && childBirthYear > personDeathYear) {
+        results.issues.push({
+          type: 'child_born_after_death',
+          severity: 'error',
+          message: `${childName || 'A child'} was born in ${childBirthYear}, after this person's death in ${personDeathYear}`,
+          field: 'timeline',
+          childName: childName
+        });
+      }
+    });
+  }
+
+  /**
+   * Validate that siblings' birth years are plausible for one set of parents
+   */
+  validateSiblingAges(person, siblings, results) {
+    const personBirthYear = this.extractYear(person.birthDate);
+    if (!personBirthYear) return;
+
+    const maxGap = this.MAX_PARENT_AGE - this.MIN_PARENT_AGE;
+
+    siblings.forEach(sibling => {
+      const siblingBirthYear = this.extractYear(sibling.birthDate);
+      if (!siblingBirthYear) return;
+
+      const gap = Math.abs(personBirthYear - siblingBirthYear);
+      if (gap > maxGap) {
+        results.warnings.push({
+          type: 'large_sibling_age_gap',
+          severity: 'warning',
+          message: `Sibling born ${gap} years apart (more than ${maxGap} years)`,
+          field: 'siblingAge',
+          siblingName: `${sibling.givenNames || ''} ${sibling.familyNames || ''}`.trim(),
+          ageDifference: gap
+        });
+      }
+    });
+  }
+
   /**
    * Validate spouse age differences and marriage ages
    */
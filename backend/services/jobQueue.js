@@ -0,0 +1,315 @@
+/**
+ * Background jobs stored in MongoDB, for work that would time out an HTTP request:
+ * parsing an uploaded GEDCOM file, auditing a whole tree, searching external sources.
+ *
+ * Routes enqueue a job with JobQueue and answer at once with its jobId; the client polls
+ * GET /api/jobs/:jobId for progress and the result. A JobWorker in the server process claims
+ * queued jobs one at a time with an atomic update, so several processes can share the queue.
+ * Failed attempts are retried with exponential backoff; a worker that dies mid-job leaves a
+ * stale lock and the job is queued again. Cancelling a running job aborts the handler's signal.
+ */
+
+const crypto = require('crypto');
+const os = require('os');
+const { Job } = require('../models/Job');
+const User = require('../models/User');
+const { encryptData, decryptData } = require('../utils/helpers');
+
+const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+const POLL_INTERVAL_MS = intFromEnv('JOB_POLL_INTERVAL_MS', 1000);
+const CONCURRENCY = Math.max(1, intFromEnv('JOB_CONCURRENCY', 2));
+const RETENTION_DAYS = intFromEnv('JOB_RETENTION_DAYS', 7);
+const RETRY_DELAY_MS = intFromEnv('JOB_RETRY_DELAY_MS', 5000);
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const HEARTBEAT_MS = 5000;
+const STALE_LOCK_MS = 60 * 1000;
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+// A failure that another attempt cannot fix, e.g. the person to search for no longer exists
+class PermanentJobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PermanentJobError';
+  }
+}
+
+const encryptJson = (value, key) => JSON.stringify(encryptData(JSON.stringify(value), key));
+const decryptJson = (stored, key) => JSON.parse(decryptData(JSON.parse(stored), key));
+
+const expiresFrom = (date) => new Date(date.getTime() + RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+class JobQueue {
+  /**
+   * Queue a job for a user
+   * @param {Object} [options]
+   * @param {string} [options.key] - While a job of this type and key is queued or running,
+   *   that job is returned instead of queueing another
+   * @param {number} [options.maxAttempts] - Attempts before the job is marked failed
+   * @returns {Object} The Job document
+   */
+  async enqueue(user, type, payload = {}, { key = null, maxAttempts = 3 } = {}) {
+    if (key) {
+      const active = await Job.findOne({ userId: user._id, type, key, status: { $in: ACTIVE_STATUSES } });
+      if (active) {
+        return active;
+      }
+    }
+
+    const job = new Job({
+      jobId: crypto.randomBytes(12).toString('hex'),
+      type,
+      userId: user._id,
+      key,
+      maxAttempts,
+      encryptedPayload: encryptJson(payload, user.encryptionKey)
+    });
+    await job.save();
+
+    console.log(`📥 Queued ${type} job ${job.jobId}`);
+    return job;
+  }
+
+  // A user's job, or null when it does not exist or belongs to someone else
+  async find(userId, jobId) {
+    return Job.findOne({ jobId, userId });
+  }
+
+  // A user's most recent job of a type (and key, when given), whatever its status
+  async findLatest(userId, type, key = null) {
+    return Job.findOne({ userId, type, ...(key ? { key } : {}) }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Cancel a job: a queued job is cancelled at once, a running one is asked to stop
+   * and is marked cancelled when its handler returns
+   * @returns {Object|null} The updated Job document; null when no such job
+   */
+  async cancel(userId, jobId) {
+    const now = new Date();
+    const queued = await Job.findOneAndUpdate(
+      { jobId, userId, status: 'queued' },
+      { $set: { status: 'cancelled', cancelRequested: true, finishedAt: now, expiresAt: expiresFrom(now) } },
+      { new: true }
+    );
+    if (queued) {
+      console.log(`🛑 Cancelled queued job ${jobId}`);
+      return queued;
+    }
+
+    const running = await Job.findOneAndUpdate(
+      { jobId, userId, status: 'running' },
+      { $set: { cancelRequested: true } },
+      { new: true }
+    );
+    if (running) {
+      console.log(`🛑 Cancellation requested for running job ${jobId}`);
+      return running;
+    }
+
+    return this.find(userId, jobId);
+  }
+
+  readPayload(job, user) {
+    return job.encryptedPayload ? decryptJson(job.encryptedPayload, user.encryptionKey) : {};
+  }
+
+  readResult(job, user) {
+    return job.encryptedResult ? decryptJson(job.encryptedResult, user.encryptionKey) : null;
+  }
+
+  /**
+   * A job as the API returns it; the result is included once the job has completed
+   */
+  describe(job, user) {
+    return {
+      jobId: job.jobId,
+      type: job.type,
+      status: job.status,
+      progress: {
+        current: job.progress?.current || 0,
+        total: job.progress?.total || 0,
+        message: job.progress?.message || ''
+      },
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      cancelRequested: job.cancelRequested,
+      error: job.error,
+      nextAttemptAt: job.status === 'queued' && job.attempts > 0 ? job.runAt : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      result: job.status === 'completed' ? this.readResult(job, user) : null
+    };
+  }
+}
+
+/**
+ * Runs queued jobs in this process. Handlers are objects { type, run } where
+ * run({ job, user, payload, signal, reportProgress }) returns the job's result;
+ * reportProgress(current, total, message) may be awaited and signal is aborted
+ * when the job is cancelled.
+ */
+class JobWorker {
+  constructor() {
+    this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.queue = new JobQueue();
+    this.handlers = new Map();
+    this.running = new Map(); // jobId -> AbortController
+    this.timer = null;
+    this.ticking = false;
+    this.lastRecovery = 0;
+  }
+
+  register(handler) {
+    this.handlers.set(handler.type, handler);
+    return this;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), POLL_INTERVAL_MS);
+    console.log(`⚙️ Job worker ${this.workerId} started (${[...this.handlers.keys()].join(', ')}; ${CONCURRENCY} at a time)`);
+  }
+
+  // Stop claiming jobs; the ones in progress run to completion
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    try {
+      if (Date.now() - this.lastRecovery > STALE_LOCK_MS / 2) {
+        this.lastRecovery = Date.now();
+        await this.recoverStaleJobs();
+      }
+
+      while (this.running.size < CONCURRENCY) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.run(job);
+      }
+    } catch (error) {
+      console.error('❌ Job worker poll failed:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async claimNext() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      { status: 'queued', runAt: { $lte: now }, type: { $in: [...this.handlers.keys()] } },
+      {
+        $set: { status: 'running', workerId: this.workerId, lockedAt: now, startedAt: now },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  // Jobs whose worker stopped refreshing the lock are queued again, or failed when out of attempts
+  async recoverStaleJobs() {
+    const now = new Date();
+    const stale = { status: 'running', lockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } };
+    const outOfAttempts = { $expr: { $gte: ['$attempts', '$maxAttempts'] } };
+
+    await Job.updateMany({ ...stale, ...outOfAttempts }, {
+      $set: { status: 'failed', error: 'Worker stopped responding', workerId: null, finishedAt: now, expiresAt: expiresFrom(now) }
+    });
+    const requeued = await Job.updateMany(stale, {
+      $set: { status: 'queued', error: 'Worker stopped responding', workerId: null, runAt: now }
+    });
+    if (requeued.modifiedCount > 0) {
+      console.log(`♻️ Requeued ${requeued.modifiedCount} jobs from workers that stopped responding`);
+    }
+  }
+
+  async run(job) {
+    const controller = new AbortController();
+    this.running.set(job.jobId, controller);
+    const owned = { _id: job._id, workerId: this.workerId, status: 'running' };
+
+    // Refresh the lock, and notice cancellation requested through the API
+    const touch = async (fields = {}) => {
+      const current = await Job.findOneAndUpdate(owned, { $set: { lockedAt: new Date(), ...fields } }, { new: true })
+        .select('cancelRequested');
+      if (!current || current.cancelRequested) controller.abort();
+    };
+    const heartbeat = setInterval(() => touch().catch(() => {}), HEARTBEAT_MS);
+
+    console.log(`▶️ Running ${job.type} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+    try {
+      const handler = this.handlers.get(job.type);
+      const user = await User.findById(job.userId);
+      if (!user) {
+        throw new PermanentJobError('User not found');
+      }
+
+      const result = await handler.run({
+        job,
+        user,
+        payload: this.queue.readPayload(job, user),
+        signal: controller.signal,
+        reportProgress: (current, total, message = '') =>
+          touch({ progress: { current, total, message } }).catch(() => {})
+      });
+
+      const now = new Date();
+      if (controller.signal.aborted) {
+        await this.finish(owned, { status: 'cancelled', finishedAt: now, expiresAt: expiresFrom(now) });
+        console.log(`🛑 ${job.type} job ${job.jobId} cancelled`);
+        return;
+      }
+
+      await this.finish(owned, {
+        status: 'completed',
+        error: null,
+        encryptedResult: encryptJson(result ?? null, user.encryptionKey),
+        finishedAt: now,
+        expiresAt: expiresFrom(now)
+      });
+      console.log(`✅ ${job.type} job ${job.jobId} completed`);
+    } catch (error) {
+      await this.fail(job, owned, controller.signal.aborted, error).catch(updateError => {
+        console.error(`❌ Failed to record failure of job ${job.jobId}:`, updateError.message);
+      });
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(job.jobId);
+    }
+  }
+
+  async fail(job, owned, aborted, error) {
+    const now = new Date();
+
+    if (aborted) {
+      await this.finish(owned, { status: 'cancelled', finishedAt: now, expiresAt: expiresFrom(now) });
+      console.log(`🛑 ${job.type} job ${job.jobId} cancelled`);
+      return;
+    }
+
+    if (error instanceof PermanentJobError || job.attempts >= job.maxAttempts) {
+      await this.finish(owned, { status: 'failed', error: error.message, finishedAt: now, expiresAt: expiresFrom(now) });
+      console.error(`❌ ${job.type} job ${job.jobId} failed:`, error.message);
+      return;
+    }
+
+    const delay = Math.min(RETRY_DELAY_MS * 2 ** (job.attempts - 1), MAX_RETRY_DELAY_MS);
+    await this.finish(owned, { status: 'queued', error: error.message, runAt: new Date(now.getTime() + delay) });
+    console.warn(`⚠️ ${job.type} job ${job.jobId} failed (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, error.message);
+  }
+
+  finish(owned, fields) {
+    return Job.updateOne(owned, { $set: { workerId: null, lockedAt: null, ...fields } });
+  }
+}
+
+module.exports = { JobQueue, JobWorker, PermanentJobError };
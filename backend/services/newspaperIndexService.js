@@ -0,0 +1,462 @@
+/**
+ * Local full-text index of newspaper pages, and the search the newspaper record provider runs over it.
+ *
+ * Pages come from:
+ *   - Chronicling America batch downloads: <lccn>/<yyyy>/<mm>/<dd>/ed-<n>/seq-<n>/ocr.txt
+ *     (or <lccn>/<yyyy-mm-dd>/ed-<n>/seq-<n>/ocr.txt)
+ *   - Chronicling America page JSON: one page, an array, or { items: [...] } / { pages: [...] } with ocr_eng
+ *   - Transcripts: any other .txt file, optionally starting with "Title:", "Date:", "Place:", "Page:" and
+ *     "URL:" lines and a blank line; the date can also come from the file name (1884-10-05 Boston Globe.txt)
+ *
+ * Every page stores its distinct words (terms) for finding candidate pages; names are then matched on the
+ * page text itself, all words of a name within a few words of its surname, so "Margaret (O'Brien) Kelly"
+ * and "KELLY, Margaret" are found as well as "Margaret Kelly".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { NewspaperCollection, NewspaperPage } = require('../models/NewspaperPage');
+const { MONTHS } = require('../utils/gedcomWriter');
+
+const INSERT_BATCH_SIZE = 200;
+// Candidate pages read from the index at a time
+const SEARCH_BATCH_SIZE = 200;
+
+// Words near a name that say what kind of notice mentions it
+const NOTICE_WORDS = {
+  obituary: ['obituary', 'obituaries', 'died', 'death', 'deaths', 'dead', 'deceased', 'funeral', 'burial', 'buried', 'interment', 'late', 'passed'],
+  marriage: ['married', 'marriage', 'marriages', 'wedding', 'wedded', 'nuptials', 'bride', 'groom', 'ceremony']
+};
+const NOTICE_RADIUS = 30;
+const SNIPPET_RADIUS = 15;
+
+// Chronicling America OCR bulk layout: lccn, issue date, edition and page sequence
+const BATCH_PAGE = /([a-z]{1,3}\d{8,10})[\\/](\d{4})[\\/-](\d{2})[\\/-](\d{2})[\\/]ed-(\d+)[\\/]seq-(\d+)[\\/]ocr\.txt$/i;
+
+const TRANSCRIPT_HEADERS = {
+  title: ['title', 'newspaper', 'paper'],
+  date: ['date', 'issue', 'issuedate'],
+  place: ['place', 'placeofpublication', 'published'],
+  sequence: ['page', 'sequence', 'seq'],
+  edition: ['edition', 'ed'],
+  url: ['url', 'link', 'source']
+};
+
+// Lowercase without accents or apostrophes, so "O'Brien" and "OBrien" are the same word
+const normalizeWord = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/['’]/g, '');
+
+/**
+ * The words of a text with their character offsets
+ * @returns {Object[]} [{ word, start, end, capitalized, before }] where word is normalized and before is
+ *   the text between the previous word and this one
+ */
+function tokenize(text) {
+  const source = String(text || '');
+  const tokens = [];
+  const pattern = /[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    tokens.push({
+      word: normalizeWord(match[0]),
+      start: match.index,
+      end: match.index + match[0].length,
+      capitalized: /^\p{Lu}/u.test(match[0]),
+      before: source.slice(tokens.length ? tokens[tokens.length - 1].end : 0, match.index)
+    });
+  }
+  return tokens;
+}
+
+const pageTerms = text => [...new Set(tokenize(text).map(token => token.word))];
+
+const nameWords = name => tokenize(name).map(token => token.word);
+
+/**
+ * An issue date as YYYY-MM-DD (or YYYY-MM, YYYY when that is all that is known).
+ * Accepts Chronicling America's YYYYMMDD, ISO dates and written dates such as "Oct. 5, 1884".
+ */
+function isoDate(value) {
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+  match = text.match(/^(\d{4})-(\d{2})$/);
+  if (match) return text;
+
+  const parsed = Date.parse(`${text.replace(/(\d)(st|nd|rd|th)\b/g, '$1').replace(/\./g, '')} UTC`);
+  if (/[a-z]/i.test(text) && /\d{4}/.test(text) && !Number.isNaN(parsed)) {
+    return new Date(parsed).toISOString().slice(0, 10);
+  }
+  match = text.match(/\b(1[6-9]\d{2}|20\d{2})\b/);
+  return match ? match[1] : '';
+}
+
+/**
+ * An ISO date as the app shows dates: "2024-10-05" -> "5 OCT 2024"
+ */
+function displayDate(date) {
+  const [year, month, day] = String(date || '').split('-');
+  if (!month) return year || '';
+  return [day && parseInt(day, 10), MONTHS[parseInt(month, 10) - 1], year].filter(Boolean).join(' ');
+}
+
+const yearOf = date => {
+  const year = parseInt(String(date || '').slice(0, 4), 10);
+  return Number.isFinite(year) ? year : null;
+};
+
+const listFiles = target => {
+  if (!fs.statSync(target).isDirectory()) return [target];
+  return fs.readdirSync(target, { withFileTypes: true })
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap(entry => listFiles(path.join(target, entry.name)));
+};
+
+/**
+ * A transcript's "Key: value" header lines (up to the first blank line) and its text
+ */
+function readTranscript(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const headers = {};
+  let index = 0;
+  for (; index < lines.length; index++) {
+    const header = lines[index].match(/^([A-Za-z ]{2,30}):\s*(.*)$/);
+    if (!header) break;
+    const key = header[1].toLowerCase().replace(/[^a-z]/g, '');
+    const field = Object.keys(TRANSCRIPT_HEADERS).find(name => TRANSCRIPT_HEADERS[name].includes(key));
+    if (!field) break;
+    headers[field] = header[2].trim();
+  }
+  // Headers only count when a blank line separates them from the text
+  if (index === 0 || (lines[index] || '').trim() !== '') return { headers: {}, text: content.trim() };
+  return { headers, text: lines.slice(index + 1).join('\n').trim() };
+}
+
+/**
+ * A Chronicling America page JSON item as a page
+ */
+function pageFromChroniclingAmerica(item) {
+  const id = String(item.id || item.url || '');
+  const date = isoDate(item.date);
+  return {
+    pageId: id.replace(/^\/?lccn\//, '').replace(/^https?:\/\/[^/]+\/lccn\//, '').replace(/\/$/, '') || `${item.lccn}/${date}/ed-${item.edition || 1}/seq-${item.sequence || 1}`,
+    title: String(item.title || '').replace(/\.$/, ''),
+    lccn: item.lccn || '',
+    date,
+    edition: parseInt(item.edition, 10) || null,
+    sequence: parseInt(item.sequence, 10) || null,
+    place: item.place_of_publication || (Array.isArray(item.place) ? item.place[0] : item.place) || '',
+    url: id.startsWith('/') ? `https://chroniclingamerica.loc.gov${id}` : id,
+    text: item.ocr_eng || item.ocr || item.text || ''
+  };
+}
+
+/**
+ * The pages in one file
+ * @param {string} filePath
+ * @param {string} root - The ingested path, for transcript page ids
+ * @param {Object} [defaults] - title and place for pages that do not name them
+ */
+function pagesFromFile(filePath, root, defaults = {}) {
+  const extension = path.extname(filePath).toLowerCase();
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  if (extension === '.json') {
+    const data = JSON.parse(content);
+    const items = Array.isArray(data) ? data : (data.items || data.pages || data.records || [data]);
+    return items.filter(item => item && typeof item === 'object').map(pageFromChroniclingAmerica);
+  }
+  if (extension !== '.txt') return [];
+
+  const batch = filePath.match(BATCH_PAGE);
+  if (batch) {
+    const [, lccn, year, month, day, edition, sequence] = batch;
+    const date = `${year}-${month}-${day}`;
+    return [{
+      pageId: `${lccn}/${date}/ed-${parseInt(edition, 10)}/seq-${parseInt(sequence, 10)}`,
+      title: defaults.title || lccn,
+      lccn,
+      date,
+      edition: parseInt(edition, 10),
+      sequence: parseInt(sequence, 10),
+      place: defaults.place || '',
+      url: `https://chroniclingamerica.loc.gov/lccn/${lccn}/${date}/ed-${parseInt(edition, 10)}/seq-${parseInt(sequence, 10)}/`,
+      text: content
+    }];
+  }
+
+  const { headers, text } = readTranscript(content);
+  const baseName = path.basename(filePath, extension);
+  return [{
+    pageId: path.relative(fs.statSync(root).isDirectory() ? root : path.dirname(root), filePath).split(path.sep).join('/'),
+    title: headers.title || defaults.title || baseName.replace(/^\d{4}(-\d{2}){0,2}\s*/, '') || baseName,
+    lccn: '',
+    date: isoDate(headers.date) || isoDate((baseName.match(/\d{4}(-\d{2}){0,2}/) || [])[0]),
+    edition: parseInt(headers.edition, 10) || null,
+    sequence: parseInt(headers.sequence, 10) || null,
+    place: headers.place || defaults.place || '',
+    url: headers.url || '',
+    text
+  }];
+}
+
+/**
+ * Whether the words between two positions can belong to one name: only whitespace, the name's own words,
+ * initials ("W.") and a maiden name in parentheses, plus the comma of "KELLY, Margaret" straight after a
+ * surname that comes first. Other punctuation, lowercase words and other names end the name.
+ */
+function withinName(tokens, from, anchor, wanted) {
+  const [start, end] = from < anchor ? [from, anchor] : [anchor, from];
+  for (let index = start + 1; index <= end; index++) {
+    const previous = tokens[index - 1];
+    const separator = tokens[index].before.replace(/[\s()]/g, '');
+    const allowed = separator === ''
+      || (separator === '.' && previous.word.length === 1)
+      || (separator === ',' && index - 1 === anchor && start === anchor);
+    if (!allowed) return false;
+
+    const token = tokens[index];
+    if (index < end && !(token.capitalized && (wanted.includes(token.word) || token.word.length === 1 || token.before.includes('(')))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Where a name is mentioned: every word of the name within `distance` words of its last word (the surname),
+ * with nothing between them that ends the name (see withinName).
+ * Only capitalized words count, so "will be held" is not "Will" and "the smith" is not "Smith".
+ * @param {Object[]} tokens - tokenize(text)
+ * @param {string[][]} names - Normalized words of each name, most preferred first
+ * @returns {Object[]} [{ nameIndex, positions }] one per surname occurrence, with the name matching the most
+ *   words (the earlier name on ties)
+ */
+function findMentions(tokens, names, distance = 3) {
+  const positionsOf = new Map();
+  tokens.forEach((token, index) => {
+    if (!token.capitalized) return;
+    if (!positionsOf.has(token.word)) positionsOf.set(token.word, []);
+    positionsOf.get(token.word).push(index);
+  });
+
+  const byAnchor = new Map();
+  names.forEach((words, nameIndex) => {
+    const wanted = [...new Set(words)];
+    const surname = wanted[wanted.length - 1];
+    if (!surname) return;
+
+    (positionsOf.get(surname) || []).forEach(anchor => {
+      const used = new Set([anchor]);
+      const positions = [anchor];
+      const found = wanted.slice(0, -1).every(word => {
+        const nearest = (positionsOf.get(word) || [])
+          .filter(position => !used.has(position) && Math.abs(position - anchor) <= distance &&
+            withinName(tokens, position, anchor, wanted))
+          .sort((a, b) => Math.abs(a - anchor) - Math.abs(b - anchor))[0];
+        if (nearest === undefined) return false;
+        used.add(nearest);
+        positions.push(nearest);
+        return true;
+      });
+      if (!found) return;
+
+      const current = byAnchor.get(anchor);
+      if (!current || positions.length > current.positions.length) {
+        byAnchor.set(anchor, { nameIndex, positions: positions.sort((a, b) => a - b) });
+      }
+    });
+  });
+
+  return [...byAnchor.values()].sort((a, b) => a.positions[0] - b.positions[0]);
+}
+
+/**
+ * 'obituary' or 'marriage' when such words are near the mention (the closest wins), otherwise 'mention'
+ */
+function noticeType(tokens, positions) {
+  const from = Math.max(0, positions[0] - NOTICE_RADIUS);
+  const to = Math.min(tokens.length - 1, positions[positions.length - 1] + NOTICE_RADIUS);
+  let closest = { type: 'mention', distance: Infinity };
+  for (let index = from; index <= to; index++) {
+    const type = Object.keys(NOTICE_WORDS).find(name => NOTICE_WORDS[name].includes(tokens[index].word));
+    const distance = Math.min(...positions.map(position => Math.abs(position - index)));
+    if (type && distance < closest.distance) closest = { type, distance };
+  }
+  return closest.type;
+}
+
+/**
+ * The text around a mention with the name's words marked
+ * @returns {Object} { text, highlights } where highlights are [start, end] offsets into text
+ */
+function buildSnippet(text, tokens, positions, radius = SNIPPET_RADIUS) {
+  const from = Math.max(0, positions[0] - radius);
+  const to = Math.min(tokens.length - 1, positions[positions.length - 1] + radius);
+  const marked = new Set(positions);
+  const highlights = [];
+  let snippet = from > 0 ? '…' : '';
+
+  for (let index = from; index <= to; index++) {
+    const token = tokens[index];
+    if (index > from) {
+      snippet += text.slice(tokens[index - 1].end, token.start).replace(/\s+/g, ' ');
+    } else if (from > 0) {
+      snippet += ' ';
+    }
+    if (marked.has(index)) highlights.push([snippet.length, snippet.length + token.end - token.start]);
+    snippet += text.slice(token.start, token.end);
+  }
+  // Keep the punctuation that closes the last word's sentence
+  const trailing = (text.slice(tokens[to].end).match(/^[.,;:!?)"']+/) || [''])[0];
+  snippet += trailing + (to < tokens.length - 1 ? ' …' : '');
+
+  return { text: snippet, highlights };
+}
+
+class NewspaperIndexService {
+  /**
+   * Index the pages in a file or directory. Indexing to an existing collectionId replaces its pages.
+   * @param {string} target - File or directory
+   * @param {Object} [options]
+   * @param {string} [options.collectionId] - Defaults to the file or directory name
+   * @param {string} [options.name] - Display name, defaults to the file or directory name
+   * @param {string} [options.origin] - Where the pages came from
+   * @param {string} [options.title] - Newspaper title for batch pages and transcripts that do not name one
+   * @param {string} [options.place] - Place of publication for pages that do not name one
+   * @returns {Promise<Object>} { collection, indexed, skipped }
+   */
+  async ingestPath(target, options = {}) {
+    const baseName = path.basename(target, path.extname(target));
+    const collectionId = options.collectionId || baseName.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    const seen = new Set();
+    const pages = [];
+    let skipped = 0;
+    listFiles(target).forEach(filePath => {
+      pagesFromFile(filePath, target, options).forEach(page => {
+        if (!page.text.trim() || seen.has(page.pageId)) {
+          skipped++;
+          return;
+        }
+        seen.add(page.pageId);
+        pages.push({ ...page, collectionId, year: yearOf(page.date), terms: pageTerms(page.text) });
+      });
+    });
+
+    console.log(`📰 Indexing ${pages.length} newspaper pages from ${target} as "${collectionId}" (${skipped} skipped)`);
+
+    await NewspaperPage.deleteMany({ collectionId });
+    for (let start = 0; start < pages.length; start += INSERT_BATCH_SIZE) {
+      await NewspaperPage.insertMany(pages.slice(start, start + INSERT_BATCH_SIZE), { ordered: false });
+    }
+
+    const collection = await NewspaperCollection.findOneAndUpdate(
+      { collectionId },
+      {
+        collectionId,
+        name: options.name || baseName,
+        origin: options.origin || '',
+        sourcePath: path.resolve(target),
+        pageCount: pages.length,
+        skippedCount: skipped
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    return { collection, indexed: pages.length, skipped };
+  }
+
+  async listCollections() {
+    return NewspaperCollection.find().sort({ name: 1 }).lean();
+  }
+
+  async removeCollection(collectionId) {
+    const { deletedCount } = await NewspaperPage.deleteMany({ collectionId });
+    await NewspaperCollection.deleteOne({ collectionId });
+    return deletedCount;
+  }
+
+  /**
+   * Pages mentioning any of the names, dated within the years (undated pages are always searched).
+   * Candidate pages hold every word of at least one name; all of them are read, a batch at a time.
+   * @param {Object} criteria
+   * @param {string[]} criteria.names - Full names, most preferred first
+   * @param {number} [criteria.fromYear]
+   * @param {number} [criteria.toYear]
+   * @param {number} [criteria.distance] - Words allowed between a name's words and its surname
+   * @returns {Promise<Object[]>} [{ page, mentions: [{ nameIndex, name, positions, noticeType, snippet }] }]
+   *   where page has no text or terms
+   */
+  async search({ names = [], fromYear = null, toYear = null, distance = 3 }) {
+    const nameTokens = names.map(nameWords);
+    const termSets = [...new Set(nameTokens
+      .filter(words => words.length > 0)
+      .map(words => [...new Set(words)].sort().join(' ')))]
+      .map(key => key.split(' '));
+    if (termSets.length === 0) return [];
+
+    const conditions = [{ $or: termSets.map(terms => ({ terms: { $all: terms } })) }];
+    if (fromYear || toYear) {
+      conditions.push({
+        $or: [
+          { year: { $gte: fromYear || 0, $lte: toYear || 9999 } },
+          { year: null }
+        ]
+      });
+    }
+
+    const found = [];
+    let lastId = null;
+    for (;;) {
+      const query = { $and: lastId ? [...conditions, { _id: { $gt: lastId } }] : conditions };
+      const pages = await NewspaperPage.find(query, { terms: 0 }).sort({ _id: 1 }).limit(SEARCH_BATCH_SIZE).lean();
+
+      pages.forEach(({ text, ...page }) => {
+        const tokens = tokenize(text);
+        const mentions = findMentions(tokens, nameTokens, distance).map(mention => ({
+          ...mention,
+          name: names[mention.nameIndex],
+          noticeType: noticeType(tokens, mention.positions),
+          snippet: buildSnippet(text, tokens, mention.positions)
+        }));
+        if (mentions.length > 0) found.push({ page, mentions });
+      });
+
+      if (pages.length < SEARCH_BATCH_SIZE) return found;
+      lastId = pages[pages.length - 1]._id;
+    }
+  }
+
+  async findPage(collectionId, pageId) {
+    return NewspaperPage.findOne({ collectionId, pageId }, { terms: 0 }).lean();
+  }
+
+  /**
+   * Collection and page counts
+   * @returns {Promise<Object>} { collections, pages }
+   */
+  async summary() {
+    const collections = await NewspaperCollection.find().lean();
+    return {
+      collections: collections.length,
+      pages: collections.reduce((total, collection) => total + (collection.pageCount || 0), 0)
+    };
+  }
+}
+
+module.exports = {
+  NewspaperIndexService,
+  tokenize,
+  pageTerms,
+  isoDate,
+  displayDate,
+  readTranscript,
+  pagesFromFile,
+  findMentions,
+  noticeType,
+  buildSnippet
+};
@@ -0,0 +1,349 @@
+/**
+ * Field-level merge of facts from an external search result into a person record.
+ * Extracts comparable facts from FamilySearch / WikiTree results, builds a
+ * side-by-side preview against the tree, and applies the fields the user adopts.
+ */
+
+const { NameMatchingService } = require('./nameMatchingService');
+const {
+  allocateId,
+  addChild,
+  createFamily,
+  getValidationContext,
+  syncVitalEvents
+} = require('../utils/gedcomTree');
+const { MONTHS } = require('../utils/gedcomWriter');
+
+// Person fields that can be adopted from a record, in display order
+const MERGE_FIELDS = [
+  { field: 'givenNames', label: 'Given names' },
+  { field: 'familyNames', label: 'Family names' },
+  { field: 'sex', label: 'Sex' },
+  { field: 'birthDate', label: 'Birth date' },
+  { field: 'birthPlace', label: 'Birth place' },
+  { field: 'deathDate', label: 'Death date' },
+  { field: 'deathPlace', label: 'Death place' }
+];
+
+// Which event a field's citation belongs on; other fields are cited on the person
+const FIELD_EVENTS = {
+  birthDate: 'BIRT',
+  birthPlace: 'BIRT',
+  deathDate: 'DEAT',
+  deathPlace: 'DEAT'
+};
+
+class RecordMergeService {
+  constructor() {
+    this.nameMatcher = new NameMatchingService();
+  }
+
+  /**
+   * Extract comparable facts from a search result
+   * @param {Object} record - Search result as returned by ExternalSearchService
+   * @returns {Object} { givenNames, familyNames, sex, birthDate, ..., father, mother, spouses }
+   */
+  extractFacts(record) {
+    const facts = {
+      givenNames: '',
+      familyNames: '',
+      sex: '',
+      birthDate: '',
+      birthPlace: '',
+      deathDate: '',
+      deathPlace: '',
+      father: null,
+      mother: null,
+      spouses: []
+    };
+
+    // Newspaper pages only mention the name; they carry no facts about the person
+    if (record.source === 'Chronicling America' || record.source === 'Newspaper Archives') {
+      return facts;
+    }
+
+    const names = this.splitName(record.name);
+    facts.givenNames = record.givenName || names.givenNames;
+    facts.familyNames = record.familyName || names.familyNames;
+    facts.birthDate = this.cleanValue(record.birth);
+    facts.birthPlace = this.cleanValue(record.location);
+
+    if (record.source === 'FamilySearch') {
+      this.extractFamilySearchFacts(record, facts);
+    } else if (record.source === 'WikiTree') {
+      this.extractWikiTreeFacts(record.rawData || {}, facts);
+    } else if (record.source === 'Cemetery Records') {
+      this.extractBurialFacts(record.rawData || {}, facts);
+    }
+
+    return facts;
+  }
+
+  /**
+   * Imported burial transcription (see services/burialDatasetService.js). The record's location is
+   * the cemetery, which says where the person was buried, not born.
+   */
+  extractBurialFacts(burial, facts) {
+    if (burial.maidenName) facts.familyNames = burial.maidenName;
+    facts.birthPlace = '';
+    facts.deathDate = this.cleanValue(burial.deathDate);
+  }
+
+  /**
+   * GedcomX person facts plus the relatives captured with the search entry
+   */
+  extractFamilySearchFacts(record, facts) {
+    const person = record.rawData || {};
+    const factOf = type => (person.facts || []).find(fact => this.gedcomxType(fact.type) === type);
+
+    const birth = factOf('Birth');
+    const death = factOf('Death');
+    if (birth?.date?.original) facts.birthDate = birth.date.original;
+    if (birth?.place?.original) facts.birthPlace = birth.place.original;
+    if (death?.date?.original) facts.deathDate = death.date.original;
+    if (death?.place?.original) facts.deathPlace = death.place.original;
+    facts.sex = this.normalizeSex(this.gedcomxType(person.gender?.type));
+
+    const relatives = record.relatives || {};
+    facts.father = relatives.father || null;
+    facts.mother = relatives.mother || null;
+    facts.spouses = relatives.spouses || [];
+  }
+
+  /**
+   * WikiTree profile fields (getProfile / search responses)
+   */
+  extractWikiTreeFacts(profile, facts) {
+    if (profile.FirstName || profile.RealName) {
+      facts.givenNames = [profile.FirstName || profile.RealName, profile.MiddleName].filter(Boolean).join(' ');
+    }
+    if (profile.LastNameAtBirth) facts.familyNames = profile.LastNameAtBirth;
+    facts.sex = this.normalizeSex(profile.Gender);
+    facts.birthDate = this.wikiTreeDate(profile.BirthDate) || facts.birthDate;
+    facts.birthPlace = profile.BirthLocation || facts.birthPlace;
+    facts.deathDate = this.wikiTreeDate(profile.DeathDate);
+    facts.deathPlace = profile.DeathLocation || '';
+
+    const relativeOf = relative => ({
+      givenNames: [relative.FirstName || relative.RealName, relative.MiddleName].filter(Boolean).join(' '),
+      familyNames: relative.LastNameAtBirth || relative.LastNameCurrent || '',
+      sex: this.normalizeSex(relative.Gender)
+    });
+
+    Object.values(profile.Parents || {}).forEach(parent => {
+      const relative = relativeOf(parent);
+      if (relative.sex === 'M' && !facts.father) facts.father = relative;
+      if (relative.sex === 'F' && !facts.mother) facts.mother = relative;
+    });
+
+    facts.spouses = Object.values(profile.Spouses || {}).map(spouse => ({
+      ...relativeOf(spouse),
+      marriageDate: this.wikiTreeDate(spouse.marriage_date),
+      marriagePlace: spouse.marriage_location || ''
+    }));
+  }
+
+  /**
+   * Build the side-by-side preview of the person against the record's facts
+   * @returns {Object} { fields: [...], relatives: [...] }
+   */
+  buildPreview(data, person, facts) {
+    const fields = MERGE_FIELDS.map(({ field, label }) => {
+      const current = person[field] || '';
+      const incoming = facts[field] || '';
+      return { field, label, current, incoming, status: this.compareValues(field, current, incoming) };
+    });
+
+    const context = getValidationContext(data, person.id);
+    const relatives = [];
+
+    ['father', 'mother'].forEach(relation => {
+      if (!facts[relation]) return;
+      const existing = context.parents[relation];
+      relatives.push({
+        relation,
+        index: 0,
+        incoming: facts[relation],
+        existing: existing ? this.summarize(existing) : null,
+        status: existing ? 'present' : 'missing'
+      });
+    });
+
+    facts.spouses.forEach((spouse, index) => {
+      const existing = context.spouses.find(candidate =>
+        this.nameMatcher.matchFullNames(candidate, spouse).overallScore >= 0.8
+      );
+      relatives.push({
+        relation: 'spouse',
+        index,
+        incoming: spouse,
+        existing: existing ? this.summarize(existing) : null,
+        status: existing ? 'present' : 'missing'
+      });
+    });
+
+    return { fields, relatives };
+  }
+
+  /**
+   * Write the adopted fields and create the chosen missing relatives.
+   * `cite` returns a fresh citation of the record for each place it is cited.
+   * @returns {Object} { updatedFields, createdPeople, families }
+   */
+  applyMerge(data, person, facts, selection, cite) {
+    const result = { updatedFields: [], createdPeople: [], families: [] };
+
+    const adopted = MERGE_FIELDS
+      .map(({ field }) => field)
+      .filter(field => (selection.fields || []).includes(field) && facts[field]);
+
+    adopted.forEach(field => {
+      person[field] = facts[field];
+      result.updatedFields.push(field);
+    });
+    if (adopted.length > 0) syncVitalEvents(person);
+
+    const citedEvents = new Set(adopted.map(field => FIELD_EVENTS[field] || null));
+    citedEvents.forEach(eventType => {
+      if (eventType) {
+        const event = (person.events || []).find(existing => existing.type === eventType);
+        if (event) this.addCitation(event, 'sources', cite);
+      } else {
+        this.addCitation(person, 'citations', cite);
+      }
+    });
+
+    (selection.relatives || []).forEach(({ relation, index }) => {
+      if (relation === 'father' || relation === 'mother') {
+        this.createParent(data, person, relation, facts[relation], cite, result);
+      } else if (relation === 'spouse') {
+        this.createSpouse(data, person, facts.spouses[index], cite, result);
+      }
+    });
+
+    return result;
+  }
+
+  createParent(data, person, relation, facts, cite, result) {
+    if (!facts) return;
+    const slot = relation === 'father' ? 'husband' : 'wife';
+
+    let family = data.families.find(existing => (existing.children || []).includes(person.id));
+    if (family && family[slot]) return;
+
+    const parent = this.createIndividual(data, { ...facts, sex: relation === 'father' ? 'M' : 'F' }, cite);
+    result.createdPeople.push(parent);
+
+    if (family) {
+      family[slot] = parent.id;
+    } else {
+      family = createFamily(data, { [slot]: parent.id });
+      addChild(family, person.id);
+    }
+    if (!result.families.includes(family)) result.families.push(family);
+  }
+
+  createSpouse(data, person, facts, cite, result) {
+    if (!facts) return;
+
+    const spouseSex = facts.sex || (person.sex === 'M' ? 'F' : person.sex === 'F' ? 'M' : '');
+    const spouse = this.createIndividual(data, { ...facts, sex: spouseSex }, cite);
+    result.createdPeople.push(spouse);
+
+    const personIsWife = person.sex === 'F' || (person.sex !== 'M' && spouseSex === 'M');
+    const family = createFamily(data, personIsWife
+      ? { husband: spouse.id, wife: person.id }
+      : { husband: person.id, wife: spouse.id });
+
+    if (facts.marriageDate || facts.marriagePlace) {
+      family.marriageDate = facts.marriageDate || '';
+      family.marriagePlace = facts.marriagePlace || '';
+      family.events.push({
+        type: 'MARR', value: '', eventType: '', date: family.marriageDate, place: family.marriagePlace,
+        age: '', cause: '', notes: [], sources: [cite()], otherTags: []
+      });
+    }
+    result.families.push(family);
+  }
+
+  createIndividual(data, facts, cite) {
+    const individual = {
+      id: allocateId(data.individuals.map(ind => ind.id), 'I'),
+      givenNames: facts.givenNames || '',
+      familyNames: facts.familyNames || '',
+      birthDate: '',
+      birthPlace: '',
+      deathDate: '',
+      deathPlace: '',
+      sex: facts.sex || 'U',
+      events: [],
+      citations: [cite()],
+      otherTags: []
+    };
+    data.individuals.push(individual);
+    return individual;
+  }
+
+  // Cite the record once per event or person
+  addCitation(owner, key, cite) {
+    const citation = cite();
+    owner[key] = owner[key] || [];
+    if (!owner[key].some(existing => existing.sourceId && existing.sourceId === citation.sourceId)) {
+      owner[key].push(citation);
+    }
+  }
+
+  compareValues(field, current, incoming) {
+    if (!incoming) return 'absent';
+    if (!current) return 'missing';
+    const normalize = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    return normalize(current) === normalize(incoming) ? 'same' : 'different';
+  }
+
+  summarize(individual) {
+    return {
+      id: individual.id,
+      givenNames: individual.givenNames || '',
+      familyNames: individual.familyNames || ''
+    };
+  }
+
+  splitName(name) {
+    const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+    if (parts.length < 2) return { givenNames: parts[0] || '', familyNames: '' };
+    return { givenNames: parts.slice(0, -1).join(' '), familyNames: parts[parts.length - 1] };
+  }
+
+  cleanValue(value) {
+    if (!value || value === 'Unknown') return '';
+    return String(value).trim();
+  }
+
+  // "http://gedcomx.org/Birth" -> "Birth"
+  gedcomxType(type) {
+    return type ? String(type).replace(/^.*\//, '') : '';
+  }
+
+  normalizeSex(value) {
+    const sex = String(value || '').toLowerCase();
+    if (sex === 'male' || sex === 'm') return 'M';
+    if (sex === 'female' || sex === 'f') return 'F';
+    return '';
+  }
+
+  /**
+   * WikiTree dates are YYYY-MM-DD with zeros for unknown parts; convert to GEDCOM form
+   */
+  wikiTreeDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (!match) return this.cleanValue(value);
+
+    const [, year, month, day] = match.map(part => parseInt(part, 10));
+    if (!year) return '';
+    if (!month) return String(year);
+    if (!day) return `${MONTHS[month - 1]} ${year}`;
+    return `${day} ${MONTHS[month - 1]} ${year}`;
+  }
+}
+
+module.exports = { RecordMergeService, MERGE_FIELDS };
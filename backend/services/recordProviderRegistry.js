@@ -0,0 +1,149 @@
+/**
+ * The external record sources of this deployment.
+ *
+ * Providers are discovered at startup: every .js file in services/recordProviders and in the
+ * directories listed in RECORD_PROVIDER_DIRS is loaded, and each exported subclass of
+ * RecordProvider is one source. Adding a source means dropping a file into one of those
+ * directories; ExternalSearchService, the routes and the research panel pick it up.
+ *
+ * Per deployment:
+ *   RECORD_PROVIDERS        - keys of the providers to use, in the order they are listed and
+ *                             searched (default: every provider found, by its `order`)
+ *   RECORD_PROVIDER_DIRS    - more directories to load providers from (relative to backend/)
+ *   RECORD_PROVIDER_CONFIG  - JSON file of settings keyed by provider key, e.g.
+ *                             { "wikitree": { "rateLimit": { "minIntervalMs": 1000 }, "defaultSelected": false } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { RecordProvider, HEALTH_STATUSES } = require('./recordProviders/recordProvider');
+
+const BACKEND_DIR = path.join(__dirname, '..');
+const BUILT_IN_DIR = path.join(__dirname, 'recordProviders');
+const HEALTH_CHECK_TIMEOUT_MS = 10000;
+
+const listFromEnv = value => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+function readSettings(file) {
+  if (!file) return {};
+  return JSON.parse(fs.readFileSync(path.resolve(BACKEND_DIR, file), 'utf8'));
+}
+
+class RecordProviderRegistry {
+  /**
+   * @param {Object} [options] - Defaults come from the environment (see above)
+   * @param {string[]} [options.directories] - Directories to discover providers in
+   * @param {string[]} [options.enabled] - Provider keys to use; empty for all
+   * @param {Object} [options.settings] - Settings keyed by provider key
+   */
+  constructor({ directories, enabled, settings } = {}) {
+    this.directories = directories || [
+      BUILT_IN_DIR,
+      ...listFromEnv(process.env.RECORD_PROVIDER_DIRS).map(dir => path.resolve(BACKEND_DIR, dir))
+    ];
+    this.enabled = enabled || listFromEnv(process.env.RECORD_PROVIDERS);
+    this.settings = settings || readSettings(process.env.RECORD_PROVIDER_CONFIG);
+    this.providers = this.load();
+  }
+
+  // Provider classes exported by the .js files of the directories
+  discover() {
+    const classes = [];
+    this.directories.forEach(dir => {
+      fs.readdirSync(dir)
+        .filter(file => file.endsWith('.js'))
+        .sort()
+        .forEach(file => {
+          const exported = require(path.join(dir, file));
+          const candidates = typeof exported === 'function' ? [exported] : Object.values(exported);
+          candidates
+            .filter(candidate => typeof candidate === 'function' && candidate.prototype instanceof RecordProvider)
+            .forEach(candidate => classes.push(candidate));
+        });
+    });
+    return classes;
+  }
+
+  load() {
+    const found = new Map();
+    this.discover().forEach(ProviderClass => {
+      const provider = new ProviderClass(this.settings);
+      if (found.has(provider.key)) {
+        throw new Error(`Record providers ${found.get(provider.key).constructor.name} and ${ProviderClass.name} both use the key "${provider.key}"`);
+      }
+      found.set(provider.key, provider);
+    });
+
+    let providers;
+    if (this.enabled.length > 0) {
+      this.enabled
+        .filter(key => !found.has(key))
+        .forEach(key => console.warn(`⚠️ RECORD_PROVIDERS lists unknown provider "${key}"`));
+      providers = this.enabled.filter(key => found.has(key)).map(key => found.get(key));
+    } else {
+      providers = [...found.values()].sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+    }
+
+    console.log(`🔌 Record providers: ${providers.map(provider => provider.label).join(', ') || 'none'}`);
+    return providers;
+  }
+
+  // Providers in the order they are listed and searched
+  list() {
+    return this.providers;
+  }
+
+  get(key) {
+    return this.providers.find(provider => provider.key === key) || null;
+  }
+
+  // The provider of a record, by its sourceKey or its source label
+  forSource(source) {
+    return this.get(source) || this.providers.find(provider => provider.label === source) || null;
+  }
+
+  describe() {
+    return this.providers.map(provider => provider.describe());
+  }
+
+  /**
+   * Ask every provider whether its source can be searched
+   * @returns {Object[]} [{ key, label, status, message, latencyMs }] where status is one of HEALTH_STATUSES
+   */
+  checkHealth() {
+    return Promise.all(this.providers.map(provider => this.checkProvider(provider)));
+  }
+
+  async checkProvider(provider) {
+    const started = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), HEALTH_CHECK_TIMEOUT_MS);
+    const report = (status, message) => ({
+      key: provider.key,
+      label: provider.label,
+      status: HEALTH_STATUSES.includes(status) ? status : 'unavailable',
+      message: message || '',
+      latencyMs: Date.now() - started
+    });
+
+    try {
+      const { status, message } = await provider.healthCheck({ signal: controller.signal });
+      return report(status, message);
+    } catch (error) {
+      return report('unavailable', controller.signal.aborted ? 'Health check timed out' : error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+// The registry shared by the routes and jobs of this process
+let shared = null;
+function getRecordProviders() {
+  if (!shared) {
+    shared = new RecordProviderRegistry();
+  }
+  return shared;
+}
+
+module.exports = { RecordProviderRegistry, getRecordProviders };
@@ -0,0 +1,182 @@
+const { RecordProvider, CAPABILITIES } = require('./recordProvider');
+const {
+  BurialDatasetService,
+  burialPlace,
+  surnameKey,
+  words
+} = require('../burialDatasetService');
+
+// Fields of a BurialRecord that are search keys or storage details rather than what the record says
+const INTERNAL_FIELDS = ['_id', '__v', 'surnameKeys', 'surnameSoundex', 'placeKeys'];
+
+const yearOf = value => {
+  const match = String(value || '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Cemetery records - burial transcriptions imported from cemetery datasets
+ * (scripts/importBurialDataset.js, see services/burialDatasetService.js)
+ */
+class CemeteryProvider extends RecordProvider {
+  constructor(settings = {}) {
+    super({
+      key: 'cemeteries',
+      label: 'Cemetery Records',
+      description: 'Burial transcriptions from imported cemetery datasets',
+      capabilities: [CAPABILITIES.BURIALS, CAPABILITIES.PERSONS, CAPABILITIES.DETAILS],
+      order: 40,
+      citation: {
+        repository: 'Cemetery Records',
+        address: '',
+        type: 'unknown',
+        title: record => `Burial of ${record.name}${record.rawData?.cemetery ? `, ${record.rawData.cemetery}` : ''}`
+      }
+    }, settings);
+    this.burials = new BurialDatasetService();
+    this.maxResults = this.config.maxResults || 10;
+  }
+
+  /**
+   * Burials matching the person's surnames (and their spelling variations) born in the searched
+   * time range, ranked by how well names, years and places agree
+   */
+  async search(searchQueries, person) {
+    const surname = surnameKey(person.familyNames);
+    const given = words(person.givenNames)[0] || '';
+    // Variations are "given family"; the family name is as many words as the person's
+    const surnameWords = words(person.familyNames).length || 1;
+    const variations = (searchQueries.nameVariations || [])
+      .map(words)
+      .filter(parts => parts.length > surnameWords);
+    const surnames = [...new Set([surname, ...variations.map(parts => parts.slice(-surnameWords).join(''))].filter(Boolean))];
+    if (surnames.length === 0) {
+      console.log('🪦 Cemetery search skipped: no surname provided');
+      return [];
+    }
+    // First given names, without the initials some variations use
+    const givenNames = [...new Set([given, ...variations.map(parts => parts[0])].filter(name => name.length > 1))];
+
+    const birthYear = yearOf(person.birthDate);
+    const ranges = (searchQueries.timeRangeQueries || [])
+      .map(range => range.match(/^(\d{4})-(\d{4})$/))
+      .filter(Boolean)
+      .map(match => [parseInt(match[1], 10), parseInt(match[2], 10)]);
+    const fromYear = ranges.length ? Math.min(...ranges.map(range => range[0])) : birthYear && birthYear - 10;
+    const toYear = ranges.length ? Math.max(...ranges.map(range => range[1])) : birthYear && birthYear + 10;
+
+    console.log(`🪦 Searching cemetery records for ${surnames.join(', ')}${fromYear ? ` born ${fromYear}-${toYear}` : ''}...`);
+
+    const candidates = await this.burials.search({ surnames, fromYear, toYear });
+    const context = {
+      surname,
+      given,
+      surnames: new Set(surnames),
+      givenNames,
+      birthYear,
+      deathYear: yearOf(person.deathDate),
+      places: new Set([person.birthPlace, person.deathPlace, ...(searchQueries.locationVariations || [])].flatMap(words))
+    };
+
+    const results = candidates
+      .map(burial => ({ burial, confidence: this.rank(burial, context) }))
+      .filter(({ confidence }) => confidence !== null)
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, this.maxResults)
+      .map(({ burial, confidence }) => this.normalize(burial, { confidence }));
+
+    console.log(`✅ Cemetery records found ${results.length} potential burials (${candidates.length} candidates)`);
+    return results;
+  }
+
+  /**
+   * How well a burial fits the person, or null when it cannot be them
+   * (a different given name, or years that do not fit)
+   */
+  rank(burial, { surname, given, surnames, givenNames, birthYear, deathYear, places }) {
+    let score = burial.surnameKeys.includes(surname) ? 0.35
+      : burial.surnameKeys.some(key => surnames.has(key)) ? 0.3
+      : 0.2;
+
+    const recordedGiven = words(burial.givenNames)[0];
+    if (givenNames.length && recordedGiven) {
+      if (recordedGiven === given) {
+        score += 0.3;
+      } else if (givenNames.includes(recordedGiven)) {
+        score += 0.25;
+      } else if (givenNames.some(name => name.length >= 3 && (recordedGiven.startsWith(name) || name.startsWith(recordedGiven)))) {
+        score += 0.15;
+      } else if (recordedGiven.length === 1 && givenNames.some(name => name[0] === recordedGiven)) {
+        score += 0.1;
+      } else {
+        return null;
+      }
+    }
+
+    if (birthYear && burial.birthYear) {
+      const apart = Math.abs(burial.birthYear - birthYear);
+      if (apart > 10) return null;
+      score += apart <= 1 ? 0.2 : apart <= 3 ? 0.15 : 0.05;
+    } else if (birthYear && burial.deathYear && burial.deathYear < birthYear) {
+      return null;
+    }
+
+    if (deathYear && burial.deathYear) {
+      const apart = Math.abs(burial.deathYear - deathYear);
+      if (apart <= 1) score += 0.1;
+      else if (apart > 5) score -= 0.15;
+    }
+
+    const sharedPlaces = (burial.placeKeys || []).filter(word => places.has(word)).length;
+    score += Math.min(sharedPlaces * 0.05, 0.1);
+
+    return Math.round(score * 100) / 100;
+  }
+
+  /**
+   * One BurialRecord as a record
+   */
+  normalize(burial, { confidence } = {}) {
+    const rawData = Object.fromEntries(Object.entries(burial).filter(([field]) => !INTERNAL_FIELDS.includes(field)));
+    const additionalInfo = [
+      burial.cemetery && `Buried in ${burial.cemetery}`,
+      burial.burialDate && `burial ${burial.burialDate}`,
+      burial.plot && `plot ${burial.plot}`,
+      burial.maidenName && `née ${burial.maidenName}`,
+      burial.inscription && `inscription: "${burial.inscription}"`
+    ].filter(Boolean).join('; ');
+
+    return this.toRecord({
+      id: `${burial.datasetId}:${burial.recordId}`,
+      name: `${burial.givenNames} ${burial.familyName}`.trim(),
+      givenName: burial.givenNames,
+      familyName: burial.familyName,
+      birth: burial.birthDate,
+      death: burial.deathDate,
+      location: burialPlace(burial),
+      url: burial.url,
+      additionalInfo,
+      confidence,
+      rawData
+    });
+  }
+
+  /**
+   * The imported burial for a record id ("datasetId:recordId")
+   */
+  async getDetails(recordId) {
+    const separator = String(recordId || '').indexOf(':');
+    if (separator < 0) return null;
+    const burial = await this.burials.findRecord(recordId.slice(0, separator), recordId.slice(separator + 1));
+    return burial ? this.normalize(burial).rawData : null;
+  }
+
+  async healthCheck() {
+    const { datasets, records } = await this.burials.summary();
+    return records > 0
+      ? { status: 'ok', message: `${records} burials in ${datasets} dataset${datasets === 1 ? '' : 's'}` }
+      : { status: 'unconfigured', message: 'No burial datasets imported (see scripts/importBurialDataset.js)' };
+  }
+}
+
+module.exports = { CemeteryProvider };
@@ -0,0 +1,127 @@
+const axios = require('axios');
+const { RecordProvider, CAPABILITIES } = require('./recordProvider');
+
+/**
+ * Chronicling America (Library of Congress) - Public Newspaper API
+ * Docs: https://chroniclingamerica.loc.gov/about/api/
+ */
+class ChroniclingAmericaProvider extends RecordProvider {
+  constructor(settings = {}) {
+    super({
+      key: 'chroniclingAmerica',
+      label: 'Chronicling America',
+      description: 'Library of Congress digitized newspaper pages (1800-1963)',
+      capabilities: [CAPABILITIES.NEWSPAPERS],
+      order: 20,
+      rateLimit: { minIntervalMs: 1000, timeoutMs: 10000 },
+      citation: {
+        repository: 'Library of Congress, Chronicling America',
+        address: 'https://chroniclingamerica.loc.gov',
+        type: 'newspaper',
+        title: record => record.additionalInfo || `Newspaper page mentioning ${record.name}`
+      }
+    }, settings);
+  }
+
+  // Read on every request so CHRONICLING_AMERICA_API_BASE can point at the record fixture server after startup
+  get baseURL() {
+    return this.config.baseURL || process.env.CHRONICLING_AMERICA_API_BASE || 'https://chroniclingamerica.loc.gov';
+  }
+
+  /**
+   * Search newspaper pages mentioning the person's name within a likely date range
+   */
+  async search(searchQueries, person, { signal } = {}) {
+    try {
+      const fullName = `${person.givenNames || ''} ${person.familyNames || ''}`.trim();
+      if (!fullName) {
+        console.log('🗞️ Chronicling America skipped: no name');
+        return [];
+      }
+
+      // Determine a reasonable year range
+      let fromYear = 1800;
+      let toYear = 1963; // dataset coverage generally up to 1963
+      const tr = (searchQueries.timeRangeQueries || [])[0];
+      if (tr && /^(\d{4})-(\d{4})$/.test(tr)) {
+        const m = tr.match(/^(\d{4})-(\d{4})$/);
+        fromYear = parseInt(m[1], 10);
+        toYear = parseInt(m[2], 10);
+      } else if (person.birthDate) {
+        const by = (person.birthDate.match(/\b(18|19|20)\d{2}\b/) || [])[0];
+        if (by) {
+          const birthYear = parseInt(by, 10);
+          fromYear = Math.max(1800, birthYear - 5);
+          toYear = Math.min(1963, birthYear + 40);
+        }
+      }
+
+      console.log(`🗞️ Searching Chronicling America for "${fullName}" (${fromYear}-${toYear})...`);
+
+      const params = {
+        format: 'json',
+        proxtext: fullName,
+        dateFilterType: 'yearRange',
+        date1: fromYear,
+        date2: toYear,
+        rows: 10,
+        page: 1
+      };
+
+      await this.throttle(signal);
+      const response = await this.fetchPages(params, signal);
+
+      const items = response.data && (response.data.items || response.data.items_found || response.data.results || []);
+      if (!Array.isArray(items) || items.length === 0) {
+        console.log('ℹ️ Chronicling America returned no items');
+        return [];
+      }
+
+      const results = items.slice(0, 10).map((it, idx) => this.normalize(it, { fullName, person, index: idx }));
+
+      console.log(`✅ Chronicling America found ${results.length} potential mentions`);
+      return results;
+    } catch (error) {
+      const reason = error.code === 'ECONNABORTED' ? 'timeout' : error.message;
+      console.warn('❌ Chronicling America search failed:', reason);
+      throw error;
+    }
+  }
+
+  /**
+   * One newspaper page as a record. Normalizes a subset of fields and falls back
+   * defensively if the schema differs.
+   */
+  normalize(it, { fullName, person, index } = {}) {
+    const title = it.title || it.headline || it.section || 'Newspaper Page';
+    const date = it.date || it.issueDate || it.year || '';
+    const url = it.id || it.url || it.link || '';
+    const place = it.place_of_publication || it.place || '';
+    return this.toRecord({
+      id: it.id || it.url || `${title}_${date}_${index}`,
+      name: fullName,
+      birth: person?.birthDate || 'Unknown',
+      location: place || person?.birthPlace || 'Unknown',
+      url,
+      additionalInfo: `${title}${date ? ' (' + String(date).slice(0, 10) + ')' : ''}`.trim(),
+      confidence: 0.5, // neutral baseline; later scoring can refine
+      rawData: it
+    });
+  }
+
+  fetchPages(params, signal) {
+    return axios.get(`${this.baseURL}/search/pages/results/`, {
+      params,
+      timeout: this.rateLimit.timeoutMs,
+      signal
+    });
+  }
+
+  async healthCheck({ signal } = {}) {
+    await this.throttle(signal);
+    await this.fetchPages({ format: 'json', proxtext: 'genealogy', rows: 1, page: 1 }, signal);
+    return { status: 'ok', message: '' };
+  }
+}
+
+module.exports = { ChroniclingAmericaProvider };
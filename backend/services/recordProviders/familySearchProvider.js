@@ -0,0 +1,360 @@
+const axios = require('axios');
+const { RecordProvider, CAPABILITIES } = require('./recordProvider');
+
+/**
+ * FamilySearch Family Tree person search
+ * Docs: https://www.familysearch.org/developers/docs/api/tree/Tree_Person_Search_resource
+ */
+class FamilySearchProvider extends RecordProvider {
+  constructor(settings = {}) {
+    super({
+      key: 'familySearch',
+      label: 'FamilySearch',
+      description: 'FamilySearch Family Tree person records with parents and spouses',
+      capabilities: [CAPABILITIES.PERSONS, CAPABILITIES.RELATIVES, CAPABILITIES.DETAILS],
+      order: 10,
+      rateLimit: { minIntervalMs: 0, maxRequestsPerSearch: 200, timeoutMs: 15000 }, // Paced by options.delayMs
+      citation: {
+        repository: 'FamilySearch',
+        address: 'https://www.familysearch.org',
+        type: 'unknown',
+        title: record => `FamilySearch Family Tree: ${record.name}`
+      }
+    }, settings);
+    this.accessToken = null;
+    this.defaults = {
+      maxNameVariations: 12,
+      maxLocationVariations: 3,
+      maxRequests: 30,
+      delayMs: 300
+    };
+  }
+
+  // Read on every request so FAMILYSEARCH_API_BASE can point at the record fixture server after startup
+  get baseURL() {
+    return this.config.baseURL || process.env.FAMILYSEARCH_API_BASE || 'https://api.familysearch.org';
+  }
+
+  /**
+   * Authenticate with FamilySearch API
+   */
+  async authenticate() {
+    try {
+      console.log('🔑 Authenticating with FamilySearch API...');
+      // FamilySearch expects urlencoded form data
+      const form = new URLSearchParams();
+      form.append('grant_type', 'client_credentials');
+      if (process.env.FAMILYSEARCH_CLIENT_ID) form.append('client_id', process.env.FAMILYSEARCH_CLIENT_ID);
+      if (process.env.FAMILYSEARCH_CLIENT_SECRET) form.append('client_secret', process.env.FAMILYSEARCH_CLIENT_SECRET);
+      const response = await axios.post(`${this.baseURL}/platform/oauth2/token`, form.toString(), {
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded'
+        },
+        // Ensure we don't hang silently if the endpoint is slow/unreachable
+        timeout: 10000
+      });
+
+      this.accessToken = response.data.access_token;
+      console.log('✅ FamilySearch authentication successful');
+      return true;
+
+    } catch (error) {
+      const reason = error.code === 'ECONNABORTED' ? 'timeout' : error.message;
+      console.error('❌ FamilySearch authentication failed:', reason);
+      return false;
+    }
+  }
+
+  /**
+   * Search for persons matching the given criteria
+   * @param {Object} [options] { signal } - an AbortSignal that stops the remaining requests
+   */
+  async search(searchQueries, person, { signal } = {}) {
+    if (!this.accessToken) {
+      const auth = await this.authenticate();
+      console.log(`ℹ️ FamilySearch auth result: ${auth ? 'SUCCESS' : 'FAILURE'}`);
+      if (!auth) throw new Error('FamilySearch authentication failed');
+    }
+
+    console.log('🔍 Searching FamilySearch for:', person.givenNames, person.familyNames);
+
+    const results = [];
+    const opts = {
+      ...this.defaults,
+      ...(searchQueries?.options || {})
+    };
+    const maxRequests = this.requestBudget(opts.maxRequests);
+    let requestCount = 0;
+
+    try {
+      const nameVars = (searchQueries.nameVariations || []).slice(0, opts.maxNameVariations);
+      const locVars = (searchQueries.locationVariations || []).slice(0, opts.maxLocationVariations);
+      const timeRanges = (searchQueries.timeRangeQueries || []).slice(0, 3);
+
+      // Ensure at least one location attempt
+      const locationsToTry = locVars.length > 0 ? locVars : [person.birthPlace].filter(Boolean);
+
+      for (const nameVariation of nameVars) {
+        for (const loc of locationsToTry) {
+          // For each time window, or at least once
+          const windows = timeRanges.length ? timeRanges : [null];
+          for (const tr of windows) {
+            if (requestCount >= maxRequests || signal?.aborted) break;
+            const searchParams = this.buildSearchParams(nameVariation, person, searchQueries, loc, tr);
+
+            await this.throttle(signal, opts.delayMs);
+            if (signal?.aborted) break;
+            const response = await axios.get(`${this.baseURL}/platform/tree/search`, {
+              headers: {
+                'Authorization': `Bearer ${this.accessToken}`,
+                'Accept': 'application/json'
+              },
+              params: searchParams,
+              timeout: this.rateLimit.timeoutMs,
+              signal
+            });
+
+            requestCount++;
+            if (response.data.entries) {
+              const parsedResults = this.parseSearchResults(response.data.entries, nameVariation);
+              results.push(...parsedResults);
+            }
+          }
+          if (requestCount >= maxRequests || signal?.aborted) break;
+        }
+        if (requestCount >= maxRequests || signal?.aborted) break;
+      }
+
+      console.log(`✅ FamilySearch found ${results.length} potential matches`);
+      return this.deduplicateResults(results);
+
+    } catch (error) {
+      console.error('❌ FamilySearch search failed:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * The full GedcomX person from the Family Tree
+   */
+  async getDetails(recordId) {
+    if (!recordId) return null;
+    if (!this.accessToken && !(await this.authenticate())) {
+      throw new Error('FamilySearch authentication failed');
+    }
+
+    await this.throttle();
+    const response = await axios.get(`${this.baseURL}/platform/tree/persons/${encodeURIComponent(recordId)}`, {
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Accept': 'application/json'
+      },
+      timeout: this.rateLimit.timeoutMs
+    });
+    return response.data?.persons?.[0] || null;
+  }
+
+  async healthCheck() {
+    if (!process.env.FAMILYSEARCH_CLIENT_ID) {
+      return { status: 'unconfigured', message: 'FAMILYSEARCH_CLIENT_ID is not set' };
+    }
+    this.accessToken = null;
+    return await this.authenticate()
+      ? { status: 'ok', message: 'Authenticated' }
+      : { status: 'unavailable', message: 'Authentication failed' };
+  }
+
+  /**
+   * Build search parameters for FamilySearch API
+   */
+  buildSearchParams(nameQuery, person, searchQueries, locationOverride = null, timeRange = null) {
+    const params = {};
+
+    // Parse name from query
+    const nameParts = nameQuery.split(' ');
+    if (nameParts.length >= 2) {
+      params.givenName = nameParts.slice(0, -1).join(' ');
+      params.familyName = nameParts[nameParts.length - 1];
+    }
+
+    // Add birth information if available
+    if (timeRange && /^(\d{4})-(\d{4})$/.test(timeRange)) {
+      const m = timeRange.match(/^(\d{4})-(\d{4})$/);
+      const y1 = parseInt(m[1], 10);
+      const y2 = parseInt(m[2], 10);
+      // Midpoint and range
+      params.birthYear = Math.round((y1 + y2) / 2);
+      params.birthYearRange = String(Math.ceil((y2 - y1) / 2));
+    } else if (person.birthDate) {
+      const birthYear = this.extractYear(person.birthDate);
+      if (birthYear) {
+        params.birthYear = birthYear;
+        params.birthYearRange = '10'; // ±10 years
+      }
+    }
+
+    const preferredLoc = locationOverride || (searchQueries.locationVariations?.[0]) || person.birthPlace;
+    if (preferredLoc) params.birthPlace = preferredLoc;
+
+    // Add parent information if available
+    if (person.parents?.father?.givenNames) {
+      params.fatherGivenName = person.parents.father.givenNames;
+      params.fatherFamilyName = person.parents.father.familyNames;
+    }
+
+    if (person.parents?.mother?.givenNames) {
+      params.motherGivenName = person.parents.mother.givenNames;
+      params.motherFamilyName = person.parents.mother.familyNames;
+    }
+
+    return params;
+  }
+
+  /**
+   * Parse search results from FamilySearch API response
+   */
+  parseSearchResults(entries, searchQuery) {
+    return entries
+      .map(entry => this.normalize(entry, { searchQuery }))
+      .filter(result => result !== null);
+  }
+
+  /**
+   * One search entry (a GedcomX document around the matched person) as a record
+   */
+  normalize(entry, { searchQuery } = {}) {
+    const person = entry.content?.gedcomx?.persons?.[0];
+    if (!person) return null;
+
+    const names = person.names?.[0]?.nameForms?.[0]?.parts;
+    const givenName = names?.find(p => p.type === 'Given')?.value || '';
+    const familyName = names?.find(p => p.type === 'Family')?.value || '';
+
+    const birthFact = person.facts?.find(f => f.type === 'Birth');
+    const birthDate = birthFact?.date?.original || '';
+    const birthPlace = birthFact?.place?.original || '';
+    const deathFact = person.facts?.find(f => f.type === 'Death');
+
+    return this.toRecord({
+      id: person.id,
+      name: `${givenName} ${familyName}`.trim(),
+      givenName,
+      familyName,
+      birth: birthDate,
+      death: deathFact?.date?.original || '',
+      location: birthPlace,
+      searchQuery: searchQuery,
+      url: `https://www.familysearch.org/tree/person/details/${person.id}`,
+      additionalInfo: this.extractAdditionalInfo(person),
+      confidence: this.calculateInitialConfidence(person, searchQuery),
+      relatives: this.extractRelatives(entry.content?.gedcomx, person.id),
+      rawData: person
+    });
+  }
+
+  /**
+   * Extract parents and spouses included with a search entry
+   */
+  extractRelatives(gedcomx, personId) {
+    const relatives = { father: null, mother: null, spouses: [] };
+    const persons = gedcomx?.persons || [];
+    const byId = id => persons.find(p => p.id === id);
+
+    const summarize = (relative) => {
+      const parts = relative.names?.[0]?.nameForms?.[0]?.parts || [];
+      const gender = (relative.gender?.type || '').replace(/^.*\//, '');
+      return {
+        givenNames: parts.find(p => /Given$/.test(p.type || ''))?.value || '',
+        familyNames: parts.find(p => /(Surname|Family)$/.test(p.type || ''))?.value || '',
+        sex: gender === 'Male' ? 'M' : gender === 'Female' ? 'F' : ''
+      };
+    };
+
+    (gedcomx?.relationships || []).forEach(relationship => {
+      const type = (relationship.type || '').replace(/^.*\//, '');
+      const person1 = relationship.person1?.resourceId;
+      const person2 = relationship.person2?.resourceId;
+
+      if (type === 'ParentChild' && person2 === personId && byId(person1)) {
+        const parent = summarize(byId(person1));
+        if (parent.sex === 'M' && !relatives.father) relatives.father = parent;
+        if (parent.sex === 'F' && !relatives.mother) relatives.mother = parent;
+      } else if (type === 'Couple' && (person1 === personId || person2 === personId)) {
+        const spouse = byId(person1 === personId ? person2 : person1);
+        if (spouse) relatives.spouses.push(summarize(spouse));
+      }
+    });
+
+    return relatives;
+  }
+
+  /**
+   * Extract additional information from person record
+   */
+  extractAdditionalInfo(person) {
+    const info = [];
+
+    // Death information
+    const deathFact = person.facts?.find(f => f.type === 'Death');
+    if (deathFact) {
+      const deathDate = deathFact.date?.original || '';
+      const deathPlace = deathFact.place?.original || '';
+      if (deathDate || deathPlace) {
+        info.push(`Death: ${deathDate} ${deathPlace}`.trim());
+      }
+    }
+
+    // Other life events
+    const otherFacts = person.facts?.filter(f => !['Birth', 'Death'].includes(f.type)) || [];
+    otherFacts.slice(0, 3).forEach(fact => { // Limit to avoid clutter
+      info.push(`${fact.type}: ${fact.value || fact.place?.original || 'Yes'}`);
+    });
+
+    return info.join('; ');
+  }
+
+  /**
+   * Calculate initial confidence score
+   */
+  calculateInitialConfidence(person, searchQuery) {
+    let confidence = 0.5; // Base confidence
+
+    // Has birth information
+    const birthFact = person.facts?.find(f => f.type === 'Birth');
+    if (birthFact?.date) confidence += 0.2;
+    if (birthFact?.place) confidence += 0.1;
+
+    // Has death information (more complete record)
+    const deathFact = person.facts?.find(f => f.type === 'Death');
+    if (deathFact) confidence += 0.1;
+
+    // Has multiple facts (richer record)
+    if (person.facts?.length > 2) confidence += 0.1;
+
+    return Math.min(confidence, 1.0);
+  }
+
+  /**
+   * Remove duplicate results
+   */
+  deduplicateResults(results) {
+    const seen = new Set();
+    return results.filter(result => {
+      const key = `${result.name}_${result.birth}_${result.location}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  /**
+   * Extract year from date string
+   */
+  extractYear(dateString) {
+    if (!dateString) return null;
+    const yearMatch = dateString.match(/\b(18|19|20)\d{2}\b/);
+    return yearMatch ? parseInt(yearMatch[0]) : null;
+  }
+}
+
+module.exports = { FamilySearchProvider };
@@ -0,0 +1,158 @@
+const { RecordProvider, CAPABILITIES } = require('./recordProvider');
+const { NewspaperIndexService, displayDate, tokenize } = require('../newspaperIndexService');
+
+const NOTICE_LABELS = { obituary: 'death notice', marriage: 'marriage notice' };
+
+// Snippets kept per page
+const MAX_SNIPPETS = 3;
+
+const yearOf = value => {
+  const match = String(value || '').match(/\b(1[5-9]\d{2}|20\d{2})\b/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Newspaper archives - pages indexed locally from Chronicling America batch downloads and transcripts
+ * (scripts/indexNewspaperPages.js, see services/newspaperIndexService.js)
+ */
+class NewspaperArchivesProvider extends RecordProvider {
+  constructor(settings = {}) {
+    super({
+      key: 'newspapers',
+      label: 'Newspaper Archives',
+      description: 'Obituaries, marriage notices and other mentions in locally indexed newspaper pages',
+      capabilities: [CAPABILITIES.NEWSPAPERS, CAPABILITIES.DETAILS],
+      order: 50,
+      citation: {
+        repository: 'Newspaper Archives',
+        address: '',
+        type: 'newspaper',
+        title: record => record.additionalInfo || `Newspaper page mentioning ${record.name}`
+      }
+    }, settings);
+    this.pages = new NewspaperIndexService();
+    this.maxResults = this.config.maxResults || 10;
+    this.proximity = this.config.proximity || 3;
+    this.lifespanYears = this.config.lifespanYears || 100;
+  }
+
+  /**
+   * Pages mentioning the person's name or its variations, dated from the searched birth years to the end
+   * of a lifetime (or a few years after a known death), ranked by which name matched and how
+   */
+  async search(searchQueries, person) {
+    const fullName = `${person.givenNames || ''} ${person.familyNames || ''}`.trim();
+    if (!person.familyNames) {
+      console.log('📰 Newspaper search skipped: no surname provided');
+      return [];
+    }
+    // Every variation is checked on each candidate page, so unlike the online sources there is no cap
+    const names = [...new Set([fullName, ...(searchQueries.nameVariations || [])])];
+
+    const birthYear = yearOf(person.birthDate);
+    const deathYear = yearOf(person.deathDate);
+    const ranges = (searchQueries.timeRangeQueries || [])
+      .map(range => range.match(/^(\d{4})-(\d{4})$/))
+      .filter(Boolean)
+      .map(match => [parseInt(match[1], 10), parseInt(match[2], 10)]);
+    const fromYear = ranges.length ? Math.min(...ranges.map(range => range[0])) : birthYear;
+    const toYear = deathYear ? deathYear + 5
+      : ranges.length ? Math.max(...ranges.map(range => range[1])) + this.lifespanYears
+      : birthYear && birthYear + this.lifespanYears;
+
+    console.log(`📰 Searching indexed newspapers for ${names.length} name variations${fromYear ? ` (${fromYear}-${toYear})` : ''}...`);
+
+    const found = await this.pages.search({ names, fromYear, toYear, distance: this.proximity });
+    const places = new Set([person.birthPlace, person.deathPlace, ...(searchQueries.locationVariations || [])]
+      .flatMap(place => tokenize(place).map(token => token.word)));
+
+    const results = found
+      .map(({ page, mentions }) => {
+        const ranked = mentions
+          .map(mention => ({ ...mention, confidence: this.rank(mention, { names, page, places }) }))
+          .sort((a, b) => b.confidence - a.confidence);
+        // Several mentions on one page make it more likely to be about the person
+        const confidence = Math.min(Math.round((ranked[0].confidence + (ranked.length > 1 ? 0.05 : 0)) * 100) / 100, 0.9);
+        return { page, mentions: ranked, confidence };
+      })
+      .sort((a, b) => b.confidence - a.confidence)
+      .slice(0, this.maxResults)
+      .map(({ page, mentions, confidence }) => this.normalize(page, { mentions, confidence }));
+
+    console.log(`✅ Newspaper search found ${results.length} pages with mentions`);
+    return results;
+  }
+
+  /**
+   * How likely one mention is to be the person: the person's own name counts most, then variations
+   * with their first given name (more with the middle name or initial), then nicknames and initials
+   */
+  rank(mention, { names, page, places }) {
+    const own = tokenize(names[0]).map(token => token.word);
+    const matched = tokenize(names[mention.nameIndex]).map(token => token.word);
+    let score = 0.4;
+    if (mention.nameIndex === 0) {
+      score += 0.25;
+    } else if (matched[0] === own[0] && own.length > 1) {
+      score += 0.15;
+      const middle = own.slice(1, -1);
+      if (matched.slice(1, -1).some(word => middle.some(name => name === word || name[0] === word))) score += 0.05;
+    } else {
+      score += 0.05;
+    }
+    // The name's words side by side rather than spread over the surrounding text
+    if (mention.positions[mention.positions.length - 1] - mention.positions[0] === mention.positions.length - 1) {
+      score += 0.1;
+    }
+    if (mention.noticeType !== 'mention') score += 0.1;
+    if (tokenize(page.place).some(token => places.has(token.word))) score += 0.05;
+    return Math.round(score * 100) / 100;
+  }
+
+  /**
+   * One indexed page and the mentions found on it as a record
+   */
+  normalize(page, { mentions = [], confidence } = {}) {
+    const best = mentions[0];
+    const notice = best && NOTICE_LABELS[best.noticeType];
+    const title = [page.title, displayDate(page.date), page.sequence && `page ${page.sequence}`].filter(Boolean).join(', ');
+
+    return this.toRecord({
+      id: `${page.collectionId}:${page.pageId}`,
+      name: best ? best.name : '',
+      location: page.place,
+      url: page.url,
+      additionalInfo: `${title}${notice ? ` (${notice})` : ''}`,
+      confidence,
+      rawData: {
+        collectionId: page.collectionId,
+        pageId: page.pageId,
+        title: page.title,
+        date: page.date,
+        sequence: page.sequence,
+        place: page.place,
+        noticeType: best ? best.noticeType : 'mention',
+        // Matched words are [start, end] offsets into the snippet text
+        snippets: mentions.slice(0, MAX_SNIPPETS).map(mention => mention.snippet)
+      }
+    });
+  }
+
+  /**
+   * The indexed page, with its full text, for a record id ("collectionId:pageId")
+   */
+  async getDetails(recordId) {
+    const separator = String(recordId || '').indexOf(':');
+    if (separator < 0) return null;
+    return await this.pages.findPage(recordId.slice(0, separator), recordId.slice(separator + 1));
+  }
+
+  async healthCheck() {
+    const { collections, pages } = await this.pages.summary();
+    return pages > 0
+      ? { status: 'ok', message: `${pages} pages in ${collections} collection${collections === 1 ? '' : 's'}` }
+      : { status: 'unconfigured', message: 'No newspaper pages indexed (see scripts/indexNewspaperPages.js)' };
+  }
+}
+
+module.exports = { NewspaperArchivesProvider };
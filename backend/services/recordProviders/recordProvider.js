@@ -0,0 +1,159 @@
+/**
+ * The contract every external record source implements. Providers live in this directory
+ * (or a directory listed in RECORD_PROVIDER_DIRS) and are found by RecordProviderRegistry;
+ * ExternalSearchService searches them without knowing which ones exist.
+ *
+ * A provider subclasses RecordProvider, passes its definition to the constructor and implements:
+ *   search(searchQueries, person, { signal }) - records for a person, each built with toRecord;
+ *     throws when the source could not be searched (an empty array means nothing was found)
+ *   normalize(raw, context) - one source item as a canonical record (see toRecord)
+ *   getDetails(recordId) - the full record, or null when the source has nothing more to add
+ *   healthCheck({ signal }) - { status, message } where status is one of HEALTH_STATUSES
+ * Requests to the source go through throttle() so the provider's rateLimit holds across searches.
+ */
+
+// What a provider's records can be used for
+const CAPABILITIES = {
+  PERSONS: 'persons',       // Records about a person: names, dates and places
+  RELATIVES: 'relatives',   // Records name the person's parents and spouses
+  NEWSPAPERS: 'newspapers', // Newspaper pages that mention the name
+  BURIALS: 'burials',       // Burial and memorial records
+  DETAILS: 'details'        // getDetails returns more than the search result
+};
+
+const HEALTH_STATUSES = ['ok', 'unconfigured', 'unavailable'];
+
+const DEFAULT_RATE_LIMIT = {
+  minIntervalMs: 0,           // Least time between two requests to the source
+  maxRequestsPerSearch: 10,   // Requests one search may make
+  timeoutMs: 15000            // Time allowed for one request
+};
+
+// Resolves after ms, or at once when the signal is aborted
+const wait = (ms, signal) => new Promise(resolve => {
+  if (ms <= 0 || signal?.aborted) return resolve();
+  const timer = setTimeout(done, ms);
+  function done() {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  }
+  signal?.addEventListener('abort', done);
+});
+
+const text = value => (value === undefined || value === null ? '' : String(value));
+
+class RecordProvider {
+  /**
+   * @param {Object} definition
+   * @param {string} definition.key - Stable id used in searchQueries.options.sources and the config
+   * @param {string} definition.label - Shown to users; stored on records as `source`
+   * @param {string} [definition.description]
+   * @param {string[]} [definition.capabilities] - Values of CAPABILITIES
+   * @param {number} [definition.order] - Position in source lists when RECORD_PROVIDERS does not set one
+   * @param {boolean} [definition.mock] - No real integration; only searched when mock sources are enabled
+   * @param {Object} [definition.rateLimit] - Overrides DEFAULT_RATE_LIMIT
+   * @param {Object} [definition.citation] - How attached records are cited:
+   *   { repository, address, type, title: record => string }
+   * @param {Object} [settings] - This deployment's provider settings keyed by provider key
+   *   (RECORD_PROVIDER_CONFIG). The provider's own entry becomes this.config; its `rateLimit`
+   *   and `defaultSelected` are applied here, anything else is for the provider.
+   */
+  constructor(definition, settings = {}) {
+    if (!definition?.key || !definition?.label) {
+      throw new Error('A record provider needs a key and a label');
+    }
+    const config = settings[definition.key] || {};
+
+    this.key = definition.key;
+    this.label = definition.label;
+    this.description = definition.description || '';
+    this.capabilities = definition.capabilities || [CAPABILITIES.PERSONS];
+    this.order = definition.order ?? 100;
+    this.mock = definition.mock === true;
+    this.citation = definition.citation || null;
+    this.config = config;
+    this.rateLimit = { ...DEFAULT_RATE_LIMIT, ...definition.rateLimit, ...config.rateLimit };
+    // Mock sources are only searched by default when ENABLE_MOCK_SOURCES is set
+    this.defaultSelected = config.defaultSelected ?? (!this.mock || process.env.ENABLE_MOCK_SOURCES === 'true');
+    this.nextRequestAt = 0;
+  }
+
+  hasCapability(capability) {
+    return this.capabilities.includes(capability);
+  }
+
+  async search(searchQueries, person, options = {}) {
+    throw new Error(`${this.label} does not implement search`);
+  }
+
+  normalize(raw, context = {}) {
+    throw new Error(`${this.label} does not implement normalize`);
+  }
+
+  async getDetails(recordId) {
+    return null;
+  }
+
+  async healthCheck(options = {}) {
+    return { status: 'ok', message: '' };
+  }
+
+  /**
+   * A record in the canonical schema every source returns:
+   * { id, source, sourceKey, name, givenName, familyName, birth, death, location, url,
+   *   additionalInfo, searchQuery, confidence, relatives, rawData }
+   * Missing fields get empty values; source and sourceKey always name this provider.
+   */
+  toRecord(fields) {
+    const confidence = Number(fields.confidence);
+    return {
+      id: text(fields.id),
+      source: this.label,
+      sourceKey: this.key,
+      name: text(fields.name),
+      givenName: text(fields.givenName),
+      familyName: text(fields.familyName),
+      birth: text(fields.birth),
+      death: text(fields.death),
+      location: text(fields.location),
+      url: text(fields.url),
+      additionalInfo: text(fields.additionalInfo),
+      searchQuery: text(fields.searchQuery),
+      confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : 0.5,
+      relatives: fields.relatives || null,
+      rawData: fields.rawData ?? null
+    };
+  }
+
+  /**
+   * Wait for this provider's next request slot. Slots are shared by every search in the
+   * process, at least rateLimit.minIntervalMs (or intervalMs, when longer) apart.
+   */
+  async throttle(signal, intervalMs = 0) {
+    const now = Date.now();
+    const start = Math.max(now, this.nextRequestAt);
+    this.nextRequestAt = start + Math.max(this.rateLimit.minIntervalMs, intervalMs);
+    await wait(start - now, signal);
+  }
+
+  // Requests a search may make: what the search asks for, capped by the rate limit
+  requestBudget(requested) {
+    const cap = this.rateLimit.maxRequestsPerSearch;
+    return Number.isFinite(requested) ? Math.min(requested, cap) : cap;
+  }
+
+  // What the API tells clients about the provider
+  describe() {
+    return {
+      key: this.key,
+      label: this.label,
+      description: this.description,
+      capabilities: this.capabilities,
+      mock: this.mock,
+      defaultSelected: this.defaultSelected
+    };
+  }
+}
+
+module.exports = { RecordProvider, CAPABILITIES, HEALTH_STATUSES, DEFAULT_RATE_LIMIT };
@@ -0,0 +1,164 @@
+const axios = require('axios');
+const { RecordProvider, CAPABILITIES } = require('./recordProvider');
+
+/**
+ * WikiTree - Collaborative family tree (public API)
+ * Docs: https://www.wikitree.com/wiki/Help:WikiTree_API
+ */
+class WikiTreeProvider extends RecordProvider {
+  constructor(settings = {}) {
+    super({
+      key: 'wikitree',
+      label: 'WikiTree',
+      description: 'Collaborative family tree profiles',
+      capabilities: [CAPABILITIES.PERSONS, CAPABILITIES.DETAILS],
+      order: 30,
+      rateLimit: { minIntervalMs: 500, timeoutMs: 15000 },
+      citation: {
+        repository: 'WikiTree',
+        address: 'https://www.wikitree.com',
+        type: 'unknown',
+        title: record => `WikiTree profile: ${record.name}`
+      }
+    }, settings);
+    this.appId = process.env.WIKITREE_APP_ID || 'GenealogyApp';
+  }
+
+  // Read on every request so WIKITREE_API_BASE can point at the record fixture server after startup
+  get baseURL() {
+    return this.config.baseURL || process.env.WIKITREE_API_BASE || 'https://api.wikitree.com/api.php';
+  }
+
+  /**
+   * Search for profiles by name (and optionally year)
+   */
+  async search(searchQueries, person, { signal } = {}) {
+    const fullName = `${person.givenNames || ''} ${person.familyNames || ''}`.trim();
+    if (!fullName) {
+      console.log('🌳 WikiTree skipped: no name provided');
+      return [];
+    }
+
+    // Try to derive a birth year window to help narrow results
+    let birthYear = null;
+    const tr = (searchQueries.timeRangeQueries || [])[0];
+    if (tr && /^(\d{4})-(\d{4})$/.test(tr)) {
+      const m = tr.match(/^(\d{4})-(\d{4})$/);
+      birthYear = Math.round((parseInt(m[1], 10) + parseInt(m[2], 10)) / 2);
+    } else if (person.birthDate) {
+      const by = (person.birthDate.match(/\b(16|17|18|19|20)\d{2}\b/) || [])[0];
+      birthYear = by ? parseInt(by, 10) : null;
+    }
+
+    console.log(`🌳 Searching WikiTree for "${fullName}"${birthYear ? ' ~' + birthYear : ''}...`);
+
+    const attempts = [ { action: 'search', termKey: 'find' } ];
+    let answered = false;
+    let lastError = null;
+
+    for (const attempt of attempts) {
+      try {
+        const form = new URLSearchParams();
+        form.append('action', attempt.action);
+        form.append(attempt.termKey, fullName);
+        form.append('appId', this.appId);
+        form.append('max', '10');
+        form.append('format', 'json');
+        if (birthYear) form.append('birth', String(birthYear));
+
+        await this.throttle(signal);
+        const resp = await axios.post(this.baseURL, form.toString(), {
+          headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+          timeout: this.rateLimit.timeoutMs,
+          signal
+        });
+
+        answered = true;
+        const data = resp.data;
+        const items = Array.isArray(data?.results) ? data.results
+          : Array.isArray(data?.people) ? data.people
+          : Array.isArray(data) ? data
+          : [];
+
+        if (!items.length) {
+          // try next attempt
+          continue;
+        }
+
+        const results = items.slice(0, 10).map((it, idx) => this.normalize(it, { fullName, person, index: idx }));
+
+        console.log(`✅ WikiTree found ${results.length} potential profiles`);
+        return results;
+      } catch (err) {
+        const status = err.response?.status;
+        const msg = err.response?.data?.error || err.message;
+        console.warn(`❌ WikiTree ${attempt.action} failed [${status || 'ERR'}]: ${msg}`);
+        lastError = err;
+        // try next variant
+      }
+    }
+
+    // Only a failure when no attempt got an answer
+    if (!answered && lastError) throw lastError;
+    console.log('ℹ️ WikiTree returned no results');
+    return [];
+  }
+
+  /**
+   * One profile from a search response as a record
+   */
+  normalize(it, { fullName, person, index } = {}) {
+    // Common WikiTree fields across responses
+    const wtId = it?.Name || it?.NameKey || it?.Id || it?.identifier || it?.wtid;
+    const displayName = it?.LongName || it?.RealName || it?.DisplayName || it?.PersonName || it?.name || fullName;
+    const birth = it?.BirthDate || it?.birth_date || it?.BirthDateDecade || it?.Birth || person?.birthDate || '';
+    const birthLoc = it?.BirthLocation || it?.birth_location || it?.BirthPlace || '';
+    const url = it?.Url || it?.url || (wtId ? `https://www.wikitree.com/wiki/${wtId}` : '');
+
+    return this.toRecord({
+      id: wtId || `${displayName}_${index}`,
+      name: displayName,
+      birth: birth,
+      death: it?.DeathDate || '',
+      location: birthLoc,
+      url,
+      additionalInfo: 'Collaborative family tree profile',
+      confidence: 0.6,
+      rawData: it
+    });
+  }
+
+  async getDetails(wtId) {
+    if (!wtId) return null;
+    try {
+      return await this.getProfile(wtId);
+    } catch (e) {
+      console.warn('⚠️ WikiTree getProfile failed:', e.message);
+      return null;
+    }
+  }
+
+  async getProfile(wtId, { signal } = {}) {
+    const form = new URLSearchParams();
+    form.append('action', 'getProfile');
+    form.append('key', wtId);
+    form.append('format', 'json');
+    await this.throttle(signal);
+    const resp = await axios.post(this.baseURL, form.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: this.rateLimit.timeoutMs,
+      signal
+    });
+    return resp.data || null;
+  }
+
+  // A well-known public profile answers when the API is up
+  async healthCheck({ signal } = {}) {
+    const profile = await this.getProfile('Clemens-1', { signal });
+    return profile
+      ? { status: 'ok', message: '' }
+      : { status: 'unavailable', message: 'Empty response from getProfile' };
+  }
+}
+
+module.exports = { WikiTreeProvider };
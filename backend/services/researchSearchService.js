@@ -0,0 +1,177 @@
+/**
+ * External record search for one person: searches the enabled sources, drops records the
+ * user already rejected for this person and ranks the rest with the ConfidenceScorer.
+ * Runs as a background job (see jobs/externalSearchJob.js) or streamed source by source
+ * (POST /api/ai-research/search-external/stream) because the sources are slow.
+ */
+
+const { ExternalSearchService } = require('./externalSearchService');
+const { ConfidenceScorer } = require('./confidenceScorer');
+
+// Scored results returned per search
+const RESULT_LIMIT = 20;
+
+/**
+ * Family context for a person from the tree's lookup maps
+ * (TreeRepository's indexTree of the whole tree or of the person's context)
+ */
+function getPersonFamilyContext(personId, tree) {
+  const familyData = {
+    parents: { father: null, mother: null },
+    spouses: [],
+    children: []
+  };
+
+  // Find families where this person is a spouse
+  const spouseFamilies = tree.familiesAsSpouse(personId);
+
+  // Find spouses
+  for (const family of spouseFamilies) {
+    const spouseId = family.husband === personId ? family.wife : family.husband;
+    if (spouseId) {
+      const spouse = tree.person(spouseId);
+      if (spouse) {
+        familyData.spouses.push({
+          id: spouse.id,
+          givenNames: spouse.givenNames || 'Unknown',
+          familyNames: spouse.familyNames || 'Unknown'
+        });
+      }
+    }
+  }
+
+  // Find families where this person is a child
+  const childFamilies = tree.familiesAsChild(personId);
+
+  // Find parents
+  if (childFamilies.length > 0) {
+    const parentFamily = childFamilies[0];
+
+    if (parentFamily.husband) {
+      const father = tree.person(parentFamily.husband);
+      if (father) {
+        familyData.parents.father = {
+          id: father.id,
+          givenNames: father.givenNames || 'Unknown',
+          familyNames: father.familyNames || 'Unknown'
+        };
+      }
+    }
+
+    if (parentFamily.wife) {
+      const mother = tree.person(parentFamily.wife);
+      if (mother) {
+        familyData.parents.mother = {
+          id: mother.id,
+          givenNames: mother.givenNames || 'Unknown',
+          familyNames: mother.familyNames || 'Unknown'
+        };
+      }
+    }
+  }
+
+  return familyData;
+}
+
+class ResearchSearchService {
+  constructor() {
+    this.externalSearch = new ExternalSearchService();
+    this.confidenceScorer = new ConfidenceScorer();
+  }
+
+  /**
+   * Search external sources for a person of the user's tree
+   * @param {Object} options
+   * @param {AbortSignal} [options.signal] - Stops sources that are still searching
+   * @param {Function} [options.onSourceComplete] - See ExternalSearchService.searchAllSources; here
+   *   `results` are that source's scored results without rejected records, and `rejectedCount` is added
+   * @returns {Object} The search response: scoredResults (best first) and counts
+   */
+  async search(user, person, tree, searchQueries, { signal, onSourceComplete } = {}) {
+    const personId = person.id;
+    const familyContext = getPersonFamilyContext(personId, tree);
+    const enrichedPerson = { ...person, ...familyContext };
+    const rejectedHashes = this.rejectedHashes(user, personId);
+
+    // Search external sources
+    const externalResults = await this.externalSearch.searchAllSources(searchQueries, enrichedPerson, {
+      signal,
+      onSourceComplete: onSourceComplete && ((outcome, finished, total) => {
+        const kept = this.withoutRejected(outcome.results, rejectedHashes, personId);
+        onSourceComplete({
+          ...outcome,
+          results: this.score(kept, enrichedPerson, searchQueries),
+          rejectedCount: outcome.results.length - kept.length
+        }, finished, total);
+      })
+    });
+
+    const filteredResults = this.withoutRejected(externalResults, rejectedHashes, personId);
+    console.log(`🔍 External search: ${externalResults.length} raw results, ${filteredResults.length} after filtering rejections`);
+
+    // Best results first, limited
+    const topResults = this.score(filteredResults, enrichedPerson, searchQueries).slice(0, RESULT_LIMIT);
+
+    console.log(`✅ External search complete: ${topResults.length} scored results`);
+
+    return {
+      success: true,
+      personId: personId,
+      personName: `${person.givenNames} ${person.familyNames}`,
+      totalResults: externalResults.length,
+      filteredResults: filteredResults.length,
+      rejectedCount: externalResults.length - filteredResults.length,
+      scoredResults: topResults,
+      searchedAt: new Date(),
+      sources: [...new Set(externalResults.map(r => r.source))] // Unique sources searched
+    };
+  }
+
+  // Records the user rejected for this person
+  rejectedHashes(user, personId) {
+    const rejectedHashes = new Set();
+    if (user.rejectedMatches && user.rejectedMatches.length > 0) {
+      user.rejectedMatches.forEach(rejection => {
+        // Create hash for this person-record combination
+        rejectedHashes.add(`${rejection.recordId}_${personId}`);
+        // Also check the stored recordHash for backward compatibility
+        if (rejection.recordHash) {
+          rejectedHashes.add(rejection.recordHash);
+        }
+      });
+    }
+    return rejectedHashes;
+  }
+
+  withoutRejected(results, rejectedHashes, personId) {
+    return results.filter(result => {
+      const isRejected = rejectedHashes.has(`${result.id}_${personId}`);
+      if (isRejected) {
+        console.log(`🚫 Filtering out previously rejected record: ${result.id} for person ${personId}`);
+      }
+      return !isRejected;
+    });
+  }
+
+  // Confidence scores for each result, best first
+  score(results, enrichedPerson, searchQueries) {
+    return results
+      .map(result => {
+        const confidenceAnalysis = this.confidenceScorer.calculateConfidence(
+          enrichedPerson,
+          result,
+          { searchQueries }
+        );
+
+        return {
+          ...result,
+          confidence: confidenceAnalysis.overallConfidence,
+          confidenceAnalysis: confidenceAnalysis,
+          aiAnalysis: null // Will be populated on demand
+        };
+      })
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+}
+
+module.exports = { ResearchSearchService, getPersonFamilyContext };
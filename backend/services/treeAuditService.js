@@ -0,0 +1,236 @@
+/**
+ * Tree-wide consistency audit.
+ * Runs the per-person GenealogyValidationService checks over every individual and
+ * adds checks that need the whole family graph (ancestor loops, births after the
+ * mother's death, HUSB/WIFE sex conflicts, children listed twice in a family).
+ */
+
+const { GenealogyValidationService } = require('./genealogyValidationService');
+const { findIndividual, getValidationContext } = require('../utils/gedcomTree');
+const { findAncestorLoops } = require('../utils/gedcomGraph');
+const { MONTHS } = require('../utils/gedcomWriter');
+
+const SEVERITY_ORDER = { error: 0, warning: 1 };
+
+// Report category for each per-person issue type
+const ISSUE_CATEGORIES = {
+  invalid_birth_date: 'core',
+  invalid_death_date: 'core',
+  missing_name: 'core',
+  invalid_sex: 'core',
+  invalid_lifespan: 'lifespan',
+  long_lifespan: 'lifespan',
+  parent_too_young: 'parent_child_age',
+  parent_very_old: 'parent_child_age',
+  child_born_parent_too_young: 'parent_child_age',
+  child_born_parent_very_old: 'parent_child_age',
+  large_sibling_age_gap: 'parent_child_age',
+  large_spouse_age_gap: 'spouse_age',
+  marriage_too_young: 'spouse_age',
+  spouse_marriage_too_young: 'spouse_age',
+  chronology_error: 'timeline',
+  parent_died_before_birth: 'timeline',
+  child_born_after_death: 'timeline',
+  marriage_before_birth: 'timeline'
+};
+
+const AUDIT_CATEGORIES = ['core', 'lifespan', 'parent_child_age', 'spouse_age', 'timeline', 'relationship'];
+
+class TreeAuditService {
+  constructor() {
+    this.validationService = new GenealogyValidationService();
+  }
+
+  /**
+   * Audit every individual and family in the tree
+   * @param {Object} data - Decrypted GEDCOM JSON
+   * @returns {Object[]} Problems sorted by severity, category and person name
+   */
+  auditTree(data) {
+    const treeProblems = [
+      ...this.checkAncestorLoops(data),
+      ...this.checkBirthsAfterMotherDeath(data),
+      ...this.checkSpouseRoles(data),
+      ...this.checkDuplicateChildren(data)
+    ];
+
+    // The precise mother check supersedes the year-only one on the child's own record
+    const childrenBornAfterMotherDeath = new Set(
+      treeProblems.filter(problem => problem.type === 'born_after_mother_death').map(problem => problem.personId)
+    );
+
+    const personProblems = (data.individuals || []).flatMap(person => {
+      const { issues, warnings } = this.validationService.auditPersonRecord(person, getValidationContext(data, person.id));
+      return [...issues, ...warnings]
+        .filter(issue => !(
+          issue.type === 'parent_died_before_birth' &&
+          issue.message.startsWith('mother') &&
+          childrenBornAfterMotherDeath.has(person.id)
+        ))
+        .map(issue => this.problem(person, {
+          severity: issue.severity === 'error' ? 'error' : 'warning',
+          category: ISSUE_CATEGORIES[issue.type] || 'core',
+          type: issue.type,
+          message: issue.message,
+          field: issue.field
+        }));
+    });
+
+    return [...personProblems, ...treeProblems].sort((a, b) =>
+      (SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity]) ||
+      (AUDIT_CATEGORIES.indexOf(a.category) - AUDIT_CATEGORIES.indexOf(b.category)) ||
+      a.personName.localeCompare(b.personName) ||
+      a.personId.localeCompare(b.personId)
+    );
+  }
+
+  /**
+   * Counts by severity and category for the report header
+   */
+  summarize(problems) {
+    const summary = { total: problems.length, errors: 0, warnings: 0, byCategory: {}, peopleAffected: 0 };
+    AUDIT_CATEGORIES.forEach(category => { summary.byCategory[category] = 0; });
+
+    problems.forEach(problem => {
+      if (problem.severity === 'error') summary.errors++;
+      else summary.warnings++;
+      summary.byCategory[problem.category] = (summary.byCategory[problem.category] || 0) + 1;
+    });
+    summary.peopleAffected = new Set(problems.map(problem => problem.personId)).size;
+
+    return summary;
+  }
+
+  // Everyone on a loop is their own ancestor; report each of them
+  checkAncestorLoops(data) {
+    return findAncestorLoops(data).flatMap(loop => {
+      const names = loop.map(id => this.personName(findIndividual(data, id) || { id }));
+      return loop.map(id => this.problem(findIndividual(data, id) || { id }, {
+        severity: 'error',
+        category: 'relationship',
+        type: 'own_ancestor',
+        message: loop.length === 1
+          ? 'Listed as their own parent'
+          : `Is their own ancestor through ${names.join(' → ')}`,
+        field: 'parents'
+      }));
+    });
+  }
+
+  // A child cannot be born after their birth mother died (fathers can die before a birth)
+  checkBirthsAfterMotherDeath(data) {
+    const problems = [];
+    (data.families || []).forEach(family => {
+      const mother = family.wife ? findIndividual(data, family.wife) : null;
+      if (!mother || !mother.deathDate) return;
+
+      new Set(family.children || []).forEach(childId => {
+        const pedigree = (family.childPedigree || {})[childId] || 'birth';
+        const child = findIndividual(data, childId);
+        if (pedigree !== 'birth' || !child || !child.birthDate) return;
+
+        if (this.compareDates(child.birthDate, mother.deathDate) > 0) {
+          problems.push(this.problem(child, {
+            severity: 'error',
+            category: 'relationship',
+            type: 'born_after_mother_death',
+            message: `Born ${child.birthDate}, after their mother ${this.personName(mother)} died ${mother.deathDate}`,
+            field: 'birthDate',
+            familyId: family.id,
+            relatedPersonId: mother.id
+          }));
+        }
+      });
+    });
+    return problems;
+  }
+
+  checkSpouseRoles(data) {
+    const problems = [];
+    (data.families || []).forEach(family => {
+      [['husband', 'F', 'HUSB'], ['wife', 'M', 'WIFE']].forEach(([slot, conflictingSex, tag]) => {
+        const spouse = family[slot] ? findIndividual(data, family[slot]) : null;
+        if (!spouse || spouse.sex !== conflictingSex) return;
+        problems.push(this.problem(spouse, {
+          severity: 'warning',
+          category: 'relationship',
+          type: 'sex_role_conflict',
+          message: `Recorded as ${spouse.sex === 'F' ? 'female' : 'male'} but is the ${tag} (${slot}) of family ${family.id}`,
+          field: 'sex',
+          familyId: family.id
+        }));
+      });
+    });
+    return problems;
+  }
+
+  checkDuplicateChildren(data) {
+    const problems = [];
+    (data.families || []).forEach(family => {
+      const seen = new Set();
+      const reported = new Set();
+      (family.children || []).forEach(childId => {
+        if (!seen.has(childId)) {
+          seen.add(childId);
+          return;
+        }
+        if (reported.has(childId)) return;
+        reported.add(childId);
+        problems.push(this.problem(findIndividual(data, childId) || { id: childId }, {
+          severity: 'error',
+          category: 'relationship',
+          type: 'duplicate_child',
+          message: `Listed more than once as a child of family ${family.id}`,
+          field: 'children',
+          familyId: family.id
+        }));
+      });
+    });
+    return problems;
+  }
+
+  problem(person, details) {
+    return {
+      personId: person.id,
+      personName: this.personName(person),
+      familyId: null,
+      relatedPersonId: null,
+      ...details
+    };
+  }
+
+  personName(person) {
+    return `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || person.id;
+  }
+
+  /**
+   * Compare two GEDCOM dates at the precision both share. Approximate or
+   * ranged dates (ABT, BEF, BET ...) compare by year only.
+   * @returns {number} negative, 0 (same or unknown) or positive
+   */
+  compareDates(a, b) {
+    const first = this.parseDate(a);
+    const second = this.parseDate(b);
+    if (!first || !second) return 0;
+
+    if (first.year !== second.year) return first.year - second.year;
+    if (first.approximate || second.approximate || !first.month || !second.month) return 0;
+    if (first.month !== second.month) return first.month - second.month;
+    if (!first.day || !second.day) return 0;
+    return first.day - second.day;
+  }
+
+  parseDate(value) {
+    const text = String(value || '').toUpperCase();
+    const match = text.match(/(?:(\d{1,2})\s+)?(?:(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s+)?(\d{3,4})/);
+    if (!match) return null;
+    return {
+      day: match[1] ? parseInt(match[1], 10) : null,
+      month: match[2] ? MONTHS.indexOf(match[2]) + 1 : null,
+      year: parseInt(match[3], 10),
+      approximate: /\b(ABT|BEF|AFT|BET|EST|CAL|FROM|TO|INT)\b/.test(text)
+    };
+  }
+}
+
+module.exports = { TreeAuditService, AUDIT_CATEGORIES };
@@ -0,0 +1,252 @@
+/**
+ * Revision history for a user's tree.
+ * Every save is diffed against the tree it loaded at record level: individuals, families,
+ * sources, repositories and merge log entries by id, any other top-level key whole.
+ * Each change keeps both sides, so the tree as of any revision can be rebuilt by
+ * undoing the later revisions from the current tree.
+ */
+
+const { GedcomRevision } = require('../models/Gedcom');
+const { decryptData, encryptData } = require('../utils/helpers');
+const { parseGedcomContent } = require('../utils/gedcomParser');
+
+const RECORD_COLLECTIONS = ['individuals', 'families', 'sources', 'repositories', 'mergeLog'];
+
+// Touched on every save; never part of a diff
+const IGNORED_KEYS = ['lastEdited'];
+
+// Family fields shown in a person's history
+const FAMILY_FIELDS = ['husband', 'wife', 'children', 'childPedigree', 'marriageDate', 'marriagePlace', 'events'];
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+class TreeHistoryService {
+  /**
+   * Record-level changes between two trees.
+   * A change is { collection, id, index, before, after } for records or
+   * { collection: null, key, before, after } for other keys; a missing side
+   * means the record or key did not exist.
+   */
+  diffTrees(before = {}, after = {}) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach(key => {
+      if (IGNORED_KEYS.includes(key)) return;
+      if (RECORD_COLLECTIONS.includes(key)) {
+        changes.push(...this.diffCollection(key, before[key] || [], after[key] || []));
+      } else if (!sameValue(before[key], after[key])) {
+        changes.push({ collection: null, key, before: before[key], after: after[key] });
+      }
+    });
+
+    return changes;
+  }
+
+  diffCollection(collection, beforeRecords, afterRecords) {
+    const changes = [];
+    const previous = new Map(beforeRecords.map((record, index) => [record.id, { record, index }]));
+    const remaining = new Set(afterRecords.map(record => record.id));
+
+    previous.forEach(({ record, index }, id) => {
+      if (!remaining.has(id)) changes.push({ collection, id, index, before: record });
+    });
+
+    afterRecords.forEach((record, index) => {
+      const earlier = previous.get(record.id);
+      if (!earlier) {
+        changes.push({ collection, id: record.id, index, after: record });
+      } else if (!sameValue(earlier.record, record)) {
+        changes.push({ collection, id: record.id, index, before: earlier.record, after: record });
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Apply changes to a tree in place; 'reverse' undoes them
+   */
+  applyChanges(data, changes, direction = 'forward') {
+    const ordered = direction === 'reverse' ? [...changes].reverse() : changes;
+
+    ordered.forEach(change => {
+      const target = direction === 'reverse' ? change.before : change.after;
+
+      if (!change.collection) {
+        if (target === undefined) delete data[change.key];
+        else data[change.key] = target;
+        return;
+      }
+
+      const records = data[change.collection] = data[change.collection] || [];
+      const position = records.findIndex(record => record.id === change.id);
+      if (target === undefined) {
+        if (position !== -1) records.splice(position, 1);
+      } else if (position !== -1) {
+        records[position] = target;
+      } else {
+        records.splice(Math.min(change.index, records.length), 0, target);
+      }
+    });
+
+    return data;
+  }
+
+  summarize(changes) {
+    const summary = { added: 0, modified: 0, removed: 0 };
+    changes.forEach(change => {
+      if (change.before === undefined) summary.added++;
+      else if (change.after === undefined) summary.removed++;
+      else summary.modified++;
+    });
+    return summary;
+  }
+
+  // Individuals a revision touches, directly or as a member of a changed family
+  affectedPersonIds(changes) {
+    const ids = new Set();
+    changes.forEach(change => {
+      if (change.collection === 'individuals') ids.add(change.id);
+      if (change.collection === 'families') {
+        [change.before, change.after].filter(Boolean).forEach(family => {
+          [family.husband, family.wife, ...(family.children || [])].filter(Boolean).forEach(id => ids.add(id));
+        });
+      }
+    });
+    return [...ids];
+  }
+
+  /**
+   * Append a revision for the changes a save wrote. Called by TreeStorageService.saveTree while
+   * it holds the tree's lock, with the number it took from GedcomDatabase.revisionCounter.
+   * @param {Object} options - { user, database, rev, changes, route, restoredFrom }
+   * @returns {Object|null} The revision, or null when nothing changed
+   */
+  async recordRevision({ user, database, rev, changes, route, restoredFrom = null }) {
+    if (changes.length === 0) return null;
+
+    const revision = new GedcomRevision({
+      databaseId: database.databaseId,
+      userId: user._id,
+      rev,
+      route,
+      encryptedDiff: JSON.stringify(encryptData(JSON.stringify(changes), user.encryptionKey)),
+      personIds: this.affectedPersonIds(changes),
+      summary: this.summarize(changes),
+      restoredFrom
+    });
+
+    await revision.save();
+    console.log(`🕘 Recorded revision ${revision.rev} for ${database.databaseId} (${route})`);
+    return revision;
+  }
+
+  // Number of a database's newest revision, 0 when it has none
+  async latestRevision(databaseId) {
+    const latest = await GedcomRevision.findOne({ databaseId }).sort({ rev: -1 }).select('rev').lean();
+    return latest ? latest.rev : 0;
+  }
+
+  // "PUT /api/gedcom/person/:personId" for the route that made a change
+  routeOf(req) {
+    return `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  }
+
+  // Whole-tree blob (a snapshot or a legacy database) to JSON; the oldest hold raw GEDCOM text
+  readTree(encryptedData, encryptionKey) {
+    if (!encryptedData) return {};
+
+    let payload = encryptedData;
+    if (typeof payload === 'string' && payload.startsWith('{')) {
+      payload = JSON.parse(payload);
+    }
+
+    const decryptedData = decryptData(payload, encryptionKey);
+    return decryptedData.trim().startsWith('{')
+      ? JSON.parse(decryptedData)
+      : parseGedcomContent(decryptedData);
+  }
+
+  decryptChanges(revision, encryptionKey) {
+    return JSON.parse(decryptData(JSON.parse(revision.encryptedDiff), encryptionKey));
+  }
+
+  /**
+   * Roll a tree back to how it was right after `rev` (0 = before the first revision)
+   * @param {Object} data - The current tree; modified in place
+   */
+  async rebuildAt(database, data, rev, encryptionKey) {
+    const later = await GedcomRevision.find({ databaseId: database.databaseId, rev: { $gt: rev } }).sort({ rev: -1 });
+    later.forEach(revision => this.applyChanges(data, this.decryptChanges(revision, encryptionKey), 'reverse'));
+    return { data, undone: later.length };
+  }
+
+  // Metadata the history list shows
+  describeRevision(revision) {
+    return {
+      rev: revision.rev,
+      createdAt: revision.createdAt,
+      userId: revision.userId,
+      route: revision.route,
+      summary: revision.summary,
+      restoredFrom: revision.restoredFrom
+    };
+  }
+
+  /**
+   * What one revision changed for a person: their own record and their families
+   */
+  describePersonChanges(changes, personId) {
+    return changes.flatMap(change => {
+      if (change.collection === 'individuals' && change.id === personId) {
+        return [{
+          type: 'person',
+          id: change.id,
+          action: this.actionOf(change),
+          fields: this.fieldChanges(change.before, change.after)
+        }];
+      }
+
+      if (change.collection === 'families') {
+        const members = [change.before, change.after].filter(Boolean)
+          .flatMap(family => [family.husband, family.wife, ...(family.children || [])]);
+        if (!members.includes(personId)) return [];
+        return [{
+          type: 'family',
+          id: change.id,
+          action: this.actionOf(change),
+          fields: this.fieldChanges(change.before, change.after, FAMILY_FIELDS)
+        }];
+      }
+
+      return [];
+    });
+  }
+
+  actionOf(change) {
+    if (change.before === undefined) return 'added';
+    if (change.after === undefined) return 'removed';
+    return 'modified';
+  }
+
+  // Field-by-field comparison; lists and nested objects are reported by size
+  fieldChanges(before = {}, after = {}, fields = null) {
+    const keys = fields || [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(key => key !== 'id');
+
+    return keys
+      .filter(field => !sameValue(before[field], after[field]))
+      .map(field => {
+        const from = before[field];
+        const to = after[field];
+        const isList = [from, to].some(value => value !== null && typeof value === 'object');
+        if (!isList || field === 'children') {
+          return { field, before: from ?? null, after: to ?? null };
+        }
+        const size = (value) => (Array.isArray(value) ? value.length : Object.keys(value || {}).length);
+        return { field, kind: 'list', before: size(from), after: size(to) };
+      });
+  }
+}
+
+module.exports = { TreeHistoryService };
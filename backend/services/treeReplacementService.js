@@ -0,0 +1,111 @@
+/**
+ * Replace a whole tree from a GEDCOM file: a new upload, or the stored rawGedcom
+ * re-parsed with the current parser. The replacement is compared with the current
+ * tree by xref before anything changes, and the current database is snapshotted
+ * before it is overwritten so the old tree can be brought back.
+ */
+
+const crypto = require('crypto');
+const { GedcomSnapshot } = require('../models/Gedcom');
+const { TreeHistoryService } = require('./treeHistoryService');
+const { TreeStorageService } = require('./treeStorageService');
+const { buildTreeData } = require('../utils/gedcomParser');
+const { summarizePerson } = require('../utils/gedcomGraph');
+
+const PREVIEW_COLLECTIONS = ['individuals', 'families', 'sources', 'repositories'];
+
+// People listed per change type in a preview; the counts always cover everyone
+const PREVIEW_LIMIT = 200;
+
+const SNAPSHOTS_KEPT = 5;
+
+class TreeReplacementService {
+  constructor() {
+    this.history = new TreeHistoryService();
+    this.storage = new TreeStorageService();
+  }
+
+  /**
+   * Re-parse the original upload with the current parser. Edits made in the app since
+   * the upload are not in rawGedcom, so the preview shows them as changes.
+   * @returns {Object|null} The replacement tree, or null when no original file is stored
+   */
+  reparse(current) {
+    if (!current.rawGedcom) return null;
+
+    const replacement = buildTreeData(current.rawGedcom, current.sourceFile || null);
+    replacement.importDate = current.importDate || replacement.importDate;
+    replacement.reparsedAt = new Date();
+    return replacement;
+  }
+
+  /**
+   * What replacing `current` with `replacement` would change, matched by xref
+   */
+  preview(current, replacement) {
+    const changes = this.history.diffTrees(current, JSON.parse(JSON.stringify(replacement)));
+    const people = changes.filter(change => change.collection === 'individuals');
+    const counts = Object.fromEntries(PREVIEW_COLLECTIONS.map(collection => [
+      collection,
+      this.history.summarize(changes.filter(change => change.collection === collection))
+    ]));
+
+    const ofAction = (action) => people.filter(change => this.history.actionOf(change) === action);
+
+    return {
+      counts,
+      unchangedIndividuals: (replacement.individuals || []).length - counts.individuals.added - counts.individuals.modified,
+      added: ofAction('added').slice(0, PREVIEW_LIMIT).map(change => summarizePerson(change.after)),
+      removed: ofAction('removed').slice(0, PREVIEW_LIMIT).map(change => summarizePerson(change.before)),
+      modified: ofAction('modified').slice(0, PREVIEW_LIMIT).map(change => ({
+        ...summarizePerson(change.after),
+        fields: this.history.fieldChanges(change.before, change.after).map(field => field.field)
+      })),
+      listLimit: PREVIEW_LIMIT,
+      otherChanges: changes.filter(change => !change.collection).map(change => change.key),
+      parseWarnings: (replacement.parseWarnings || []).length,
+      parseError: replacement.parseError || null
+    };
+  }
+
+  /**
+   * Keep the whole tree as it is now in one encrypted snapshot; only the latest few are kept
+   */
+  async createSnapshot(user, database, data, reason) {
+    const snapshot = new GedcomSnapshot({
+      snapshotId: crypto.randomBytes(12).toString('hex'),
+      databaseId: database.databaseId,
+      userId: user._id,
+      reason,
+      sourceFile: database.sourceFile,
+      encryptedData: this.storage.encryptTree(data, user.encryptionKey),
+      totalIndividuals: database.totalIndividuals,
+      totalFamilies: database.totalFamilies
+    });
+    await snapshot.save();
+
+    const expired = await GedcomSnapshot.find({ databaseId: database.databaseId })
+      .sort({ createdAt: -1 })
+      .skip(SNAPSHOTS_KEPT)
+      .select('_id');
+    if (expired.length > 0) {
+      await GedcomSnapshot.deleteMany({ _id: { $in: expired.map(old => old._id) } });
+    }
+
+    console.log(`💾 Snapshot ${snapshot.snapshotId} of ${database.databaseId} taken before ${reason}`);
+    return snapshot;
+  }
+
+  describeSnapshot(snapshot) {
+    return {
+      snapshotId: snapshot.snapshotId,
+      reason: snapshot.reason,
+      sourceFile: snapshot.sourceFile,
+      totalIndividuals: snapshot.totalIndividuals,
+      totalFamilies: snapshot.totalFamilies,
+      createdAt: snapshot.createdAt
+    };
+  }
+}
+
+module.exports = { TreeReplacementService, SNAPSHOTS_KEPT };
@@ -0,0 +1,231 @@
+/**
+ * One place for routes to load and save a user's tree.
+ *
+ * Decrypted trees are kept in a small in-memory LRU cache together with lookup maps
+ * (person by id, family by id, a person's families as spouse and as child), so routes
+ * that only read the tree reuse them instead of decrypting it again on every request.
+ * An entry belongs to one revision of the database (its treeVersion, bumped on every
+ * save), so a save from another request, another process or a script is never served
+ * from the cache; entries are also dropped when the tree is saved and when the user logs out.
+ *
+ * Cached trees are shared between requests and must not be modified. Routes that change
+ * the tree load it with loadForEdit, which hands out a private copy.
+ */
+
+const User = require('../models/User');
+const { GedcomDatabase } = require('../models/Gedcom');
+const { ensureSourceRecords } = require('../utils/gedcomTree');
+const { TreeStorageService } = require('./treeStorageService');
+const { TreeHistoryService } = require('./treeHistoryService');
+
+// Trees kept decrypted at once; TREE_CACHE_SIZE=0 turns the cache off
+const configuredSize = parseInt(process.env.TREE_CACHE_SIZE, 10);
+const CACHE_SIZE = Number.isNaN(configuredSize) ? 5 : Math.max(0, configuredSize);
+
+// database _id -> { userId, treeVersion, tree, state }; Map order is least recently used first
+const cache = new Map();
+
+const addTo = (map, key, family) => {
+  if (!key) return;
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(family);
+};
+
+/**
+ * Lookup maps over a tree or a partial tree ({ individuals, families })
+ */
+function indexTree(data) {
+  const people = new Map((data.individuals || []).map(person => [person.id, person]));
+  const families = new Map((data.families || []).map(family => [family.id, family]));
+  const spouseFamilies = new Map();
+  const childFamilies = new Map();
+
+  (data.families || []).forEach(family => {
+    addTo(spouseFamilies, family.husband, family);
+    if (family.wife !== family.husband) addTo(spouseFamilies, family.wife, family);
+    [...new Set(family.children || [])].forEach(childId => addTo(childFamilies, childId, family));
+  });
+
+  return {
+    data,
+    people,
+    families,
+    spouseFamilies,
+    childFamilies,
+    person: id => people.get(id) || null,
+    family: id => families.get(id) || null,
+    familiesAsSpouse: id => spouseFamilies.get(id) || [],
+    familiesAsChild: id => childFamilies.get(id) || []
+  };
+}
+
+class TreeRepository {
+  constructor() {
+    this.storage = new TreeStorageService();
+    this.history = new TreeHistoryService();
+  }
+
+  /**
+   * The user and their database document
+   * @returns {Object} { user, database }; either is null when missing
+   */
+  async findDatabase(userId) {
+    const user = await User.findById(userId);
+    if (!user) {
+      return { user: null, database: null };
+    }
+
+    const database = await GedcomDatabase.findOne({ userId: user._id });
+    return { user, database };
+  }
+
+  /**
+   * A user's tree for reading, from the cache when the stored revision is unchanged
+   * @returns {Object} { user, database, data, tree } where tree is the indexTree of data;
+   *   database/data/tree are null when unavailable
+   */
+  async load(userId) {
+    const { user, database } = await this.findDatabase(userId);
+    if (!user || !database) {
+      return { user, database, data: null, tree: null };
+    }
+
+    return { user, database, ...(await this.loadFor(user, database)) };
+  }
+
+  /**
+   * Like load, for a user and database the caller already fetched
+   * @returns {Object} { data, tree }; both null when nothing is stored
+   */
+  async loadFor(user, database) {
+    const cached = this.cached(user, database);
+    if (cached) {
+      return { data: cached.tree.data, tree: cached.tree };
+    }
+
+    const data = await this.storage.loadTree(user, database);
+    if (!data) {
+      return { data: null, tree: null };
+    }
+
+    const tree = indexTree(ensureSourceRecords(data));
+    this.remember(user, database, tree);
+    return { data: tree.data, tree };
+  }
+
+  /**
+   * A private copy of a user's tree that the caller may change and pass to save
+   * @returns {Object} { user, database, data }; database/data are null when unavailable
+   */
+  async loadForEdit(userId) {
+    const { user, database } = await this.findDatabase(userId);
+    if (!user || !database) {
+      return { user, database, data: null };
+    }
+
+    const cached = this.cached(user, database);
+    if (cached) {
+      this.storage.adoptLoadedState(database, cached.state);
+      return { user, database, data: structuredClone(cached.tree.data) };
+    }
+
+    const data = await this.storage.loadTree(user, database);
+    return { user, database, data: data ? ensureSourceRecords(data) : null };
+  }
+
+  /**
+   * A person with their families and those families' members. Served from the cached
+   * tree when there is one; otherwise only those records are decrypted and nothing is cached.
+   * @returns {Object} { user, database, person, tree } where tree indexes the whole tree or
+   *   just the person's context; person is null when they do not exist
+   */
+  async loadPerson(userId, personId) {
+    const { user, database } = await this.findDatabase(userId);
+    if (!user || !database || !user.encryptionKey) {
+      return { user, database, person: null, tree: null };
+    }
+
+    const cached = this.cached(user, database);
+    if (cached) {
+      return { user, database, person: cached.tree.person(personId), tree: cached.tree };
+    }
+
+    const context = await this.storage.loadPersonContext(user, database, personId);
+    if (!context) {
+      return { user, database, person: null, tree: null };
+    }
+    return { user, database, person: context.individuals[0], tree: indexTree(context) };
+  }
+
+  /**
+   * Save a tree loaded with loadForEdit and append the change to the revision history
+   * under the request's route, or options.route when there is no request (scripts).
+   * A save whose revision cannot be recorded is undone. The user's cached tree is dropped.
+   * @throws {TreeConflictError} When another request saved one of the changed records first
+   */
+  async save(user, database, data, req, options = {}) {
+    try {
+      await this.storage.saveTree(user, database, data, {
+        route: options.route || this.history.routeOf(req),
+        restoredFrom: options.restoredFrom ?? null
+      });
+    } finally {
+      // Also after a failure, in case undoing the writes already made did not succeed
+      this.evict(database);
+    }
+    return database;
+  }
+
+  /**
+   * Store a new tree for a user (see TreeStorageService.createTree)
+   */
+  async create(user, fields, data) {
+    this.evictUser(user._id);
+    return this.storage.createTree(user, fields, data);
+  }
+
+  evict(database) {
+    cache.delete(String(database._id));
+  }
+
+  // Drop every cached tree of a user, e.g. when they log out
+  evictUser(userId) {
+    [...cache.entries()]
+      .filter(([, entry]) => entry.userId === String(userId))
+      .forEach(([key]) => cache.delete(key));
+  }
+
+  cached(user, database) {
+    const key = String(database._id);
+    const entry = cache.get(key);
+    if (!entry) return null;
+
+    if (entry.treeVersion !== database.treeVersion || entry.userId !== String(user._id)) {
+      cache.delete(key);
+      return null;
+    }
+
+    cache.delete(key);
+    cache.set(key, entry);
+    return entry;
+  }
+
+  remember(user, database, tree) {
+    if (CACHE_SIZE === 0) return;
+
+    const key = String(database._id);
+    cache.delete(key);
+    cache.set(key, {
+      userId: String(user._id),
+      treeVersion: database.treeVersion,
+      tree,
+      state: this.storage.loadedStateOf(database)
+    });
+    while (cache.size > CACHE_SIZE) {
+      cache.delete(cache.keys().next().value);
+    }
+    console.log(`🗃️ Cached tree ${database.databaseId} at revision ${database.treeVersion} (${cache.size}/${CACHE_SIZE})`);
+  }
+}
+
+module.exports = { TreeRepository, indexTree };
@@ -0,0 +1,646 @@
+/**
+ * Storage for a user's tree.
+ * Individuals, families and sources are kept as one encrypted document each (GedcomPerson,
+ * GedcomFamily, GedcomSource), so a person can be read without decrypting the whole tree.
+ * Everything else (header, repositories, other records, merge log, raw GEDCOM) stays encrypted
+ * in GedcomDatabase.encryptedData.
+ *
+ * Saves are optimistic: the tree is compared with what was loaded, only the records that changed
+ * are written, and every write names the version it read. When another save changed one of the
+ * same records first, the save is refused with a TreeConflictError instead of overwriting it.
+ * Saves of one tree take turns through a lock on its GedcomDatabase document and undo their own
+ * writes when they fail part way, so a refused save leaves the stored tree as it was.
+ *
+ * Databases still holding the whole tree in one blob are read as before and converted on their
+ * next save, or all at once by scripts/migrateTreeStorage.js.
+ */
+
+const crypto = require('crypto');
+const { GedcomDatabase, GedcomPerson, GedcomFamily, GedcomSource } = require('../models/Gedcom');
+const { decryptData, encryptData } = require('../utils/helpers');
+const { parseGedcomContent } = require('../utils/gedcomParser');
+const { TreeHistoryService } = require('./treeHistoryService');
+
+const RECORD_MODELS = {
+  individuals: GedcomPerson,
+  families: GedcomFamily,
+  sources: GedcomSource
+};
+
+const RECORD_COLLECTIONS = Object.keys(RECORD_MODELS);
+
+const RECORD_LABELS = { individuals: 'Person', families: 'Family', sources: 'Source' };
+
+// Set from GedcomDatabase.lastModified on load instead of being stored with the tree
+const VOLATILE_KEYS = ['lastEdited'];
+
+// Database fields the storage service writes itself; anything else changed on the document is saved along
+const STORAGE_FIELDS = ['encryptedData', 'storageFormat', 'treeVersion', 'restVersion', 'revisionCounter', 'totalIndividuals', 'totalFamilies', 'lastModified'];
+
+// How long a save waits for another save of the same tree to finish, and how often it looks
+const LOCK_WAIT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 100;
+// A lock this old belongs to a save whose process died; converting a large blob can take minutes
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+class TreeConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TreeConflictError';
+    this.status = 409;
+  }
+}
+
+// What each loaded database document's tree looked like, for working out what a save changed
+const loadedStates = new WeakMap();
+
+const familyMembers = (family) => [family.husband, family.wife, ...(family.children || [])].filter(Boolean);
+
+class TreeStorageService {
+  constructor() {
+    this.history = new TreeHistoryService();
+  }
+
+  /**
+   * Decrypt a user's whole tree
+   * @returns {Object|null} The tree, or null when nothing is stored
+   */
+  async loadTree(user, database) {
+    if (!database || !database.encryptedData || !user.encryptionKey) return null;
+
+    if (database.storageFormat !== 'records') {
+      const decrypted = this.decryptText(database.encryptedData, user.encryptionKey);
+      const data = decrypted.trim().startsWith('{') ? JSON.parse(decrypted) : parseGedcomContent(decrypted);
+      loadedStates.set(database, this.stateOf(data, { format: 'blob', restVersion: database.restVersion }));
+      return data;
+    }
+
+    const restJson = this.decryptText(database.encryptedData, user.encryptionKey);
+    const data = { ...JSON.parse(restJson), lastEdited: database.lastModified };
+    const state = { format: 'records', restVersion: database.restVersion, rest: restJson, records: {} };
+
+    const collections = await Promise.all(RECORD_COLLECTIONS.map(collection => this.findRecords(database, collection, {})));
+    RECORD_COLLECTIONS.forEach((collection, index) => {
+      state.records[collection] = new Map();
+      data[collection] = collections[index].map(doc => {
+        const json = this.decryptText(doc.encryptedData, user.encryptionKey);
+        state.records[collection].set(doc.recordId, { version: doc.version, position: doc.position, json });
+        return JSON.parse(json);
+      });
+    });
+
+    loadedStates.set(database, state);
+    return data;
+  }
+
+  /**
+   * A person with their families and the other members of those families, as a partial tree
+   * ({ individuals, families }) with the person first. Only those records are decrypted.
+   * @returns {Object|null} null when the person does not exist
+   */
+  async loadPersonContext(user, database, personId) {
+    if (database.storageFormat !== 'records') {
+      const data = await this.loadTree(user, database);
+      return data ? this.personContextOf(data, personId) : null;
+    }
+
+    const [personDoc] = await this.findRecords(database, 'individuals', { recordId: personId });
+    if (!personDoc) return null;
+
+    const families = (await this.findRecords(database, 'families', { memberIds: personId }))
+      .map(doc => this.decryptRecord(doc, user.encryptionKey));
+    const relativeIds = [...new Set(families.flatMap(familyMembers))].filter(id => id !== personId);
+    const relatives = relativeIds.length > 0
+      ? await this.findRecords(database, 'individuals', { recordId: { $in: relativeIds } })
+      : [];
+
+    return {
+      individuals: [personDoc, ...relatives].map(doc => this.decryptRecord(doc, user.encryptionKey)),
+      families
+    };
+  }
+
+  personContextOf(data, personId) {
+    const person = (data.individuals || []).find(individual => individual.id === personId);
+    if (!person) return null;
+
+    const families = (data.families || []).filter(family => familyMembers(family).includes(personId));
+    const relativeIds = new Set(families.flatMap(familyMembers));
+    return {
+      individuals: [person, ...(data.individuals || []).filter(individual => individual.id !== personId && relativeIds.has(individual.id))],
+      families
+    };
+  }
+
+  /**
+   * All records of one collection ('individuals', 'families' or 'sources') in tree order
+   */
+  async loadCollection(user, database, collection) {
+    if (database.storageFormat !== 'records') {
+      const data = await this.loadTree(user, database);
+      return data ? data[collection] || [] : [];
+    }
+
+    return (await this.findRecords(database, collection, {})).map(doc => this.decryptRecord(doc, user.encryptionKey));
+  }
+
+  /**
+   * Write the changes made to a loaded tree. A blob-format database is converted to records.
+   * @param {Object} database - The document the tree was loaded with; updated to the stored state
+   * @param {Object} [revision] - { route, restoredFrom } to append the changes to the revision history
+   *   (see TreeHistoryService.recordRevision); the save is undone when that fails
+   * @returns {Object[]} Record-level changes in TreeHistoryService's format
+   * @throws {TreeConflictError} When a changed record was saved by someone else since it was loaded;
+   *   nothing of the tree is written then
+   */
+  async saveTree(user, database, data, revision = null) {
+    if (!loadedStates.has(database)) {
+      await this.loadTree(user, database);
+    }
+    const state = loadedStates.get(database);
+
+    const changes = [];
+    const plans = {};
+    const nextRecords = {};
+    RECORD_COLLECTIONS.forEach(collection => {
+      const { plan, records } = this.planCollection(collection, state.records[collection], data[collection] || [], changes);
+      plans[collection] = plan;
+      nextRecords[collection] = records;
+    });
+
+    const restJson = JSON.stringify(this.restOf(data));
+    const restChanged = restJson !== state.rest;
+    if (restChanged) {
+      changes.push(...this.history.diffTrees(JSON.parse(state.rest), JSON.parse(restJson)));
+    }
+
+    const lock = await this.lockTree(database);
+    let stored;
+    try {
+      stored = await this.writeTree(user, database, data, {
+        state,
+        plans,
+        restJson,
+        restChanged,
+        lock,
+        revision: revision && changes.length > 0 ? { ...revision, changes } : null
+      });
+    } finally {
+      await this.unlockTree(database, lock);
+    }
+
+    STORAGE_FIELDS.forEach(field => database.set(field, stored[field]));
+    data.lastEdited = stored.lastModified;
+    loadedStates.set(database, { format: 'records', restVersion: stored.restVersion, rest: restJson, records: nextRecords });
+    return changes;
+  }
+
+  /**
+   * Write a planned save while holding the tree's lock, then append its revision when one is
+   * asked for. When any write is refused or fails, the ones already made are undone before the
+   * error is passed on, so the history never misses a change that was kept.
+   * @returns {Object} The updated GedcomDatabase document
+   */
+  async writeTree(user, database, data, { state, plans, restJson, restChanged, lock, revision }) {
+    const key = user.encryptionKey;
+    const converting = state.format !== 'records';
+
+    const previous = await GedcomDatabase.findById(database._id).lean();
+    if (!previous || (converting && previous.storageFormat === 'records')) {
+      throw new TreeConflictError('The tree was changed by another edit; reload and try again');
+    }
+    // Revisions are numbered here rather than when they are written, so saves running
+    // side by side never take the same number; older databases count on from their history
+    const rev = revision
+      ? (previous.revisionCounter ?? await this.history.latestRevision(database.databaseId)) + 1
+      : null;
+    const counter = rev ? { revisionCounter: rev } : {};
+
+    if (!converting) {
+      await this.checkVersions(database, plans, restChanged ? state.restVersion : null);
+    }
+
+    let stored = null;
+    try {
+      if (converting) {
+        // Converting from a blob: every record is written, numbered by its place in the tree
+        await this.insertRecords(user, database.databaseId, data);
+        stored = await this.updateDatabase(database, { _id: database._id, saveLock: lock, storageFormat: { $ne: 'records' } }, {
+          encryptedData: this.encryptText(restJson, key),
+          storageFormat: 'records',
+          ...counter
+        }, true);
+      } else {
+        // Every collection's writes are finished before any undo starts
+        const results = await Promise.allSettled(RECORD_COLLECTIONS.map(collection => this.applyPlan(user, database, collection, plans[collection])));
+        const failed = results.find(result => result.status === 'rejected');
+        if (failed) throw failed.reason;
+
+        const filter = restChanged ? { _id: database._id, saveLock: lock, restVersion: state.restVersion } : { _id: database._id, saveLock: lock };
+        stored = await this.updateDatabase(database, filter, {
+          ...(restChanged ? { encryptedData: this.encryptText(restJson, key) } : {}),
+          ...counter
+        }, restChanged);
+      }
+
+      if (revision) {
+        await this.history.recordRevision({ user, database, rev, ...revision });
+      }
+      return stored;
+    } catch (error) {
+      await this.undoWrites(database, async () => {
+        if (stored) await this.restoreDatabase(database, previous, lock);
+        if (converting) await this.removeRecords(database.databaseId);
+        else await Promise.all(RECORD_COLLECTIONS.map(collection => this.undoPlan(user, database, collection, plans[collection])));
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for the tree's other saves to finish and take its lock
+   * @returns {string} The lock token, for writes made under the lock and for unlockTree
+   * @throws {TreeConflictError} When another save still holds the lock after LOCK_WAIT_MS
+   */
+  async lockTree(database) {
+    const token = crypto.randomBytes(12).toString('hex');
+    const deadline = Date.now() + LOCK_WAIT_MS;
+
+    for (;;) {
+      const now = new Date();
+      const locked = await GedcomDatabase.findOneAndUpdate(
+        { _id: database._id, $or: [{ saveLock: null }, { saveLockedAt: { $lt: new Date(now.getTime() - STALE_LOCK_MS) } }] },
+        { $set: { saveLock: token, saveLockedAt: now } }
+      ).select('_id');
+      if (locked) return token;
+
+      if (Date.now() >= deadline) {
+        throw new TreeConflictError('The tree is being saved by another change; try again');
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+    }
+  }
+
+  async unlockTree(database, lock) {
+    try {
+      await GedcomDatabase.updateOne({ _id: database._id, saveLock: lock }, { $set: { saveLock: null, saveLockedAt: null } });
+    } catch (error) {
+      // The lock goes stale and is taken over after STALE_LOCK_MS
+      console.error(`❌ Failed to release the save lock of ${database.databaseId}:`, error.message);
+    }
+  }
+
+  // Undo a failed save's writes; the save's own error is what the caller sees
+  async undoWrites(database, undo) {
+    try {
+      await undo();
+      console.log(`↩️ Undid a failed save of ${database.databaseId}`);
+    } catch (error) {
+      console.error(`❌ Failed to undo a failed save of ${database.databaseId}:`, error);
+    }
+  }
+
+  /**
+   * What a database document's tree looked like when it was loaded. The state is never
+   * modified, so it can be handed to another copy of the same document with adoptLoadedState.
+   */
+  loadedStateOf(database) {
+    return loadedStates.get(database) || null;
+  }
+
+  // Let a freshly fetched document save a tree loaded earlier at the same revision
+  adoptLoadedState(database, state) {
+    loadedStates.set(database, state);
+  }
+
+  /**
+   * Store a new tree in record format
+   * @param {Object} fields - GedcomDatabase fields (databaseId, userId, sourceFile, gedcomVersion)
+   */
+  async createTree(user, fields, data) {
+    await this.insertRecords(user, fields.databaseId, data);
+
+    const database = new GedcomDatabase({
+      ...fields,
+      encryptedData: this.encryptText(JSON.stringify(this.restOf(data)), user.encryptionKey),
+      storageFormat: 'records',
+      totalIndividuals: (data.individuals || []).length,
+      totalFamilies: (data.families || []).length
+    });
+    await database.save();
+    return database;
+  }
+
+  /**
+   * Convert a blob-format database to records
+   * @returns {boolean} false when it already uses records
+   */
+  async migrate(user, database) {
+    if (database.storageFormat === 'records') return false;
+
+    const data = await this.loadTree(user, database);
+    await this.saveTree(user, database, data);
+    return true;
+  }
+
+  // Whole tree as one encrypted blob, for snapshots
+  encryptTree(data, encryptionKey) {
+    return this.encryptText(JSON.stringify(data), encryptionKey);
+  }
+
+  /**
+   * Compare a collection with its loaded state. Removals come first, as in
+   * TreeHistoryService.diffCollection, so the changes undo in the right order.
+   */
+  planCollection(collection, previous, records, changes) {
+    const plan = { inserts: [], updates: [], moves: [], deletes: [] };
+    const remaining = new Set(records.map(record => record.id));
+
+    [...previous.entries()].forEach(([id, before], index) => {
+      if (remaining.has(id)) return;
+      plan.deletes.push({ id, version: before.version, previous: before });
+      changes.push({ collection, id, index, before: JSON.parse(before.json) });
+    });
+
+    const positions = this.assignPositions(records.map(record => previous.get(record.id)?.position ?? null));
+    const next = new Map();
+    records.forEach((record, index) => {
+      const json = JSON.stringify(record);
+      const before = previous.get(record.id);
+      const position = positions[index];
+
+      if (!before) {
+        plan.inserts.push({ id: record.id, record, json, position });
+        changes.push({ collection, id: record.id, index, after: JSON.parse(json) });
+        next.set(record.id, { version: 0, position, json });
+      } else if (before.json !== json) {
+        plan.updates.push({ id: record.id, record, json, position, version: before.version, previous: before });
+        changes.push({ collection, id: record.id, index, before: JSON.parse(before.json), after: JSON.parse(json) });
+        next.set(record.id, { version: before.version + 1, position, json });
+      } else {
+        if (before.position !== position) plan.moves.push({ id: record.id, position, previous: before });
+        next.set(record.id, { ...before, position });
+      }
+    });
+
+    return { plan, records: next };
+  }
+
+  /**
+   * Sort keys for records in their new order. Stored positions are kept while they still
+   * increase, so adding or removing one person does not renumber everyone after them;
+   * new and moved records go between their neighbours.
+   */
+  assignPositions(stored) {
+    const nextStored = new Array(stored.length).fill(null);
+    for (let i = stored.length - 2; i >= 0; i--) {
+      nextStored[i] = stored[i + 1] !== null ? stored[i + 1] : nextStored[i + 1];
+    }
+
+    let previous = null;
+    return stored.map((position, index) => {
+      if (position === null || (previous !== null && position <= previous)) {
+        const upper = nextStored[index];
+        if (upper !== null && (previous === null || upper > previous)) {
+          position = previous === null ? upper - 1 : (previous + upper) / 2;
+        } else {
+          position = previous === null ? 0 : previous + 1;
+        }
+      }
+      previous = position;
+      return position;
+    });
+  }
+
+  /**
+   * Refuse the save before writing anything when a record it changes, or the rest of the tree,
+   * is no longer at the version that was loaded
+   */
+  async checkVersions(database, plans, restVersion) {
+    await Promise.all(RECORD_COLLECTIONS.map(async collection => {
+      const plan = plans[collection];
+      const expected = new Map([...plan.updates, ...plan.deletes].map(write => [write.id, write.version]));
+      const ids = [...expected.keys(), ...plan.inserts.map(write => write.id)];
+      if (ids.length === 0) return;
+
+      const stored = await RECORD_MODELS[collection]
+        .find({ databaseId: database.databaseId, recordId: { $in: ids } })
+        .select('recordId version')
+        .lean();
+      const storedVersions = new Map(stored.map(doc => [doc.recordId, doc.version]));
+
+      plan.inserts.forEach(write => {
+        if (storedVersions.has(write.id)) {
+          throw new TreeConflictError(`${RECORD_LABELS[collection]} ${write.id} was added by another change; reload and try again`);
+        }
+      });
+      expected.forEach((version, id) => {
+        if (storedVersions.get(id) !== version) {
+          throw new TreeConflictError(`${RECORD_LABELS[collection]} ${id} was changed by another edit; reload and try again`);
+        }
+      });
+    }));
+
+    if (restVersion !== null) {
+      const current = await GedcomDatabase.findById(database._id).select('restVersion').lean();
+      if (!current || current.restVersion !== restVersion) {
+        throw new TreeConflictError('The tree was changed by another edit; reload and try again');
+      }
+    }
+  }
+
+  async applyPlan(user, database, collection, plan) {
+    const { databaseId } = database;
+    const operations = [
+      ...plan.inserts.map(write => ({
+        insertOne: { document: this.recordDocument(user, databaseId, collection, write) }
+      })),
+      ...plan.updates.map(write => ({
+        updateOne: {
+          filter: { databaseId, recordId: write.id, version: write.version },
+          update: { $set: this.recordFields(user, collection, write), $inc: { version: 1 } }
+        }
+      })),
+      ...plan.moves.map(write => ({
+        updateOne: { filter: { databaseId, recordId: write.id }, update: { $set: { position: write.position } } }
+      })),
+      ...plan.deletes.map(write => ({
+        deleteOne: { filter: { databaseId, recordId: write.id, version: write.version } }
+      }))
+    ];
+    if (operations.length === 0) return;
+
+    let result;
+    try {
+      result = await RECORD_MODELS[collection].bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new TreeConflictError(`${RECORD_LABELS[collection]} records were added by another change; reload and try again`);
+      }
+      throw error;
+    }
+
+    if (result.matchedCount < plan.updates.length + plan.moves.length || result.deletedCount < plan.deletes.length) {
+      throw new TreeConflictError(`${RECORD_LABELS[collection]} records were changed by another edit while saving; reload and try again`);
+    }
+  }
+
+  /**
+   * Reverse applyPlan's writes. Each undo only matches the record as the save left it, so
+   * writes that never happened are left alone; under the tree's lock nobody else writes it.
+   */
+  async undoPlan(user, database, collection, plan) {
+    const { databaseId } = database;
+    const restore = write => ({
+      id: write.id,
+      record: JSON.parse(write.previous.json),
+      json: write.previous.json,
+      position: write.previous.position
+    });
+    const operations = [
+      ...plan.inserts.map(write => ({
+        deleteOne: { filter: { databaseId, recordId: write.id, version: 0 } }
+      })),
+      ...plan.updates.map(write => ({
+        updateOne: {
+          filter: { databaseId, recordId: write.id, version: write.version + 1 },
+          update: { $set: { ...this.recordFields(user, collection, restore(write)), version: write.version } }
+        }
+      })),
+      ...plan.moves.map(write => ({
+        updateOne: { filter: { databaseId, recordId: write.id }, update: { $set: { position: write.previous.position } } }
+      })),
+      ...plan.deletes.map(write => ({
+        insertOne: { document: { ...this.recordDocument(user, databaseId, collection, restore(write)), version: write.version } }
+      }))
+    ];
+    if (operations.length === 0) return;
+
+    try {
+      await RECORD_MODELS[collection].bulkWrite(operations, { ordered: false });
+    } catch (error) {
+      // A record whose delete never happened is still there
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  async updateDatabase(database, filter, fields, restChanged) {
+    const [totalIndividuals, totalFamilies] = await Promise.all([
+      GedcomPerson.countDocuments({ databaseId: database.databaseId }),
+      GedcomFamily.countDocuments({ databaseId: database.databaseId })
+    ]);
+
+    const stored = await GedcomDatabase.findOneAndUpdate(filter, {
+      $set: {
+        ...this.changedFields(database),
+        ...fields,
+        totalIndividuals,
+        totalFamilies,
+        lastModified: new Date()
+      },
+      $inc: { treeVersion: 1, restVersion: restChanged ? 1 : 0 }
+    }, { new: true });
+
+    if (!stored) {
+      throw new TreeConflictError('The tree was changed by another edit; reload and try again');
+    }
+    return stored;
+  }
+
+  // Top-level fields a route changed on the database document (e.g. sourceFile after a replacement)
+  changedFields(database) {
+    return Object.fromEntries(database.modifiedPaths()
+      .filter(path => !path.includes('.') && !STORAGE_FIELDS.includes(path))
+      .map(path => [path, database.get(path)]));
+  }
+
+  // Put back the database fields a save changed; treeVersion still moves on, so no cache keeps the undone tree
+  async restoreDatabase(database, previous, lock) {
+    const fields = [...STORAGE_FIELDS, ...Object.keys(this.changedFields(database))].filter(field => field !== 'treeVersion');
+    await GedcomDatabase.updateOne({ _id: database._id, saveLock: lock }, {
+      $set: Object.fromEntries(fields.map(field => [field, previous[field] ?? null])),
+      $inc: { treeVersion: 1 }
+    });
+  }
+
+  async removeRecords(databaseId) {
+    await Promise.all(RECORD_COLLECTIONS.map(collection => RECORD_MODELS[collection].deleteMany({ databaseId })));
+  }
+
+  // Replace any records stored for the database with the tree's
+  async insertRecords(user, databaseId, data) {
+    await Promise.all(RECORD_COLLECTIONS.map(async collection => {
+      const Model = RECORD_MODELS[collection];
+      await Model.deleteMany({ databaseId });
+
+      const documents = (data[collection] || []).map((record, position) => (
+        this.recordDocument(user, databaseId, collection, { id: record.id, record, json: JSON.stringify(record), position })
+      ));
+      if (documents.length > 0) {
+        await Model.insertMany(documents, { ordered: false });
+      }
+    }));
+  }
+
+  recordDocument(user, databaseId, collection, write) {
+    return {
+      databaseId,
+      userId: user._id,
+      recordId: write.id,
+      version: 0,
+      ...this.recordFields(user, collection, write)
+    };
+  }
+
+  recordFields(user, collection, write) {
+    return {
+      position: write.position,
+      encryptedData: this.encryptText(write.json, user.encryptionKey),
+      ...(collection === 'families' ? { memberIds: familyMembers(write.record) } : {})
+    };
+  }
+
+  findRecords(database, collection, filter) {
+    return RECORD_MODELS[collection]
+      .find({ databaseId: database.databaseId, ...filter })
+      .sort({ position: 1 })
+      .select('recordId position version encryptedData')
+      .lean();
+  }
+
+  decryptRecord(doc, encryptionKey) {
+    return JSON.parse(this.decryptText(doc.encryptedData, encryptionKey));
+  }
+
+  // Loaded state of a tree that is not stored as records yet
+  stateOf(data, { format, restVersion }) {
+    const records = {};
+    RECORD_COLLECTIONS.forEach(collection => {
+      records[collection] = new Map((data[collection] || []).map((record, position) => (
+        [record.id, { version: 0, position, json: JSON.stringify(record) }]
+      )));
+    });
+    return { format, restVersion, rest: JSON.stringify(this.restOf(data)), records };
+  }
+
+  // The tree without its record collections and volatile keys
+  restOf(data) {
+    return Object.fromEntries(Object.entries(data)
+      .filter(([key]) => !RECORD_COLLECTIONS.includes(key) && !VOLATILE_KEYS.includes(key)));
+  }
+
+  encryptText(text, encryptionKey) {
+    return JSON.stringify(encryptData(text, encryptionKey));
+  }
+
+  // Stored blobs are JSON-encoded { encrypted, iv }; very old databases hold the object itself
+  decryptText(encryptedData, encryptionKey) {
+    let payload = encryptedData;
+    if (typeof payload === 'string' && payload.startsWith('{')) {
+      payload = JSON.parse(payload);
+    }
+    return decryptData(payload, encryptionKey);
+  }
+}
+
+module.exports = { TreeStorageService, TreeConflictError, RECORD_COLLECTIONS };
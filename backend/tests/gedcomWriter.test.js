@@ -0,0 +1,130 @@
+const { parseGedcomContent, parseGedcomTree } = require('../utils/gedcomParser');
+const { serializeGedcom } = require('../utils/gedcomWriter');
+
+const gedcom = (version, lines) => ['0 HEAD', '1 GEDC', `2 VERS ${version}`, ...lines, '0 TRLR'].join('\n');
+
+const roundTrip = (data, version) => parseGedcomContent(serializeGedcom(data, { version }));
+
+// The first node with the tag anywhere in a parsed tree
+const findNode = (nodes, tag) => {
+  for (const item of nodes) {
+    if (item.tag === tag) return item;
+    const found = findNode(item.children, tag);
+    if (found) return found;
+  }
+  return null;
+};
+
+const FAMILY_LINES = [
+  '0 @I1@ INDI',
+  '1 NAME John /Doe/',
+  '1 SEX M',
+  '1 BIRT',
+  '2 DATE 12 MAR 1850',
+  '2 PLAC Springfield, Illinois',
+  '1 FAMS @F1@',
+  '0 @I2@ INDI',
+  '1 NAME Mary /Roe/',
+  '1 FAMC @F1@',
+  '2 PEDI ADOPTED',
+  '0 @I3@ INDI',
+  '1 NAME Anne /Doe/',
+  '1 FAMC @F1@',
+  '2 PEDI OTHER',
+  '3 PHRASE step',
+  '0 @F1@ FAM',
+  '1 HUSB @I1@',
+  '1 CHIL @I2@',
+  '1 CHIL @I3@',
+  '1 MARR',
+  '2 DATE 1875'
+];
+
+describe('serializeGedcom round trip', () => {
+  describe.each(['5.5.1', '7.0'])('GEDCOM %s', (version) => {
+    const data = parseGedcomContent(gedcom(version, FAMILY_LINES));
+
+    test('individuals and families read back unchanged', () => {
+      const back = roundTrip(data, version);
+      expect(back.individuals).toEqual(data.individuals);
+      expect(back.families).toEqual(data.families);
+    });
+
+    test('child pedigrees survive, including step children', () => {
+      expect(data.families[0].childPedigree).toEqual({ '@I2@': 'adopted', '@I3@': 'step' });
+      expect(roundTrip(data, version).families[0].childPedigree).toEqual({ '@I2@': 'adopted', '@I3@': 'step' });
+    });
+
+    test('the header names the version', () => {
+      expect(roundTrip(data, version).header.version).toBe(version);
+    });
+  });
+
+  test('7.0 writes step pedigrees as OTHER with a PHRASE and 5.5.1 as written', () => {
+    const data = parseGedcomContent(gedcom('7.0', FAMILY_LINES));
+    expect(serializeGedcom(data, { version: '7.0' })).toContain('2 PEDI OTHER\r\n3 PHRASE step\r\n');
+    expect(serializeGedcom(data, { version: '7.0' })).toContain('2 PEDI ADOPTED\r\n');
+    expect(serializeGedcom(data, { version: '5.5.1' })).toContain('2 PEDI step\r\n');
+    expect(serializeGedcom(data, { version: '5.5.1' })).toContain('2 PEDI adopted\r\n');
+  });
+
+  describe('shared notes', () => {
+    const data = parseGedcomContent(gedcom('7.0', [
+      '0 @N1@ SNOTE Shared note with an @@ sign',
+      '0 @I1@ INDI',
+      '1 NAME John /Doe/',
+      '1 SNOTE @N1@'
+    ]));
+
+    test('stay SNOTE records and pointers in 7.0', () => {
+      const back = roundTrip(data, '7.0');
+      expect(back.records.sharedNotes).toEqual(data.records.sharedNotes);
+      expect(back.records.sharedNotes[0].value).toBe('Shared note with an @ sign');
+      expect(back.individuals[0].otherTags).toEqual([expect.objectContaining({ tag: 'SNOTE', value: '@N1@' })]);
+    });
+
+    test('become NOTE records and pointers in 5.5.1', () => {
+      const text = serializeGedcom(data, { version: '5.5.1' });
+      expect(text).not.toContain('SNOTE');
+      expect(text).toContain('0 @N1@ NOTE Shared note with an @@ sign\r\n');
+
+      const back = parseGedcomContent(text);
+      expect(back.records.notes).toEqual([expect.objectContaining({ xref: '@N1@', value: 'Shared note with an @ sign' })]);
+      expect(back.individuals[0].otherTags).toEqual([expect.objectContaining({ tag: 'NOTE', value: '@N1@' })]);
+    });
+  });
+
+  describe('long values', () => {
+    const withNote = (value, version) => parseGedcomContent(gedcom(version, [
+      '0 @I1@ INDI',
+      '1 NAME John /Doe/',
+      `1 NOTE ${value.replace(/@/g, '@@')}`
+    ]));
+
+    const cases = [];
+    for (let offset = 0; offset < 12; offset++) {
+      cases.push([`@ run at ${offset}`, 'x'.repeat(230 + offset) + '@'.repeat(40) + 'y'.repeat(300)]);
+      cases.push([`emoji at ${offset}`, 'x'.repeat(230 + offset) + '😀'.repeat(30) + 'y'.repeat(300)]);
+      cases.push([`@ and emoji at ${offset}`, 'x'.repeat(240 + offset) + '@😀'.repeat(40) + 'y']);
+    }
+    cases.push(['only @ signs', '@'.repeat(700)]);
+    cases.push(['only emoji', '😀'.repeat(400)]);
+
+    test.each(cases)('5.5.1 splits %s into CONC lines that read back unchanged', (label, value) => {
+      const text = serializeGedcom(withNote(value, '5.5.1'), { version: '5.5.1' });
+      const lines = text.split('\r\n');
+
+      expect(lines.some(line => line.startsWith('2 CONC '))).toBe(true);
+      expect(lines.filter(line => line.length > 255)).toEqual([]);
+      expect(findNode(parseGedcomTree(text).records, 'NOTE').value).toBe(value);
+    });
+
+    test('7.0 keeps them on one line', () => {
+      const value = 'x'.repeat(300) + '😀'.repeat(30);
+      const text = serializeGedcom(withNote(value, '7.0'), { version: '7.0' });
+
+      expect(text).not.toContain('CONC');
+      expect(findNode(parseGedcomTree(text).records, 'NOTE').value).toBe(value);
+    });
+  });
+});
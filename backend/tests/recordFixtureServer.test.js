@@ -0,0 +1,64 @@
+const { startRecordFixtureServer } = require('../utils/recordFixtureServer');
+const { FamilySearchProvider } = require('../services/recordProviders/familySearchProvider');
+const { WikiTreeProvider } = require('../services/recordProviders/wikiTreeProvider');
+const { ChroniclingAmericaProvider } = require('../services/recordProviders/chroniclingAmericaProvider');
+
+describe('record fixture server', () => {
+  let fixtures;
+  let savedEnv;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    fixtures = await startRecordFixtureServer({ port: 0 });
+    savedEnv = { ...process.env };
+    Object.assign(process.env, fixtures.env);
+  });
+
+  afterAll(async () => {
+    process.env = savedEnv;
+    await fixtures.close();
+    console.log.mockRestore();
+  });
+
+  const person = { givenNames: 'John William', familyNames: 'Smith', birthDate: '1850', birthPlace: 'Springfield, Illinois' };
+
+  test('FamilySearch returns fixture persons with their relatives', async () => {
+    const provider = new FamilySearchProvider();
+    const records = await provider.search({
+      nameVariations: ['John William Smith'],
+      locationVariations: ['Springfield, Illinois'],
+      options: { delayMs: 0 }
+    }, person);
+
+    const john = records.find(record => record.id === 'KWCB-7M1');
+    expect(john).toBeDefined();
+    expect(john.sourceKey).toBe('familySearch');
+    expect(john.relatives.father.givenNames).toBe('William');
+    expect(john.relatives.spouses[0].familyNames).toBe('Brown');
+
+    const details = await provider.getDetails('KWCB-7M1');
+    expect(details.id).toBe('KWCB-7M1');
+  });
+
+  test('WikiTree returns fixture profiles', async () => {
+    const provider = new WikiTreeProvider();
+    const records = await provider.search({}, person);
+
+    expect(records.map(record => record.id)).toEqual(['Smith-48211']);
+    expect(records[0].sourceKey).toBe('wikitree');
+
+    const details = await provider.getDetails('Smith-48211');
+    expect(details[0].profile.FirstName).toBe('John');
+  });
+
+  test('Chronicling America returns fixture pages', async () => {
+    const provider = new ChroniclingAmericaProvider();
+    const records = await provider.search({}, { givenNames: 'John', familyNames: 'Smith', birthDate: '1850' });
+
+    expect(records.map(record => record.id)).toEqual([
+      '/lccn/sn84038582/1875-06-10/ed-1/seq-3/',
+      '/lccn/sn84038582/1889-01-16/ed-1/seq-4/'
+    ]);
+    expect(records[0].sourceKey).toBe('chroniclingAmerica');
+  });
+});
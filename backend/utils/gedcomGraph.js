@@ -0,0 +1,501 @@
+// Graph walks over the decrypted GEDCOM JSON: ancestors, descendants and relationships
+
+const { findIndividual } = require('./gedcomTree');
+
+const MIN_PEDIGREE_GENERATIONS = 4;
+const MAX_PEDIGREE_GENERATIONS = 8;
+const MAX_DESCENDANT_GENERATIONS = 10;
+
+/**
+ * The family a person is a child of. Birth families win over adoptive,
+ * foster and step families so the pedigree follows biological lines first.
+ */
+const findParentFamily = (data, personId) => {
+  const families = (data.families || []).filter(family => (family.children || []).includes(personId));
+  return families.find(family => !(family.childPedigree || {})[personId]) || families[0] || null;
+};
+
+// The subset of an individual the charts display
+const summarizePerson = (person) => ({
+  id: person.id,
+  givenNames: person.givenNames || '',
+  familyNames: person.familyNames || '',
+  sex: person.sex || 'U',
+  birthDate: person.birthDate || '',
+  birthPlace: person.birthPlace || '',
+  deathDate: person.deathDate || '',
+  deathPlace: person.deathPlace || ''
+});
+
+const clampGenerations = (value, min, max, fallback) => {
+  const generations = parseInt(value, 10);
+  if (Number.isNaN(generations)) return fallback;
+  return Math.max(min, Math.min(max, generations));
+};
+
+/**
+ * Build an ancestor tree for `personId` covering `generations` generations
+ * (the person is generation 1). Slots are numbered Ahnentafel-style: the
+ * person is 1, the father of n is 2n and the mother 2n + 1. Missing parents
+ * become placeholders naming the child whose parent is unknown. A person
+ * reached again through their own ancestry (a data error) ends the branch.
+ */
+const buildPedigree = (data, personId, generations) => {
+  const root = findIndividual(data, personId);
+  if (!root) return null;
+
+  const walk = (person, ahnentafel, generation, lineage) => {
+    const node = {
+      ...summarizePerson(person),
+      ahnentafel,
+      generation,
+      father: null,
+      mother: null,
+      hasMoreAncestors: false,
+      cycle: false
+    };
+
+    const family = findParentFamily(data, person.id);
+    if (generation >= generations) {
+      node.hasMoreAncestors = Boolean(family && (family.husband || family.wife));
+      return node;
+    }
+
+    if (family) {
+      node.pedigree = (family.childPedigree || {})[person.id] || 'birth';
+      node.familyId = family.id;
+    }
+
+    [['father', 'husband', 0], ['mother', 'wife', 1]].forEach(([relation, slot, offset]) => {
+      const parent = family && family[slot] ? findIndividual(data, family[slot]) : null;
+      const slotNumber = ahnentafel * 2 + offset;
+
+      if (!parent) {
+        node[relation] = {
+          placeholder: true,
+          relation,
+          childId: person.id,
+          familyId: family ? family.id : null,
+          ahnentafel: slotNumber,
+          generation: generation + 1
+        };
+      } else if (lineage.has(parent.id)) {
+        node[relation] = { ...summarizePerson(parent), ahnentafel: slotNumber, generation: generation + 1, cycle: true };
+      } else {
+        node[relation] = walk(parent, slotNumber, generation + 1, new Set([...lineage, parent.id]));
+      }
+    });
+
+    return node;
+  };
+
+  return walk(root, 1, 1, new Set([root.id]));
+};
+
+/**
+ * Build a descendant tree for `personId` covering `generations` generations
+ * (the person is generation 1). Each person lists the families they head, with
+ * the spouse and children of each. A descendant who is also their own ancestor
+ * (a data error) is returned with `cycle: true` and not expanded again.
+ */
+const buildDescendants = (data, personId, generations) => {
+  const root = findIndividual(data, personId);
+  if (!root) return null;
+
+  const families = data.families || [];
+
+  const walk = (person, generation, lineage) => {
+    const node = {
+      ...summarizePerson(person),
+      generation,
+      families: [],
+      hasMoreDescendants: false,
+      cycle: false
+    };
+
+    const ownFamilies = families.filter(family => family.husband === person.id || family.wife === person.id);
+
+    if (generation >= generations) {
+      node.hasMoreDescendants = ownFamilies.some(family => (family.children || []).length > 0);
+      return node;
+    }
+
+    node.families = ownFamilies.map(family => {
+      const spouseId = family.husband === person.id ? family.wife : family.husband;
+      const spouse = spouseId ? findIndividual(data, spouseId) : null;
+
+      const children = (family.children || [])
+        .map(childId => findIndividual(data, childId))
+        .filter(Boolean)
+        .map(child => {
+          const pedigree = (family.childPedigree || {})[child.id] || 'birth';
+          if (lineage.has(child.id)) {
+            return { ...summarizePerson(child), generation: generation + 1, pedigree, families: [], hasMoreDescendants: false, cycle: true };
+          }
+          return { ...walk(child, generation + 1, new Set([...lineage, child.id])), pedigree };
+        });
+
+      return {
+        familyId: family.id,
+        spouse: spouse ? summarizePerson(spouse) : null,
+        marriageDate: family.marriageDate || '',
+        marriagePlace: family.marriagePlace || '',
+        children
+      };
+    });
+
+    return node;
+  };
+
+  return walk(root, 1, new Set([root.id]));
+};
+
+// Number of people in a descendant tree, not counting the root or spouses
+const countDescendants = (node) => {
+  return node.families.reduce((total, family) => {
+    return total + family.children.reduce((sum, child) => sum + 1 + countDescendants(child), 0);
+  }, 0);
+};
+
+/**
+ * The person the tree is "about": the first individual whose names contain the
+ * account holder's names, otherwise the first individual (same rule as /stats).
+ */
+const findHomePerson = (data, user) => {
+  const individuals = data.individuals || [];
+  const given = (user.givenNames || '').toLowerCase();
+  const family = (user.familyNames || '').toLowerCase();
+  return individuals.find(individual =>
+    individual.givenNames && individual.familyNames &&
+    individual.givenNames.toLowerCase().includes(given) &&
+    individual.familyNames.toLowerCase().includes(family)
+  ) || individuals[0] || null;
+};
+
+const ORDINALS = ['', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+const REMOVALS = ['', 'once', 'twice', 'three times', 'four times', 'five times'];
+
+const ordinal = (n) => ORDINALS[n] || `${n}th`;
+const removal = (n) => REMOVALS[n] || `${n} times`;
+
+// Pick the male, female or neutral word for a person
+const bySex = (person, male, female, neutral) => {
+  if (person.sex === 'M') return male;
+  if (person.sex === 'F') return female;
+  return neutral;
+};
+
+// "great-" repeated, switching to "3rd great-" style beyond two
+const greats = (count) => {
+  if (count <= 0) return '';
+  if (count <= 2) return 'great-'.repeat(count);
+  const suffix = count % 10 === 3 && count !== 13 ? 'rd' : count % 10 === 2 && count !== 12 ? 'nd' : count % 10 === 1 && count !== 11 ? 'st' : 'th';
+  return `${count}${suffix} great-`;
+};
+
+// Collateral prefixes: 1 -> "great-", 2 -> "great-grand-", 3 -> "great-great-grand-"
+const collateralPrefix = (count) => {
+  if (count <= 0) return '';
+  if (count === 1) return 'great-';
+  return `${greats(count - 1)}grand-`;
+};
+
+/**
+ * Name the blood relationship of `to` to `from`, where `from` is `up` generations
+ * below the closest common ancestor and `to` is `down` generations below it.
+ */
+const nameBloodRelationship = (to, up, down, { half = false, pedigrees = [] } = {}) => {
+  let name;
+  if (up === 0 && down === 0) return 'self';
+
+  if (down === 0) {
+    const base = bySex(to, 'father', 'mother', 'parent');
+    name = up === 1 ? base : `${greats(up - 2)}grand${base}`;
+  } else if (up === 0) {
+    const base = bySex(to, 'son', 'daughter', 'child');
+    name = down === 1 ? base : `${greats(down - 2)}grand${base}`;
+  } else if (up === 1 && down === 1) {
+    name = bySex(to, 'brother', 'sister', 'sibling');
+  } else if (down === 1) {
+    name = `${collateralPrefix(up - 2)}${bySex(to, 'uncle', 'aunt', 'aunt or uncle')}`;
+  } else if (up === 1) {
+    name = `${collateralPrefix(down - 2)}${bySex(to, 'nephew', 'niece', 'niece or nephew')}`;
+  } else {
+    const degree = Math.min(up, down) - 1;
+    const removed = Math.abs(up - down);
+    name = `${ordinal(degree)} cousin${removed ? ` ${removal(removed)} removed` : ''}`;
+  }
+
+  const isHalf = half && up > 0 && down > 0;
+  if (isHalf) name = `half-${name}`;
+
+  // Non-birth links anywhere on the path qualify the whole relationship
+  if (pedigrees.includes('step')) {
+    const closeFamily = up + down === 1 || (up === 1 && down === 1);
+    name = closeFamily && !isHalf ? `step${name}` : `step-${name}`;
+  } else if (pedigrees.includes('adopted')) {
+    name = `${up === 0 ? 'adopted' : 'adoptive'} ${name}`;
+  } else if (pedigrees.includes('foster')) {
+    name = `foster ${name}`;
+  }
+  return name;
+};
+
+// Child -> parent families and person -> own (spouse) families, built once per request
+const indexFamilies = (data) => {
+  const parentFamilies = new Map();
+  const spouseFamilies = new Map();
+  const push = (map, key, value) => {
+    if (!key) return;
+    if (!map.has(key)) map.set(key, []);
+    if (!map.get(key).includes(value)) map.get(key).push(value);
+  };
+
+  (data.families || []).forEach(family => {
+    (family.children || []).forEach(childId => push(parentFamilies, childId, family));
+    push(spouseFamilies, family.husband, family);
+    push(spouseFamilies, family.wife, family);
+  });
+
+  return { parentFamilies, spouseFamilies };
+};
+
+/**
+ * Breadth-first walk up from a person. Returns ancestorId -> { distance, steps },
+ * where steps lead from the person to the ancestor ({ id, familyId, pedigree }
+ * per parent reached). The person is included at distance 0. Each ancestor is
+ * visited once, so loops in bad data cannot recurse forever.
+ */
+const ancestorsOf = (index, personId) => {
+  const ancestors = new Map([[personId, { distance: 0, steps: [] }]]);
+  const queue = [personId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    const { distance, steps } = ancestors.get(id);
+
+    (index.parentFamilies.get(id) || []).forEach(family => {
+      const pedigree = (family.childPedigree || {})[id] || 'birth';
+      [family.husband, family.wife].filter(Boolean).forEach(parentId => {
+        if (ancestors.has(parentId)) return;
+        ancestors.set(parentId, {
+          distance: distance + 1,
+          steps: [...steps, { id: parentId, familyId: family.id, pedigree }]
+        });
+        queue.push(parentId);
+      });
+    });
+  }
+
+  return ancestors;
+};
+
+/**
+ * Closest blood connection between two people, or null. `to` is named
+ * relative to `from`.
+ */
+const findBloodRelationship = (data, index, fromId, toId) => {
+  const fromAncestors = ancestorsOf(index, fromId);
+  const toAncestors = ancestorsOf(index, toId);
+
+  let best = Infinity;
+  let common = [];
+  fromAncestors.forEach((fromEntry, ancestorId) => {
+    const toEntry = toAncestors.get(ancestorId);
+    if (!toEntry) return;
+    const total = fromEntry.distance + toEntry.distance;
+    if (total < best) {
+      best = total;
+      common = [];
+    }
+    if (total === best) common.push({ ancestorId, fromEntry, toEntry });
+  });
+  if (common.length === 0) return null;
+
+  // Siblings and cousins are half-relations when no closest common ancestor
+  // is reached through the same family on both sides
+  const lastFamily = (entry) => (entry.steps.length ? entry.steps[entry.steps.length - 1].familyId : null);
+  const sameFamily = common.some(({ fromEntry, toEntry }) => lastFamily(fromEntry) === lastFamily(toEntry));
+  const chosen = common.find(({ fromEntry, toEntry }) => lastFamily(fromEntry) === lastFamily(toEntry)) || common[0];
+
+  const up = chosen.fromEntry.distance;
+  const down = chosen.toEntry.distance;
+  const pedigrees = [...new Set(
+    [...chosen.fromEntry.steps, ...chosen.toEntry.steps]
+      .map(step => step.pedigree)
+      .filter(pedigree => pedigree !== 'birth')
+  )];
+
+  // from -> ... -> common ancestor -> ... -> to
+  const upPath = chosen.fromEntry.steps.map(step => ({ id: step.id, link: 'parent' }));
+  const downIds = [...chosen.toEntry.steps.map(step => step.id).reverse().slice(1), toId];
+  const downPath = down > 0 ? downIds.map(id => ({ id, link: 'child' })) : [];
+
+  const to = findIndividual(data, toId);
+  return {
+    relationship: nameBloodRelationship(to, up, down, { half: !sameFamily, pedigrees }),
+    up,
+    down,
+    pedigrees,
+    commonAncestors: common.map(({ ancestorId }) => ancestorId),
+    path: [{ id: fromId, link: 'start' }, ...upPath, ...downPath]
+  };
+};
+
+const spousesOf = (index, personId) => {
+  return (index.spouseFamilies.get(personId) || [])
+    .map(family => (family.husband === personId ? family.wife : family.husband))
+    .filter(Boolean);
+};
+
+// In-law names for the spouse of a blood relative; unusual links fall back to "cousin's wife"
+const nameSpouseOfRelative = (to, blood) => {
+  const { up, down } = blood;
+  const plain = blood.pedigrees.length === 0 && !blood.relationship.startsWith('half-');
+  if (plain && up === 1 && down === 0) return bySex(to, 'stepfather', 'stepmother', 'stepparent');
+  if (plain && up === 0 && down === 1) return bySex(to, 'son-in-law', 'daughter-in-law', 'child-in-law');
+  if (plain && up === 1 && down === 1) return bySex(to, 'brother-in-law', 'sister-in-law', 'sibling-in-law');
+  if (plain && up >= 2 && down === 1) return `${nameBloodRelationship(to, up, down)} by marriage`;
+  return `${blood.relationship}'s ${bySex(to, 'husband', 'wife', 'spouse')}`;
+};
+
+// In-law names for a blood relative of a spouse; unusual links fall back to "wife's cousin"
+const nameRelativeOfSpouse = (to, spouse, blood) => {
+  const { up, down } = blood;
+  const plain = blood.pedigrees.length === 0 && !blood.relationship.startsWith('half-');
+  if (plain && up === 1 && down === 0) return bySex(to, 'father-in-law', 'mother-in-law', 'parent-in-law');
+  if (plain && up === 0 && down === 1) return bySex(to, 'stepson', 'stepdaughter', 'stepchild');
+  if (plain && up === 1 && down === 1) return bySex(to, 'brother-in-law', 'sister-in-law', 'sibling-in-law');
+  return `${bySex(spouse, 'husband', 'wife', 'spouse')}'s ${blood.relationship}`;
+};
+
+/**
+ * People who are their own ancestor because of bad family links. Walks child ->
+ * parent edges depth-first (iteratively, so deep trees cannot overflow the stack)
+ * and returns each loop once, as the ids on it in ancestor order.
+ */
+const findAncestorLoops = (data) => {
+  const index = indexFamilies(data);
+  const parentsOf = (id) => (index.parentFamilies.get(id) || [])
+    .flatMap(family => [family.husband, family.wife])
+    .filter(Boolean);
+
+  const state = new Map(); // id -> 'active' while on the current path, 'done' afterwards
+  const loops = [];
+
+  (data.individuals || []).forEach(({ id: start }) => {
+    if (state.has(start)) return;
+    const stack = [{ id: start, parents: parentsOf(start), next: 0 }];
+    state.set(start, 'active');
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.next >= frame.parents.length) {
+        state.set(frame.id, 'done');
+        stack.pop();
+        continue;
+      }
+
+      const parentId = frame.parents[frame.next++];
+      if (state.get(parentId) === 'active') {
+        const from = stack.findIndex(entry => entry.id === parentId);
+        loops.push(stack.slice(from).map(entry => entry.id));
+      } else if (!state.has(parentId)) {
+        state.set(parentId, 'active');
+        stack.push({ id: parentId, parents: parentsOf(parentId), next: 0 });
+      }
+    }
+  });
+
+  return loops;
+};
+
+/**
+ * Work out how `toId` is related to `fromId`: by blood through the closest
+ * common ancestors, otherwise through one marriage (a spouse, the spouse of a
+ * blood relative, or a blood relative of a spouse).
+ * @returns {Object|null} { relationship, type, commonAncestors, path, generations, pedigrees }
+ */
+const buildRelationship = (data, fromId, toId) => {
+  const from = findIndividual(data, fromId);
+  const to = findIndividual(data, toId);
+  if (!from || !to) return null;
+
+  const summarizeStep = ({ id, link }) => ({ ...summarizePerson(findIndividual(data, id) || { id }), link });
+  const result = (relationship, type, extra = {}) => ({
+    relationship,
+    type,
+    commonAncestors: (extra.commonAncestors || []).map(id => summarizePerson(findIndividual(data, id))),
+    path: (extra.path || []).map(summarizeStep),
+    generations: extra.generations || null,
+    pedigrees: extra.pedigrees || []
+  });
+
+  if (from.id === to.id) {
+    return result('self', 'self', { path: [{ id: from.id, link: 'start' }] });
+  }
+
+  const index = indexFamilies(data);
+  const blood = findBloodRelationship(data, index, from.id, to.id);
+  if (blood) {
+    return result(blood.relationship, 'blood', {
+      ...blood,
+      generations: { from: blood.up, to: blood.down }
+    });
+  }
+
+  if (spousesOf(index, from.id).includes(to.id)) {
+    return result(bySex(to, 'husband', 'wife', 'spouse'), 'marriage', {
+      path: [{ id: from.id, link: 'start' }, { id: to.id, link: 'spouse' }]
+    });
+  }
+
+  // One marriage away: keep the connection with the fewest generations
+  const candidates = [];
+  spousesOf(index, to.id).forEach(spouseId => {
+    const relative = findBloodRelationship(data, index, from.id, spouseId);
+    if (!relative) return;
+    candidates.push({
+      relationship: nameSpouseOfRelative(to, relative),
+      distance: relative.up + relative.down,
+      relative,
+      path: [...relative.path, { id: to.id, link: 'spouse' }]
+    });
+  });
+  spousesOf(index, from.id).forEach(spouseId => {
+    const relative = findBloodRelationship(data, index, spouseId, to.id);
+    if (!relative) return;
+    candidates.push({
+      relationship: nameRelativeOfSpouse(to, findIndividual(data, spouseId), relative),
+      distance: relative.up + relative.down,
+      relative,
+      path: [{ id: from.id, link: 'start' }, { ...relative.path[0], link: 'spouse' }, ...relative.path.slice(1)]
+    });
+  });
+
+  if (candidates.length === 0) {
+    return result('not related', 'none');
+  }
+
+  const closest = candidates.reduce((best, candidate) => (candidate.distance < best.distance ? candidate : best));
+  return result(closest.relationship, 'marriage', {
+    commonAncestors: closest.relative.commonAncestors,
+    path: closest.path,
+    pedigrees: closest.relative.pedigrees
+  });
+};
+
+module.exports = {
+  MIN_PEDIGREE_GENERATIONS,
+  MAX_PEDIGREE_GENERATIONS,
+  MAX_DESCENDANT_GENERATIONS,
+  findParentFamily,
+  summarizePerson,
+  clampGenerations,
+  buildPedigree,
+  buildDescendants,
+  countDescendants,
+  findHomePerson,
+  buildRelationship,
+  findAncestorLoops
+};
@@ -1,181 +1,532 @@
-// Basic GEDCOM Parser
-// This parser extracts basic information from GEDCOM files
+// GEDCOM Parser
+// Builds a lossless node tree from GEDCOM 5.5.1 / 7.0 files and derives the
+// flat individuals/families shape the rest of the app works with.
+
+// Record types we keep as raw node trees alongside individuals/families.
+// SOUR and REPO records are derived into `sources` / `repositories` instead.
+const RECORD_COLLECTIONS = {
+  OBJE: 'media',
+  NOTE: 'notes',
+  SNOTE: 'sharedNotes',
+  SUBM: 'submitters'
+};
+
+// Family events mapped onto `family.events`
+const FAMILY_EVENT_TAGS = ['MARR', 'DIV', 'ENGA', 'MARB', 'ANUL', 'EVEN'];
+
+// Individual events and attributes mapped onto `individual.events`
+const INDIVIDUAL_EVENT_TAGS = [
+  'BIRT', 'CHR', 'BAPM', 'DEAT', 'BURI', 'CREM', 'CENS', 'RESI', 'OCCU', 'EDUC',
+  'IMMI', 'EMIG', 'NATU', 'PROB', 'WILL', 'RELI', 'EVEN', 'FACT'
+];
+
+// level, optional @xref@ (may contain spaces), tag, optional value
+const LINE_PATTERN = /^(\d+)[ \t]+(?:(@[^@]+@)[ \t]+)?([A-Za-z0-9_]+)(?:[ \t](.*))?$/;
+const POINTER_PATTERN = /^@[^@#][^@]*@$/;
+
+const createNode = (level, tag, value = '', xref = null) => ({
+  level,
+  xref,
+  tag,
+  value,
+  children: []
+});
+
+// Decode @@ escapes in a line value; pointers are left untouched
+const decodeValue = (value) => {
+  if (!value) return '';
+  if (POINTER_PATTERN.test(value)) return value;
+  return value.replace(/@@/g, '@');
+};
+
+// Split content into lines, dropping a UTF-8 BOM and any CR/LF convention
+const splitLines = (gedcomContent) => {
+  return gedcomContent
+    .replace(/^\uFEFF/, '')
+    .split(/\r\n|\r|\n/);
+};
+
+/**
+ * Parse GEDCOM text into a tree of { level, xref, tag, value, children } nodes.
+ * CONC/CONT lines are folded into their parent's value. Lines that cannot be
+ * parsed are kept as continuation text and reported in `warnings`.
+ */
+const parseGedcomTree = (gedcomContent) => {
+  const lines = splitLines(gedcomContent || '');
+  const records = [];
+  const warnings = [];
+  const stack = [];
 
-const parseGedcomContent = (gedcomContent) => {
-  const lines = gedcomContent.split('\n').map(line => line.trim()).filter(line => line.length > 0);
-  
-  const individuals = [];
-  const families = [];
-  
-  let currentRecord = null;
-  let currentType = null;
-  
   for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    const parts = line.split(' ');
-    const level = parseInt(parts[0]);
-    
-    if (level === 0) {
-      // Save previous record if exists
-      if (currentRecord && currentType === 'INDI') {
-        individuals.push(currentRecord);
-      } else if (currentRecord && currentType === 'FAM') {
-        families.push(currentRecord);
-      }
-      
-      // Start new record
-      if (parts.length >= 3) {
-        const id = parts[1];
-        const type = parts[2];
-        
-        if (type === 'INDI') {
-          currentRecord = {
-            id: id,
-            givenNames: '',
-            familyNames: '',
-            birthDate: '',
-            birthPlace: '',
-            deathDate: '',
-            deathPlace: '',
-            sex: ''
-          };
-          currentType = 'INDI';
-        } else if (type === 'FAM') {
-          currentRecord = {
-            id: id,
-            husband: '',
-            wife: '',
-            children: [],
-            marriageDate: '',
-            marriagePlace: ''
-          };
-          currentType = 'FAM';
-        } else {
-          currentRecord = null;
-          currentType = null;
-        }
+    const rawLine = lines[i].replace(/^\s+/, '');
+    if (rawLine.length === 0) continue;
+
+    const match = rawLine.match(LINE_PATTERN);
+    if (!match) {
+      // Some exporters wrap long notes without CONT; keep the text rather than drop it
+      const previous = stack[stack.length - 1];
+      if (previous) {
+        previous.value = previous.value ? `${previous.value}\n${rawLine}` : rawLine;
       }
-    } else if (level === 1 && currentRecord) {
-      // Level 1 tags
-      if (currentType === 'INDI') {
-        parseIndividualTag(line, currentRecord, lines, i);
-      } else if (currentType === 'FAM') {
-        parseFamilyTag(line, currentRecord);
+      warnings.push({ line: i + 1, message: 'Malformed line treated as continuation', text: rawLine });
+      continue;
+    }
+
+    const level = parseInt(match[1], 10);
+    const xref = match[2] || null;
+    // Tags keep the case they were written in, so extension tags like _Tag come back unchanged
+    const tag = match[3];
+    const value = match[4] !== undefined ? match[4] : '';
+    const keyword = tag.toUpperCase();
+
+    if (keyword === 'CONC' || keyword === 'CONT') {
+      const parent = stack[level - 1];
+      if (!parent || level === 0) {
+        warnings.push({ line: i + 1, message: `${keyword} without a parent line`, text: rawLine });
+        continue;
       }
+      parent.value += (keyword === 'CONT' ? '\n' : '') + decodeValue(value);
+      continue;
+    }
+
+    const node = createNode(level, tag, decodeValue(value), xref);
+
+    if (level === 0) {
+      records.push(node);
+      stack.length = 0;
+      stack[0] = node;
+      continue;
+    }
+
+    // Attach to the nearest shallower node; tolerate skipped levels
+    let parentLevel = level - 1;
+    while (parentLevel >= 0 && !stack[parentLevel]) {
+      parentLevel--;
+    }
+
+    if (parentLevel < 0) {
+      warnings.push({ line: i + 1, message: 'Line has no enclosing record', text: rawLine });
+      continue;
+    }
+
+    if (parentLevel !== level - 1) {
+      warnings.push({ line: i + 1, message: `Level ${level} follows level ${parentLevel}`, text: rawLine });
+    }
+
+    stack[parentLevel].children.push(node);
+    stack.length = parentLevel + 1;
+    stack[level] = node;
+  }
+
+  return { records, warnings };
+};
+
+// Helpers for walking nodes; tags compare case-insensitively
+const tagOf = (node) => node.tag.toUpperCase();
+
+const findChild = (node, tag) => node.children.find(child => tagOf(child) === tag) || null;
+
+const childValue = (node, tag) => {
+  const child = findChild(node, tag);
+  return child ? child.value : '';
+};
+
+// Strip captured children from a node; returns null when nothing is left over.
+// Residues are flagged so the writer merges them back into the mapped field.
+const residueNode = (node, capturedTags) => {
+  const leftover = node.children.filter(child => !capturedTags.includes(tagOf(child)));
+  if (leftover.length === 0) return null;
+  return { ...node, children: leftover, residue: true };
+};
+
+/**
+ * Derive a source citation: pointer to a SOUR record (or inline source text),
+ * PAGE, QUAY (0-3) and the DATA/TEXT transcription.
+ */
+const deriveCitation = (sourNode) => {
+  const isPointer = POINTER_PATTERN.test(sourNode.value);
+  const citation = {
+    sourceId: isPointer ? sourNode.value : null,
+    text: isPointer ? '' : sourNode.value,
+    page: '',
+    quality: '',
+    dataDate: '',
+    dataText: '',
+    notes: [],
+    otherTags: []
+  };
+
+  const seen = new Set();
+
+  for (const child of sourNode.children) {
+    const first = !seen.has(tagOf(child));
+    seen.add(tagOf(child));
+
+    if (tagOf(child) === 'PAGE' && first && child.children.length === 0) {
+      citation.page = child.value;
+    } else if (tagOf(child) === 'QUAY' && first && child.children.length === 0) {
+      citation.quality = child.value;
+    } else if (tagOf(child) === 'DATA' && first) {
+      citation.dataDate = childValue(child, 'DATE');
+      citation.dataText = childValue(child, 'TEXT');
+      const residue = residueNode(child, ['DATE', 'TEXT']);
+      if (residue) citation.otherTags.push(residue);
+    } else if (tagOf(child) === 'TEXT' && first && !citation.dataText && child.children.length === 0) {
+      // 5.5.1 puts TEXT directly under citations of inline sources
+      citation.dataText = child.value;
+    } else if (tagOf(child) === 'NOTE' && child.children.length === 0) {
+      citation.notes.push(child.value);
+    } else {
+      citation.otherTags.push(child);
     }
   }
-  
-  // Don't forget the last record
-  if (currentRecord && currentType === 'INDI') {
-    individuals.push(currentRecord);
-  } else if (currentRecord && currentType === 'FAM') {
-    families.push(currentRecord);
+
+  return citation;
+};
+
+// Pick out simple single-valued children into fields; the rest goes to otherTags
+const deriveRecordFields = (node, fieldTags, record) => {
+  const seen = new Set();
+
+  for (const child of node.children) {
+    const first = !seen.has(tagOf(child));
+    seen.add(tagOf(child));
+
+    if (fieldTags[tagOf(child)] && first && child.children.length === 0) {
+      record[fieldTags[tagOf(child)]] = child.value;
+    } else if (tagOf(child) === 'NOTE' && child.children.length === 0) {
+      record.notes.push(child.value);
+    } else if (tagOf(child) === 'REPO' && record.repositoryId === '' && POINTER_PATTERN.test(child.value)) {
+      // Only sources carry a repositoryId field
+      record.repositoryId = child.value;
+      record.callNumber = childValue(child, 'CALN');
+      const residue = residueNode(child, ['CALN']);
+      if (residue) record.otherTags.push(residue);
+    } else {
+      record.otherTags.push(child);
+    }
   }
-  
-  return {
-    individuals: individuals,
-    families: families,
-    totalIndividuals: individuals.length,
-    totalFamilies: families.length
+
+  return record;
+};
+
+/**
+ * Derive a master source from a SOUR record. `type` comes from the _TYPE
+ * extension and feeds source reliability scoring; `url` from the _URL extension.
+ */
+const deriveSource = (node) => deriveRecordFields(node, {
+  TITL: 'title',
+  AUTH: 'author',
+  PUBL: 'publication',
+  ABBR: 'abbreviation',
+  TEXT: 'text',
+  _TYPE: 'type',
+  _URL: 'url'
+}, {
+  id: node.xref,
+  title: '',
+  author: '',
+  publication: '',
+  abbreviation: '',
+  text: '',
+  type: '',
+  url: '',
+  repositoryId: '',
+  callNumber: '',
+  notes: [],
+  otherTags: []
+});
+
+// Derive a repository (archive, library, ...) from a REPO record
+const deriveRepository = (node) => deriveRecordFields(node, { NAME: 'name', ADDR: 'address' }, {
+  id: node.xref,
+  name: '',
+  address: '',
+  notes: [],
+  otherTags: []
+});
+
+/**
+ * Derive an event (BIRT, MARR, OCCU, EVEN, ...) with date, place, age, cause, notes and sources.
+ * Notes are inline text or pointers to NOTE records; anything else stays in `otherTags`.
+ */
+const deriveEvent = (node) => {
+  const event = {
+    type: tagOf(node),
+    value: node.value,
+    eventType: '',
+    date: '',
+    place: '',
+    age: '',
+    cause: '',
+    notes: [],
+    sources: [],
+    otherTags: []
   };
+
+  const seen = new Set();
+
+  for (const child of node.children) {
+    const first = !seen.has(tagOf(child));
+    seen.add(tagOf(child));
+
+    if (tagOf(child) === 'TYPE' && first && child.children.length === 0) {
+      event.eventType = child.value;
+    } else if (tagOf(child) === 'DATE' && first && child.children.length === 0) {
+      event.date = child.value;
+    } else if (tagOf(child) === 'PLAC' && first && child.children.length === 0) {
+      event.place = child.value;
+    } else if (tagOf(child) === 'AGE' && first && child.children.length === 0) {
+      event.age = child.value;
+    } else if (tagOf(child) === 'CAUS' && first && child.children.length === 0) {
+      event.cause = child.value;
+    } else if (tagOf(child) === 'NOTE' && child.children.length === 0) {
+      event.notes.push(child.value);
+    } else if (tagOf(child) === 'SOUR') {
+      event.sources.push(deriveCitation(child));
+    } else {
+      event.otherTags.push(child);
+    }
+  }
+
+  return event;
+};
+
+// Map a FAMC.PEDI node onto birth/adopted/foster/step; null for values we don't model.
+// 7.0 writes "OTHER" with a PHRASE for step-children.
+const parsePedigree = (pediNode) => {
+  const value = pediNode.value.trim().toLowerCase();
+  if (['birth', 'adopted', 'foster', 'step'].includes(value)) return value;
+  if (value === 'other' && /step/i.test(childValue(pediNode, 'PHRASE'))) return 'step';
+  return null;
+};
+
+// Names from the NAME value, or from GIVN/SURN when the value lacks them; `fromPieces`
+// lists the pieces a name was taken from, which the NAME line written back carries
+const parseName = (nameNode) => {
+  const match = nameNode.value.match(/^([^\/]*)\/?([^\/]*)\/?/);
+  let givenNames = match ? match[1].trim() : '';
+  let familyNames = match ? match[2].trim() : '';
+  const fromPieces = [];
+
+  if (!givenNames && findChild(nameNode, 'GIVN')) {
+    givenNames = childValue(nameNode, 'GIVN');
+    fromPieces.push('GIVN');
+  }
+  if (!familyNames && findChild(nameNode, 'SURN')) {
+    familyNames = childValue(nameNode, 'SURN');
+    fromPieces.push('SURN');
+  }
+
+  return { givenNames, familyNames, fromPieces };
 };
 
-const parseIndividualTag = (line, individual, lines, currentIndex) => {
-  const parts = line.split(' ');
-  const tag = parts[1];
-  
-  switch (tag) {
-    case 'NAME':
-      if (parts.length > 2) {
-        const namePart = line.substring(line.indexOf('NAME') + 5).trim();
-        const nameMatch = namePart.match(/^([^\/]*)\/?([^\/]*)\/?/);
-        if (nameMatch) {
-          individual.givenNames = nameMatch[1].trim();
-          individual.familyNames = nameMatch[2].trim();
-        }
+/**
+ * Derive the flat individual shape from an INDI node.
+ * Anything not mapped onto a field is kept in `otherTags`. Child-to-family
+ * pedigrees are collected into `pedigreeLinks` so they can be stored on the family.
+ */
+const deriveIndividual = (node, pedigreeLinks = []) => {
+  const individual = {
+    id: node.xref,
+    givenNames: '',
+    familyNames: '',
+    birthDate: '',
+    birthPlace: '',
+    deathDate: '',
+    deathPlace: '',
+    sex: '',
+    events: [],
+    citations: [],
+    otherTags: []
+  };
+
+  const seen = new Set();
+
+  for (const child of node.children) {
+    const first = !seen.has(tagOf(child));
+    seen.add(tagOf(child));
+    let residue = null;
+
+    if (tagOf(child) === 'NAME' && first) {
+      const { givenNames, familyNames, fromPieces } = parseName(child);
+      Object.assign(individual, { givenNames, familyNames });
+      // Other name pieces stay with the NAME, e.g. a GIVN repeating the given names of the value
+      residue = residueNode(child, fromPieces);
+    } else if (tagOf(child) === 'SEX' && first) {
+      individual.sex = child.value.trim().toUpperCase();
+      residue = residueNode(child, []);
+    } else if (INDIVIDUAL_EVENT_TAGS.includes(tagOf(child))) {
+      const event = deriveEvent(child);
+      // The first birth and death also fill the flat convenience fields
+      if ((tagOf(child) === 'BIRT' || tagOf(child) === 'DEAT') && first) {
+        const prefix = tagOf(child) === 'BIRT' ? 'birth' : 'death';
+        individual[`${prefix}Date`] = event.date;
+        individual[`${prefix}Place`] = event.place;
       }
-      break;
-      
-    case 'SEX':
-      if (parts.length > 2) {
-        individual.sex = parts[2];
+      individual.events.push(event);
+      continue;
+    } else if (tagOf(child) === 'SOUR') {
+      individual.citations.push(deriveCitation(child));
+      continue;
+    } else if (tagOf(child) === 'FAMC') {
+      // Family links are rebuilt from the FAM records; keep any other substructure
+      const pediNode = findChild(child, 'PEDI');
+      const pedigree = pediNode ? parsePedigree(pediNode) : null;
+      if (pedigree) {
+        pedigreeLinks.push({ familyId: child.value, childId: node.xref, pedigree });
       }
-      break;
-      
-    case 'BIRT':
-      // Birth event - look for DATE and PLAC in following lines
-      parseEvent(lines, currentIndex + 1, (tag, value) => {
-        if (tag === 'DATE') individual.birthDate = value;
-        if (tag === 'PLAC') individual.birthPlace = value;
-      });
-      break;
-      
-    case 'DEAT':
-      // Death event - look for DATE and PLAC in following lines
-      parseEvent(lines, currentIndex + 1, (tag, value) => {
-        if (tag === 'DATE') individual.deathDate = value;
-        if (tag === 'PLAC') individual.deathPlace = value;
-      });
-      break;
+      residue = residueNode(child, pedigree ? ['PEDI'] : []);
+    } else if (tagOf(child) === 'FAMS') {
+      residue = residueNode(child, []);
+    } else {
+      individual.otherTags.push(child);
+      continue;
+    }
+
+    if (residue) individual.otherTags.push(residue);
   }
+
+  return individual;
 };
 
-const parseFamilyTag = (line, family) => {
-  const parts = line.split(' ');
-  const tag = parts[1];
-  
-  switch (tag) {
-    case 'HUSB':
-      if (parts.length > 2) {
-        family.husband = parts[2];
-      }
-      break;
-      
-    case 'WIFE':
-      if (parts.length > 2) {
-        family.wife = parts[2];
+/**
+ * Derive the flat family shape from a FAM node.
+ */
+const deriveFamily = (node) => {
+  const family = {
+    id: node.xref,
+    husband: '',
+    wife: '',
+    children: [],
+    childPedigree: {},
+    marriageDate: '',
+    marriagePlace: '',
+    events: [],
+    otherTags: []
+  };
+
+  for (const child of node.children) {
+    if (FAMILY_EVENT_TAGS.includes(tagOf(child))) {
+      const event = deriveEvent(child);
+      // The first marriage also fills the flat marriage fields
+      if (event.type === 'MARR' && !family.events.some(existing => existing.type === 'MARR')) {
+        family.marriageDate = event.date;
+        family.marriagePlace = event.place;
       }
-      break;
-      
-    case 'CHIL':
-      if (parts.length > 2) {
-        family.children.push(parts[2]);
+      family.events.push(event);
+      continue;
+    }
+
+    if (tagOf(child) === 'HUSB' || tagOf(child) === 'WIFE') {
+      const field = tagOf(child) === 'HUSB' ? 'husband' : 'wife';
+      if (family[field]) {
+        family.otherTags.push(child);
+        continue;
       }
-      break;
-      
-    case 'MARR':
-      // Marriage event - would need to parse following lines for date/place
-      break;
+      family[field] = child.value;
+    } else if (tagOf(child) === 'CHIL') {
+      family.children.push(child.value);
+    } else {
+      family.otherTags.push(child);
+      continue;
+    }
+
+    // Pointer with substructure (e.g. _FREL/_MREL); keep the details
+    const residue = residueNode(child, []);
+    if (residue) family.otherTags.push(residue);
   }
+
+  return family;
+};
+
+// Summarize the HEAD record
+const deriveHeader = (headNode) => {
+  if (!headNode) {
+    return { version: null, charset: null, sourceSystem: null, node: null };
+  }
+
+  const gedc = findChild(headNode, 'GEDC');
+  return {
+    version: gedc ? childValue(gedc, 'VERS') || null : null,
+    charset: childValue(headNode, 'CHAR') || null,
+    sourceSystem: childValue(headNode, 'SOUR') || null,
+    node: headNode
+  };
 };
 
-const parseEvent = (lines, startIndex, callback) => {
-  for (let i = startIndex; i < lines.length; i++) {
-    const line = lines[i];
-    const parts = line.split(' ');
-    const level = parseInt(parts[0]);
-    
-    if (level === 2 && parts.length > 2) {
-      const tag = parts[1];
-      const value = line.substring(line.indexOf(tag) + tag.length + 1).trim();
-      callback(tag, value);
-    } else if (level <= 1) {
-      // End of event
-      break;
+const parseGedcomContent = (gedcomContent) => {
+  const { records, warnings } = parseGedcomTree(gedcomContent);
+
+  const individuals = [];
+  const families = [];
+  const sources = [];
+  const repositories = [];
+  const pedigreeLinks = [];
+  const collections = {
+    media: [],
+    notes: [],
+    sharedNotes: [],
+    submitters: [],
+    other: []
+  };
+  let headNode = null;
+
+  for (const record of records) {
+    if (tagOf(record) === 'HEAD') {
+      headNode = record;
+    } else if (tagOf(record) === 'TRLR') {
+      continue;
+    } else if (tagOf(record) === 'INDI') {
+      individuals.push(deriveIndividual(record, pedigreeLinks));
+    } else if (tagOf(record) === 'FAM') {
+      families.push(deriveFamily(record));
+    } else if (tagOf(record) === 'SOUR') {
+      sources.push(deriveSource(record));
+    } else if (tagOf(record) === 'REPO') {
+      repositories.push(deriveRepository(record));
+    } else if (RECORD_COLLECTIONS[tagOf(record)]) {
+      collections[RECORD_COLLECTIONS[tagOf(record)]].push(record);
+    } else {
+      collections.other.push(record);
     }
   }
+
+  pedigreeLinks.forEach(({ familyId, childId, pedigree }) => {
+    const family = families.find(candidate => candidate.id === familyId);
+    if (family && pedigree !== 'birth') {
+      family.childPedigree[childId] = pedigree;
+    }
+  });
+
+  return {
+    header: deriveHeader(headNode),
+    individuals: individuals,
+    families: families,
+    sources: sources,
+    repositories: repositories,
+    records: collections,
+    warnings: warnings,
+    totalIndividuals: individuals.length,
+    totalFamilies: families.length
+  };
 };
 
 // Extract basic statistics from GEDCOM content
 const getGedcomStats = (gedcomContent) => {
   try {
     const parsed = parseGedcomContent(gedcomContent);
-    
+
     return {
       totalIndividuals: parsed.totalIndividuals,
       totalFamilies: parsed.totalFamilies,
       individuals: parsed.individuals,
       families: parsed.families,
+      sources: parsed.sources,
+      repositories: parsed.repositories,
+      header: parsed.header,
+      records: parsed.records,
+      warnings: parsed.warnings,
       success: true
     };
   } catch (error) {
@@ -185,13 +536,48 @@ const getGedcomStats = (gedcomContent) => {
       totalFamilies: 0,
       individuals: [],
       families: [],
+      sources: [],
+      repositories: [],
+      header: null,
+      records: null,
+      warnings: [],
       success: false,
       error: error.message
     };
   }
 };
 
+/**
+ * The stored tree for an uploaded file: the parsed records plus the original
+ * text, kept so the tree can be re-parsed when the parser improves.
+ */
+const buildTreeData = (gedcomContent, sourceFile = null) => {
+  const gedcomStats = getGedcomStats(gedcomContent);
+
+  return {
+    header: gedcomStats.header,
+    individuals: gedcomStats.individuals,
+    families: gedcomStats.families,
+    sources: gedcomStats.sources,
+    repositories: gedcomStats.repositories,
+    records: gedcomStats.records,
+    parseWarnings: gedcomStats.warnings,
+    sourceFile,
+    importDate: new Date(),
+    rawGedcom: gedcomContent,
+    parseSuccess: gedcomStats.success,
+    parseError: gedcomStats.error || null
+  };
+};
+
 module.exports = {
+  INDIVIDUAL_EVENT_TAGS,
+  FAMILY_EVENT_TAGS,
+  deriveEvent,
+  deriveSource,
+  deriveRepository,
+  parseGedcomTree,
   parseGedcomContent,
-  getGedcomStats
-};
\ No newline at end of file
+  getGedcomStats,
+  buildTreeData
+};
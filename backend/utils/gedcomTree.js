@@ -0,0 +1,478 @@
+// Helpers for editing the decrypted GEDCOM JSON ({ individuals, families, ... })
+
+const { deriveSource, deriveRepository } = require('./gedcomParser');
+
+/**
+ * Allocate a new record id with the given prefix ("I", "F", ...).
+ * Follows the tree's existing convention: "@I12@" if ids are pointer-wrapped, "I12" otherwise.
+ */
+const allocateId = (existingIds, prefix) => {
+  const ids = existingIds.filter(Boolean);
+  const wrapped = ids.length > 0 ? ids.some(id => id.startsWith('@')) : false;
+  const pattern = new RegExp(`^@?${prefix}(\\d+)@?$`);
+
+  let next = 1;
+  ids.forEach(id => {
+    const match = id.match(pattern);
+    if (match) {
+      next = Math.max(next, parseInt(match[1], 10) + 1);
+    }
+  });
+
+  const taken = new Set(ids);
+  let candidate = wrapped ? `@${prefix}${next}@` : `${prefix}${next}`;
+  while (taken.has(candidate)) {
+    next++;
+    candidate = wrapped ? `@${prefix}${next}@` : `${prefix}${next}`;
+  }
+
+  return candidate;
+};
+
+// Child-to-family relationship types (INDI.FAMC.PEDI)
+const PEDIGREE_TYPES = ['birth', 'adopted', 'foster', 'step'];
+
+// Source types understood by GenealogyValidationService.assessSourceReliability
+const SOURCE_TYPES = ['government_record', 'church_record', 'census', 'newspaper', 'family_bible', 'oral_history', 'unknown'];
+
+// Title keywords used when a source has no explicit _TYPE
+const SOURCE_TYPE_PATTERNS = [
+  ['census', /census/i],
+  ['church_record', /church|parish|baptism|christening|burial register|diocese/i],
+  ['family_bible', /bible/i],
+  ['newspaper', /newspaper|gazette|herald|chronicle|times|obituar/i],
+  ['oral_history', /interview|oral history|recollection/i],
+  ['government_record', /vital|certificate|civil regist|registry|probate|naturali[sz]ation|passenger|military|court|land record|deed/i]
+];
+
+const inferSourceType = (source) => {
+  if (source.type && SOURCE_TYPES.includes(source.type)) return source.type;
+  const text = `${source.title || ''} ${source.abbreviation || ''}`;
+  const match = SOURCE_TYPE_PATTERNS.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'unknown';
+};
+
+/**
+ * Trees stored before sources were derived keep raw SOUR/REPO nodes in
+ * `records`; convert them to source/repository records in place.
+ */
+const ensureSourceRecords = (data) => {
+  const records = data.records || {};
+
+  if (!Array.isArray(data.sources)) {
+    data.sources = (records.sources || []).map(deriveSource);
+    if (records.sources) records.sources = [];
+  }
+  if (!Array.isArray(data.repositories)) {
+    data.repositories = (records.repositories || []).map(deriveRepository);
+    if (records.repositories) records.repositories = [];
+  }
+
+  return data;
+};
+
+const findSource = (data, sourceId) => {
+  return (data.sources || []).find(source => source.id === sourceId) || null;
+};
+
+const findRepository = (data, repositoryId) => {
+  return (data.repositories || []).find(repository => repository.id === repositoryId) || null;
+};
+
+// Every citation attached to a person: person-level SOUR plus each event's citations
+const personCitations = (person) => {
+  return [
+    ...(person.citations || []),
+    ...(person.events || []).flatMap(event => event.sources || [])
+  ];
+};
+
+/**
+ * Sources cited for a person in the { sourceId, title, type } shape reliability
+ * scoring expects. Each master source counts once; inline citations count individually.
+ */
+const collectPersonSources = (data, person) => {
+  const seen = new Set();
+  const collected = [];
+
+  personCitations(person).forEach(citation => {
+    if (citation.sourceId) {
+      if (seen.has(citation.sourceId)) return;
+      seen.add(citation.sourceId);
+      const source = findSource(data, citation.sourceId);
+      collected.push({
+        sourceId: citation.sourceId,
+        title: source ? source.title : '',
+        type: source ? inferSourceType(source) : 'unknown'
+      });
+    } else {
+      collected.push({ sourceId: null, title: citation.text, type: inferSourceType({ title: citation.text }) });
+    }
+  });
+
+  return collected;
+};
+
+// Count how often each master source is cited across the tree
+const countCitations = (data) => {
+  const counts = {};
+  const tally = citation => {
+    if (citation.sourceId) counts[citation.sourceId] = (counts[citation.sourceId] || 0) + 1;
+  };
+
+  (data.individuals || []).forEach(person => personCitations(person).forEach(tally));
+  (data.families || []).forEach(family => {
+    (family.events || []).forEach(event => (event.sources || []).forEach(tally));
+  });
+
+  return counts;
+};
+
+const findIndividual = (data, personId) => {
+  return (data.individuals || []).find(ind => ind.id === personId) || null;
+};
+
+const findFamily = (data, familyId) => {
+  return (data.families || []).find(family => family.id === familyId) || null;
+};
+
+/**
+ * Create a family record linking existing individuals. Returns the new family.
+ */
+const createFamily = (data, { husband = '', wife = '', children = [], pedigrees = {} } = {}) => {
+  data.families = data.families || [];
+
+  const family = {
+    id: allocateId(data.families.map(existing => existing.id), 'F'),
+    husband: husband || '',
+    wife: wife || '',
+    children: [...children],
+    childPedigree: {},
+    marriageDate: '',
+    marriagePlace: '',
+    events: [],
+    otherTags: []
+  };
+
+  Object.entries(pedigrees).forEach(([childId, pedigree]) => setChildPedigree(family, childId, pedigree));
+
+  data.families.push(family);
+  return family;
+};
+
+// Pick the husband/wife slot for a new spouse from an explicit role or their sex
+const spouseRoleFor = (family, person, role) => {
+  if (role === 'husband' || role === 'wife') return role;
+  if (person && person.sex === 'M') return 'husband';
+  if (person && person.sex === 'F') return 'wife';
+  if (!family.husband) return 'husband';
+  if (!family.wife) return 'wife';
+  return null;
+};
+
+const removeSpouse = (family, personId) => {
+  if (family.husband === personId) {
+    family.husband = '';
+  } else if (family.wife === personId) {
+    family.wife = '';
+  } else {
+    return false;
+  }
+  family.otherTags = (family.otherTags || []).filter(tag => !(tag.residue && tag.value === personId));
+  return true;
+};
+
+// Insert a child at `position` (end of the list by default)
+const addChild = (family, childId, position) => {
+  family.children = family.children || [];
+  if (family.children.includes(childId)) return false;
+
+  const index = Number.isInteger(position)
+    ? Math.max(0, Math.min(position, family.children.length))
+    : family.children.length;
+  family.children.splice(index, 0, childId);
+  return true;
+};
+
+const removeChild = (family, childId) => {
+  if (!(family.children || []).includes(childId)) return false;
+
+  family.children = family.children.filter(id => id !== childId);
+  family.otherTags = (family.otherTags || []).filter(tag => !(tag.residue && tag.value === childId));
+  if (family.childPedigree) delete family.childPedigree[childId];
+  return true;
+};
+
+// Reorder children; `order` must contain exactly the family's current children
+const reorderChildren = (family, order) => {
+  const current = family.children || [];
+  if (order.length !== current.length || new Set(order).size !== order.length) return false;
+  if (!order.every(childId => current.includes(childId))) return false;
+
+  family.children = [...order];
+  return true;
+};
+
+// Birth is the default relationship, so it is not stored explicitly
+const setChildPedigree = (family, childId, pedigree) => {
+  family.childPedigree = family.childPedigree || {};
+  if (!pedigree || pedigree === 'birth') {
+    delete family.childPedigree[childId];
+  } else {
+    family.childPedigree[childId] = pedigree;
+  }
+};
+
+const isFamilyEmpty = (family) => {
+  return !family.husband && !family.wife && (family.children || []).length === 0;
+};
+
+// Drop a family once its last member has been unlinked
+const pruneFamily = (data, family) => {
+  if (!isFamilyEmpty(family)) return false;
+  data.families = (data.families || []).filter(existing => existing !== family);
+  return true;
+};
+
+const isEventEmpty = (event) => {
+  return !event.value && !event.eventType && !event.date && !event.place && !event.age && !event.cause &&
+    (event.notes || []).length === 0 && (event.sources || []).length === 0 && (event.otherTags || []).length === 0;
+};
+
+/**
+ * Copy the flat birth/death fields onto the person's first BIRT/DEAT events,
+ * creating the event when needed and dropping it once it holds nothing.
+ */
+const syncVitalEvents = (person) => {
+  person.events = person.events || [];
+
+  [['BIRT', 'birth'], ['DEAT', 'death']].forEach(([type, prefix]) => {
+    const date = person[`${prefix}Date`] || '';
+    const place = person[`${prefix}Place`] || '';
+    let event = person.events.find(existing => existing.type === type);
+
+    if (!event) {
+      if (!date && !place) return;
+      event = { type, value: '', eventType: '', date: '', place: '', age: '', cause: '', notes: [], sources: [], otherTags: [] };
+      if (type === 'BIRT') {
+        person.events.unshift(event);
+      } else {
+        person.events.push(event);
+      }
+    }
+
+    event.date = date;
+    event.place = place;
+    if (isEventEmpty(event)) {
+      person.events = person.events.filter(existing => existing !== event);
+    }
+  });
+
+  return person;
+};
+
+/**
+ * Build the family context GenealogyValidationService expects, using full
+ * individual records so birth/death dates are available for the checks.
+ */
+const getValidationContext = (data, personId) => {
+  const families = data.families || [];
+  const context = { parents: { father: null, mother: null }, spouses: [], children: [] };
+
+  const parentFamily = families.find(family => family.children && family.children.includes(personId));
+  if (parentFamily) {
+    context.parents.father = findIndividual(data, parentFamily.husband);
+    context.parents.mother = findIndividual(data, parentFamily.wife);
+  }
+
+  families
+    .filter(family => family.husband === personId || family.wife === personId)
+    .forEach(family => {
+      const spouse = findIndividual(data, family.husband === personId ? family.wife : family.husband);
+      if (spouse) {
+        context.spouses.push({
+          ...spouse,
+          marriageDate: family.marriageDate || null,
+          marriagePlace: family.marriagePlace || null
+        });
+      }
+      (family.children || []).forEach(childId => {
+        const child = findIndividual(data, childId);
+        if (child) context.children.push(child);
+      });
+    });
+
+  return context;
+};
+
+/**
+ * Remove an individual and every family reference to them.
+ * Families left with no members are dropped. Returns the removed individual.
+ */
+const removeIndividual = (data, personId) => {
+  const index = (data.individuals || []).findIndex(ind => ind.id === personId);
+  if (index === -1) return null;
+
+  const [removed] = data.individuals.splice(index, 1);
+
+  data.families = (data.families || [])
+    .map(family => ({
+      ...family,
+      husband: family.husband === personId ? '' : family.husband,
+      wife: family.wife === personId ? '' : family.wife,
+      children: (family.children || []).filter(childId => childId !== personId),
+      childPedigree: Object.fromEntries(
+        Object.entries(family.childPedigree || {}).filter(([childId]) => childId !== personId)
+      ),
+      otherTags: (family.otherTags || []).filter(tag => !(tag.residue && tag.value === personId))
+    }))
+    .filter(family => !isFamilyEmpty(family));
+
+  return removed;
+};
+
+// Person facts combined when two individuals are merged
+const PERSON_FACT_FIELDS = ['givenNames', 'familyNames', 'sex', 'birthDate', 'birthPlace', 'deathDate', 'deathPlace'];
+
+const citationKey = (citation) => [citation.sourceId || '', citation.page || '', citation.text || ''].join('|');
+
+const mergeCitations = (target, extra) => {
+  const keys = new Set(target.map(citationKey));
+  extra.forEach(citation => {
+    if (!keys.has(citationKey(citation))) {
+      keys.add(citationKey(citation));
+      target.push(citation);
+    }
+  });
+  return target;
+};
+
+// Rewrite a person's id in one family. Returns true when the family referred to them.
+const replaceFamilyMember = (family, fromId, toId) => {
+  let changed = false;
+
+  ['husband', 'wife'].forEach(slot => {
+    if (family[slot] === fromId) {
+      family[slot] = toId;
+      changed = true;
+    }
+  });
+
+  if ((family.children || []).includes(fromId)) {
+    const pedigree = (family.childPedigree || {})[fromId];
+    family.children = family.children.includes(toId)
+      ? family.children.filter(childId => childId !== fromId)
+      : family.children.map(childId => (childId === fromId ? toId : childId));
+    if (family.childPedigree) {
+      delete family.childPedigree[fromId];
+      if (pedigree && !family.childPedigree[toId]) family.childPedigree[toId] = pedigree;
+    }
+    changed = true;
+  }
+
+  // Pointer residues and extra HUSB/WIFE/CHIL lines kept in otherTags
+  family.otherTags = (family.otherTags || []).map(tag => {
+    if (tag.value !== fromId) return tag;
+    changed = true;
+    return { ...tag, value: toId };
+  });
+
+  return changed;
+};
+
+/**
+ * Merge `duplicateId` into `survivorId`: the survivor keeps its facts unless
+ * `prefer[field] === 'duplicate'` (or it has none), events and citations are
+ * combined, every family reference is rewritten to the survivor, and the
+ * duplicate is removed. A differing name is kept as an alternate NAME.
+ * @returns {Object|null} { survivor, duplicate, fieldsTaken, familyIds }
+ */
+const mergeIndividuals = (data, survivorId, duplicateId, prefer = {}) => {
+  const survivor = findIndividual(data, survivorId);
+  const duplicate = findIndividual(data, duplicateId);
+  if (!survivor || !duplicate || survivor === duplicate) return null;
+
+  const snapshot = JSON.parse(JSON.stringify(duplicate));
+  const survivorName = `${survivor.givenNames || ''} /${survivor.familyNames || ''}/`;
+  const duplicateName = `${duplicate.givenNames || ''} /${duplicate.familyNames || ''}/`;
+
+  const fieldsTaken = PERSON_FACT_FIELDS.filter(field =>
+    duplicate[field] && (prefer[field] === 'duplicate' || !survivor[field]) && duplicate[field] !== survivor[field]
+  );
+  fieldsTaken.forEach(field => { survivor[field] = duplicate[field]; });
+
+  // Events: the first birth/death and identical events fold together, the rest are added
+  survivor.events = survivor.events || [];
+  (duplicate.events || []).forEach(event => {
+    const match = survivor.events.find(existing =>
+      existing.type === event.type && (
+        ['BIRT', 'DEAT'].includes(event.type) ||
+        ((existing.date || '') === (event.date || '') && (existing.place || '') === (event.place || '') &&
+          (existing.value || '') === (event.value || ''))
+      )
+    );
+    if (match) {
+      match.sources = mergeCitations(match.sources || [], event.sources || []);
+      match.notes = [...(match.notes || []), ...(event.notes || []).filter(note => !(match.notes || []).includes(note))];
+      ['date', 'place', 'age', 'cause', 'eventType'].forEach(key => {
+        if (!match[key] && event[key]) match[key] = event[key];
+      });
+    } else {
+      survivor.events.push(event);
+    }
+  });
+  syncVitalEvents(survivor);
+
+  survivor.citations = mergeCitations(survivor.citations || [], duplicate.citations || []);
+
+  // Unmapped tags carry over; the duplicate's NAME/SEX substructure would clash with the survivor's
+  const existingTags = new Set((survivor.otherTags || []).map(tag => JSON.stringify(tag)));
+  survivor.otherTags = [
+    ...(survivor.otherTags || []),
+    ...(duplicate.otherTags || []).filter(tag =>
+      !(tag.residue && ['NAME', 'SEX'].includes(tag.tag.toUpperCase())) && !existingTags.has(JSON.stringify(tag))
+    )
+  ];
+  const mergedName = `${survivor.givenNames || ''} /${survivor.familyNames || ''}/`;
+  if (duplicateName !== mergedName && duplicateName.replace(/[\s/]/g, '')) {
+    survivor.otherTags.push({ tag: 'NAME', value: duplicateName, children: [] });
+  } else if (survivorName !== mergedName && survivorName.replace(/[\s/]/g, '')) {
+    survivor.otherTags.push({ tag: 'NAME', value: survivorName, children: [] });
+  }
+
+  const familyIds = (data.families || [])
+    .filter(family => replaceFamilyMember(family, duplicate.id, survivor.id))
+    .map(family => family.id);
+
+  data.individuals = data.individuals.filter(individual => individual !== duplicate);
+
+  return { survivor, duplicate: snapshot, fieldsTaken, familyIds };
+};
+
+module.exports = {
+  PEDIGREE_TYPES,
+  PERSON_FACT_FIELDS,
+  SOURCE_TYPES,
+  allocateId,
+  inferSourceType,
+  ensureSourceRecords,
+  findSource,
+  findRepository,
+  collectPersonSources,
+  countCitations,
+  findIndividual,
+  findFamily,
+  syncVitalEvents,
+  createFamily,
+  spouseRoleFor,
+  removeSpouse,
+  addChild,
+  removeChild,
+  reorderChildren,
+  setChildPedigree,
+  pruneFamily,
+  getValidationContext,
+  removeIndividual,
+  mergeCitations,
+  mergeIndividuals
+};
@@ -0,0 +1,345 @@
+// GEDCOM Writer
+// Serializes the decrypted JSON tree back into a GEDCOM 5.5.1 or 7.0 file.
+
+const SUPPORTED_VERSIONS = ['5.5.1', '7.0'];
+
+// GEDCOM 5.5.1 caps a physical line at 255 characters including level and tag
+const MAX_LINE_LENGTH_551 = 255;
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+const POINTER_PATTERN = /^@[^@#][^@]*@$/;
+
+const node = (tag, value = '', children = [], xref = null) => ({ xref, tag, value: value || '', children });
+
+// Manually created records use bare ids such as "I1"; GEDCOM needs @I1@
+const toPointer = (id) => {
+  if (!id) return id;
+  return id.startsWith('@') ? id : `@${id}@`;
+};
+
+// A JavaScript date as a GEDCOM date value, e.g. '4 NOV 1912'
+const formatGedcomDate = (date) => {
+  return `${date.getDate()} ${MONTHS[date.getMonth()]} ${date.getFullYear()}`;
+};
+
+// Escape @ signs in non-pointer values
+const encodeValue = (value, version) => {
+  if (!value || POINTER_PATTERN.test(value)) return value;
+  if (version === '7.0') {
+    return value.startsWith('@') ? `@${value}` : value;
+  }
+  return value.replace(/@/g, '@@');
+};
+
+// Shared notes are SNOTE in 7.0 and NOTE records/pointers in 5.5.1; other tags are written as parsed
+const translateTag = (item, version, isRecord) => {
+  const isSharedNote = isRecord || POINTER_PATTERN.test(item.value);
+  const keyword = item.tag.toUpperCase();
+  if (version === '7.0' && keyword === 'NOTE' && isSharedNote) return 'SNOTE';
+  if (version === '5.5.1' && keyword === 'SNOTE') return 'NOTE';
+  return item.tag;
+};
+
+// Whether a cut falls between the two characters of an @@ escape or of a surrogate pair; the parser
+// decodes each CONC line on its own, so either would change the value when read back
+const splitsCharacter = (text, cut) => {
+  const code = text.charCodeAt(cut - 1);
+  if (code >= 0xD800 && code <= 0xDBFF) return true;
+  let ats = 0;
+  while (text[cut - 1 - ats] === '@') ats++;
+  return ats % 2 === 1;
+};
+
+// Split a value so no physical 5.5.1 line exceeds the limit, avoiding splits next to spaces
+const splitForConc = (value, firstPrefixLength, concPrefixLength) => {
+  const chunks = [];
+  let remaining = value;
+  let limit = MAX_LINE_LENGTH_551 - firstPrefixLength;
+
+  while (remaining.length > limit) {
+    let cut = limit;
+    while (cut > limit - 20 && (remaining[cut] === ' ' || remaining[cut - 1] === ' ' || splitsCharacter(remaining, cut))) {
+      cut--;
+    }
+    if (cut <= limit - 20) {
+      cut = limit;
+      while (splitsCharacter(remaining, cut)) cut--;
+    }
+    chunks.push(remaining.slice(0, cut));
+    remaining = remaining.slice(cut);
+    limit = MAX_LINE_LENGTH_551 - concPrefixLength;
+  }
+
+  chunks.push(remaining);
+  return chunks;
+};
+
+const formatLine = (level, tag, value, xref = null) => {
+  return [level, xref, tag, value].filter(part => part !== null && part !== '').join(' ');
+};
+
+/**
+ * Write a node and its children as GEDCOM lines, emitting CONT for embedded
+ * newlines and (5.5.1 only) CONC for values over the line length limit.
+ */
+const writeNode = (item, level, version, lines, isRecord = false) => {
+  const tag = translateTag(item, version, isRecord);
+  const xref = item.xref || null;
+  const valueLines = String(item.value || '').split('\n').map(part => encodeValue(part, version));
+
+  valueLines.forEach((part, index) => {
+    const lineLevel = index === 0 ? level : level + 1;
+    const lineTag = index === 0 ? tag : 'CONT';
+    const lineXref = index === 0 ? xref : null;
+
+    if (version === '5.5.1') {
+      const firstPrefix = formatLine(lineLevel, lineTag, 'x', lineXref).length - 1;
+      const concPrefix = formatLine(level + 1, 'CONC', 'x').length - 1;
+      const chunks = splitForConc(part, firstPrefix, concPrefix);
+      lines.push(formatLine(lineLevel, lineTag, chunks[0], lineXref));
+      chunks.slice(1).forEach(chunk => lines.push(formatLine(level + 1, 'CONC', chunk)));
+    } else {
+      lines.push(formatLine(lineLevel, lineTag, part, lineXref));
+    }
+  });
+
+  (item.children || []).forEach(child => writeNode(child, level + 1, version, lines));
+};
+
+// Fold parser residues (substructure we did not map) back onto generated nodes
+const mergeResidues = (generated, otherTags = []) => {
+  const remaining = [];
+
+  for (const extra of otherTags) {
+    if (!extra.residue) {
+      remaining.push(extra);
+      continue;
+    }
+
+    const isPointer = POINTER_PATTERN.test(extra.value);
+    const target = generated.find(item =>
+      item.tag === extra.tag.toUpperCase() && (!isPointer || item.value === extra.value) && !item.merged
+    );
+
+    if (target) {
+      target.children = [...target.children, ...extra.children];
+      if (!target.value) target.value = extra.value;
+      target.merged = true;
+    } else {
+      // The mapped field was cleared; keep the substructure rather than drop it
+      remaining.push({ ...extra, residue: undefined });
+    }
+  }
+
+  return [...generated, ...remaining];
+};
+
+const eventNode = (tag, date, place) => {
+  const children = [];
+  if (date) children.push(node('DATE', date));
+  if (place) children.push(node('PLAC', place));
+  return children.length > 0 ? node(tag, '', children) : null;
+};
+
+const citationNode = (citation) => {
+  const children = [];
+  if (citation.page) children.push(node('PAGE', citation.page));
+
+  // Inline (non-pointer) sources carry their TEXT directly rather than under DATA
+  if (!citation.sourceId && !citation.dataDate && citation.dataText) {
+    children.push(node('TEXT', citation.dataText));
+  } else {
+    const dataChildren = [];
+    if (citation.dataDate) dataChildren.push(node('DATE', citation.dataDate));
+    if (citation.dataText) dataChildren.push(node('TEXT', citation.dataText));
+    if (dataChildren.length > 0) children.push(node('DATA', '', dataChildren));
+  }
+
+  if (citation.quality !== undefined && citation.quality !== null && citation.quality !== '') {
+    children.push(node('QUAY', String(citation.quality)));
+  }
+  (citation.notes || []).forEach(note => children.push(node('NOTE', note)));
+
+  const value = citation.sourceId ? toPointer(citation.sourceId) : citation.text;
+  return node('SOUR', value, mergeResidues(children, citation.otherTags));
+};
+
+const fieldNodes = (record, fieldTags) => {
+  return Object.entries(fieldTags)
+    .filter(([, field]) => record[field])
+    .map(([tag, field]) => node(tag, record[field]));
+};
+
+const sourceToNode = (source) => {
+  const generated = fieldNodes(source, { TITL: 'title', AUTH: 'author', PUBL: 'publication', ABBR: 'abbreviation', TEXT: 'text' });
+  if (source.repositoryId) {
+    generated.push(node('REPO', toPointer(source.repositoryId), source.callNumber ? [node('CALN', source.callNumber)] : []));
+  }
+  if (source.type) generated.push(node('_TYPE', source.type));
+  if (source.url) generated.push(node('_URL', source.url));
+  (source.notes || []).forEach(note => generated.push(node('NOTE', note)));
+
+  return node('SOUR', '', mergeResidues(generated, source.otherTags), toPointer(source.id));
+};
+
+const repositoryToNode = (repository) => {
+  const generated = fieldNodes(repository, { NAME: 'name', ADDR: 'address' });
+  (repository.notes || []).forEach(note => generated.push(node('NOTE', note)));
+
+  return node('REPO', '', [...generated, ...(repository.otherTags || [])], toPointer(repository.id));
+};
+
+// Rebuild an event derived by the parser (type, date, place, age, cause, notes, sources)
+const eventToNode = (event) => {
+  const children = [];
+  if (event.eventType) children.push(node('TYPE', event.eventType));
+  if (event.date) children.push(node('DATE', event.date));
+  if (event.place) children.push(node('PLAC', event.place));
+  if (event.age) children.push(node('AGE', event.age));
+  if (event.cause) children.push(node('CAUS', event.cause));
+  (event.notes || []).forEach(note => children.push(node('NOTE', note)));
+  (event.sources || []).forEach(citation => children.push(citationNode(citation)));
+
+  // An event with no details still needs a value to be meaningful ("1 MARR Y")
+  const value = event.value || (children.length === 0 && !(event.otherTags || []).length ? 'Y' : '');
+  return node(event.type, value, [...children, ...(event.otherTags || [])]);
+};
+
+// 5.5.1 has no step value, so it is written as-is; 7.0 uses OTHER with a PHRASE
+const pedigreeNode = (pedigree, version) => {
+  if (version === '7.0') {
+    return pedigree === 'step'
+      ? node('PEDI', 'OTHER', [node('PHRASE', 'step')])
+      : node('PEDI', pedigree.toUpperCase());
+  }
+  return node('PEDI', pedigree);
+};
+
+const individualToNode = (individual, families, version) => {
+  const generated = [];
+
+  if (individual.givenNames || individual.familyNames) {
+    generated.push(node('NAME', `${individual.givenNames || ''} /${individual.familyNames || ''}/`.trim()));
+  }
+  if (individual.sex) {
+    generated.push(node('SEX', individual.sex));
+  }
+
+  // The flat birth/death fields are the editable copy of the first BIRT/DEAT events
+  const events = individual.events || [];
+  const vitals = [
+    { tag: 'BIRT', date: individual.birthDate, place: individual.birthPlace },
+    { tag: 'DEAT', date: individual.deathDate, place: individual.deathPlace }
+  ].map(vital => ({ ...vital, event: events.find(event => event.type === vital.tag) }));
+
+  vitals.forEach(vital => {
+    if (!vital.event) {
+      const generatedEvent = eventNode(vital.tag, vital.date, vital.place);
+      if (generatedEvent) generated.push(generatedEvent);
+    }
+  });
+
+  events.forEach(event => {
+    const vital = vitals.find(candidate => candidate.event === event);
+    generated.push(eventToNode(vital ? { ...event, date: vital.date || '', place: vital.place || '' } : event));
+  });
+  (individual.citations || []).forEach(citation => generated.push(citationNode(citation)));
+
+  families.forEach(family => {
+    if (family.children && family.children.includes(individual.id)) {
+      const pedigree = family.childPedigree && family.childPedigree[individual.id];
+      generated.push(node('FAMC', toPointer(family.id), pedigree ? [pedigreeNode(pedigree, version)] : []));
+    }
+  });
+  families.forEach(family => {
+    if (family.husband === individual.id || family.wife === individual.id) {
+      generated.push(node('FAMS', toPointer(family.id)));
+    }
+  });
+
+  return node('INDI', '', mergeResidues(generated, individual.otherTags), toPointer(individual.id));
+};
+
+const familyToNode = (family) => {
+  const generated = [];
+
+  if (family.husband) generated.push(node('HUSB', toPointer(family.husband)));
+  if (family.wife) generated.push(node('WIFE', toPointer(family.wife)));
+  (family.children || []).forEach(childId => generated.push(node('CHIL', toPointer(childId))));
+
+  // The flat marriage fields are the editable copy of the first MARR event
+  const events = family.events || [];
+  const firstMarriage = events.find(event => event.type === 'MARR');
+  events.forEach(event => {
+    if (event === firstMarriage) {
+      generated.push(eventToNode({ ...event, date: family.marriageDate || '', place: family.marriagePlace || '' }));
+    } else {
+      generated.push(eventToNode(event));
+    }
+  });
+
+  if (!firstMarriage) {
+    const marriage = eventNode('MARR', family.marriageDate, family.marriagePlace);
+    if (marriage) generated.push(marriage);
+  }
+
+  return node('FAM', '', mergeResidues(generated, family.otherTags), toPointer(family.id));
+};
+
+const headerNode = (version, submitterId, options) => {
+  const gedc = [node('VERS', version)];
+  if (version === '5.5.1') gedc.push(node('FORM', 'LINEAGE-LINKED'));
+
+  const children = [
+    node('GEDC', '', gedc),
+    node('SOUR', 'GENEALOGYAPP', [node('NAME', 'Steve\'s Genealogy Tool')]),
+    node('DATE', formatGedcomDate(options.exportDate || new Date()))
+  ];
+
+  // 7.0 files are always UTF-8 and drop the CHAR structure
+  if (version === '5.5.1') children.push(node('CHAR', 'UTF-8'));
+  if (submitterId) children.push(node('SUBM', submitterId));
+  if (options.fileName) children.push(node('FILE', options.fileName));
+
+  return node('HEAD', '', children);
+};
+
+/**
+ * Serialize decrypted GEDCOM JSON ({ individuals, families, sources, repositories, records }) to text.
+ * options: { version, submitterName, fileName, exportDate }
+ */
+const serializeGedcom = (gedcomData, options = {}) => {
+  const version = SUPPORTED_VERSIONS.includes(options.version) ? options.version : '5.5.1';
+  const individuals = gedcomData.individuals || [];
+  const families = gedcomData.families || [];
+  const records = gedcomData.records || {};
+
+  let submitters = records.submitters || [];
+  if (submitters.length === 0) {
+    submitters = [node('SUBM', '', [node('NAME', options.submitterName || 'Unknown')], '@SUBM1@')];
+  }
+
+  const lines = [];
+  writeNode(headerNode(version, submitters[0].xref, options), 0, version, lines, true);
+  submitters.forEach(record => writeNode(record, 0, version, lines, true));
+  individuals.forEach(individual => writeNode(individualToNode(individual, families, version), 0, version, lines, true));
+  families.forEach(family => writeNode(familyToNode(family), 0, version, lines, true));
+  (gedcomData.sources || []).forEach(source => writeNode(sourceToNode(source), 0, version, lines, true));
+  (gedcomData.repositories || []).forEach(repository => writeNode(repositoryToNode(repository), 0, version, lines, true));
+
+  // Trees parsed before sources were derived still hold raw SOUR/REPO nodes here
+  ['sources', 'repositories', 'notes', 'sharedNotes', 'media', 'other'].forEach(collection => {
+    (records[collection] || []).forEach(record => writeNode(record, 0, version, lines, true));
+  });
+
+  lines.push('0 TRLR');
+  return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  MONTHS,
+  formatGedcomDate,
+  serializeGedcom
+};
@@ -0,0 +1,298 @@
+/**
+ * Local stand-ins for the external record APIs, so the research flow can be exercised without
+ * network access (development, demos and tests). One HTTP server emulates:
+ *   /familysearch       - FamilySearch OAuth token, tree person search and person read
+ *   /wikitree/api.php   - WikiTree search and getProfile actions
+ *   /chroniclingamerica - Chronicling America /search/pages/results/ JSON
+ * answering from the JSON files in fixtures/records (or another directory with the same files).
+ *
+ * Start it with `npm run record-fixtures`, or in the API process with RECORD_FIXTURES=true;
+ * the providers follow FAMILYSEARCH_API_BASE, WIKITREE_API_BASE and CHRONICLING_AMERICA_API_BASE.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', 'fixtures', 'records');
+const FIXTURE_TOKEN = 'record-fixture-token';
+
+const readFixture = (dir, file, fallback) => {
+  const fullPath = path.join(dir, file);
+  return fs.existsSync(fullPath) ? JSON.parse(fs.readFileSync(fullPath, 'utf8')) : fallback;
+};
+
+/**
+ * The fixture records of a directory
+ * @returns {Object} { familySearch: { persons }, wikitree: { profiles }, chroniclingAmerica: { pages } }
+ */
+function loadRecordFixtures(dir = DEFAULT_FIXTURES_DIR) {
+  return {
+    familySearch: readFixture(dir, 'familySearch.json', { persons: [] }),
+    wikitree: readFixture(dir, 'wikitree.json', { profiles: [] }),
+    chroniclingAmerica: readFixture(dir, 'chroniclingAmerica.json', { pages: [] })
+  };
+}
+
+// Lowercase words without accents or punctuation, for loose name and text matching
+const words = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, '')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const yearOf = value => {
+  const match = String(value || '').match(/\b(1[5-9]\d{2}|20\d{2})/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+// Given names match when each searched name starts one of the record's given names, in order
+const givenNamesMatch = (searched, recorded) => {
+  const wanted = words(searched);
+  const have = words(recorded);
+  return wanted.length === 0 || wanted.every((name, index) => have[index] && have[index].startsWith(name));
+};
+
+const withinYears = (year, target, range) => !target || !year || Math.abs(year - target) <= range;
+
+/**
+ * FamilySearch: persons from the fixture are served as GedcomX search entries that include
+ * the matched person's parents and spouses, like the real tree search
+ */
+function familySearchRoutes({ persons = [] }) {
+  const router = express.Router();
+  const byId = new Map(persons.map(person => [person.id, person]));
+
+  const toGedcomxPerson = person => ({
+    id: person.id,
+    gender: { type: `http://gedcomx.org/${person.gender || 'Unknown'}` },
+    names: [{
+      nameForms: [{
+        fullText: `${person.givenName} ${person.familyName}`.trim(),
+        parts: [
+          { type: 'Given', value: person.givenName },
+          { type: 'Family', value: person.familyName }
+        ]
+      }]
+    }],
+    facts: [
+      person.birth && { type: 'Birth', date: { original: person.birth.date }, place: { original: person.birth.place } },
+      person.death && { type: 'Death', date: { original: person.death.date }, place: { original: person.death.place } },
+      ...(person.facts || []).map(fact => ({
+        type: fact.type,
+        value: fact.value,
+        date: fact.date ? { original: fact.date } : undefined,
+        place: fact.place ? { original: fact.place } : undefined
+      }))
+    ].filter(Boolean)
+  });
+
+  const toEntry = (person, score) => {
+    const relatives = [person.fatherId, person.motherId, ...(person.spouseIds || [])]
+      .map(id => byId.get(id))
+      .filter(Boolean);
+    const relationships = [
+      ...[person.fatherId, person.motherId].filter(id => byId.has(id)).map(parentId => ({
+        type: 'http://gedcomx.org/ParentChild',
+        person1: { resourceId: parentId },
+        person2: { resourceId: person.id }
+      })),
+      ...(person.spouseIds || []).filter(id => byId.has(id)).map(spouseId => ({
+        type: 'http://gedcomx.org/Couple',
+        person1: { resourceId: person.id },
+        person2: { resourceId: spouseId }
+      }))
+    ];
+    return {
+      id: person.id,
+      score,
+      content: { gedcomx: { persons: [toGedcomxPerson(person), ...relatives.map(toGedcomxPerson)], relationships } }
+    };
+  };
+
+  const requireToken = (req, res, next) => {
+    if (req.get('Authorization') !== `Bearer ${FIXTURE_TOKEN}`) {
+      return res.status(401).json({ errors: [{ code: 401, label: 'Unauthorized', message: 'Missing or invalid access token' }] });
+    }
+    next();
+  };
+
+  router.post('/platform/oauth2/token', express.urlencoded({ extended: false }), (req, res) => {
+    if (req.body.grant_type !== 'client_credentials' || !req.body.client_id) {
+      return res.status(400).json({ error: 'invalid_request', error_description: 'client_id and grant_type=client_credentials are required' });
+    }
+    res.json({ access_token: FIXTURE_TOKEN, token_type: 'bearer', expires_in: 7200 });
+  });
+
+  router.get('/platform/tree/search', requireToken, (req, res) => {
+    const { givenName, familyName, birthPlace } = req.query;
+    const birthYear = parseInt(req.query.birthYear, 10) || null;
+    const birthYearRange = parseInt(req.query.birthYearRange, 10) || 0;
+    const count = Math.min(parseInt(req.query.count, 10) || 20, 100);
+    const placeWords = words(birthPlace);
+
+    const entries = persons
+      .filter(person => !familyName || words(person.familyName).join(' ') === words(familyName).join(' '))
+      .filter(person => givenNamesMatch(givenName, person.givenName))
+      .filter(person => withinYears(yearOf(person.birth?.date), birthYear, birthYearRange))
+      .map(person => {
+        const recordedPlace = words(person.birth?.place);
+        const placeHits = placeWords.filter(word => recordedPlace.includes(word)).length;
+        return { person, score: 1 + (placeWords.length ? placeHits / placeWords.length : 0) };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count)
+      .map(({ person, score }) => toEntry(person, score));
+
+    // The real API answers an empty search with 204 No Content
+    if (entries.length === 0) return res.status(204).end();
+    res.json({ results: entries.length, index: 0, entries });
+  });
+
+  router.get('/platform/tree/persons/:personId', requireToken, (req, res) => {
+    const person = byId.get(req.params.personId);
+    if (!person) {
+      return res.status(404).json({ errors: [{ code: 404, label: 'Not Found', message: `Person ${req.params.personId} not found` }] });
+    }
+    res.json(toEntry(person, 1).content.gedcomx);
+  });
+
+  return router;
+}
+
+/**
+ * WikiTree api.php: the `search` action the provider uses (find, birth, max) and getProfile (key)
+ */
+function wikiTreeRoutes({ profiles = [] }) {
+  const router = express.Router();
+
+  const handle = (req, res) => {
+    const params = { ...req.query, ...req.body };
+
+    if (params.action === 'search') {
+      const searched = words(params.find);
+      const familyName = searched[searched.length - 1];
+      const givenNames = searched.slice(0, -1).join(' ');
+      const birthYear = parseInt(params.birth, 10) || null;
+      const max = Math.min(parseInt(params.max, 10) || 10, 100);
+
+      const results = profiles
+        .filter(profile => [profile.LastNameAtBirth, profile.LastNameCurrent].some(name => words(name).join(' ') === familyName))
+        .filter(profile => givenNamesMatch(givenNames, `${profile.FirstName || profile.RealName} ${profile.MiddleName || ''}`))
+        .filter(profile => withinYears(yearOf(profile.BirthDate), birthYear, 10))
+        .slice(0, max);
+      return res.json({ status: 0, total: results.length, results });
+    }
+
+    if (params.action === 'getProfile') {
+      const key = String(params.key || '');
+      const profile = profiles.find(candidate => candidate.Name === key || String(candidate.Id) === key);
+      return res.json([profile
+        ? { page_name: profile.Name, status: 0, profile }
+        : { page_name: key, status: 'Illegal WikiTree ID' }]);
+    }
+
+    res.json([{ status: `Illegal action: ${params.action || ''}` }]);
+  };
+
+  router.get('/api.php', handle);
+  router.post('/api.php', express.urlencoded({ extended: false }), handle);
+  return router;
+}
+
+/**
+ * Chronicling America page search: proxtext words found within proxdistance words of each other
+ * (default 5) in a page's OCR text, optionally limited to a yearRange (date1-date2)
+ */
+function chroniclingAmericaRoutes({ pages = [] }) {
+  const router = express.Router();
+
+  const withinDistance = (text, wanted, distance) => {
+    const positions = wanted.map(word => text.reduce((found, token, index) => (token === word ? [...found, index] : found), []));
+    if (positions.some(found => found.length === 0)) return false;
+    return positions[0].some(start =>
+      positions.every(found => found.some(index => Math.abs(index - start) <= distance))
+    );
+  };
+
+  router.get('/search/pages/results/', (req, res) => {
+    const wanted = words(req.query.proxtext);
+    const distance = parseInt(req.query.proxdistance, 10) || 5;
+    const rows = Math.min(parseInt(req.query.rows, 10) || 20, 100);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const yearRange = req.query.dateFilterType === 'yearRange';
+    const fromYear = parseInt(req.query.date1, 10) || 0;
+    const toYear = parseInt(req.query.date2, 10) || 9999;
+
+    const matches = pages
+      .filter(item => !yearRange || (yearOf(item.date) >= fromYear && yearOf(item.date) <= toYear))
+      .filter(item => wanted.length === 0 || withinDistance(words(item.ocr_eng), wanted, distance));
+    const startIndex = (page - 1) * rows;
+    const items = matches.slice(startIndex, startIndex + rows);
+
+    res.json({
+      totalItems: matches.length,
+      startIndex: items.length ? startIndex + 1 : 0,
+      endIndex: startIndex + items.length,
+      itemsPerPage: rows,
+      items
+    });
+  });
+
+  return router;
+}
+
+/**
+ * The express app serving the fixtures
+ */
+function createRecordFixtureApp(fixtures = loadRecordFixtures()) {
+  const app = express();
+  app.use('/familysearch', familySearchRoutes(fixtures.familySearch));
+  app.use('/wikitree', wikiTreeRoutes(fixtures.wikitree));
+  app.use('/chroniclingamerica', chroniclingAmericaRoutes(fixtures.chroniclingAmerica));
+  app.use((req, res) => res.status(404).json({ message: 'No fixture for this route' }));
+  return app;
+}
+
+/**
+ * Start the fixture server
+ * @param {Object} [options]
+ * @param {number} [options.port] - 0 picks a free port
+ * @param {string} [options.host]
+ * @param {string} [options.fixturesDir] - Directory with familySearch.json, wikitree.json, chroniclingAmerica.json
+ * @returns {Promise<Object>} { server, url, env, close } where env holds the provider settings
+ *   (API base overrides and FamilySearch credentials) that point at this server
+ */
+function startRecordFixtureServer({ port = 0, host = '127.0.0.1', fixturesDir = DEFAULT_FIXTURES_DIR } = {}) {
+  const app = createRecordFixtureApp(loadRecordFixtures(fixturesDir));
+
+  return new Promise((resolve, reject) => {
+    const server = app.listen(port, host);
+    server.once('error', reject);
+    server.once('listening', () => {
+      const url = `http://${host}:${server.address().port}`;
+      console.log(`🧪 Record fixture server listening on ${url} (fixtures from ${fixturesDir})`);
+      resolve({
+        server,
+        url,
+        env: {
+          FAMILYSEARCH_API_BASE: `${url}/familysearch`,
+          FAMILYSEARCH_CLIENT_ID: 'record-fixtures',
+          FAMILYSEARCH_CLIENT_SECRET: 'record-fixtures',
+          WIKITREE_API_BASE: `${url}/wikitree/api.php`,
+          CHRONICLING_AMERICA_API_BASE: `${url}/chroniclingamerica`
+        },
+        close: () => new Promise(done => server.close(() => done()))
+      });
+    });
+  });
+}
+
+module.exports = {
+  loadRecordFixtures,
+  createRecordFixtureApp,
+  startRecordFixtureServer,
+  DEFAULT_FIXTURES_DIR
+};
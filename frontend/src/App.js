@@ -6,6 +6,12 @@ import RegisterPage from './components/RegisterPage';
 import UserVerify from './components/UserVerify';
 import FirstGedcom from './components/FirstGedcom';
 import GenEntry from './components/GenEntry';
+import PedigreeChart from './components/PedigreeChart';
+import DescendantChart from './components/DescendantChart';
+import AuditReport from './components/AuditReport';
+import DuplicateReview from './components/DuplicateReview';
+import ImportReview from './components/ImportReview';
+import ReplaceTree from './components/ReplaceTree';
 import LoadingSpinner from './components/LoadingSpinner';
 import './App.css';
 
@@ -74,6 +80,54 @@ const AppRoutes = () => {
           </ProtectedRoute>
         }
       />
+      <Route
+        path="/pedigree/:personId"
+        element={
+          <ProtectedRoute>
+            <PedigreeChart />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/descendants/:personId"
+        element={
+          <ProtectedRoute>
+            <DescendantChart />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/audit"
+        element={
+          <ProtectedRoute>
+            <AuditReport />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/duplicates"
+        element={
+          <ProtectedRoute>
+            <DuplicateReview />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/import"
+        element={
+          <ProtectedRoute>
+            <ImportReview />
+          </ProtectedRoute>
+        }
+      />
+      <Route
+        path="/replace"
+        element={
+          <ProtectedRoute>
+            <ReplaceTree />
+          </ProtectedRoute>
+        }
+      />
       <Route path="*" element={<Navigate to="/" replace />} />
     </Routes>
   );
@@ -1,7 +1,52 @@
-import React, { useEffect, useState } from 'react';
-import { aiResearchService } from '../services/api';
+import React, { useEffect, useRef, useState } from 'react';
+import { aiResearchService, handleApiError } from '../services/api';
+import { eventLabel } from './LifeEventsTimeline';
+import RecordMergeModal from './RecordMergeModal';
 
-const AISearchPanel = ({ person, onResultsFound }) => {
+// The fields of a search result the server needs to cite or merge it
+const toRecordPayload = (result) => ({
+  id: result.id,
+  source: result.source,
+  sourceKey: result.sourceKey,
+  name: result.name,
+  givenName: result.givenName,
+  familyName: result.familyName,
+  birth: result.birth,
+  location: result.location,
+  url: result.url,
+  additionalInfo: result.additionalInfo,
+  confidence: result.confidence,
+  relatives: result.relatives,
+  rawData: result.rawData
+});
+
+// Which of the server's sources a search uses: the choice in searchQueries.options.sources,
+// else options.enableMocks for mock sources, else the server's default
+const selectSources = (sources, opts = {}) => {
+  const chosen = opts.sources || {};
+  const selected = { enableMocks: opts.enableMocks === true };
+  sources.forEach(source => {
+    if (typeof chosen[source.key] === 'boolean') {
+      selected[source.key] = chosen[source.key];
+    } else if (source.mock && typeof opts.enableMocks === 'boolean') {
+      selected[source.key] = opts.enableMocks;
+    } else {
+      selected[source.key] = source.defaultSelected;
+    }
+  });
+  return selected;
+};
+
+// How each source's state is shown while and after searching
+const SOURCE_STATUS_BADGES = {
+  running: { className: 'bg-secondary', label: 'searching' },
+  completed: { className: 'bg-success', icon: 'bi-check-circle' },
+  failed: { className: 'bg-danger', icon: 'bi-x-circle', label: 'failed' },
+  cancelled: { className: 'bg-warning text-dark', icon: 'bi-slash-circle', label: 'cancelled' }
+};
+
+const AISearchPanel = ({ person, onResultsFound, onRecordAttached, researchFocus }) => {
+  const panelRef = useRef(null);
   const [isGeneratingQueries, setIsGeneratingQueries] = useState(false);
   const [isSearching, setIsSearching] = useState(false);
   const [searchQueries, setSearchQueries] = useState(null);
@@ -22,23 +67,64 @@ const AISearchPanel = ({ person, onResultsFound }) => {
     maxRequests: 30,
     delayMs: 300,
   });
-  const [sourceOptions, setSourceOptions] = useState({
-    familySearch: true,
-    chroniclingAmerica: true,
-    wikitree: true,
-    findAGrave: false,
-    newspapers: false,
-    enableMocks: false,
-  });
+  const [availableSources, setAvailableSources] = useState([]); // [{ key, label, description, mock, defaultSelected }]
+  const [sourceOptions, setSourceOptions] = useState({ enableMocks: false });
   const [timeRangesText, setTimeRangesText] = useState(''); // comma or newline separated ranges like 1890-1900
   const [parsedSearchObj, setParsedSearchObj] = useState(null);
+  const [attachedRecords, setAttachedRecords] = useState([]);
+  const [attachTarget, setAttachTarget] = useState(null); // result being attached
+  const [isAttaching, setIsAttaching] = useState(false);
+  const [mergeTarget, setMergeTarget] = useState(null); // { result, record }
+  const [sourceStatus, setSourceStatus] = useState([]); // [{ source, label, status, count, error }]
+  const searchAbortRef = useRef(null);
   const storageKey = (id) => `aiSearchQueries:${id}`;
+  const personId = person?.id;
+
+  // Arriving from a missing-ancestor slot: bring the panel into view
+  useEffect(() => {
+    if (researchFocus && panelRef.current) {
+      panelRef.current.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+  }, [researchFocus]);
+
+  // Stop a running search when the panel goes away
+  useEffect(() => () => searchAbortRef.current?.abort(), []);
+
+  // The sources this server can search
+  useEffect(() => {
+    let cancelled = false;
+    aiResearchService.getSources()
+      .then(response => {
+        if (cancelled) return;
+        const sources = response.sources || [];
+        setAvailableSources(sources);
+        setSourceOptions(current => ({ ...selectSources(sources), ...current }));
+      })
+      .catch(err => console.warn('Failed to load record sources:', err));
+    return () => { cancelled = true; };
+  }, []);
+
+  // Load the records already attached to this person
+  useEffect(() => {
+    if (!personId) return;
+    let cancelled = false;
+    setAttachedRecords([]);
+    aiResearchService.getAttachedRecords(personId)
+      .then(response => {
+        if (!cancelled) setAttachedRecords(response.attachedRecords || []);
+      })
+      .catch(err => console.warn('Failed to load attached records:', err));
+    return () => { cancelled = true; };
+  }, [personId]);
 
   // Load persisted search for this person on mount/person change
   useEffect(() => {
     try {
       if (!person?.id) return;
-      // reset per-person search UI state
+      // reset per-person search UI state; a search still running for the previous person is dropped
+      searchAbortRef.current?.abort();
+      searchAbortRef.current = null;
+      setSourceStatus([]);
       setSearchResults([]);
       setSearchSummary(null);
       setHasSearchedOnce(false);
@@ -114,14 +200,56 @@ const AISearchPanel = ({ person, onResultsFound }) => {
       return;
     }
 
+    // Results arrive source by source; each batch is shown as soon as it is scored
+    const controller = new AbortController();
+    searchAbortRef.current = controller;
+
     try {
       setIsSearching(true);
       setError('');
 
       console.log('🔍 Searching external sources...');
 
-      const response = await aiResearchService.searchExternal(person.id, queries);
-      
+      setSearchResults([]);
+      setSourceStatus([]);
+      let received = [];
+      let response = null;
+
+      try {
+        await aiResearchService.streamExternalSearch(person.id, queries, {
+          signal: controller.signal,
+          onEvent: (event, data) => {
+            if (event === 'start') {
+              setSourceStatus(data.sources.map(source => ({ ...source, status: 'running', count: 0, error: null })));
+            } else if (event === 'source') {
+              setSourceStatus(list => list.map(source => (source.source === data.source
+                ? { ...source, status: data.status, count: data.results.length, error: data.error }
+                : source)));
+              received = [...received, ...data.results].sort((a, b) => b.confidence - a.confidence);
+              setSearchResults(received);
+            } else if (event === 'done') {
+              response = data;
+            }
+          }
+        });
+      } catch (err) {
+        if (err.name !== 'AbortError') throw err;
+      }
+
+      if (controller.signal.aborted) {
+        if (searchAbortRef.current !== controller) return; // another person was opened
+        setSourceStatus(list => list.map(source => (source.status === 'running' ? { ...source, status: 'cancelled' } : source)));
+        setHasSearchedOnce(true);
+        setSearchSummary({
+          text: `External search cancelled: ${received.length} results from the sources that finished`,
+          type: 'warning'
+        });
+        return;
+      }
+      if (!response) {
+        throw new Error('The search ended before all sources finished');
+      }
+
       if (response.success) {
         setSearchResults(response.scoredResults);
         setHasSearchedOnce(true);
@@ -147,12 +275,18 @@ const AISearchPanel = ({ person, onResultsFound }) => {
 
     } catch (err) {
       console.error('❌ Error searching external sources:', err);
-      setError(err.message || 'Failed to search external sources');
+      setError(handleApiError(err).message || 'Failed to search external sources');
     } finally {
       setIsSearching(false);
+      if (searchAbortRef.current === controller) searchAbortRef.current = null;
     }
   };
 
+  // Stop the sources still searching; results already shown are kept
+  const cancelSearch = () => {
+    searchAbortRef.current?.abort();
+  };
+
   /**
    * Open editable search modal with current or generated queries
    */
@@ -180,15 +314,7 @@ const AISearchPanel = ({ person, onResultsFound }) => {
         maxRequests: Number.isFinite(opts.maxRequests) ? opts.maxRequests : 30,
         delayMs: Number.isFinite(opts.delayMs) ? opts.delayMs : 300,
       });
-      const srcs = opts.sources || {};
-      setSourceOptions({
-        familySearch: srcs.familySearch !== false,
-        chroniclingAmerica: srcs.chroniclingAmerica !== false,
-        wikitree: srcs.wikitree !== false,
-        findAGrave: !!srcs.findAGrave,
-        newspapers: !!srcs.newspapers,
-        enableMocks: opts.enableMocks === true,
-      });
+      setSourceOptions(selectSources(availableSources, opts));
       const tr = Array.isArray(queries?.timeRangeQueries) ? queries.timeRangeQueries : [];
       setTimeRangesText(tr.join(', '));
       setShowSearchModal(true);
@@ -258,27 +384,64 @@ const AISearchPanel = ({ person, onResultsFound }) => {
   };
 
   /**
-   * Attach a record to the person's profile
+   * Open the event chooser for attaching a record to the person's profile
+   */
+  const attachRecord = (result) => {
+    setShowAnalysis(false);
+    setAttachTarget(result);
+  };
+
+  /**
+   * Save the record as a source citation on the chosen event (or the person when eventIndex is null)
    */
-  const attachRecord = async (result) => {
+  const confirmAttach = async (eventIndex) => {
+    const result = attachTarget;
     try {
+      setIsAttaching(true);
+      setError('');
       console.log('📎 Attaching record:', result.id, 'to person:', person.id);
-      
-      // For now, just show success message - this would integrate with your GEDCOM updating system
-      alert(`Record "${result.name}" has been attached to ${person.givenNames} ${person.familyNames}`);
-      
-      // TODO: Implement actual record attachment to GEDCOM database
-      // This would typically:
-      // 1. Create a new source citation in the GEDCOM
-      // 2. Link it to the person's record
-      // 3. Update the encrypted GEDCOM data in the database
-      
+
+      const response = await aiResearchService.attachRecord(
+        person.id,
+        toRecordPayload(result),
+        eventIndex,
+        result.detailedAnalysis || null
+      );
+
+      setAttachedRecords(response.attachedRecords || []);
+      setAttachTarget(null);
+      if (onRecordAttached) {
+        onRecordAttached(response);
+      }
     } catch (err) {
       console.error('❌ Error attaching record:', err);
-      setError('Failed to attach record: ' + err.message);
+      setError('Failed to attach record: ' + (handleApiError(err).message || err.message));
+      setAttachTarget(null);
+    } finally {
+      setIsAttaching(false);
     }
   };
 
+  /**
+   * Open the field-level merge preview for an analyzed record
+   */
+  const mergeRecord = (result) => {
+    setShowAnalysis(false);
+    setMergeTarget({ result, record: toRecordPayload(result) });
+  };
+
+  const handleMerged = (response) => {
+    setAttachedRecords(response.attachedRecords || []);
+    setMergeTarget(null);
+    if (onRecordAttached) {
+      onRecordAttached(response);
+    }
+  };
+
+  const isRecordAttached = (result) => attachedRecords.some(record =>
+    record.provider === result.source && record.recordId === String(result.id)
+  );
+
   /**
    * Reject a record match and remember the rejection
    */
@@ -343,7 +506,7 @@ const AISearchPanel = ({ person, onResultsFound }) => {
   };
 
   return (
-    <div className="ai-search-panel">
+    <div className="ai-search-panel" ref={panelRef}>
       <div className="ai-panel-header">
         <h3>
           <i className="bi bi-robot"></i>
@@ -354,6 +517,14 @@ const AISearchPanel = ({ person, onResultsFound }) => {
         </p>
       </div>
 
+      {(researchFocus === 'father' || researchFocus === 'mother') && (
+        <div className="alert alert-info">
+          <i className="bi bi-diagram-3 me-1"></i>
+          Looking for {person.givenNames}'s {researchFocus}: search for {person.givenNames}'s records, then use
+          Analyze Match and Review &amp; Merge to add the {researchFocus} from a matching record.
+        </div>
+      )}
+
       {/* Error Display */}
       {error && (
         <div className="alert alert-danger">
@@ -403,6 +574,30 @@ const AISearchPanel = ({ person, onResultsFound }) => {
         )}
       </div>
 
+      {sourceStatus.length > 0 && (
+        <div className="d-flex flex-wrap align-items-center gap-2 mt-2 small">
+          {sourceStatus.map(source => (
+            <span
+              key={source.source}
+              className={`badge ${SOURCE_STATUS_BADGES[source.status].className}`}
+              title={source.error || ''}
+            >
+              {source.status === 'running'
+                ? <span className="spinner-border spinner-border-sm me-1" style={{ width: '0.7rem', height: '0.7rem' }}></span>
+                : <i className={`bi ${SOURCE_STATUS_BADGES[source.status].icon} me-1`}></i>}
+              {source.label}
+              {source.status === 'completed' ? ` (${source.count})` : ` ${SOURCE_STATUS_BADGES[source.status].label}`}
+            </span>
+          ))}
+          {isSearching && (
+            <button className="btn btn-sm btn-outline-secondary" onClick={cancelSearch}>
+              <i className="bi bi-x-circle me-1"></i>
+              Cancel remaining
+            </button>
+          )}
+        </div>
+      )}
+
       {/* Search Query Preview (only before first search) */}
       {searchQueries && !isSearching && !hasSearchedOnce && (
         <div className="search-queries-preview">
@@ -448,6 +643,42 @@ const AISearchPanel = ({ person, onResultsFound }) => {
         </div>
       )}
 
+      {/* Attached Records */}
+      {attachedRecords.length > 0 && (
+        <div className="attached-records mb-3">
+          <h5>
+            <i className="bi bi-paperclip"></i>
+            Attached Records ({attachedRecords.length})
+          </h5>
+          <ul className="list-group">
+            {attachedRecords.map((record, index) => (
+              <li key={`${record.sourceId}-${index}`} className="list-group-item">
+                <div className="d-flex justify-content-between align-items-start">
+                  <div>
+                    <strong>{record.title}</strong>
+                    <small className="text-muted d-block">
+                      {record.provider}
+                      {' · '}
+                      {record.eventType ? eventLabel({ type: record.eventType }) : 'Person'}
+                      {record.eventDate && ` ${record.eventDate}`}
+                      {record.retrievedDate && ` · retrieved ${record.retrievedDate}`}
+                    </small>
+                    {record.notes.map((note, noteIndex) => (
+                      <small key={noteIndex} className="d-block fst-italic">{note}</small>
+                    ))}
+                  </div>
+                  {record.url && (
+                    <a href={record.url} target="_blank" rel="noopener noreferrer" className="btn btn-sm btn-outline-info">
+                      <i className="bi bi-box-arrow-up-right"></i>
+                    </a>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Search Summary */}
       {hasSearchedOnce && searchSummary && (
         <div className={`alert alert-${searchSummary.type}`}>
@@ -470,6 +701,7 @@ const AISearchPanel = ({ person, onResultsFound }) => {
                 key={result.id} 
                 result={result} 
                 index={index}
+                isAttached={isRecordAttached(result)}
                 onAnalyze={() => analyzeMatch(result)}
                 onAttach={() => attachRecord(result)}
                 onReject={(result) => rejectMatch(result)}
@@ -494,10 +726,33 @@ const AISearchPanel = ({ person, onResultsFound }) => {
           person={person}
           onClose={() => setShowAnalysis(false)}
           onAttach={() => attachRecord(selectedResult)}
+          onMerge={() => mergeRecord(selectedResult)}
           onReject={(result, reason) => rejectMatch(result, reason)}
         />
       )}
 
+      {/* Attach Record Modal */}
+      {attachTarget && (
+        <AttachRecordModal
+          result={attachTarget}
+          person={person}
+          isAttaching={isAttaching}
+          onClose={() => setAttachTarget(null)}
+          onConfirm={confirmAttach}
+        />
+      )}
+
+      {/* Merge Preview Modal */}
+      {mergeTarget && (
+        <RecordMergeModal
+          person={person}
+          record={mergeTarget.record}
+          analysis={mergeTarget.result.detailedAnalysis || null}
+          onClose={() => setMergeTarget(null)}
+          onMerged={handleMerged}
+        />
+      )}
+
       {/* Search Edit Modal */}
       {showSearchModal && (
         <div 
@@ -519,36 +774,20 @@ const AISearchPanel = ({ person, onResultsFound }) => {
               {/* Source Selection */}
               <div className="source-controls" style={{display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12, padding: 12, border: '1px solid #e9ecef', borderRadius: 6, background: '#ffffff', color: '#212529'}}>
                 <div style={{gridColumn: '1 / -1', fontWeight: '600', fontSize: 13}}>Sources</div>
-                <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
-                  <input className="form-check-input" type="checkbox" checked={sourceOptions.familySearch}
-                    onChange={(e) => { setSourceOptions(o => ({...o, familySearch: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
-                  <span>FamilySearch</span>
-                </label>
-                <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
-                  <input className="form-check-input" type="checkbox" checked={sourceOptions.chroniclingAmerica}
-                    onChange={(e) => { setSourceOptions(o => ({...o, chroniclingAmerica: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
-                  <span>Chronicling America (LOC)</span>
-                </label>
-                <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
-                  <input className="form-check-input" type="checkbox" checked={sourceOptions.wikitree}
-                    onChange={(e) => { setSourceOptions(o => ({...o, wikitree: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
-                  <span>WikiTree</span>
-                </label>
-                <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
-                  <input className="form-check-input" type="checkbox" checked={sourceOptions.findAGrave}
-                    onChange={(e) => { setSourceOptions(o => ({...o, findAGrave: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
-                  <span>FindAGrave (mock)</span>
-                </label>
-                <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
-                  <input className="form-check-input" type="checkbox" checked={sourceOptions.newspapers}
-                    onChange={(e) => { setSourceOptions(o => ({...o, newspapers: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
-                  <span>Newspaper Archives (mock)</span>
-                </label>
-                <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
-                  <input className="form-check-input" type="checkbox" checked={sourceOptions.enableMocks}
-                    onChange={(e) => { setSourceOptions(o => ({...o, enableMocks: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
-                  <span>Enable all mock sources by default</span>
-                </label>
+                {availableSources.map(source => (
+                  <label key={source.key} className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}} title={source.description}>
+                    <input className="form-check-input" type="checkbox" checked={!!sourceOptions[source.key]}
+                      onChange={(e) => { setSourceOptions(o => ({...o, [source.key]: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
+                    <span>{source.label}{source.mock ? ' (mock)' : ''}</span>
+                  </label>
+                ))}
+                {availableSources.some(source => source.mock) && (
+                  <label className="form-check" style={{display: 'flex', alignItems: 'center', gap: 8}}>
+                    <input className="form-check-input" type="checkbox" checked={sourceOptions.enableMocks}
+                      onChange={(e) => { setSourceOptions(o => ({...o, enableMocks: e.target.checked})); setTimeout(updateSearchTextFromControls, 0); }} />
+                    <span>Enable all mock sources by default</span>
+                  </label>
+                )}
               </div>
               {/* Breadth Controls */}
               <div className="breadth-controls" style={{display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 12, marginBottom: 12, padding: 12, border: '1px solid #e9ecef', borderRadius: 6, background: '#f8f9fa'}}>
@@ -612,13 +851,7 @@ const AISearchPanel = ({ person, onResultsFound }) => {
                         maxRequests: Number.isFinite(opts.maxRequests) ? opts.maxRequests : 30,
                         delayMs: Number.isFinite(opts.delayMs) ? opts.delayMs : 300,
                       });
-                      const srcs = opts.sources || {};
-                      setSourceOptions({
-                        familySearch: srcs.familySearch !== false,
-                        findAGrave: !!srcs.findAGrave,
-                        newspapers: !!srcs.newspapers,
-                        enableMocks: opts.enableMocks === true,
-                      });
+                      setSourceOptions(selectSources(availableSources, opts));
                       const tr = Array.isArray(obj?.timeRangeQueries) ? obj.timeRangeQueries : [];
                       setTimeRangesText(tr.join(', '));
                     }
@@ -641,10 +874,26 @@ const AISearchPanel = ({ person, onResultsFound }) => {
   );
 };
 
+/**
+ * Text found on a newspaper page, with the matched name's words marked.
+ * highlights are [start, end] offsets into snippet.text.
+ */
+const HighlightedSnippet = ({ snippet }) => {
+  const parts = [];
+  let offset = 0;
+  (snippet.highlights || []).forEach(([start, end], idx) => {
+    if (start > offset) parts.push(snippet.text.slice(offset, start));
+    parts.push(<mark key={idx}>{snippet.text.slice(start, end)}</mark>);
+    offset = end;
+  });
+  parts.push(snippet.text.slice(offset));
+  return <span>{parts}</span>;
+};
+
 /**
  * Individual search result card component
  */
-const SearchResultCard = ({ result, index, onAnalyze, onAttach, onReject }) => {
+const SearchResultCard = ({ result, index, isAttached, onAnalyze, onAttach, onReject }) => {
   const getConfidenceColor = (confidence) => {
     if (confidence >= 0.8) return 'success';
     if (confidence >= 0.6) return 'warning';
@@ -659,6 +908,12 @@ const SearchResultCard = ({ result, index, onAnalyze, onAttach, onReject }) => {
           <small className="text-muted">{result.source}</small>
         </div>
         <div className="confidence-badge">
+          {isAttached && (
+            <span className="badge bg-info me-1">
+              <i className="bi bi-paperclip"></i>
+              Attached
+            </span>
+          )}
           <span className={`badge bg-${getConfidenceColor(result.confidence)}`}>
             {Math.round(result.confidence * 100)}%
           </span>
@@ -686,6 +941,13 @@ const SearchResultCard = ({ result, index, onAnalyze, onAttach, onReject }) => {
             <span>{result.additionalInfo}</span>
           </div>
         )}
+
+        {(result.rawData?.snippets || []).map((snippet, idx) => (
+          <div key={idx} className="detail-item record-snippet">
+            <i className="bi bi-newspaper"></i>
+            <HighlightedSnippet snippet={snippet} />
+          </div>
+        ))}
       </div>
 
       {/* Matching Factors */}
@@ -741,10 +1003,69 @@ const SearchResultCard = ({ result, index, onAnalyze, onAttach, onReject }) => {
   );
 };
 
+/**
+ * Modal for choosing which of the person's events an attached record supports
+ */
+const AttachRecordModal = ({ result, person, isAttaching, onClose, onConfirm }) => {
+  const [eventIndex, setEventIndex] = useState('');
+
+  return (
+    <div className="analysis-modal-overlay" onClick={onClose} style={{position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1050}}>
+      <div
+        className="analysis-modal"
+        onClick={(e) => e.stopPropagation()}
+        style={{backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)', maxWidth: '560px', width: '90%', margin: '20px'}}
+      >
+        <div className="modal-header">
+          <h4>Attach Record</h4>
+          <button className="btn-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body" style={{color: '#212529'}}>
+          <p>
+            Cite <strong>{result.name}</strong> ({result.source}) as a source for {person.givenNames} {person.familyNames}.
+          </p>
+          <label htmlFor="attachEvent" className="form-label">Supports</label>
+          <select
+            id="attachEvent"
+            className="form-select"
+            value={eventIndex}
+            onChange={(e) => setEventIndex(e.target.value)}
+          >
+            <option value="">The person in general</option>
+            {(person.events || []).map((event, index) => (
+              <option key={index} value={index}>
+                {eventLabel(event)}{event.date ? ` ${event.date}` : ''}{event.place ? `, ${event.place}` : ''}
+              </option>
+            ))}
+          </select>
+          <small className="text-muted d-block mt-2">
+            The record URL, today's date and the match analysis are saved with the citation.
+          </small>
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose} disabled={isAttaching}>
+            Cancel
+          </button>
+          <button
+            className="btn btn-success"
+            onClick={() => onConfirm(eventIndex === '' ? null : parseInt(eventIndex, 10))}
+            disabled={isAttaching}
+          >
+            <i className="bi bi-link-45deg"></i>
+            {isAttaching ? 'Attaching...' : 'Attach Record'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 /**
  * Analysis modal for detailed record examination
  */
-const AnalysisModal = ({ result, person, onClose, onAttach, onReject }) => {
+const AnalysisModal = ({ result, person, onClose, onAttach, onMerge, onReject }) => {
   return (
     <div className="analysis-modal-overlay" onClick={onClose} style={{position: 'fixed', top: 0, left: 0, right: 0, bottom: 0, backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1050}}>
       <div 
@@ -971,6 +1292,16 @@ const AnalysisModal = ({ result, person, onClose, onAttach, onReject }) => {
             Reject Match
           </button>
           
+          <button 
+            className="btn btn-outline-success" 
+            onClick={onMerge}
+            disabled={!result.detailedAnalysis || result.detailedAnalysis.finalRecommendation?.action === 'reject'}
+            title="Compare details and copy chosen facts into this person"
+          >
+            <i className="bi bi-arrow-left-right"></i>
+            Review & Merge
+          </button>
+
           <button 
             className="btn btn-success" 
             onClick={onAttach}
@@ -0,0 +1,214 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { gedcomService, jobService, handleApiError } from '../services/api';
+
+const CATEGORY_LABELS = {
+  core: 'Core data',
+  lifespan: 'Lifespan',
+  parent_child_age: 'Parent & child ages',
+  spouse_age: 'Spouse ages',
+  timeline: 'Timeline',
+  relationship: 'Family links'
+};
+
+const SEVERITY_BADGES = {
+  error: { className: 'bg-danger', label: 'Error' },
+  warning: { className: 'bg-warning text-dark', label: 'Warning' }
+};
+
+const personUrl = (personId) => `/genealogy?person=${encodeURIComponent(personId)}`;
+
+// Tree-wide data quality report; filters and page live in the URL so links back keep the view
+const AuditReport = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [report, setReport] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [progress, setProgress] = useState('');
+
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+  const severity = searchParams.get('severity') || '';
+  const category = searchParams.get('category') || '';
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setIsLoading(true);
+    setError('');
+    setProgress('');
+
+    // The tree is audited in the background after every change; wait for that, then load the page
+    const loadReport = async () => {
+      let response = await gedcomService.getAudit({ page, severity, category });
+      while (response.job && !controller.signal.aborted) {
+        const job = await jobService.waitForJob(response.job.jobId, {
+          signal: controller.signal,
+          onProgress: (update) => setProgress(update.progress.message)
+        });
+        if (!job) return null;
+        response = await gedcomService.getAudit({ page, severity, category });
+      }
+      return response;
+    };
+
+    loadReport()
+      .then(response => {
+        if (response && !controller.signal.aborted) setReport(response);
+      })
+      .catch(err => {
+        console.error('❌ Error loading audit:', err);
+        if (!controller.signal.aborted) setError(handleApiError(err).message || 'Failed to audit tree');
+      })
+      .finally(() => {
+        if (!controller.signal.aborted) setIsLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [page, severity, category]);
+
+  const updateParams = (changes) => {
+    const next = { severity, category, page: 1, ...changes };
+    setSearchParams(Object.fromEntries(Object.entries(next).filter(([, value]) => value)));
+  };
+
+  return (
+    <div className="bg-genealogy family-tree-bg min-vh-100">
+      <nav className="navbar navbar-expand-lg navbar-dark" style={{ backgroundColor: 'rgba(0,0,0,0.1)' }}>
+        <div className="container">
+          <span className="navbar-brand">
+            <i className="bi bi-tree-fill me-2"></i>
+            Steve's Genealogy Tool
+          </span>
+          <div className="navbar-nav ms-auto d-flex flex-row gap-2">
+            <Link className="btn btn-logout" to="/genealogy">
+              <i className="bi bi-person-vcard me-1"></i>
+              Person Card
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container py-5">
+        <div className="card card-custom">
+          <div className="card-body p-4">
+            <h3 className="text-genealogy mb-3">
+              <i className="bi bi-clipboard2-pulse me-2"></i>
+              Data Quality Report
+            </h3>
+
+            {report && (
+              <div className="d-flex flex-wrap gap-3 mb-3">
+                <span><strong className="text-danger">{report.summary.errors}</strong> errors</span>
+                <span><strong className="text-warning">{report.summary.warnings}</strong> warnings</span>
+                <span><strong>{report.summary.peopleAffected}</strong> people affected</span>
+              </div>
+            )}
+
+            <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+              <select
+                className="form-select form-select-sm w-auto"
+                value={severity}
+                onChange={(e) => updateParams({ severity: e.target.value })}
+              >
+                <option value="">All severities</option>
+                <option value="error">Errors only</option>
+                <option value="warning">Warnings only</option>
+              </select>
+              <select
+                className="form-select form-select-sm w-auto"
+                value={category}
+                onChange={(e) => updateParams({ category: e.target.value })}
+              >
+                <option value="">All checks</option>
+                {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}{report ? ` (${report.summary.byCategory[value] || 0})` : ''}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                {error}
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="text-center py-5">
+                <div className="loading-spinner"></div>
+                <p className="mt-3 text-muted">{progress || 'Checking every person and family...'}</p>
+              </div>
+            ) : report && (
+              report.problems.length === 0 ? (
+                <p className="text-muted">
+                  <i className="bi bi-check-circle text-success me-1"></i>
+                  No problems found.
+                </p>
+              ) : (
+                <>
+                  <table className="table table-sm align-middle">
+                    <thead>
+                      <tr>
+                        <th>Severity</th>
+                        <th>Person</th>
+                        <th>Check</th>
+                        <th>Problem</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {report.problems.map((problem, index) => (
+                        <tr key={`${problem.personId}-${problem.type}-${index}`}>
+                          <td>
+                            <span className={`badge ${SEVERITY_BADGES[problem.severity].className}`}>
+                              {SEVERITY_BADGES[problem.severity].label}
+                            </span>
+                          </td>
+                          <td>
+                            <Link className="person-link" to={personUrl(problem.personId)}>{problem.personName}</Link>
+                            <small className="text-muted d-block">#{problem.personId}</small>
+                          </td>
+                          <td className="text-muted small">{CATEGORY_LABELS[problem.category] || problem.category}</td>
+                          <td>
+                            {problem.message}
+                            {problem.relatedPersonId && (
+                              <Link className="small ms-2" to={personUrl(problem.relatedPersonId)}>
+                                view related person
+                              </Link>
+                            )}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+
+                  <div className="d-flex justify-content-between align-items-center">
+                    <button
+                      className="btn btn-sm btn-genealogy-outline"
+                      disabled={report.page <= 1}
+                      onClick={() => updateParams({ page: report.page - 1 })}
+                    >
+                      <i className="bi bi-chevron-left"></i> Previous
+                    </button>
+                    <span className="text-muted small">
+                      Page {report.page} of {report.totalPages} · {report.totalProblems} problems
+                    </span>
+                    <button
+                      className="btn btn-sm btn-genealogy-outline"
+                      disabled={report.page >= report.totalPages}
+                      onClick={() => updateParams({ page: report.page + 1 })}
+                    >
+                      Next <i className="bi bi-chevron-right"></i>
+                    </button>
+                  </div>
+                </>
+              )
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AuditReport;
@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { gedcomService, handleApiError } from '../services/api';
+
+const GENERATION_OPTIONS = [2, 3, 4, 5, 6, 8, 10];
+
+const yearOf = (date) => {
+  const match = (date || '').match(/\d{3,4}/);
+  return match ? match[0] : '';
+};
+
+const lifespan = (person) => {
+  const birth = yearOf(person.birthDate);
+  const death = yearOf(person.deathDate);
+  if (!birth && !death) return '';
+  return `(${birth || '?'}–${death})`;
+};
+
+const fullName = (person) => `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || 'Unknown';
+
+const genderClass = (person) => (person.sex === 'M' ? 'gender-male' : person.sex === 'F' ? 'gender-female' : '');
+
+// Names open the person card; the diagram icon re-roots the descendant view on that person
+const PersonLabel = ({ person, generations }) => (
+  <span>
+    <Link className={`person-link ${genderClass(person)}`} to={`/genealogy?person=${encodeURIComponent(person.id)}`}>
+      {fullName(person)}
+    </Link>
+    <span className="text-muted small ms-1">{lifespan(person)}</span>
+    {person.pedigree && person.pedigree !== 'birth' && (
+      <span className="badge bg-light text-dark ms-1">{person.pedigree}</span>
+    )}
+    <Link
+      className="ms-1 text-muted"
+      to={`/descendants/${encodeURIComponent(person.id)}?generations=${generations}`}
+      title={`Show ${fullName(person)}'s descendants`}
+    >
+      <i className="bi bi-diagram-2"></i>
+    </Link>
+  </span>
+);
+
+// One person with their families; each branch (person) can be collapsed independently
+const DescendantNode = ({ node, generations, collapsed, onToggle }) => {
+  const hasChildren = node.families.some(family => family.children.length > 0);
+  const isCollapsed = collapsed.has(node.id);
+
+  return (
+    <li className="descendant-node">
+      <div className="d-flex align-items-center gap-1">
+        {hasChildren ? (
+          <button
+            type="button"
+            className="btn btn-link btn-sm p-0 descendant-toggle"
+            onClick={() => onToggle(node.id)}
+            title={isCollapsed ? 'Expand branch' : 'Collapse branch'}
+          >
+            <i className={`bi ${isCollapsed ? 'bi-plus-square' : 'bi-dash-square'}`}></i>
+          </button>
+        ) : (
+          <span className="descendant-toggle"></span>
+        )}
+        <span className="descendant-generation badge bg-secondary">{node.generation}</span>
+        <PersonLabel person={node} generations={generations} />
+        {node.cycle && (
+          <span className="badge bg-danger ms-1" title="This person is listed as their own ancestor">loop</span>
+        )}
+        {node.hasMoreDescendants && (
+          <Link
+            className="small ms-2"
+            to={`/descendants/${encodeURIComponent(node.id)}?generations=${generations}`}
+          >
+            more…
+          </Link>
+        )}
+      </div>
+
+      {!isCollapsed && node.families.map(family => (
+        <div key={family.familyId} className="descendant-family">
+          <div className="small text-muted">
+            <i className="bi bi-heart me-1"></i>
+            {family.spouse ? <PersonLabel person={family.spouse} generations={generations} /> : 'Unknown spouse'}
+            {family.marriageDate && <span> · married {family.marriageDate}</span>}
+            {family.marriagePlace && <span>, {family.marriagePlace}</span>}
+          </div>
+          {family.children.length > 0 && (
+            <ul className="descendant-list">
+              {family.children.map(child => (
+                <DescendantNode
+                  key={child.id}
+                  node={child}
+                  generations={generations}
+                  collapsed={collapsed}
+                  onToggle={onToggle}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+      ))}
+    </li>
+  );
+};
+
+const DescendantChart = () => {
+  const { personId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [result, setResult] = useState(null);
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const requested = parseInt(searchParams.get('generations'), 10);
+  const generations = GENERATION_OPTIONS.includes(requested) ? requested : 4;
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    setCollapsed(new Set());
+
+    gedcomService.getDescendants(personId, generations)
+      .then(response => {
+        if (!cancelled) setResult(response);
+      })
+      .catch(err => {
+        console.error('❌ Error loading descendants:', err);
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to load descendants');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [personId, generations]);
+
+  const toggleCollapsed = (id) => {
+    const next = new Set(collapsed);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setCollapsed(next);
+  };
+
+  return (
+    <div className="bg-genealogy family-tree-bg min-vh-100">
+      <nav className="navbar navbar-expand-lg navbar-dark" style={{ backgroundColor: 'rgba(0,0,0,0.1)' }}>
+        <div className="container">
+          <span className="navbar-brand">
+            <i className="bi bi-tree-fill me-2"></i>
+            Steve's Genealogy Tool
+          </span>
+          <div className="navbar-nav ms-auto d-flex flex-row gap-2">
+            <Link className="btn btn-logout" to={`/pedigree/${encodeURIComponent(personId)}`}>
+              <i className="bi bi-diagram-3 me-1"></i>
+              Pedigree
+            </Link>
+            <Link className="btn btn-logout" to={`/genealogy?person=${encodeURIComponent(personId)}`}>
+              <i className="bi bi-person-vcard me-1"></i>
+              Person Card
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container py-5">
+        <div className="card card-custom">
+          <div className="card-body p-4">
+            <div className="d-flex flex-wrap justify-content-between align-items-center mb-3 gap-2">
+              <h3 className="text-genealogy mb-0">
+                <i className="bi bi-diagram-2 me-2"></i>
+                Descendants
+                {result && (
+                  <small className="text-muted ms-2">
+                    {fullName(result.descendants)} · {result.totalDescendants} descendants
+                  </small>
+                )}
+              </h3>
+              <div className="d-flex align-items-center gap-2">
+                <label htmlFor="descendantGenerations" className="form-label mb-0">Generations</label>
+                <select
+                  id="descendantGenerations"
+                  className="form-select form-select-sm w-auto"
+                  value={generations}
+                  onChange={(e) => setSearchParams({ generations: e.target.value })}
+                >
+                  {GENERATION_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                {error}
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="text-center py-5">
+                <div className="loading-spinner"></div>
+                <p className="mt-3 text-muted">Loading descendants...</p>
+              </div>
+            ) : result && (
+              <ul className="descendant-list descendant-root">
+                <DescendantNode
+                  node={result.descendants}
+                  generations={generations}
+                  collapsed={collapsed}
+                  onToggle={toggleCollapsed}
+                />
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DescendantChart;
@@ -0,0 +1,312 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { gedcomService, handleApiError } from '../services/api';
+
+const FACT_FIELDS = [
+  { field: 'givenNames', label: 'Given names' },
+  { field: 'familyNames', label: 'Family names' },
+  { field: 'sex', label: 'Sex' },
+  { field: 'birthDate', label: 'Birth date' },
+  { field: 'birthPlace', label: 'Birth place' },
+  { field: 'deathDate', label: 'Death date' },
+  { field: 'deathPlace', label: 'Death place' }
+];
+
+const fullName = (person) => `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || 'Unknown';
+
+const personUrl = (personId) => `/genealogy?person=${encodeURIComponent(personId)}`;
+
+const scoreClass = (score) => (score >= 0.85 ? 'bg-success' : score >= 0.6 ? 'bg-warning text-dark' : 'bg-secondary');
+
+// Side-by-side comparison of one candidate pair. The survivor keeps its xref;
+// for fields both people have, the user picks which value to keep.
+const MergePair = ({ candidate, onMerged }) => {
+  const [survivorIndex, setSurvivorIndex] = useState(0);
+  const [prefer, setPrefer] = useState({});
+  const [isOpen, setIsOpen] = useState(false);
+  const [isMerging, setIsMerging] = useState(false);
+  const [error, setError] = useState('');
+
+  const survivor = candidate.people[survivorIndex];
+  const duplicate = candidate.people[1 - survivorIndex];
+
+  const chooseSurvivor = (index) => {
+    setSurvivorIndex(index);
+    setPrefer({});
+  };
+
+  const handleMerge = async () => {
+    try {
+      setIsMerging(true);
+      setError('');
+      const response = await gedcomService.mergeDuplicates(survivor.id, duplicate.id, prefer);
+      onMerged(response);
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to merge');
+      setIsMerging(false);
+    }
+  };
+
+  return (
+    <div className="card mb-3">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-start mb-2">
+          <div>
+            <span className={`badge ${scoreClass(candidate.score)} me-2`}>{Math.round(candidate.score * 100)}%</span>
+            <strong>{candidate.recommendation.label}</strong>
+            {candidate.matchingFactors.length > 0 && (
+              <small className="text-muted ms-2">{candidate.matchingFactors.join(' · ')}</small>
+            )}
+          </div>
+          <button className="btn btn-sm btn-genealogy-outline" onClick={() => setIsOpen(!isOpen)}>
+            <i className={`bi ${isOpen ? 'bi-chevron-up' : 'bi-arrow-left-right'} me-1`}></i>
+            {isOpen ? 'Close' : 'Review merge'}
+          </button>
+        </div>
+
+        {candidate.concerns.length > 0 && (
+          <div className="small text-warning mb-2">
+            <i className="bi bi-exclamation-triangle me-1"></i>
+            {candidate.concerns.join('; ')}
+          </div>
+        )}
+
+        <table className="table table-sm align-middle mb-0">
+          <thead>
+            <tr>
+              <th></th>
+              {candidate.people.map((person, index) => (
+                <th key={person.id}>
+                  {isOpen && (
+                    <input
+                      type="radio"
+                      className="form-check-input me-1"
+                      name={`survivor-${candidate.id}`}
+                      checked={survivorIndex === index}
+                      onChange={() => chooseSurvivor(index)}
+                      title="Keep this record"
+                    />
+                  )}
+                  <Link className="person-link" to={personUrl(person.id)}>{fullName(person)}</Link>
+                  <small className="text-muted ms-1">#{person.id}</small>
+                  {isOpen && survivorIndex === index && <span className="badge bg-primary ms-1">keep</span>}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {FACT_FIELDS.map(({ field, label }) => {
+              const [left, right] = candidate.people.map(person => person[field] || '');
+              if (!left && !right) return null;
+              const conflict = left && right && left !== right;
+              return (
+                <tr key={field}>
+                  <td className="text-muted small">{label}</td>
+                  {candidate.people.map((person, index) => {
+                    const isSurvivor = index === survivorIndex;
+                    const chosen = conflict
+                      ? (prefer[field] === 'duplicate') !== isSurvivor
+                      : Boolean(person[field]);
+                    return (
+                      <td key={person.id} className={isOpen && chosen ? 'fw-semibold' : ''}>
+                        {isOpen && conflict && (
+                          <input
+                            type="radio"
+                            className="form-check-input me-1"
+                            name={`${candidate.id}-${field}`}
+                            checked={chosen}
+                            onChange={() => setPrefer({ ...prefer, [field]: isSurvivor ? 'survivor' : 'duplicate' })}
+                          />
+                        )}
+                        {person[field] || <span className="text-muted">—</span>}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+            <tr>
+              <td className="text-muted small">Parents</td>
+              {candidate.people.map(person => (
+                <td key={person.id} className="small">
+                  {[person.father, person.mother].filter(Boolean).map(fullName).join(' & ') || <span className="text-muted">—</span>}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="text-muted small">Spouses</td>
+              {candidate.people.map(person => (
+                <td key={person.id} className="small">
+                  {person.spouses.map(fullName).join(', ') || <span className="text-muted">—</span>}
+                </td>
+              ))}
+            </tr>
+            <tr>
+              <td className="text-muted small">Children / citations</td>
+              {candidate.people.map(person => (
+                <td key={person.id} className="small">{person.childCount} / {person.citationCount}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+
+        {isOpen && (
+          <div className="mt-2">
+            {error && (
+              <div className="alert alert-danger py-2">
+                <i className="bi bi-exclamation-triangle me-1"></i>
+                {error}
+              </div>
+            )}
+            <div className="d-flex align-items-center gap-2">
+              <button className="btn btn-sm btn-success" onClick={handleMerge} disabled={isMerging}>
+                <i className="bi bi-union me-1"></i>
+                {isMerging ? 'Merging...' : `Merge #${duplicate.id} into #${survivor.id}`}
+              </button>
+              <small className="text-muted">
+                Events, citations and family links are combined; #{duplicate.id} is removed.
+              </small>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const DuplicateReview = () => {
+  const [result, setResult] = useState(null);
+  const [merges, setMerges] = useState([]);
+  const [page, setPage] = useState(1);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    Promise.all([gedcomService.findDuplicates({ page }), gedcomService.getMergeLog()])
+      .then(([duplicates, log]) => {
+        if (cancelled) return;
+        setResult(duplicates);
+        setMerges(log.merges || []);
+      })
+      .catch(err => {
+        console.error('❌ Error loading duplicates:', err);
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to find duplicates');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [page, refreshKey]);
+
+  const handleMerged = (response) => {
+    setMessage(response.message);
+    setRefreshKey(refreshKey + 1);
+  };
+
+  return (
+    <div className="bg-genealogy family-tree-bg min-vh-100">
+      <nav className="navbar navbar-expand-lg navbar-dark" style={{ backgroundColor: 'rgba(0,0,0,0.1)' }}>
+        <div className="container">
+          <span className="navbar-brand">
+            <i className="bi bi-tree-fill me-2"></i>
+            Steve's Genealogy Tool
+          </span>
+          <div className="navbar-nav ms-auto d-flex flex-row gap-2">
+            <Link className="btn btn-logout" to="/genealogy">
+              <i className="bi bi-person-vcard me-1"></i>
+              Person Card
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container py-5">
+        <div className="card card-custom mb-4">
+          <div className="card-body p-4">
+            <h3 className="text-genealogy mb-3">
+              <i className="bi bi-people me-2"></i>
+              Possible Duplicates
+              {result && <small className="text-muted ms-2">{result.totalCandidates} pairs</small>}
+            </h3>
+
+            {message && (
+              <div className="alert alert-success py-2">
+                <i className="bi bi-check-circle me-1"></i>
+                {message}
+              </div>
+            )}
+
+            {error && (
+              <div className="error-message">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                {error}
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="text-center py-5">
+                <div className="loading-spinner"></div>
+                <p className="mt-3 text-muted">Comparing people with similar names...</p>
+              </div>
+            ) : result && (
+              result.candidates.length === 0 ? (
+                <p className="text-muted">
+                  <i className="bi bi-check-circle text-success me-1"></i>
+                  No likely duplicates found.
+                </p>
+              ) : (
+                <>
+                  {result.candidates.map(candidate => (
+                    <MergePair key={candidate.id} candidate={candidate} onMerged={handleMerged} />
+                  ))}
+                  <div className="d-flex justify-content-between align-items-center">
+                    <button className="btn btn-sm btn-genealogy-outline" disabled={result.page <= 1} onClick={() => setPage(result.page - 1)}>
+                      <i className="bi bi-chevron-left"></i> Previous
+                    </button>
+                    <span className="text-muted small">Page {result.page} of {result.totalPages}</span>
+                    <button className="btn btn-sm btn-genealogy-outline" disabled={result.page >= result.totalPages} onClick={() => setPage(result.page + 1)}>
+                      Next <i className="bi bi-chevron-right"></i>
+                    </button>
+                  </div>
+                </>
+              )
+            )}
+          </div>
+        </div>
+
+        {merges.length > 0 && (
+          <div className="card card-custom">
+            <div className="card-body p-4">
+              <h4 className="text-genealogy mb-3">
+                <i className="bi bi-clock-history me-2"></i>
+                Merge History
+              </h4>
+              <ul className="list-unstyled mb-0">
+                {merges.map(merge => (
+                  <li key={merge.id} className="mb-2">
+                    <span className="text-muted small me-2">{new Date(merge.mergedAt).toLocaleString()}</span>
+                    {merge.duplicateName || 'Unknown'} <small className="text-muted">#{merge.duplicateId}</small>
+                    {' '}merged into{' '}
+                    <Link className="person-link" to={personUrl(merge.survivorId)}>{merge.survivorName || merge.survivorId}</Link>
+                    {merge.fieldsTaken.length > 0 && (
+                      <small className="text-muted ms-2">took {merge.fieldsTaken.join(', ')}</small>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateReview;
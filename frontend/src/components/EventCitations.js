@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+
+// GEDCOM QUAY values
+const QUALITY_LABELS = {
+  0: 'Unreliable',
+  1: 'Questionable',
+  2: 'Secondary evidence',
+  3: 'Primary evidence'
+};
+
+const SOURCE_TYPE_LABELS = {
+  government_record: 'Government record',
+  church_record: 'Church record',
+  census: 'Census',
+  newspaper: 'Newspaper',
+  family_bible: 'Family Bible',
+  oral_history: 'Oral history',
+  unknown: 'Other'
+};
+
+const EMPTY_CITATION = {
+  sourceId: '',
+  newSourceTitle: '',
+  newSourceType: 'unknown',
+  page: '',
+  quality: '',
+  dataText: ''
+};
+
+// Lists an event's citations and lets the user cite an existing or new source
+const EventCitations = ({ citations, sources, onAdd }) => {
+  const [isAdding, setIsAdding] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [formData, setFormData] = useState(EMPTY_CITATION);
+
+  const sourceTitle = (citation) => {
+    if (!citation.sourceId) return citation.text || 'Unnamed source';
+    const source = (sources || []).find(candidate => candidate.id === citation.sourceId);
+    return source ? source.title || source.id : citation.sourceId;
+  };
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.sourceId && !formData.newSourceTitle.trim()) {
+      setError('Choose a source or enter a title for a new one');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError('');
+      await onAdd(formData);
+      setFormData(EMPTY_CITATION);
+      setIsAdding(false);
+    } catch (err) {
+      setError(err.message || 'Failed to add citation');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div className="small">
+      {(citations || []).map((citation, index) => (
+        <span key={index} className="d-block text-muted">
+          <i className="bi bi-journal-text me-1"></i>
+          {sourceTitle(citation)}
+          {citation.page && <span>, {citation.page}</span>}
+          {citation.quality !== '' && QUALITY_LABELS[citation.quality] && (
+            <span className="badge bg-light text-dark ms-1">{QUALITY_LABELS[citation.quality]}</span>
+          )}
+          {citation.dataText && <span className="d-block fst-italic ms-3">"{citation.dataText}"</span>}
+        </span>
+      ))}
+
+      {!isAdding ? (
+        <button type="button" className="btn btn-link btn-sm p-0" onClick={() => setIsAdding(true)}>
+          <i className="bi bi-plus-circle me-1"></i>
+          Add citation
+        </button>
+      ) : (
+        <form className="border rounded p-2 my-2 bg-white" onSubmit={handleSubmit}>
+          {error && <div className="text-danger mb-2">{error}</div>}
+
+          <select
+            className="form-select form-select-sm mb-2"
+            name="sourceId"
+            value={formData.sourceId}
+            onChange={handleInputChange}
+          >
+            <option value="">New source...</option>
+            {(sources || []).map(source => (
+              <option key={source.id} value={source.id}>{source.title || source.id}</option>
+            ))}
+          </select>
+
+          {!formData.sourceId && (
+            <div className="d-flex gap-2 mb-2">
+              <input
+                type="text"
+                className="form-control form-control-sm"
+                name="newSourceTitle"
+                value={formData.newSourceTitle}
+                onChange={handleInputChange}
+                placeholder="Source title, e.g. 1900 US Census"
+              />
+              <select
+                className="form-select form-select-sm w-auto"
+                name="newSourceType"
+                value={formData.newSourceType}
+                onChange={handleInputChange}
+              >
+                {Object.entries(SOURCE_TYPE_LABELS).map(([type, label]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div className="d-flex gap-2 mb-2">
+            <input
+              type="text"
+              className="form-control form-control-sm"
+              name="page"
+              value={formData.page}
+              onChange={handleInputChange}
+              placeholder="Page / entry"
+            />
+            <select
+              className="form-select form-select-sm w-auto"
+              name="quality"
+              value={formData.quality}
+              onChange={handleInputChange}
+            >
+              <option value="">Quality not assessed</option>
+              {Object.entries(QUALITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          <textarea
+            className="form-control form-control-sm mb-2"
+            name="dataText"
+            rows="2"
+            value={formData.dataText}
+            onChange={handleInputChange}
+            placeholder="Transcription (optional)"
+          />
+
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-sm btn-genealogy" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Save Citation'}
+            </button>
+            <button
+              type="button"
+              className="btn btn-sm btn-genealogy-outline"
+              onClick={() => { setIsAdding(false); setError(''); }}
+              disabled={isSaving}
+            >
+              Cancel
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default EventCitations;
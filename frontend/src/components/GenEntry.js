@@ -1,10 +1,29 @@
 import React, { useState, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { gedcomService, handleApiError } from '../services/api';
+import { gedcomService, jobService, handleApiError } from '../services/api';
 import AISearchPanel from './AISearchPanel';
+import PersonEditForm from './PersonEditForm';
+import LifeEventsTimeline from './LifeEventsTimeline';
+import RelationshipPanel from './RelationshipPanel';
+import PersonHistoryPanel from './PersonHistoryPanel';
+
+// Display labels for family events (FAM record MARR, DIV, ...)
+const FAMILY_EVENT_LABELS = {
+  MARR: 'Married',
+  DIV: 'Divorced',
+  ENGA: 'Engaged',
+  MARB: 'Banns',
+  ANUL: 'Annulled',
+  EVEN: 'Event'
+};
 
 const GenEntry = () => {
   const { user, logout } = useAuth();
+  // ?person=ID opens a given person; ?research=father|mother comes from a pedigree chart placeholder
+  const [searchParams] = useSearchParams();
+  const requestedPersonId = searchParams.get('person');
+  const researchFocus = searchParams.get('research');
   const [gedcomStats, setGedcomStats] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState('');
@@ -12,11 +31,56 @@ const GenEntry = () => {
   const [showLocationPopup, setShowLocationPopup] = useState(false);
   const [selectedLocation, setSelectedLocation] = useState(null);
   const [selectedPersonName, setSelectedPersonName] = useState(null);
+  const [exportVersion, setExportVersion] = useState('5.5.1');
+  const [isExporting, setIsExporting] = useState(false);
+  // null, 'edit', or the relative being added: 'father' | 'mother' | 'spouse' | 'child'
+  const [personFormMode, setPersonFormMode] = useState(null);
+  const [relativePedigree, setRelativePedigree] = useState('birth');
+  const [relativeFamilyId, setRelativeFamilyId] = useState('');
+  const [sources, setSources] = useState([]);
+  const [isSavingPerson, setIsSavingPerson] = useState(false);
+  const [personFormError, setPersonFormError] = useState('');
+  const [personValidation, setPersonValidation] = useState(null);
+  const [importJob, setImportJob] = useState(null);
+
+  // A GEDCOM file uploaded at registration is parsed in the background; the stats say so until it is done
+  const pendingImportId = ['queued', 'running'].includes(gedcomStats?.importJob?.status) ? gedcomStats.importJob.jobId : null;
+  const importCompleted = importJob?.status === 'completed';
 
   useEffect(() => {
-    loadGedcomStats();
+    loadGedcomStats(requestedPersonId);
+  }, [requestedPersonId, importCompleted]);
+
+  useEffect(() => {
+    if (!pendingImportId) return undefined;
+    const controller = new AbortController();
+
+    jobService.waitForJob(pendingImportId, { signal: controller.signal, onProgress: setImportJob })
+      .then(job => {
+        if (job) setImportJob(job);
+      })
+      .catch(err => {
+        console.error('❌ GEDCOM import failed:', err);
+        if (!controller.signal.aborted) setError(`Importing your GEDCOM file failed: ${handleApiError(err).message}`);
+      });
+
+    return () => controller.abort();
+  }, [pendingImportId]);
+
+  useEffect(() => {
+    loadSources();
   }, []);
 
+  const loadSources = async () => {
+    try {
+      const result = await gedcomService.getSources();
+      setSources(result.sources || []);
+    } catch (err) {
+      // The timeline still works without source titles
+      console.error('❌ Error fetching sources:', err);
+    }
+  };
+
   const loadGedcomStats = async (personId = null) => {
     try {
       setIsLoading(true);
@@ -66,6 +130,7 @@ const GenEntry = () => {
 
   const handlePersonClick = async (personId) => {
     console.log('👤 Loading person:', personId);
+    closePersonForm();
     await loadGedcomStats(personId);
   };
 
@@ -113,6 +178,212 @@ const GenEntry = () => {
     );
   };
 
+  const handleExportGedcom = async () => {
+    try {
+      setIsExporting(true);
+      const { blob, fileName } = await gedcomService.exportGedcom(exportVersion);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = fileName;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('❌ Error exporting GEDCOM:', err);
+      setError(handleApiError(err).message || 'Failed to export GEDCOM');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const closePersonForm = () => {
+    setPersonFormMode(null);
+    setPersonFormError('');
+    setPersonValidation(null);
+  };
+
+  const openPersonForm = (mode) => {
+    closePersonForm();
+    setRelativePedigree('birth');
+    setRelativeFamilyId(gedcomStats?.centralPerson?.spouses?.[0]?.familyId || '');
+    setPersonFormMode(mode);
+  };
+
+  // Families where the central person is a parent: one per spouse, plus single-parent families
+  const getParentFamilies = (person) => {
+    const families = (person.spouses || []).map(spouse => ({
+      id: spouse.familyId,
+      label: `With ${spouse.givenNames} ${spouse.familyNames}`
+    }));
+    (person.children || []).forEach(child => {
+      if (child.familyId && !families.some(family => family.id === child.familyId)) {
+        families.push({ id: child.familyId, label: 'Without a second parent' });
+      }
+    });
+    return families;
+  };
+
+  // The central person's husband/wife slot in a new family, given the other member's sex
+  const getFamilyRole = (person, otherSex) => {
+    if (person.sex === 'M') return 'husband';
+    if (person.sex === 'F') return 'wife';
+    return otherSex === 'M' ? 'wife' : 'husband';
+  };
+
+  const linkRelative = async (relation, person, newPerson) => {
+    switch (relation) {
+      case 'father':
+      case 'mother': {
+        const role = relation === 'father' ? 'husband' : 'wife';
+        if (person.parents?.familyId) {
+          return gedcomService.addSpouse(person.parents.familyId, newPerson.id, role);
+        }
+        return gedcomService.createFamily({
+          [role]: newPerson.id,
+          children: [person.id],
+          pedigrees: { [person.id]: relativePedigree }
+        });
+      }
+      case 'spouse': {
+        const role = getFamilyRole(person, newPerson.sex);
+        return gedcomService.createFamily({
+          [role]: person.id,
+          [role === 'husband' ? 'wife' : 'husband']: newPerson.id
+        });
+      }
+      case 'child':
+        if (relativeFamilyId) {
+          return gedcomService.addChild(relativeFamilyId, newPerson.id, relativePedigree);
+        }
+        return gedcomService.createFamily({
+          [getFamilyRole(person, null)]: person.id,
+          children: [newPerson.id],
+          pedigrees: { [newPerson.id]: relativePedigree }
+        });
+      default:
+        throw new Error(`Unknown relation: ${relation}`);
+    }
+  };
+
+  const handleAddRelative = async (fields) => {
+    const person = gedcomStats.centralPerson;
+    const relation = personFormMode;
+    let newPerson = null;
+
+    try {
+      setIsSavingPerson(true);
+      setPersonFormError('');
+      setPersonValidation(null);
+
+      const created = await gedcomService.createPerson(fields);
+      newPerson = created.person;
+
+      try {
+        await linkRelative(relation, person, newPerson);
+      } catch (linkError) {
+        // Don't leave an unconnected person behind when the relationship is rejected
+        await gedcomService.deletePerson(newPerson.id).catch(() => {});
+        throw linkError;
+      }
+
+      console.log(`➕ Added ${relation} ${newPerson.id} for ${person.id}`);
+      closePersonForm();
+      await loadGedcomStats(person.id);
+    } catch (err) {
+      console.error(`❌ Error adding ${relation}:`, err);
+      const apiError = handleApiError(err);
+      setPersonFormError(apiError.message || `Failed to add ${relation}`);
+      setPersonValidation(apiError.validation || null);
+    } finally {
+      setIsSavingPerson(false);
+    }
+  };
+
+  const handleSavePerson = async (fields) => {
+    const personId = gedcomStats.centralPerson.id;
+    try {
+      setIsSavingPerson(true);
+      setPersonFormError('');
+      await gedcomService.updatePerson(personId, fields);
+      closePersonForm();
+      await loadGedcomStats(personId);
+    } catch (err) {
+      console.error('❌ Error saving person:', err);
+      const apiError = handleApiError(err);
+      setPersonFormError(apiError.message || 'Failed to save person');
+      setPersonValidation(apiError.validation || null);
+    } finally {
+      setIsSavingPerson(false);
+    }
+  };
+
+  const handleDeletePerson = async () => {
+    const person = gedcomStats.centralPerson;
+    const name = `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || person.id;
+    if (!window.confirm(`Delete ${name} from your tree? Their family links will also be removed.`)) {
+      return;
+    }
+
+    try {
+      await gedcomService.deletePerson(person.id);
+      closePersonForm();
+      await loadGedcomStats();
+    } catch (err) {
+      console.error('❌ Error deleting person:', err);
+      setError(handleApiError(err).message || 'Failed to delete person');
+    }
+  };
+
+  // Cite an existing source, or create the source first when only a title was given
+  const handleAddCitation = async (target, citationForm) => {
+    try {
+      let sourceId = citationForm.sourceId;
+      if (!sourceId) {
+        const created = await gedcomService.createSource({
+          title: citationForm.newSourceTitle.trim(),
+          type: citationForm.newSourceType
+        });
+        sourceId = created.source.id;
+      }
+
+      await gedcomService.addEventCitation(target, {
+        sourceId,
+        page: citationForm.page,
+        quality: citationForm.quality,
+        dataText: citationForm.dataText
+      });
+
+      await loadSources();
+      await loadGedcomStats(gedcomStats.centralPerson.id);
+    } catch (err) {
+      console.error('❌ Error adding citation:', err);
+      throw new Error(handleApiError(err).message || 'Failed to add citation');
+    }
+  };
+
+  // Refresh the person in place so the research panel keeps its search results
+  const handleRecordAttached = async () => {
+    try {
+      await loadSources();
+      setGedcomStats(await loadPersonById(gedcomStats.centralPerson.id));
+    } catch (err) {
+      console.error('❌ Error refreshing person after attaching a record:', err);
+    }
+  };
+
+  // After a rollback the person on the card may no longer exist; fall back to the default person
+  const handleTreeRestored = async () => {
+    await loadSources();
+    try {
+      setGedcomStats(await loadPersonById(gedcomStats.centralPerson.id));
+    } catch (err) {
+      console.log('ℹ️ Person not in the restored tree, loading default person');
+      await loadGedcomStats();
+    }
+  };
+
   const handleLogout = async () => {
     await logout();
   };
@@ -187,6 +458,20 @@ const GenEntry = () => {
                         <span className="person-gender">({gedcomStats.centralPerson.sex})</span>
                       )}
                       <span className="person-id">#{gedcomStats.centralPerson.id}</span>
+                      <button
+                        className="btn btn-sm btn-link p-0 ms-2"
+                        onClick={() => openPersonForm('edit')}
+                        title="Edit person"
+                      >
+                        <i className="bi bi-pencil"></i>
+                      </button>
+                      <button
+                        className="btn btn-sm btn-link text-danger p-0"
+                        onClick={handleDeletePerson}
+                        title="Delete person"
+                      >
+                        <i className="bi bi-trash"></i>
+                      </button>
                     </div>
                     
                     <div className="person-events">
@@ -217,6 +502,9 @@ const GenEntry = () => {
                                 <button className="person-link" onClick={() => handlePersonClick(gedcomStats.centralPerson.parents.father.id)}>
                                   {gedcomStats.centralPerson.parents.father.givenNames} {gedcomStats.centralPerson.parents.father.familyNames}
                                 </button>
+                                {gedcomStats.centralPerson.parents.pedigree && gedcomStats.centralPerson.parents.pedigree !== 'birth' && (
+                                  <span className="text-muted"> ({gedcomStats.centralPerson.parents.pedigree})</span>
+                                )}
                               </span>
                             </div>
                           )}
@@ -228,6 +516,9 @@ const GenEntry = () => {
                                 <button className="person-link" onClick={() => handlePersonClick(gedcomStats.centralPerson.parents.mother.id)}>
                                   {gedcomStats.centralPerson.parents.mother.givenNames} {gedcomStats.centralPerson.parents.mother.familyNames}
                                 </button>
+                                {gedcomStats.centralPerson.parents.pedigree && gedcomStats.centralPerson.parents.pedigree !== 'birth' && (
+                                  <span className="text-muted"> ({gedcomStats.centralPerson.parents.pedigree})</span>
+                                )}
                               </span>
                             </div>
                           )}
@@ -237,28 +528,71 @@ const GenEntry = () => {
                       {/* Marriage/Spouse Information */}
                       {gedcomStats.centralPerson.spouses && gedcomStats.centralPerson.spouses.length > 0 && (
                         gedcomStats.centralPerson.spouses.map((spouse, index) => (
-                          <div key={spouse.id} className="event-line">
-                            <span className="event-label">Married:</span>
-                            <span className="event-details">
-                              <button className="person-link" onClick={() => handlePersonClick(spouse.id)}>
-                                {spouse.givenNames} {spouse.familyNames}
-                              </button>
-                              {spouse.marriageDate && (
-                                <span className="marriage-date"> on {spouse.marriageDate}</span>
-                              )}
-                              {spouse.marriagePlace && (
-                                <span className="event-location">
-                                  {' in '}
-                                  <LocationLink 
-                                    location={spouse.marriagePlace} 
-                                    personName={`${gedcomStats.centralPerson.givenNames} ${gedcomStats.centralPerson.familyNames}`}
-                                  >
-                                    {spouse.marriagePlace}
-                                  </LocationLink>
-                                </span>
-                              )}
-                            </span>
-                          </div>
+                          <React.Fragment key={spouse.id}>
+                            <div className="event-line">
+                              <span className="event-label">Married:</span>
+                              <span className="event-details">
+                                <button className="person-link" onClick={() => handlePersonClick(spouse.id)}>
+                                  {spouse.givenNames} {spouse.familyNames}
+                                </button>
+                                {spouse.marriageDate && (
+                                  <span className="marriage-date"> on {spouse.marriageDate}</span>
+                                )}
+                                {spouse.marriagePlace && (
+                                  <span className="event-location">
+                                    {' in '}
+                                    <LocationLink 
+                                      location={spouse.marriagePlace} 
+                                      personName={`${gedcomStats.centralPerson.givenNames} ${gedcomStats.centralPerson.familyNames}`}
+                                    >
+                                      {spouse.marriagePlace}
+                                    </LocationLink>
+                                  </span>
+                                )}
+                              </span>
+                            </div>
+
+                            {/* Family events: the first marriage is shown above, so only its notes/sources repeat here */}
+                            {(spouse.events || []).map((event, eventIndex) => {
+                              const isFirstMarriage = event === (spouse.events || []).find(candidate => candidate.type === 'MARR');
+                              const hasDetails = (event.notes && event.notes.length > 0) || (event.sources && event.sources.length > 0);
+                              if (isFirstMarriage && !hasDetails) return null;
+
+                              return (
+                                <div key={`${spouse.id}-event-${eventIndex}`} className="event-line ms-4 small">
+                                  <span className="event-label">
+                                    {event.type === 'EVEN' ? (event.eventType || FAMILY_EVENT_LABELS.EVEN) : FAMILY_EVENT_LABELS[event.type]}:
+                                  </span>
+                                  <span className="event-details">
+                                    {!isFirstMarriage && (
+                                      <>
+                                        {event.date || 'UNK'}
+                                        {event.place && (
+                                          <span className="event-location">
+                                            , <LocationLink
+                                                location={event.place}
+                                                personName={`${gedcomStats.centralPerson.givenNames} ${gedcomStats.centralPerson.familyNames}`}
+                                              >
+                                                {event.place}
+                                              </LocationLink>
+                                          </span>
+                                        )}
+                                      </>
+                                    )}
+                                    {(event.notes || []).map((note, noteIndex) => (
+                                      <span key={noteIndex} className="d-block text-muted fst-italic">{note}</span>
+                                    ))}
+                                    {event.sources && event.sources.length > 0 && (
+                                      <span className="d-block text-muted">
+                                        <i className="bi bi-journal-text me-1"></i>
+                                        {event.sources.length} {event.sources.length === 1 ? 'source' : 'sources'}
+                                      </span>
+                                    )}
+                                  </span>
+                                </div>
+                              );
+                            })}
+                          </React.Fragment>
                         ))
                       )}
 
@@ -271,6 +605,9 @@ const GenEntry = () => {
                               <button className="person-link" onClick={() => handlePersonClick(child.id)}>
                                 {child.givenNames} {child.familyNames}
                               </button>
+                              {child.pedigree && child.pedigree !== 'birth' && (
+                                <span className="text-muted"> ({child.pedigree})</span>
+                              )}
                             </span>
                           </div>
                         ))
@@ -358,6 +695,30 @@ const GenEntry = () => {
                         }
                       })()}
                     </div>
+
+                    {/* Relationship Actions */}
+                    <div className="d-flex flex-wrap gap-2 mt-2">
+                      {!gedcomStats.centralPerson.parents?.father && (
+                        <button className="btn btn-sm btn-genealogy-outline" onClick={() => openPersonForm('father')}>
+                          <i className="bi bi-person-plus me-1"></i>
+                          Add father
+                        </button>
+                      )}
+                      {!gedcomStats.centralPerson.parents?.mother && (
+                        <button className="btn btn-sm btn-genealogy-outline" onClick={() => openPersonForm('mother')}>
+                          <i className="bi bi-person-plus me-1"></i>
+                          Add mother
+                        </button>
+                      )}
+                      <button className="btn btn-sm btn-genealogy-outline" onClick={() => openPersonForm('spouse')}>
+                        <i className="bi bi-heart me-1"></i>
+                        Add spouse
+                      </button>
+                      <button className="btn btn-sm btn-genealogy-outline" onClick={() => openPersonForm('child')}>
+                        <i className="bi bi-person-plus me-1"></i>
+                        Add child
+                      </button>
+                    </div>
                   </div>
                 </div>
               </div>
@@ -404,11 +765,112 @@ const GenEntry = () => {
               </div>
             )}
 
+            {/* Edit Central Person */}
+            {personFormMode === 'edit' && gedcomStats?.centralPerson && (
+              <PersonEditForm
+                key={gedcomStats.centralPerson.id}
+                person={gedcomStats.centralPerson}
+                title={`Edit ${gedcomStats.centralPerson.givenNames || ''} ${gedcomStats.centralPerson.familyNames || ''}`}
+                submitLabel="Save Changes"
+                isSaving={isSavingPerson}
+                error={personFormError}
+                validation={personValidation}
+                onSubmit={handleSavePerson}
+                onCancel={closePersonForm}
+              />
+            )}
+
+            {/* Add a Relative of the Central Person */}
+            {personFormMode && personFormMode !== 'edit' && gedcomStats?.centralPerson && (
+              <PersonEditForm
+                key={`${gedcomStats.centralPerson.id}-${personFormMode}`}
+                person={{
+                  sex: personFormMode === 'father' ? 'M' : personFormMode === 'mother' ? 'F' : '',
+                  familyNames: ['father', 'child'].includes(personFormMode) ? gedcomStats.centralPerson.familyNames : ''
+                }}
+                title={`Add ${personFormMode} of ${gedcomStats.centralPerson.givenNames || ''} ${gedcomStats.centralPerson.familyNames || ''}`}
+                submitLabel={`Add ${personFormMode.charAt(0).toUpperCase()}${personFormMode.slice(1)}`}
+                isSaving={isSavingPerson}
+                error={personFormError}
+                validation={personValidation}
+                onSubmit={handleAddRelative}
+                onCancel={closePersonForm}
+              >
+                {personFormMode === 'child' && getParentFamilies(gedcomStats.centralPerson).length > 0 && (
+                  <div className="mb-3">
+                    <label htmlFor="relativeFamilyId" className="form-label">Other Parent</label>
+                    <select
+                      className="form-select"
+                      id="relativeFamilyId"
+                      value={relativeFamilyId}
+                      onChange={(e) => setRelativeFamilyId(e.target.value)}
+                    >
+                      {getParentFamilies(gedcomStats.centralPerson).map(family => (
+                        <option key={family.id} value={family.id}>{family.label}</option>
+                      ))}
+                      <option value="">New family without a second parent</option>
+                    </select>
+                  </div>
+                )}
+                {(personFormMode === 'child' || !gedcomStats.centralPerson.parents?.familyId) && personFormMode !== 'spouse' && (
+                  <div className="mb-3">
+                    <label htmlFor="relativePedigree" className="form-label">Relationship to Parents</label>
+                    <select
+                      className="form-select"
+                      id="relativePedigree"
+                      value={relativePedigree}
+                      onChange={(e) => setRelativePedigree(e.target.value)}
+                    >
+                      <option value="birth">Birth</option>
+                      <option value="adopted">Adopted</option>
+                      <option value="foster">Foster</option>
+                      <option value="step">Step</option>
+                    </select>
+                  </div>
+                )}
+              </PersonEditForm>
+            )}
+
+            {/* Life Events Timeline */}
+            {gedcomStats?.centralPerson && (
+              <LifeEventsTimeline
+                person={gedcomStats.centralPerson}
+                sources={sources}
+                onAddCitation={handleAddCitation}
+                renderPlace={(place) => (
+                  <LocationLink
+                    location={place}
+                    personName={`${gedcomStats.centralPerson.givenNames} ${gedcomStats.centralPerson.familyNames}`}
+                  >
+                    {place}
+                  </LocationLink>
+                )}
+              />
+            )}
+
+            {/* Relationship to the Home Person */}
+            {gedcomStats?.centralPerson && (
+              <RelationshipPanel
+                person={gedcomStats.centralPerson}
+                onPersonSelect={handlePersonClick}
+              />
+            )}
+
+            {/* What changed for this person over time */}
+            {gedcomStats?.centralPerson && (
+              <PersonHistoryPanel
+                person={gedcomStats.centralPerson}
+                onRestored={handleTreeRestored}
+              />
+            )}
+
             {/* AI-Enhanced Research Panel */}
             {gedcomStats?.centralPerson && (
               <AISearchPanel 
                 person={gedcomStats.centralPerson}
                 onPersonSelect={handlePersonClick}
+                onRecordAttached={handleRecordAttached}
+                researchFocus={gedcomStats.centralPerson.id === requestedPersonId ? researchFocus : null}
               />
             )}
 
@@ -461,6 +923,49 @@ const GenEntry = () => {
                       </div>
                     </div>
                   </div>
+
+                  <div className="d-flex align-items-center gap-2 mt-2">
+                    <select
+                      className="form-select w-auto"
+                      value={exportVersion}
+                      onChange={(e) => setExportVersion(e.target.value)}
+                      disabled={isExporting}
+                    >
+                      <option value="5.5.1">GEDCOM 5.5.1</option>
+                      <option value="7.0">GEDCOM 7.0</option>
+                    </select>
+                    <button
+                      className="btn btn-genealogy"
+                      onClick={handleExportGedcom}
+                      disabled={isExporting}
+                    >
+                      {isExporting ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2"></span>
+                          Preparing File...
+                        </>
+                      ) : (
+                        <>
+                          <i className="bi bi-download me-2"></i>
+                          Download GEDCOM
+                        </>
+                      )}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {/* GEDCOM file still being imported */}
+            {!gedcomStats?.centralPerson && ['queued', 'running'].includes((importJob || gedcomStats?.importJob)?.status) && (
+              <div className="card card-custom mb-4">
+                <div className="card-body p-4 text-center">
+                  <div className="loading-spinner"></div>
+                  <h4 className="text-genealogy mt-3">Importing your GEDCOM file</h4>
+                  <p className="text-muted mb-0">
+                    {(importJob || gedcomStats.importJob).progress.message || 'Waiting to start...'}
+                  </p>
+                  <small className="text-muted">Large files can take a few minutes. This page updates when your tree is ready.</small>
                 </div>
               </div>
             )}
@@ -484,16 +989,29 @@ const GenEntry = () => {
                 <div className="row">
                   <div className="col-md-6">
                     <div className="d-grid gap-2 mb-3">
-                      <button className="btn btn-genealogy" disabled>
-                        <i className="bi bi-people me-2"></i>
-                        View Family Tree
-                        <small className="d-block">Coming Soon</small>
-                      </button>
-                      <button className="btn btn-genealogy-outline" disabled>
-                        <i className="bi bi-person-plus me-2"></i>
-                        Add Family Members
-                        <small className="d-block">Coming Soon</small>
-                      </button>
+                      {gedcomStats?.centralPerson ? (
+                        <>
+                          <Link
+                            className="btn btn-genealogy"
+                            to={`/pedigree/${encodeURIComponent(gedcomStats.centralPerson.id)}`}
+                          >
+                            <i className="bi bi-diagram-3 me-2"></i>
+                            View Pedigree Chart
+                          </Link>
+                          <Link
+                            className="btn btn-genealogy-outline"
+                            to={`/descendants/${encodeURIComponent(gedcomStats.centralPerson.id)}`}
+                          >
+                            <i className="bi bi-diagram-2 me-2"></i>
+                            View Descendants
+                          </Link>
+                        </>
+                      ) : (
+                        <button className="btn btn-genealogy" disabled>
+                          <i className="bi bi-diagram-3 me-2"></i>
+                          View Pedigree Chart
+                        </button>
+                      )}
                     </div>
                   </div>
                   <div className="col-md-6">
@@ -503,11 +1021,22 @@ const GenEntry = () => {
                         Search Records
                         <small className="d-block">Coming Soon</small>
                       </button>
-                      <button className="btn btn-genealogy-outline" disabled>
-                        <i className="bi bi-file-earmark-text me-2"></i>
-                        Generate Reports
-                        <small className="d-block">Coming Soon</small>
-                      </button>
+                      <Link className="btn btn-genealogy-outline" to="/audit">
+                        <i className="bi bi-clipboard2-pulse me-2"></i>
+                        Data Quality Report
+                      </Link>
+                      <Link className="btn btn-genealogy-outline" to="/duplicates">
+                        <i className="bi bi-people me-2"></i>
+                        Find Duplicates
+                      </Link>
+                      <Link className="btn btn-genealogy-outline" to="/import">
+                        <i className="bi bi-file-earmark-arrow-up me-2"></i>
+                        Import GEDCOM File
+                      </Link>
+                      <Link className="btn btn-genealogy-outline" to="/replace">
+                        <i className="bi bi-arrow-repeat me-2"></i>
+                        Replace Tree from File
+                      </Link>
                     </div>
                   </div>
                 </div>
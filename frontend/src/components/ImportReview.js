@@ -0,0 +1,343 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { gedcomService, handleApiError } from '../services/api';
+
+const fullName = (person) => `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || 'Unknown';
+
+const personUrl = (personId) => `/genealogy?person=${encodeURIComponent(personId)}`;
+
+const scoreClass = (score) => (score >= 0.85 ? 'bg-success' : score >= 0.6 ? 'bg-warning text-dark' : 'bg-secondary');
+
+const SHOW_OPTIONS = [
+  { value: 'all', label: 'Everyone' },
+  { value: 'matches', label: 'Possible matches' },
+  { value: 'unmatched', label: 'No match found' }
+];
+
+// Dates, places and parents on one line
+const PersonFacts = ({ person }) => {
+  const parents = [person.father, person.mother].filter(Boolean).map(fullName).join(' & ');
+  const facts = [
+    person.birthDate || person.birthPlace ? `b. ${[person.birthDate, person.birthPlace].filter(Boolean).join(', ')}` : '',
+    person.deathDate || person.deathPlace ? `d. ${[person.deathDate, person.deathPlace].filter(Boolean).join(', ')}` : '',
+    parents ? `parents ${parents}` : ''
+  ].filter(Boolean);
+  return <small className="text-muted d-block">{facts.join(' · ') || 'No dates or places'}</small>;
+};
+
+// One incoming person with the choice of an existing match, a new person, or skipping them
+const QueueItem = ({ item, decision, onDecide, disabled }) => {
+  const name = `decision-${item.incomingId}`;
+  const isChosen = (action, targetId = null) => decision.action === action && (action !== 'same' || decision.targetId === targetId);
+
+  return (
+    <tr>
+      <td>
+        <strong>{fullName(item.person)}</strong>
+        <small className="text-muted ms-1">#{item.incomingId}</small>
+        <PersonFacts person={item.person} />
+      </td>
+      <td>
+        {item.candidates.map(candidate => (
+          <div key={candidate.personId} className="form-check">
+            <input
+              type="radio"
+              className="form-check-input"
+              id={`${name}-${candidate.personId}`}
+              name={name}
+              checked={isChosen('same', candidate.personId)}
+              onChange={() => onDecide(item.incomingId, { action: 'same', targetId: candidate.personId })}
+              disabled={disabled}
+            />
+            <label className="form-check-label" htmlFor={`${name}-${candidate.personId}`}>
+              Same as{' '}
+              <Link className="person-link" to={personUrl(candidate.personId)}>{fullName(candidate.person)}</Link>
+              <small className="text-muted ms-1">#{candidate.personId}</small>
+              <span className={`badge ${scoreClass(candidate.score)} ms-2`}>{Math.round(candidate.score * 100)}%</span>
+              <PersonFacts person={candidate.person} />
+              {candidate.concerns.length > 0 && (
+                <small className="text-warning d-block">
+                  <i className="bi bi-exclamation-triangle me-1"></i>
+                  {candidate.concerns.join('; ')}
+                </small>
+              )}
+            </label>
+          </div>
+        ))}
+        <div className="form-check">
+          <input
+            type="radio"
+            className="form-check-input"
+            id={`${name}-new`}
+            name={name}
+            checked={isChosen('new')}
+            onChange={() => onDecide(item.incomingId, { action: 'new' })}
+            disabled={disabled}
+          />
+          <label className="form-check-label" htmlFor={`${name}-new`}>Add as a new person</label>
+        </div>
+        <div className="form-check">
+          <input
+            type="radio"
+            className="form-check-input"
+            id={`${name}-skip`}
+            name={name}
+            checked={isChosen('skip')}
+            onChange={() => onDecide(item.incomingId, { action: 'skip' })}
+            disabled={disabled}
+          />
+          <label className="form-check-label" htmlFor={`${name}-skip`}>Skip (don't import)</label>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+// Upload a second GEDCOM file, review how its people match the tree, then apply it
+const ImportReview = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [file, setFile] = useState(null);
+  const [review, setReview] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const importId = searchParams.get('id') || '';
+  const show = searchParams.get('show') || 'all';
+  const page = parseInt(searchParams.get('page'), 10) || 1;
+
+  useEffect(() => {
+    if (!importId) {
+      setReview(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    gedcomService.getImport(importId, { show, page })
+      .then(response => {
+        if (!cancelled) setReview(response);
+      })
+      .catch(err => {
+        console.error('❌ Error loading import:', err);
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to load import');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [importId, show, page]);
+
+  useEffect(() => {
+    setDecisions({});
+  }, [importId]);
+
+  const updateParams = (changes) => {
+    const next = { id: importId, show, page: 1, ...changes };
+    setSearchParams(Object.fromEntries(Object.entries(next).filter(([, value]) => value)));
+  };
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    try {
+      setIsSubmitting(true);
+      setError('');
+      setMessage('');
+      const response = await gedcomService.startImport(file);
+      setSearchParams({ id: response.importId, show: response.summary.withCandidates > 0 ? 'matches' : 'all' });
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to upload GEDCOM file');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDecide = (incomingId, decision) => {
+    setDecisions({ ...decisions, [incomingId]: decision });
+  };
+
+  const handleApply = async () => {
+    if (!window.confirm('Apply this import to your tree? You can undo it afterwards from any affected person\'s history.')) return;
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const response = await gedcomService.applyImport(importId, decisions);
+      setMessage(response.message);
+      setReview(await gedcomService.getImport(importId, { show, page }));
+    } catch (err) {
+      const apiError = handleApiError(err);
+      const details = (apiError.errors || []).map(detail => detail.msg).join('; ');
+      setError(details || apiError.message || 'Failed to apply import');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    if (!window.confirm('Discard this import? The uploaded file will be deleted.')) return;
+    try {
+      await gedcomService.discardImport(importId);
+      setSearchParams({});
+      setMessage('Import discarded');
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to discard import');
+    }
+  };
+
+  const isApplied = review?.status === 'applied';
+  const changedCount = Object.keys(decisions).length;
+
+  return (
+    <div className="bg-genealogy family-tree-bg min-vh-100">
+      <nav className="navbar navbar-expand-lg navbar-dark" style={{ backgroundColor: 'rgba(0,0,0,0.1)' }}>
+        <div className="container">
+          <span className="navbar-brand">
+            <i className="bi bi-tree-fill me-2"></i>
+            Steve's Genealogy Tool
+          </span>
+          <div className="navbar-nav ms-auto d-flex flex-row gap-2">
+            <Link className="btn btn-logout" to="/genealogy">
+              <i className="bi bi-person-vcard me-1"></i>
+              Person Card
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container py-5">
+        <div className="card card-custom">
+          <div className="card-body p-4">
+            <h3 className="text-genealogy mb-3">
+              <i className="bi bi-file-earmark-arrow-up me-2"></i>
+              Import GEDCOM File
+              {review && <small className="text-muted ms-2">{review.sourceFile}</small>}
+            </h3>
+
+            {message && (
+              <div className="alert alert-success py-2">
+                <i className="bi bi-check-circle me-1"></i>
+                {message}
+              </div>
+            )}
+
+            {error && (
+              <div className="error-message">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                {error}
+              </div>
+            )}
+
+            {!importId && (
+              <form className="d-flex flex-wrap align-items-center gap-2" onSubmit={handleUpload}>
+                <input
+                  type="file"
+                  className="form-control w-auto"
+                  accept=".ged,.gedcom,text/plain"
+                  onChange={(e) => setFile(e.target.files[0] || null)}
+                />
+                <button type="submit" className="btn btn-genealogy" disabled={!file || isSubmitting}>
+                  <i className="bi bi-upload me-1"></i>
+                  {isSubmitting ? 'Matching people...' : 'Upload and review'}
+                </button>
+                <small className="text-muted w-100">
+                  Nothing is added until you review the matches and apply the import.
+                </small>
+              </form>
+            )}
+
+            {importId && isLoading && !review && (
+              <div className="text-center py-5">
+                <div className="loading-spinner"></div>
+              </div>
+            )}
+
+            {review && (
+              <>
+                <div className="d-flex flex-wrap gap-3 mb-3">
+                  <span><strong>{review.summary.totalIncoming}</strong> people in the file</span>
+                  <span><strong>{review.summary.withCandidates}</strong> with possible matches</span>
+                  <span><strong>{review.summary.suggestedSame}</strong> suggested as the same person</span>
+                </div>
+
+                {isApplied ? (
+                  <div className="alert alert-info">
+                    <i className="bi bi-info-circle me-1"></i>
+                    Applied {new Date(review.appliedAt).toLocaleString()}:{' '}
+                    {review.result.added} added, {review.result.merged.length} merged, {review.result.skipped} skipped,{' '}
+                    {review.result.familiesAdded} families added, {review.result.familiesMerged} families combined.
+                    <Link className="ms-2" to="/genealogy">Back to your tree</Link>
+                  </div>
+                ) : (
+                  <div className="d-flex flex-wrap align-items-center gap-2 mb-3">
+                    <select
+                      className="form-select form-select-sm w-auto"
+                      value={show}
+                      onChange={(e) => updateParams({ show: e.target.value })}
+                    >
+                      {SHOW_OPTIONS.map(option => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button className="btn btn-sm btn-success" onClick={handleApply} disabled={isSubmitting}>
+                      <i className="bi bi-check2-all me-1"></i>
+                      {isSubmitting ? 'Applying...' : 'Apply import'}
+                    </button>
+                    <button className="btn btn-sm btn-outline-danger" onClick={handleDiscard} disabled={isSubmitting}>
+                      <i className="bi bi-x-circle me-1"></i>
+                      Discard
+                    </button>
+                    <small className="text-muted">
+                      {changedCount > 0 ? `${changedCount} choices changed; ` : ''}
+                      people you don't change keep the suggested choice.
+                    </small>
+                  </div>
+                )}
+
+                {review.items.length === 0 ? (
+                  <p className="text-muted">Nobody to show here.</p>
+                ) : (
+                  <table className="table table-sm align-middle">
+                    <thead>
+                      <tr>
+                        <th>Incoming person</th>
+                        <th>Import as</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {review.items.map(item => (
+                        <QueueItem
+                          key={item.incomingId}
+                          item={item}
+                          decision={decisions[item.incomingId] || item.suggestion}
+                          onDecide={handleDecide}
+                          disabled={isApplied || isSubmitting}
+                        />
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+
+                <div className="d-flex justify-content-between align-items-center">
+                  <button className="btn btn-sm btn-genealogy-outline" disabled={review.page <= 1} onClick={() => updateParams({ page: review.page - 1 })}>
+                    <i className="bi bi-chevron-left"></i> Previous
+                  </button>
+                  <span className="text-muted small">Page {review.page} of {review.totalPages}</span>
+                  <button className="btn btn-sm btn-genealogy-outline" disabled={review.page >= review.totalPages} onClick={() => updateParams({ page: review.page + 1 })}>
+                    Next <i className="bi bi-chevron-right"></i>
+                  </button>
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportReview;
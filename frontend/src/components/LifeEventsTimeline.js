@@ -0,0 +1,137 @@
+import React from 'react';
+import EventCitations from './EventCitations';
+
+const EVENT_LABELS = {
+  BIRT: 'Born',
+  CHR: 'Christened',
+  BAPM: 'Baptized',
+  DEAT: 'Died',
+  BURI: 'Buried',
+  CREM: 'Cremated',
+  CENS: 'Census',
+  RESI: 'Residence',
+  OCCU: 'Occupation',
+  EDUC: 'Education',
+  IMMI: 'Immigrated',
+  EMIG: 'Emigrated',
+  NATU: 'Naturalized',
+  PROB: 'Probate',
+  WILL: 'Will',
+  RELI: 'Religion',
+  EVEN: 'Event',
+  FACT: 'Fact',
+  MARR: 'Married',
+  DIV: 'Divorced',
+  ENGA: 'Engaged',
+  MARB: 'Banns',
+  ANUL: 'Annulled'
+};
+
+const MONTHS = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+
+// Sort key for a GEDCOM date ("ABT 1850", "12 MAR 1901", "BET 1850 AND 1860"); uses the first date found
+const dateSortKey = (dateStr) => {
+  if (!dateStr) return null;
+  const match = dateStr.toUpperCase().match(/(?:(\d{1,2})\s+)?(?:(JAN|FEB|MAR|APR|MAY|JUN|JUL|AUG|SEP|OCT|NOV|DEC)\s+)?(\d{3,4})\b/);
+  if (!match) return null;
+
+  const day = match[1] ? parseInt(match[1], 10) : 0;
+  const month = match[2] ? MONTHS.indexOf(match[2]) + 1 : 0;
+  return parseInt(match[3], 10) * 10000 + month * 100 + day;
+};
+
+// Undated events keep their file order; births lead and death/burial events close the list
+const fallbackRank = (type) => {
+  if (type === 'BIRT' || type === 'CHR' || type === 'BAPM') return 0;
+  if (type === 'DEAT' || type === 'BURI' || type === 'CREM' || type === 'PROB') return 2;
+  return 1;
+};
+
+export const eventLabel = (event) => {
+  if ((event.type === 'EVEN' || event.type === 'FACT') && event.eventType) return event.eventType;
+  return EVENT_LABELS[event.type] || event.type;
+};
+
+// Chronological list of a person's own events plus the family events of their marriages.
+// Each entry carries the target ({ personId } or { familyId } plus eventIndex) used to add citations.
+const LifeEventsTimeline = ({ person, sources, onAddCitation, renderPlace }) => {
+  const entries = (person.events || []).map((event, index) => ({
+    event,
+    index,
+    target: { personId: person.id, eventIndex: index }
+  }));
+
+  (person.spouses || []).forEach(spouse => {
+    (spouse.events || []).forEach((event, eventIndex) => {
+      entries.push({
+        event,
+        index: entries.length,
+        target: { familyId: spouse.familyId, eventIndex },
+        withPerson: `${spouse.givenNames} ${spouse.familyNames}`
+      });
+    });
+  });
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  const sorted = entries
+    .map(entry => ({ ...entry, key: dateSortKey(entry.event.date) }))
+    .sort((a, b) => {
+      if (a.key !== null && b.key !== null && a.key !== b.key) return a.key - b.key;
+      if (a.key === null || b.key === null) {
+        const rankDiff = fallbackRank(a.event.type) - fallbackRank(b.event.type);
+        if (rankDiff !== 0) return rankDiff;
+      }
+      return a.index - b.index;
+    });
+
+  return (
+    <div className="card card-custom mb-4">
+      <div className="card-body p-4">
+        <h4 className="text-genealogy mb-3">
+          <i className="bi bi-clock-history me-2"></i>
+          Life Events
+        </h4>
+
+        <div className="person-events">
+          {sorted.map(({ event, index, target, withPerson }) => (
+            <div key={index} className="event-line">
+              <span className="event-label">{eventLabel(event)}:</span>
+              <span className="event-details">
+                {event.date || 'UNK'}
+                {event.value && event.value !== 'Y' && <span> {event.value}</span>}
+                {withPerson && <span> with {withPerson}</span>}
+                {event.place && (
+                  <span className="event-location">
+                    , {renderPlace ? renderPlace(event.place) : event.place}
+                  </span>
+                )}
+                {event.age && <span className="text-muted"> (age {event.age})</span>}
+                {event.cause && <span className="text-muted"> Cause: {event.cause}</span>}
+                {(event.notes || []).map((note, noteIndex) => (
+                  <span key={noteIndex} className="d-block text-muted fst-italic">{note}</span>
+                ))}
+                {onAddCitation ? (
+                  <EventCitations
+                    citations={event.sources}
+                    sources={sources}
+                    onAdd={(citation) => onAddCitation(target, citation)}
+                  />
+                ) : event.sources && event.sources.length > 0 && (
+                  <span className="d-block text-muted small">
+                    <i className="bi bi-journal-text me-1"></i>
+                    {event.sources.length} {event.sources.length === 1 ? 'source' : 'sources'}
+                  </span>
+                )}
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LifeEventsTimeline;
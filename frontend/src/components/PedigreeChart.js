@@ -0,0 +1,269 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Link, useNavigate, useParams, useSearchParams } from 'react-router-dom';
+import { gedcomService, handleApiError } from '../services/api';
+
+const GENERATION_OPTIONS = [4, 5, 6, 7, 8];
+const COLUMN_WIDTH = 210;
+const BOX_WIDTH = 180;
+const LEAF_SLOT_HEIGHT = 34;
+const MAX_BOX_HEIGHT = 54;
+
+const RELATION_LABELS = { father: 'father', mother: 'mother' };
+
+const yearOf = (date) => {
+  const match = (date || '').match(/\d{3,4}/);
+  return match ? match[0] : '';
+};
+
+const lifespan = (node) => {
+  const birth = yearOf(node.birthDate);
+  const death = yearOf(node.deathDate);
+  if (!birth && !death) return '';
+  return `${birth || '?'}–${death}`;
+};
+
+const fullName = (node) => `${node.givenNames || ''} ${node.familyNames || ''}`.trim() || 'Unknown';
+
+// Flatten the ancestor tree into positioned boxes, skipping the ancestors of collapsed people.
+// Slot n of generation g sits at row (n - 2^(g-1)) of 2^(g-1) equal rows.
+const layoutPedigree = (root, generations, collapsed) => {
+  const totalHeight = Math.pow(2, generations - 1) * LEAF_SLOT_HEIGHT;
+  const boxes = [];
+  const links = [];
+
+  const visit = (node, parentBox) => {
+    if (!node) return;
+    const rows = Math.pow(2, node.generation - 1);
+    const slotHeight = totalHeight / rows;
+    const row = node.ahnentafel - rows;
+    const height = Math.min(MAX_BOX_HEIGHT, slotHeight - 8);
+    const box = {
+      node,
+      x: (node.generation - 1) * COLUMN_WIDTH + 10,
+      y: row * slotHeight + (slotHeight - height) / 2,
+      height
+    };
+    boxes.push(box);
+    if (parentBox) links.push({ from: parentBox, to: box });
+
+    if (!node.placeholder && !collapsed.has(node.ahnentafel)) {
+      visit(node.father, box);
+      visit(node.mother, box);
+    }
+  };
+
+  visit(root, null);
+  return { boxes, links, width: generations * COLUMN_WIDTH, height: totalHeight };
+};
+
+const hasShownParents = (node) => Boolean(
+  (node.father && !node.father.placeholder) || (node.mother && !node.mother.placeholder)
+);
+
+const PedigreeChart = () => {
+  const { personId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const [pedigree, setPedigree] = useState(null);
+  const [collapsed, setCollapsed] = useState(new Set());
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const requested = parseInt(searchParams.get('generations'), 10);
+  const generations = GENERATION_OPTIONS.includes(requested) ? requested : 4;
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+    setCollapsed(new Set());
+
+    gedcomService.getPedigree(personId, generations)
+      .then(response => {
+        if (!cancelled) setPedigree(response.pedigree);
+      })
+      .catch(err => {
+        console.error('❌ Error loading pedigree:', err);
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to load pedigree');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [personId, generations]);
+
+  const layout = useMemo(
+    () => (pedigree ? layoutPedigree(pedigree, generations, collapsed) : null),
+    [pedigree, generations, collapsed]
+  );
+
+  const recentre = (id) => {
+    navigate(`/pedigree/${encodeURIComponent(id)}?generations=${generations}`);
+  };
+
+  const researchSlot = (node) => {
+    navigate(`/genealogy?person=${encodeURIComponent(node.childId)}&research=${node.relation}`);
+  };
+
+  const toggleCollapsed = (ahnentafel) => {
+    const next = new Set(collapsed);
+    if (next.has(ahnentafel)) {
+      next.delete(ahnentafel);
+    } else {
+      next.add(ahnentafel);
+    }
+    setCollapsed(next);
+  };
+
+  const renderBox = ({ node, x, y, height }) => {
+    if (node.placeholder) {
+      return (
+        <g
+          key={node.ahnentafel}
+          className="pedigree-box pedigree-placeholder"
+          onClick={() => researchSlot(node)}
+        >
+          <title>Research this {RELATION_LABELS[node.relation]} with the AI Research Assistant</title>
+          <rect x={x} y={y} width={BOX_WIDTH} height={height} rx="6" />
+          <text x={x + 10} y={y + height / 2 + 4}>
+            + Find {RELATION_LABELS[node.relation]}
+          </text>
+        </g>
+      );
+    }
+
+    const genderClass = node.sex === 'M' ? 'male' : node.sex === 'F' ? 'female' : 'unknown';
+    const showDetails = height >= 40;
+
+    return (
+      <g key={node.ahnentafel} className={`pedigree-box pedigree-${genderClass}${node.cycle ? ' pedigree-cycle' : ''}`}>
+        <g onClick={() => recentre(node.id)}>
+          <title>
+            {node.cycle
+              ? `${fullName(node)} appears in their own ancestry; check the family links`
+              : `Show ${fullName(node)}'s pedigree`}
+          </title>
+          <rect x={x} y={y} width={BOX_WIDTH} height={height} rx="6" />
+          <text x={x + 10} y={showDetails ? y + 20 : y + height / 2 + 4} className="pedigree-name">
+            {fullName(node).length > 24 ? `${fullName(node).slice(0, 23)}…` : fullName(node)}
+          </text>
+          {showDetails && (
+            <text x={x + 10} y={y + 38} className="pedigree-dates">
+              {lifespan(node)}
+              {node.pedigree && node.pedigree !== 'birth' && ` · ${node.pedigree}`}
+            </text>
+          )}
+        </g>
+
+        {hasShownParents(node) && (
+          <g className="pedigree-toggle" onClick={() => toggleCollapsed(node.ahnentafel)}>
+            <title>{collapsed.has(node.ahnentafel) ? 'Expand ancestors' : 'Collapse ancestors'}</title>
+            <circle cx={x + BOX_WIDTH} cy={y + height / 2} r="8" />
+            <text x={x + BOX_WIDTH} y={y + height / 2 + 4} textAnchor="middle">
+              {collapsed.has(node.ahnentafel) ? '+' : '−'}
+            </text>
+          </g>
+        )}
+
+        {node.hasMoreAncestors && (
+          <g className="pedigree-toggle" onClick={() => recentre(node.id)}>
+            <title>More ancestors: show {fullName(node)}'s pedigree</title>
+            <circle cx={x + BOX_WIDTH} cy={y + height / 2} r="8" />
+            <text x={x + BOX_WIDTH} y={y + height / 2 + 4} textAnchor="middle">›</text>
+          </g>
+        )}
+      </g>
+    );
+  };
+
+  return (
+    <div className="bg-genealogy family-tree-bg min-vh-100">
+      <nav className="navbar navbar-expand-lg navbar-dark" style={{ backgroundColor: 'rgba(0,0,0,0.1)' }}>
+        <div className="container">
+          <span className="navbar-brand">
+            <i className="bi bi-tree-fill me-2"></i>
+            Steve's Genealogy Tool
+          </span>
+          <div className="navbar-nav ms-auto d-flex flex-row gap-2">
+            <Link className="btn btn-logout" to={`/descendants/${encodeURIComponent(personId)}`}>
+              <i className="bi bi-diagram-2 me-1"></i>
+              Descendants
+            </Link>
+            <Link className="btn btn-logout" to={`/genealogy?person=${encodeURIComponent(personId)}`}>
+              <i className="bi bi-person-vcard me-1"></i>
+              Person Card
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container py-5">
+        <div className="card card-custom">
+          <div className="card-body p-4">
+            <div className="d-flex flex-wrap justify-content-between align-items-center mb-3 gap-2">
+              <h3 className="text-genealogy mb-0">
+                <i className="bi bi-diagram-3 me-2"></i>
+                Pedigree Chart
+                {pedigree && <small className="text-muted ms-2">{fullName(pedigree)}</small>}
+              </h3>
+              <div className="d-flex align-items-center gap-2">
+                <label htmlFor="pedigreeGenerations" className="form-label mb-0">Generations</label>
+                <select
+                  id="pedigreeGenerations"
+                  className="form-select form-select-sm w-auto"
+                  value={generations}
+                  onChange={(e) => setSearchParams({ generations: e.target.value })}
+                >
+                  {GENERATION_OPTIONS.map(option => (
+                    <option key={option} value={option}>{option}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+
+            {error && (
+              <div className="error-message">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                {error}
+              </div>
+            )}
+
+            {isLoading ? (
+              <div className="text-center py-5">
+                <div className="loading-spinner"></div>
+                <p className="mt-3 text-muted">Loading ancestors...</p>
+              </div>
+            ) : layout && (
+              <div className="pedigree-chart">
+                <svg width={layout.width} height={layout.height} role="img" aria-label="Pedigree chart">
+                  {layout.links.map(({ from, to }) => {
+                    const startX = from.x + BOX_WIDTH;
+                    const startY = from.y + from.height / 2;
+                    const endY = to.y + to.height / 2;
+                    const midX = startX + (to.x - startX) / 2;
+                    return (
+                      <path
+                        key={`${from.node.ahnentafel}-${to.node.ahnentafel}`}
+                        className="pedigree-link"
+                        d={`M ${startX} ${startY} H ${midX} V ${endY} H ${to.x}`}
+                      />
+                    );
+                  })}
+                  {layout.boxes.map(renderBox)}
+                </svg>
+              </div>
+            )}
+
+            <p className="text-muted small mt-3 mb-0">
+              <i className="bi bi-info-circle me-1"></i>
+              Click a person to centre the chart on them. Dashed boxes are unknown ancestors; click one to research it.
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PedigreeChart;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+
+const EMPTY_PERSON = {
+  givenNames: '',
+  familyNames: '',
+  sex: '',
+  birthDate: '',
+  birthPlace: '',
+  deathDate: '',
+  deathPlace: ''
+};
+
+// Form for creating or editing the core fields of a person record.
+// Dates are free text so GEDCOM forms like "ABT 1850" or "12 MAR 1901" are kept as entered.
+// Extra fields (e.g. relationship options) can be passed as children.
+const PersonEditForm = ({ person, title, submitLabel, isSaving, error, validation, onSubmit, onCancel, children }) => {
+  const [formData, setFormData] = useState(() => {
+    const initial = { ...EMPTY_PERSON };
+    Object.keys(EMPTY_PERSON).forEach(field => {
+      if (person && person[field]) initial[field] = person[field];
+    });
+    return initial;
+  });
+
+  const handleInputChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit(formData);
+  };
+
+  const issues = validation?.issues || [];
+  const warnings = validation?.warnings || [];
+
+  return (
+    <div className="card card-custom mb-4">
+      <div className="card-body p-4">
+        <h4 className="text-genealogy mb-3">
+          <i className="bi bi-pencil-square me-2"></i>
+          {title}
+        </h4>
+
+        {error && (
+          <div className="error-message">
+            <i className="bi bi-exclamation-triangle-fill me-2"></i>
+            {error}
+          </div>
+        )}
+
+        {issues.length > 0 && (
+          <div className="alert alert-danger">
+            <ul className="mb-0">
+              {issues.map((issue, index) => (
+                <li key={index}>{issue.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {warnings.length > 0 && (
+          <div className="alert alert-warning">
+            <ul className="mb-0">
+              {warnings.map((warning, index) => (
+                <li key={index}>{warning.message}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <div className="row">
+            <div className="col-md-6 mb-3">
+              <label htmlFor="givenNames" className="form-label">Given Name(s)</label>
+              <input
+                type="text"
+                className="form-control form-control-custom"
+                id="givenNames"
+                name="givenNames"
+                value={formData.givenNames}
+                onChange={handleInputChange}
+              />
+            </div>
+            <div className="col-md-6 mb-3">
+              <label htmlFor="familyNames" className="form-label">Family Name(s)</label>
+              <input
+                type="text"
+                className="form-control form-control-custom"
+                id="familyNames"
+                name="familyNames"
+                value={formData.familyNames}
+                onChange={handleInputChange}
+              />
+            </div>
+          </div>
+
+          <div className="mb-3">
+            <label htmlFor="sex" className="form-label">Sex</label>
+            <select
+              className="form-select"
+              id="sex"
+              name="sex"
+              value={formData.sex}
+              onChange={handleInputChange}
+            >
+              <option value="">Unknown</option>
+              <option value="M">Male</option>
+              <option value="F">Female</option>
+              <option value="U">Undetermined</option>
+            </select>
+          </div>
+
+          <div className="row">
+            <div className="col-md-6 mb-3">
+              <label htmlFor="birthDate" className="form-label">Birth Date</label>
+              <input
+                type="text"
+                className="form-control form-control-custom"
+                id="birthDate"
+                name="birthDate"
+                value={formData.birthDate}
+                onChange={handleInputChange}
+                placeholder="e.g. 12 MAR 1901"
+              />
+            </div>
+            <div className="col-md-6 mb-3">
+              <label htmlFor="birthPlace" className="form-label">Birth Place</label>
+              <input
+                type="text"
+                className="form-control form-control-custom"
+                id="birthPlace"
+                name="birthPlace"
+                value={formData.birthPlace}
+                onChange={handleInputChange}
+              />
+            </div>
+          </div>
+
+          <div className="row">
+            <div className="col-md-6 mb-3">
+              <label htmlFor="deathDate" className="form-label">Death Date</label>
+              <input
+                type="text"
+                className="form-control form-control-custom"
+                id="deathDate"
+                name="deathDate"
+                value={formData.deathDate}
+                onChange={handleInputChange}
+              />
+            </div>
+            <div className="col-md-6 mb-3">
+              <label htmlFor="deathPlace" className="form-label">Death Place</label>
+              <input
+                type="text"
+                className="form-control form-control-custom"
+                id="deathPlace"
+                name="deathPlace"
+                value={formData.deathPlace}
+                onChange={handleInputChange}
+              />
+            </div>
+          </div>
+
+          {children}
+
+          <div className="d-flex gap-2">
+            <button type="submit" className="btn btn-genealogy" disabled={isSaving}>
+              {isSaving ? (
+                <>
+                  <span className="spinner-border spinner-border-sm me-2"></span>
+                  Saving...
+                </>
+              ) : (
+                <>
+                  <i className="bi bi-check-circle me-2"></i>
+                  {submitLabel || 'Save'}
+                </>
+              )}
+            </button>
+            <button type="button" className="btn btn-genealogy-outline" onClick={onCancel} disabled={isSaving}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default PersonEditForm;
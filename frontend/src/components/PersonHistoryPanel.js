@@ -0,0 +1,232 @@
+import React, { useEffect, useState } from 'react';
+import { gedcomService, handleApiError } from '../services/api';
+
+// What each editing route did, keyed by "METHOD /path" without the /api prefix
+const ROUTE_LABELS = {
+  'POST /gedcom/person/:personId?': 'Person added',
+  'PUT /gedcom/person/:personId': 'Person edited',
+  'DELETE /gedcom/person/:personId': 'Person deleted',
+  'POST /gedcom/families': 'Family created',
+  'POST /gedcom/families/:familyId/spouses': 'Spouse added',
+  'DELETE /gedcom/families/:familyId/spouses/:personId': 'Spouse removed',
+  'POST /gedcom/families/:familyId/children': 'Child added',
+  'PUT /gedcom/families/:familyId/children/order': 'Children reordered',
+  'PUT /gedcom/families/:familyId/children/:childId/pedigree': 'Child pedigree changed',
+  'DELETE /gedcom/families/:familyId/children/:childId': 'Child removed',
+  'POST /gedcom/sources': 'Source added',
+  'POST /gedcom/person/:personId/events/:eventIndex/citations': 'Citation added',
+  'POST /gedcom/families/:familyId/events/:eventIndex/citations': 'Family citation added',
+  'POST /gedcom/duplicates/merge': 'Duplicates merged',
+  'POST /gedcom/history/:rev/restore': 'Tree restored',
+  'POST /gedcom/import/:importId/apply': 'GEDCOM file imported',
+  'POST /gedcom/replace/:replacementId/commit': 'Tree replaced from file',
+  'POST /gedcom/snapshots/:snapshotId/restore': 'Tree restored from backup',
+  'POST /ai-research/attach-record': 'Research record attached',
+  'POST /ai-research/apply-merge': 'Research match merged',
+  'script reparseGedcom': 'GEDCOM data reparsed'
+};
+
+const FIELD_LABELS = {
+  givenNames: 'Given names',
+  familyNames: 'Family names',
+  sex: 'Sex',
+  birthDate: 'Birth date',
+  birthPlace: 'Birth place',
+  deathDate: 'Death date',
+  deathPlace: 'Death place',
+  events: 'Events',
+  citations: 'Citations',
+  otherTags: 'Other GEDCOM data',
+  husband: 'Husband',
+  wife: 'Wife',
+  children: 'Children',
+  childPedigree: 'Child pedigrees',
+  marriageDate: 'Marriage date',
+  marriagePlace: 'Marriage place'
+};
+
+const ACTION_ICONS = {
+  added: 'bi-plus-circle text-success',
+  modified: 'bi-pencil text-primary',
+  removed: 'bi-dash-circle text-danger'
+};
+
+const routeLabel = (revision) => {
+  if (revision.restoredFrom !== null && revision.restoredFrom !== undefined) {
+    return `Tree restored to revision ${revision.restoredFrom}`;
+  }
+  const [method, path] = revision.route.split(' ');
+  return ROUTE_LABELS[`${method} ${path.replace(/^\/api/, '')}`] || revision.route;
+};
+
+const formatValue = (value) => {
+  if (value === null || value === '') return <span className="text-muted">—</span>;
+  return Array.isArray(value) ? value.join(', ') || <span className="text-muted">none</span> : String(value);
+};
+
+const FieldChange = ({ change }) => (
+  <li>
+    <span className="text-muted">{FIELD_LABELS[change.field] || change.field}:</span>{' '}
+    {change.kind === 'list' ? (
+      <>{change.before} → {change.after} entries</>
+    ) : (
+      <><span className="text-decoration-line-through text-muted">{formatValue(change.before)}</span> → {formatValue(change.after)}</>
+    )}
+  </li>
+);
+
+// Revisions that touched the person on the card, newest first, with an undo for each
+const PersonHistoryPanel = ({ person, onRestored }) => {
+  const [history, setHistory] = useState(null);
+  const [page, setPage] = useState(1);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [restoringRev, setRestoringRev] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    setHistory(null);
+    setPage(1);
+    setMessage('');
+  }, [person.id]);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    gedcomService.getHistory({ personId: person.id, page })
+      .then(response => {
+        if (!cancelled) setHistory(response);
+      })
+      .catch(err => {
+        console.error('❌ Error loading history:', err);
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to load history');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [person, page, isOpen]);
+
+  const handleUndo = async (revision) => {
+    const target = revision.rev - 1;
+    if (!window.confirm(
+      `Undo this change? The whole tree goes back to how it was before revision ${revision.rev}, ` +
+      'including any later changes to other people. The undo itself can be undone from this history.'
+    )) return;
+
+    try {
+      setRestoringRev(revision.rev);
+      setError('');
+      const response = await gedcomService.restoreRevision(target);
+      setMessage(response.message);
+      setPage(1);
+      await onRestored();
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to restore');
+    } finally {
+      setRestoringRev(null);
+    }
+  };
+
+  return (
+    <div className="card card-custom mb-4">
+      <div className="card-body p-4">
+        <div className="d-flex justify-content-between align-items-center">
+          <h3 className="text-genealogy mb-0">
+            <i className="bi bi-clock-history me-2"></i>
+            History
+            {history && isOpen && <small className="text-muted ms-2">{history.totalRevisions} changes</small>}
+          </h3>
+          <button className="btn btn-sm btn-genealogy-outline" onClick={() => setIsOpen(!isOpen)}>
+            <i className={`bi ${isOpen ? 'bi-chevron-up' : 'bi-chevron-down'} me-1`}></i>
+            {isOpen ? 'Hide' : 'Show changes'}
+          </button>
+        </div>
+
+        {isOpen && (
+          <div className="mt-3">
+            {message && (
+              <div className="alert alert-success py-2">
+                <i className="bi bi-check-circle me-1"></i>
+                {message}
+              </div>
+            )}
+
+            {error && (
+              <div className="alert alert-danger py-2">
+                <i className="bi bi-exclamation-triangle me-1"></i>
+                {error}
+              </div>
+            )}
+
+            {isLoading && !history ? (
+              <div className="text-center py-3">
+                <div className="loading-spinner"></div>
+              </div>
+            ) : history && (
+              history.revisions.length === 0 ? (
+                <p className="text-muted mb-0">No recorded changes for this person yet.</p>
+              ) : (
+                <>
+                  <ul className="list-unstyled mb-2">
+                    {history.revisions.map(revision => (
+                      <li key={revision.rev} className="border-bottom py-2">
+                        <div className="d-flex justify-content-between align-items-start">
+                          <div>
+                            <strong>{routeLabel(revision)}</strong>
+                            <small className="text-muted ms-2">
+                              #{revision.rev} · {new Date(revision.createdAt).toLocaleString()}
+                            </small>
+                          </div>
+                          <button
+                            className="btn btn-sm btn-outline-secondary"
+                            onClick={() => handleUndo(revision)}
+                            disabled={restoringRev !== null}
+                            title={`Restore the tree to revision ${revision.rev - 1}`}
+                          >
+                            <i className="bi bi-arrow-counterclockwise me-1"></i>
+                            {restoringRev === revision.rev ? 'Restoring...' : 'Undo'}
+                          </button>
+                        </div>
+                        {revision.changes.map(change => (
+                          <div key={`${change.type}-${change.id}`} className="small mt-1">
+                            <i className={`bi ${ACTION_ICONS[change.action]} me-1`}></i>
+                            {change.type === 'family' ? `Family ${change.id} ${change.action}` : `Person ${change.action}`}
+                            {change.action === 'modified' && change.fields.length > 0 && (
+                              <ul className="mb-0">
+                                {change.fields.map(field => <FieldChange key={field.field} change={field} />)}
+                              </ul>
+                            )}
+                          </div>
+                        ))}
+                      </li>
+                    ))}
+                  </ul>
+
+                  {history.totalPages > 1 && (
+                    <div className="d-flex justify-content-between align-items-center">
+                      <button className="btn btn-sm btn-genealogy-outline" disabled={history.page <= 1} onClick={() => setPage(history.page - 1)}>
+                        <i className="bi bi-chevron-left"></i> Newer
+                      </button>
+                      <span className="text-muted small">Page {history.page} of {history.totalPages}</span>
+                      <button className="btn btn-sm btn-genealogy-outline" disabled={history.page >= history.totalPages} onClick={() => setPage(history.page + 1)}>
+                        Older <i className="bi bi-chevron-right"></i>
+                      </button>
+                    </div>
+                  )}
+                </>
+              )
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PersonHistoryPanel;
@@ -0,0 +1,200 @@
+import React, { useEffect, useState } from 'react';
+import { aiResearchService, handleApiError } from '../services/api';
+
+const STATUS_BADGES = {
+  missing: { className: 'bg-success', label: 'New' },
+  different: { className: 'bg-warning text-dark', label: 'Differs' },
+  same: { className: 'bg-secondary', label: 'Same' }
+};
+
+const RELATION_LABELS = {
+  father: 'Father',
+  mother: 'Mother',
+  spouse: 'Spouse'
+};
+
+const fullName = (individual) => `${individual.givenNames || ''} ${individual.familyNames || ''}`.trim() || 'Unknown';
+
+// Side-by-side diff of a person and a matched record. Fields the person lacks are
+// pre-selected; differing values must be picked explicitly. Adopted values are cited to the record.
+const RecordMergeModal = ({ person, record, analysis, onClose, onMerged }) => {
+  const [preview, setPreview] = useState(null);
+  const [selectedFields, setSelectedFields] = useState([]);
+  const [selectedRelatives, setSelectedRelatives] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isMerging, setIsMerging] = useState(false);
+  const [error, setError] = useState('');
+  const [issues, setIssues] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    aiResearchService.getMergePreview(person.id, record)
+      .then(response => {
+        if (cancelled) return;
+        setPreview(response);
+        setSelectedFields(response.fields.filter(row => row.status === 'missing').map(row => row.field));
+        setSelectedRelatives(
+          response.relatives.filter(row => row.status === 'missing').map(row => `${row.relation}:${row.index}`)
+        );
+      })
+      .catch(err => {
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to compare record');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [person.id, record]);
+
+  const toggle = (list, setList, key) => {
+    setList(list.includes(key) ? list.filter(item => item !== key) : [...list, key]);
+  };
+
+  const handleMerge = async () => {
+    try {
+      setIsMerging(true);
+      setError('');
+      setIssues([]);
+      const relatives = selectedRelatives.map(key => {
+        const [relation, index] = key.split(':');
+        return { relation, index: parseInt(index, 10) };
+      });
+      const response = await aiResearchService.applyMerge(person.id, record, {
+        fields: selectedFields,
+        relatives,
+        analysis
+      });
+      onMerged(response);
+    } catch (err) {
+      const apiError = handleApiError(err);
+      setError(apiError.message || 'Failed to merge record');
+      setIssues(apiError.validation?.issues || []);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const adoptableFields = preview ? preview.fields.filter(row => row.status !== 'absent') : [];
+  const nothingSelected = selectedFields.length === 0 && selectedRelatives.length === 0;
+
+  return (
+    <div className="analysis-modal-overlay" onClick={onClose} style={{position: 'fixed', inset: 0, backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center', zIndex: 1050}}>
+      <div
+        className="analysis-modal"
+        onClick={(e) => e.stopPropagation()}
+        style={{backgroundColor: 'white', borderRadius: '8px', boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)', maxWidth: '800px', width: '90%', maxHeight: '90vh', overflow: 'auto', margin: '20px'}}
+      >
+        <div className="modal-header">
+          <h4>Merge Record Details</h4>
+          <button className="btn-close" onClick={onClose}>×</button>
+        </div>
+
+        <div className="modal-body" style={{color: '#212529'}}>
+          {error && (
+            <div className="alert alert-danger">
+              <i className="bi bi-exclamation-triangle me-1"></i>
+              {error}
+              {issues.length > 0 && (
+                <ul className="mb-0 mt-1">
+                  {issues.map((issue, index) => <li key={index}>{issue.message}</li>)}
+                </ul>
+              )}
+            </div>
+          )}
+
+          {isLoading && (
+            <div className="text-center py-3">
+              <span className="spinner-border spinner-border-sm me-2"></span>
+              Comparing records...
+            </div>
+          )}
+
+          {preview && (
+            <>
+              {adoptableFields.length === 0 && preview.relatives.length === 0 ? (
+                <p className="text-muted">This record has no details that can be merged into {fullName(person)}.</p>
+              ) : (
+                <table className="table table-sm align-middle">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>Field</th>
+                      <th>Your Record</th>
+                      <th>{record.source}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {adoptableFields.map(row => (
+                      <tr key={row.field}>
+                        <td>
+                          <input
+                            type="checkbox"
+                            className="form-check-input"
+                            checked={selectedFields.includes(row.field)}
+                            disabled={row.status === 'same'}
+                            onChange={() => toggle(selectedFields, setSelectedFields, row.field)}
+                          />
+                        </td>
+                        <td>{row.label}</td>
+                        <td className={row.current ? '' : 'text-muted'}>{row.current || '—'}</td>
+                        <td>
+                          {row.incoming}
+                          {STATUS_BADGES[row.status] && (
+                            <span className={`badge ms-2 ${STATUS_BADGES[row.status].className}`}>
+                              {STATUS_BADGES[row.status].label}
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+
+                    {preview.relatives.map(row => {
+                      const key = `${row.relation}:${row.index}`;
+                      return (
+                        <tr key={key}>
+                          <td>
+                            <input
+                              type="checkbox"
+                              className="form-check-input"
+                              checked={selectedRelatives.includes(key)}
+                              disabled={row.status === 'present'}
+                              onChange={() => toggle(selectedRelatives, setSelectedRelatives, key)}
+                            />
+                          </td>
+                          <td>{RELATION_LABELS[row.relation]}</td>
+                          <td className={row.existing ? '' : 'text-muted'}>
+                            {row.existing ? fullName(row.existing) : '—'}
+                          </td>
+                          <td>
+                            {fullName(row.incoming)}
+                            {row.incoming.marriageDate && <small className="text-muted"> (married {row.incoming.marriageDate})</small>}
+                            {row.status === 'missing' && <span className="badge ms-2 bg-success">Add person</span>}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+              <small className="text-muted">
+                Adopted values are cited to this {record.source} record. Checked relatives are added as new people.
+              </small>
+            </>
+          )}
+        </div>
+
+        <div className="modal-footer">
+          <button className="btn btn-secondary" onClick={onClose} disabled={isMerging}>
+            Cancel
+          </button>
+          <button className="btn btn-success" onClick={handleMerge} disabled={isLoading || isMerging || nothingSelected}>
+            <i className="bi bi-arrow-left-right"></i>
+            {isMerging ? 'Merging...' : 'Merge Selected'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordMergeModal;
@@ -0,0 +1,152 @@
+import React, { useEffect, useState } from 'react';
+import { gedcomService, handleApiError } from '../services/api';
+
+const fullName = (person) => `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || 'Unknown';
+
+// How each step of the path relates to the person before it
+const LINK_LABELS = {
+  parent: { M: 'father', F: 'mother', U: 'parent' },
+  child: { M: 'son', F: 'daughter', U: 'child' },
+  spouse: { M: 'husband', F: 'wife', U: 'spouse' }
+};
+
+const linkLabel = (step) => {
+  const labels = LINK_LABELS[step.link];
+  return labels ? labels[step.sex] || labels.U : '';
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// "How are we related?" between the home person (or any chosen person) and the person on the card
+const RelationshipPanel = ({ person, onPersonSelect }) => {
+  const [fromId, setFromId] = useState('');
+  const [fromInput, setFromInput] = useState('');
+  const [result, setResult] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    gedcomService.getRelationship(person.id, fromId || null)
+      .then(response => {
+        if (!cancelled) setResult(response);
+      })
+      .catch(err => {
+        console.error('❌ Error finding relationship:', err);
+        if (!cancelled) {
+          setResult(null);
+          setError(handleApiError(err).message || 'Failed to find relationship');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [person.id, fromId]);
+
+  const handleCompare = (e) => {
+    e.preventDefault();
+    setFromId(fromInput.trim());
+  };
+
+  const resetToHome = () => {
+    setFromId('');
+    setFromInput('');
+  };
+
+  return (
+    <div className="card card-custom mb-4">
+      <div className="card-body p-4">
+        <h3 className="text-genealogy mb-3">
+          <i className="bi bi-people me-2"></i>
+          How are we related?
+        </h3>
+
+        <form className="d-flex flex-wrap align-items-center gap-2 mb-3" onSubmit={handleCompare}>
+          <span className="text-muted">
+            Compared with{' '}
+            <strong>{result ? fullName(result.from) : '…'}</strong>
+            {result && !fromId && <span className="badge bg-secondary ms-1">home person</span>}
+          </span>
+          <input
+            type="text"
+            className="form-control form-control-sm w-auto"
+            placeholder="Another person ID"
+            value={fromInput}
+            onChange={(e) => setFromInput(e.target.value)}
+          />
+          <button type="submit" className="btn btn-sm btn-genealogy-outline" disabled={!fromInput.trim()}>
+            Compare
+          </button>
+          {fromId && (
+            <button type="button" className="btn btn-sm btn-link" onClick={resetToHome}>
+              Use home person
+            </button>
+          )}
+        </form>
+
+        {error && (
+          <div className="error-message">
+            <i className="bi bi-exclamation-triangle-fill me-2"></i>
+            {error}
+          </div>
+        )}
+
+        {isLoading ? (
+          <div className="text-muted">
+            <span className="spinner-border spinner-border-sm me-2"></span>
+            Tracing the family lines...
+          </div>
+        ) : result && (
+          <>
+            {result.type !== 'none' && result.type !== 'self' && (
+              <h4 className="mb-1">{capitalize(result.relationship)}</h4>
+            )}
+            <p className="text-muted">{result.description}</p>
+
+            {result.commonAncestors.length > 0 && (
+              <p className="mb-2">
+                <strong>Common ancestors:</strong>{' '}
+                {result.commonAncestors.map((ancestor, index) => (
+                  <span key={ancestor.id}>
+                    {index > 0 && ' & '}
+                    <button className="person-link" onClick={() => onPersonSelect(ancestor.id)}>
+                      {fullName(ancestor)}
+                    </button>
+                  </span>
+                ))}
+              </p>
+            )}
+
+            {result.path.length > 1 && (
+              <div className="d-flex flex-wrap align-items-center gap-1">
+                {result.path.map((step, index) => (
+                  <span key={`${step.id}-${index}`} className="d-inline-flex align-items-center gap-1">
+                    {index > 0 && (
+                      <span className="text-muted small">
+                        <i className="bi bi-arrow-right mx-1"></i>
+                        {linkLabel(step)}
+                      </span>
+                    )}
+                    <button
+                      className={`person-link ${step.sex === 'M' ? 'gender-male' : step.sex === 'F' ? 'gender-female' : ''}`}
+                      onClick={() => onPersonSelect(step.id)}
+                    >
+                      {fullName(step)}
+                    </button>
+                  </span>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RelationshipPanel;
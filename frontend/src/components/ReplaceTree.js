@@ -0,0 +1,339 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { gedcomService, handleApiError } from '../services/api';
+
+const fullName = (person) => `${person.givenNames || ''} ${person.familyNames || ''}`.trim() || 'Unknown';
+
+const lifespan = (person) => {
+  const years = [person.birthDate, person.deathDate].map(date => (date || '').match(/\d{4}/)?.[0] || '');
+  return years.some(Boolean) ? `(${years[0] || '?'}–${years[1]})` : '';
+};
+
+const COLLECTION_LABELS = {
+  individuals: 'People',
+  families: 'Families',
+  sources: 'Sources',
+  repositories: 'Repositories'
+};
+
+const REASON_LABELS = {
+  replace: 'Before replacing from a file',
+  reparse: 'Before re-parsing the original file',
+  restore: 'Before restoring a backup'
+};
+
+// People added, removed or modified by the replacement
+const PeopleList = ({ title, icon, people, total, listLimit }) => (
+  <div className="col-md-4">
+    <h6>
+      <i className={`bi ${icon} me-1`}></i>
+      {title} <span className="badge bg-secondary">{total}</span>
+    </h6>
+    {people.length === 0 ? (
+      <p className="text-muted small">None</p>
+    ) : (
+      <ul className="list-unstyled small mb-0" style={{ maxHeight: '20rem', overflowY: 'auto' }}>
+        {people.map(person => (
+          <li key={person.id}>
+            {fullName(person)} <span className="text-muted">{lifespan(person)} #{person.id}</span>
+            {person.fields && <small className="text-muted d-block ms-2">{person.fields.join(', ')}</small>}
+          </li>
+        ))}
+        {total > people.length && <li className="text-muted">…and {total - people.length} more (first {listLimit} shown)</li>}
+      </ul>
+    )}
+  </div>
+);
+
+// Replace the tree from a new GEDCOM file, or re-parse the original one, after previewing the changes
+const ReplaceTree = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [file, setFile] = useState(null);
+  const [replacement, setReplacement] = useState(null);
+  const [snapshots, setSnapshots] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const replacementId = searchParams.get('id') || '';
+
+  const loadSnapshots = useCallback(async () => {
+    try {
+      const response = await gedcomService.getSnapshots();
+      setSnapshots(response.snapshots);
+    } catch (err) {
+      console.error('❌ Error loading snapshots:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSnapshots();
+  }, [loadSnapshots]);
+
+  useEffect(() => {
+    if (!replacementId) {
+      setReplacement(null);
+      return undefined;
+    }
+    let cancelled = false;
+    setIsLoading(true);
+    setError('');
+
+    gedcomService.getReplacement(replacementId)
+      .then(response => {
+        if (!cancelled) setReplacement(response);
+      })
+      .catch(err => {
+        console.error('❌ Error loading replacement:', err);
+        if (!cancelled) setError(handleApiError(err).message || 'Failed to load preview');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [replacementId]);
+
+  const startPreview = async (request, failure) => {
+    try {
+      setIsSubmitting(true);
+      setError('');
+      setMessage('');
+      const response = await request();
+      setSearchParams({ id: response.replacementId });
+    } catch (err) {
+      const apiError = handleApiError(err);
+      setError([apiError.message || failure, apiError.error].filter(Boolean).join(': '));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleUpload = (e) => {
+    e.preventDefault();
+    if (!file) return;
+    startPreview(() => gedcomService.startReplacement(file), 'Failed to upload GEDCOM file');
+  };
+
+  const handleReparse = () => {
+    startPreview(() => gedcomService.startReparse(), 'Failed to re-parse the original file');
+  };
+
+  const handleCommit = async () => {
+    if (!window.confirm('Replace your tree with this one? A backup of the current tree is kept and can be restored below.')) return;
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const response = await gedcomService.commitReplacement(replacementId);
+      setMessage(`${response.message}. ${response.totalIndividuals} people and ${response.totalFamilies} families.`);
+      setReplacement(await gedcomService.getReplacement(replacementId));
+      await loadSnapshots();
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to replace tree');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const handleDiscard = async () => {
+    try {
+      await gedcomService.discardReplacement(replacementId);
+      setSearchParams({});
+      setMessage('Preview discarded; your tree was not changed');
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to discard preview');
+    }
+  };
+
+  const handleRestore = async (snapshot) => {
+    if (!window.confirm(
+      `Restore the backup from ${new Date(snapshot.createdAt).toLocaleString()}? ` +
+      'The current tree is backed up first.'
+    )) return;
+    try {
+      setIsSubmitting(true);
+      setError('');
+      const response = await gedcomService.restoreSnapshot(snapshot.snapshotId);
+      setMessage(response.message);
+      await loadSnapshots();
+    } catch (err) {
+      setError(handleApiError(err).message || 'Failed to restore backup');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  const preview = replacement?.preview;
+  const isApplied = replacement?.status === 'applied';
+
+  return (
+    <div className="bg-genealogy family-tree-bg min-vh-100">
+      <nav className="navbar navbar-expand-lg navbar-dark" style={{ backgroundColor: 'rgba(0,0,0,0.1)' }}>
+        <div className="container">
+          <span className="navbar-brand">
+            <i className="bi bi-tree-fill me-2"></i>
+            Steve's Genealogy Tool
+          </span>
+          <div className="navbar-nav ms-auto d-flex flex-row gap-2">
+            <Link className="btn btn-logout" to="/genealogy">
+              <i className="bi bi-person-vcard me-1"></i>
+              Person Card
+            </Link>
+          </div>
+        </div>
+      </nav>
+
+      <div className="container py-5">
+        <div className="card card-custom mb-4">
+          <div className="card-body p-4">
+            <h3 className="text-genealogy mb-3">
+              <i className="bi bi-arrow-repeat me-2"></i>
+              Replace Tree from File
+              {replacement && <small className="text-muted ms-2">{replacement.sourceFile}</small>}
+            </h3>
+
+            {message && (
+              <div className="alert alert-success py-2">
+                <i className="bi bi-check-circle me-1"></i>
+                {message}
+              </div>
+            )}
+
+            {error && (
+              <div className="error-message">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                {error}
+              </div>
+            )}
+
+            {!replacementId && (
+              <>
+                <form className="d-flex flex-wrap align-items-center gap-2 mb-3" onSubmit={handleUpload}>
+                  <input
+                    type="file"
+                    className="form-control w-auto"
+                    accept=".ged,.gedcom,text/plain"
+                    onChange={(e) => setFile(e.target.files[0] || null)}
+                  />
+                  <button type="submit" className="btn btn-genealogy" disabled={!file || isSubmitting}>
+                    <i className="bi bi-upload me-1"></i>
+                    {isSubmitting ? 'Comparing...' : 'Upload and preview'}
+                  </button>
+                </form>
+                <div className="d-flex flex-wrap align-items-center gap-2">
+                  <button className="btn btn-genealogy-outline" onClick={handleReparse} disabled={isSubmitting}>
+                    <i className="bi bi-arrow-clockwise me-1"></i>
+                    Re-parse original file
+                  </button>
+                  <small className="text-muted">
+                    Reads the file you first uploaded again with the latest parser.
+                  </small>
+                </div>
+                <small className="text-muted d-block mt-3">
+                  Nothing changes until you review the preview and confirm. Changes you made in the app
+                  since the file was exported are not in the file and will be lost.
+                </small>
+              </>
+            )}
+
+            {replacementId && isLoading && !replacement && (
+              <div className="text-center py-5">
+                <div className="loading-spinner"></div>
+              </div>
+            )}
+
+            {preview && (
+              <>
+                <table className="table table-sm w-auto mb-3">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th className="text-success">Added</th>
+                      <th className="text-danger">Removed</th>
+                      <th className="text-primary">Modified</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(COLLECTION_LABELS).map(([collection, label]) => (
+                      <tr key={collection}>
+                        <th>{label}</th>
+                        <td>{preview.counts[collection].added}</td>
+                        <td>{preview.counts[collection].removed}</td>
+                        <td>{preview.counts[collection].modified}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-muted small">
+                  {preview.unchangedIndividuals} people unchanged.
+                  {preview.parseWarnings > 0 && ` The parser reported ${preview.parseWarnings} warnings for this file.`}
+                </p>
+
+                <div className="row mb-3">
+                  <PeopleList title="Added" icon="bi-plus-circle text-success" people={preview.added}
+                    total={preview.counts.individuals.added} listLimit={preview.listLimit} />
+                  <PeopleList title="Removed" icon="bi-dash-circle text-danger" people={preview.removed}
+                    total={preview.counts.individuals.removed} listLimit={preview.listLimit} />
+                  <PeopleList title="Modified" icon="bi-pencil text-primary" people={preview.modified}
+                    total={preview.counts.individuals.modified} listLimit={preview.listLimit} />
+                </div>
+
+                {isApplied ? (
+                  <div className="alert alert-info">
+                    <i className="bi bi-info-circle me-1"></i>
+                    Applied {new Date(replacement.appliedAt).toLocaleString()}.
+                    <Link className="ms-2" to="/genealogy">Back to your tree</Link>
+                  </div>
+                ) : (
+                  <div className="d-flex flex-wrap gap-2">
+                    <button className="btn btn-success" onClick={handleCommit} disabled={isSubmitting}>
+                      <i className="bi bi-check2-all me-1"></i>
+                      {isSubmitting ? 'Replacing...' : replacement.kind === 'reparse' ? 'Apply re-parse' : 'Replace tree'}
+                    </button>
+                    <button className="btn btn-outline-danger" onClick={handleDiscard} disabled={isSubmitting}>
+                      <i className="bi bi-x-circle me-1"></i>
+                      Discard
+                    </button>
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+
+        <div className="card card-custom">
+          <div className="card-body p-4">
+            <h4 className="text-genealogy mb-3">
+              <i className="bi bi-archive me-2"></i>
+              Backups
+            </h4>
+            {snapshots.length === 0 ? (
+              <p className="text-muted mb-0">No backups yet. One is taken every time the tree is replaced.</p>
+            ) : (
+              <ul className="list-unstyled mb-0">
+                {snapshots.map(snapshot => (
+                  <li key={snapshot.snapshotId} className="d-flex justify-content-between align-items-center border-bottom py-2">
+                    <div>
+                      <strong>{new Date(snapshot.createdAt).toLocaleString()}</strong>
+                      <small className="text-muted ms-2">
+                        {REASON_LABELS[snapshot.reason]} · {snapshot.sourceFile || 'unknown file'} ·{' '}
+                        {snapshot.totalIndividuals} people, {snapshot.totalFamilies} families
+                      </small>
+                    </div>
+                    <button className="btn btn-sm btn-outline-secondary" onClick={() => handleRestore(snapshot)} disabled={isSubmitting}>
+                      <i className="bi bi-arrow-counterclockwise me-1"></i>
+                      Restore
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReplaceTree;
@@ -97,6 +97,253 @@ export const gedcomService = {
     const response = await api.get('/gedcom/data');
     return response.data;
   },
+
+  // Ancestor tree for the pedigree chart
+  getPedigree: async (personId, generations = 4) => {
+    const response = await api.get(`/gedcom/pedigree/${encodeURIComponent(personId)}`, {
+      params: { generations },
+    });
+    return response.data;
+  },
+
+  // Descendant tree: families with spouses and children, recursively
+  getDescendants: async (personId, generations = 4) => {
+    const response = await api.get(`/gedcom/descendants/${encodeURIComponent(personId)}`, {
+      params: { generations },
+    });
+    return response.data;
+  },
+
+  // Named relationship and connecting path between two people; from defaults to the home person
+  getRelationship: async (to, from = null) => {
+    const response = await api.get('/gedcom/relationship', {
+      params: from ? { from, to } : { to },
+    });
+    return response.data;
+  },
+
+  // Paged, severity-sorted consistency problems across the whole tree
+  getAudit: async ({ page = 1, limit = 50, severity = '', category = '' } = {}) => {
+    const params = { page, limit };
+    if (severity) params.severity = severity;
+    if (category) params.category = category;
+    const response = await api.get('/gedcom/audit', { params });
+    return response.data;
+  },
+
+  // Likely duplicate pairs in the tree, best matches first
+  findDuplicates: async ({ page = 1, limit = 20, minScore } = {}) => {
+    const params = { page, limit };
+    if (minScore !== undefined) params.minScore = minScore;
+    const response = await api.get('/gedcom/duplicates', { params });
+    return response.data;
+  },
+
+  // Merge a duplicate into the survivor; prefer maps a field to 'duplicate' to take its value
+  mergeDuplicates: async (survivorId, duplicateId, prefer = {}) => {
+    const response = await api.post('/gedcom/duplicates/merge', { survivorId, duplicateId, prefer });
+    return response.data;
+  },
+
+  // Merges applied so far, newest first
+  getMergeLog: async () => {
+    const response = await api.get('/gedcom/duplicates/merges');
+    return response.data;
+  },
+
+  // Revision history, newest first; with a personId only the revisions that touched them
+  getHistory: async ({ personId, page = 1, limit } = {}) => {
+    const response = await api.get('/gedcom/history', { params: { personId, page, limit } });
+    return response.data;
+  },
+
+  // One revision with its full diff
+  getRevision: async (rev) => {
+    const response = await api.get(`/gedcom/history/${rev}`);
+    return response.data;
+  },
+
+  // Roll the whole tree back to how it was right after a revision (0 = before any)
+  restoreRevision: async (rev) => {
+    const response = await api.post(`/gedcom/history/${rev}/restore`);
+    return response.data;
+  },
+
+  // Upload another GEDCOM file; returns the import id of its review queue
+  startImport: async (file) => {
+    const formData = new FormData();
+    formData.append('gedcomFile', file);
+    const response = await api.post('/gedcom/import', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  // One page of an import's review queue
+  getImport: async (importId, { show = 'all', page = 1 } = {}) => {
+    const response = await api.get(`/gedcom/import/${importId}`, { params: { show, page } });
+    return response.data;
+  },
+
+  // Apply an import; decisions: { [incomingId]: { action: 'same'|'new'|'skip', targetId } }
+  applyImport: async (importId, decisions) => {
+    const response = await api.post(`/gedcom/import/${importId}/apply`, { decisions });
+    return response.data;
+  },
+
+  discardImport: async (importId) => {
+    const response = await api.delete(`/gedcom/import/${importId}`);
+    return response.data;
+  },
+
+  // Upload a GEDCOM file to replace the whole tree; returns a preview of what would change
+  startReplacement: async (file) => {
+    const formData = new FormData();
+    formData.append('gedcomFile', file);
+    const response = await api.post('/gedcom/replace', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+    return response.data;
+  },
+
+  // Re-parse the originally uploaded file with the current parser; returns a preview like startReplacement
+  startReparse: async () => {
+    const response = await api.post('/gedcom/reparse');
+    return response.data;
+  },
+
+  getReplacement: async (replacementId) => {
+    const response = await api.get(`/gedcom/replace/${replacementId}`);
+    return response.data;
+  },
+
+  // Snapshot the current tree and replace it with the previewed one
+  commitReplacement: async (replacementId) => {
+    const response = await api.post(`/gedcom/replace/${replacementId}/commit`);
+    return response.data;
+  },
+
+  discardReplacement: async (replacementId) => {
+    const response = await api.delete(`/gedcom/replace/${replacementId}`);
+    return response.data;
+  },
+
+  getSnapshots: async () => {
+    const response = await api.get('/gedcom/snapshots');
+    return response.data;
+  },
+
+  restoreSnapshot: async (snapshotId) => {
+    const response = await api.post(`/gedcom/snapshots/${snapshotId}/restore`);
+    return response.data;
+  },
+
+  // Add a person to the tree
+  createPerson: async (personData) => {
+    const response = await api.post('/gedcom/person', personData);
+    return response.data;
+  },
+
+  // Update a person's fields
+  updatePerson: async (personId, personData) => {
+    const response = await api.put(`/gedcom/person/${encodeURIComponent(personId)}`, personData);
+    return response.data;
+  },
+
+  // Delete a person and their family links
+  deletePerson: async (personId) => {
+    const response = await api.delete(`/gedcom/person/${encodeURIComponent(personId)}`);
+    return response.data;
+  },
+
+  // Create a family from existing people: { husband, wife, children, pedigrees }
+  createFamily: async (familyData) => {
+    const response = await api.post('/gedcom/families', familyData);
+    return response.data;
+  },
+
+  // Add a spouse to a family; role is 'husband' or 'wife' (derived from sex when omitted)
+  addSpouse: async (familyId, personId, role) => {
+    const response = await api.post(`/gedcom/families/${encodeURIComponent(familyId)}/spouses`, { personId, role });
+    return response.data;
+  },
+
+  removeSpouse: async (familyId, personId) => {
+    const response = await api.delete(
+      `/gedcom/families/${encodeURIComponent(familyId)}/spouses/${encodeURIComponent(personId)}`
+    );
+    return response.data;
+  },
+
+  // Add a child to a family; pedigree is birth, adopted, foster or step
+  addChild: async (familyId, childId, pedigree, position) => {
+    const response = await api.post(`/gedcom/families/${encodeURIComponent(familyId)}/children`, {
+      childId,
+      pedigree,
+      position
+    });
+    return response.data;
+  },
+
+  removeChild: async (familyId, childId) => {
+    const response = await api.delete(
+      `/gedcom/families/${encodeURIComponent(familyId)}/children/${encodeURIComponent(childId)}`
+    );
+    return response.data;
+  },
+
+  reorderChildren: async (familyId, children) => {
+    const response = await api.put(`/gedcom/families/${encodeURIComponent(familyId)}/children/order`, { children });
+    return response.data;
+  },
+
+  setChildPedigree: async (familyId, childId, pedigree) => {
+    const response = await api.put(
+      `/gedcom/families/${encodeURIComponent(familyId)}/children/${encodeURIComponent(childId)}/pedigree`,
+      { pedigree }
+    );
+    return response.data;
+  },
+
+  // List master sources and repositories
+  getSources: async () => {
+    const response = await api.get('/gedcom/sources');
+    return response.data;
+  },
+
+  // Create a master source: { title, type, author, publication, repositoryId, ... }
+  createSource: async (sourceData) => {
+    const response = await api.post('/gedcom/sources', sourceData);
+    return response.data;
+  },
+
+  // Cite a source on an event; target is { personId, eventIndex } or { familyId, eventIndex }
+  addEventCitation: async (target, citation) => {
+    const owner = target.personId
+      ? `person/${encodeURIComponent(target.personId)}`
+      : `families/${encodeURIComponent(target.familyId)}`;
+    const response = await api.post(`/gedcom/${owner}/events/${target.eventIndex}/citations`, citation);
+    return response.data;
+  },
+
+  // Export the current tree as a GEDCOM file (returns a Blob and filename)
+  exportGedcom: async (version = '5.5.1') => {
+    const response = await api.get('/gedcom/export', {
+      params: { version },
+      responseType: 'blob',
+    });
+    const disposition = response.headers['content-disposition'] || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    const plain = disposition.match(/filename="?([^";]+)"?/);
+    return {
+      blob: response.data,
+      fileName: encoded ? decodeURIComponent(encoded[1]) : plain ? plain[1] : `family-tree-${version}.ged`,
+    };
+  },
 };
 
 // AI Research Service for genealogical AI features
@@ -110,7 +357,16 @@ export const aiResearchService = {
   },
 
   /**
-   * Search external sources for records
+   * The external record sources this server can search: { sources: [{ key, label, description,
+   * capabilities, mock, defaultSelected }] } in the order they are searched
+   */
+  getSources: async () => {
+    const response = await api.get('/ai-research/sources');
+    return response.data;
+  },
+
+  /**
+   * Start a search of external sources for records; returns { job } to follow with jobService
    */
   searchExternal: async (personId, searchQueries) => {
     const response = await api.post('/ai-research/search-external', { 
@@ -120,6 +376,55 @@ export const aiResearchService = {
     return response.data;
   },
 
+  /**
+   * Search external sources, receiving each source's results as it finishes (Server-Sent Events
+   * over fetch, since EventSource cannot send the auth header). onEvent(event, data) gets `start`,
+   * one `source` per source and `done`; an `error` event rejects. Aborting signal stops the
+   * sources still searching.
+   */
+  streamExternalSearch: async (personId, searchQueries, { onEvent, signal } = {}) => {
+    const response = await fetch(`${API_BASE_URL}/ai-research/search-external/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Accept: 'text/event-stream',
+        Authorization: `Bearer ${localStorage.getItem('token')}`
+      },
+      body: JSON.stringify({ personId, searchQueries }),
+      signal
+    });
+
+    if (!response.ok) {
+      // Same shape as an axios error so handleApiError works
+      const error = new Error(`Search failed: ${response.statusText}`);
+      error.response = { status: response.status, data: await response.json().catch(() => null) };
+      throw error;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += decoder.decode(value, { stream: true });
+
+      let end = buffer.indexOf('\n\n');
+      while (end >= 0) {
+        const lines = buffer.slice(0, end).split('\n');
+        buffer = buffer.slice(end + 2);
+        end = buffer.indexOf('\n\n');
+
+        const event = lines.find(line => line.startsWith('event: '))?.slice(7);
+        const data = lines.filter(line => line.startsWith('data: ')).map(line => line.slice(6)).join('\n');
+        if (!event) continue; // keep-alive comment
+        const payload = JSON.parse(data);
+        if (event === 'error') throw new Error(payload.error || payload.message);
+        if (onEvent) onEvent(event, payload);
+      }
+    }
+  },
+
   /**
    * Analyze a specific record match using AI
    */
@@ -150,6 +455,84 @@ export const aiResearchService = {
       reason 
     });
     return response.data;
+  },
+
+  /**
+   * Attach a search result as a source citation; eventIndex null cites the person as a whole
+   */
+  attachRecord: async (personId, record, eventIndex = null, analysis = null) => {
+    const response = await api.post('/ai-research/attach-record', {
+      personId,
+      record,
+      eventIndex,
+      analysis
+    });
+    return response.data;
+  },
+
+  /**
+   * Compare a person with a search result field by field
+   */
+  getMergePreview: async (personId, record) => {
+    const response = await api.post('/ai-research/merge-preview', { personId, record });
+    return response.data;
+  },
+
+  /**
+   * Adopt chosen fields and relatives from a search result: { fields, relatives, analysis }
+   */
+  applyMerge: async (personId, record, { fields, relatives, analysis = null }) => {
+    const response = await api.post('/ai-research/apply-merge', {
+      personId,
+      record,
+      fields,
+      relatives,
+      analysis
+    });
+    return response.data;
+  },
+
+  /**
+   * List external records attached to a person
+   */
+  getAttachedRecords: async (personId) => {
+    const response = await api.get(`/ai-research/attached-records/${encodeURIComponent(personId)}`);
+    return response.data;
+  }
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Background jobs: GEDCOM parsing, tree audits and external searches
+export const jobService = {
+  getJob: async (jobId) => {
+    const response = await api.get(`/jobs/${jobId}`);
+    return response.data.job;
+  },
+
+  cancelJob: async (jobId) => {
+    const response = await api.post(`/jobs/${jobId}/cancel`);
+    return response.data.job;
+  },
+
+  /**
+   * Poll a job until it finishes, more slowly the longer it runs; onProgress gets the job after
+   * every poll. Resolves with the completed or cancelled job, or null once signal is aborted;
+   * rejects when the job failed.
+   */
+  waitForJob: async (jobId, { onProgress, signal, interval = 1000, maxInterval = 5000 } = {}) => {
+    let delay = interval;
+    while (!signal?.aborted) {
+      const job = await jobService.getJob(jobId);
+      if (signal?.aborted) break;
+      if (onProgress) onProgress(job);
+      if (job.status === 'failed') throw new Error(job.error || 'Job failed');
+      if (job.status === 'completed' || job.status === 'cancelled') return job;
+
+      await sleep(delay);
+      delay = Math.min(delay * 1.5, maxInterval);
+    }
+    return null;
   }
 };
 